@@ -2,12 +2,13 @@
 pragma solidity ^0.7.0;
 
 import './uniswap-v3/libraries/LowGasSafeMath.sol';
+import './Roles.sol';
 
 interface ERC677Receiver {
     function onTokenTransfer(address _sender, uint _value, bytes calldata _data) external;
 }
 
-contract ERC20 {
+contract ERC20 is Roles {
     using LowGasSafeMath for uint;
 
     string public constant name = 'Lido stETH UniV3 Pool';
@@ -18,8 +19,6 @@ contract ERC20 {
     bool public paused = false;
     uint248 public totalSupply;
 
-    address pauser;
-
     mapping(address => uint) public balanceOf;
     mapping(address => mapping(address => uint)) public allowance;
 
@@ -30,13 +29,10 @@ contract ERC20 {
     event Approval(address indexed owner, address indexed spender, uint value);
     event Transfer(address indexed from, address indexed to, uint value);
 
-    event PauserTransferred(address previousPauser, address newPauser);
     event Paused();
     event Unpaused();
 
     constructor() {
-        pauser = msg.sender;
-
         uint chainId;
         assembly {
             chainId := chainid()
@@ -57,21 +53,17 @@ contract ERC20 {
         _;
     }
 
-    function transferPauser(address newPauser) external {
-        require(pauser == msg.sender);
-        emit PauserTransferred(pauser, newPauser);
-        pauser = newPauser;
+    // The guardian or admin can pause
+    function pause() external {
+        require(roles[Role.Guardian] == msg.sender || roles[Role.Admin] == msg.sender);
+        paused = true;
+        emit Paused();
     }
 
-    function togglePaused() external {
-        require(pauser == msg.sender);
-        bool _paused = paused;
-        paused = !_paused;
-        if (_paused) {
-            emit Unpaused();
-        } else {
-            emit Paused();
-        }
+    // Only the admin can unpause
+    function unpause() public virtual onlyRole(Role.Admin) {
+        paused = false;
+        emit Unpaused();
     }
 
     function _mint(address to, uint value) internal {
@@ -1,23 +1,27 @@
 //SPDX-License-Identifier: MIT
 pragma solidity ^0.7.0;
+pragma abicoder v2;
 
 import { IUniswapV3Pool } from "./uniswap-v3/interfaces/IUniswapV3Pool.sol";
 import { IUniswapV3Factory } from "./uniswap-v3/interfaces/IUniswapV3Factory.sol";
 import { IUniswapV3MintCallback } from "./uniswap-v3/interfaces/callback/IUniswapV3MintCallback.sol";
 import { IUniswapV3SwapCallback } from "./uniswap-v3/interfaces/callback/IUniswapV3SwapCallback.sol";
 import { LowGasSafeMath } from "./uniswap-v3/libraries/LowGasSafeMath.sol";
-import { SqrtPriceMath } from "./uniswap-v3/libraries/SqrtPriceMath.sol";
 import { TickMath } from "./uniswap-v3/libraries/TickMath.sol";
+import { FullMath } from "./uniswap-v3/libraries/FullMath.sol";
 import { IERC20Minimal } from './uniswap-v3/interfaces/IERC20Minimal.sol';
 
 import { TransferHelper } from "./libraries/TransferHelper.sol";
 import { LiquidityAmounts } from "./libraries/LiquidityAmounts.sol";
 import { UniMathHelpers } from "./libraries/UniMathHelpers.sol";
+import { IERC20Permit } from "./interfaces/IERC20Permit.sol";
 import { ERC20 } from "./ERC20.sol";
+import { Multicall } from "./Multicall.sol";
+import { MetaPoolTimelock } from "./MetaPoolTimelock.sol";
 
 /// @title MetaPool for allocating to the Lido stETH Uniswap V3 Pool
 /// @author David Mihal
-contract MetaPool is IUniswapV3MintCallback, IUniswapV3SwapCallback, ERC20 {
+contract MetaPool is IUniswapV3MintCallback, IUniswapV3SwapCallback, ERC20, Multicall {
   using LowGasSafeMath for uint256;
 
   IUniswapV3Pool public immutable pool;
@@ -25,177 +29,209 @@ contract MetaPool is IUniswapV3MintCallback, IUniswapV3SwapCallback, ERC20 {
   address public immutable token0; // wstETH
   address public immutable token1; // WETH
 
-  int24 public immutable tightLowerTick;
-  int24 public immutable tightUpperTick;
-  int24 public immutable wideLowerTick;
-  int24 public immutable wideUpperTick;
-
   uint24 public immutable maxTickMovement;
 
-  uint128 public immutable liquidityRatio;
+  uint256 public constant MAX_RANGES = 8;
+
+  struct Range {
+    // Variables are packed into a single storage slot
+    int24 lowerTick;
+    int24 upperTick;
+    uint16 weight; // Basis points of each deposit added to this range
+    uint128 initialLiquidity; // Liquidity minted to this range by initialize()
+
+    uint160 lowerSqrtRatioX96;
+    uint160 upperSqrtRatioX96;
+    bytes32 positionID;
+  }
+
+  // Ordered list of the ranges liquidity is deposited to. Ticks can be moved by moveRanges()
+  Range[] public ranges;
+
+  uint16 public constant MAX_PERFORMANCE_FEE = 2000; // 20% of collected fees
+  uint16 public constant MAX_MANAGEMENT_FEE = 500; // 5% of the LP supply a year
 
-  uint160 public immutable tightLowerSqrtRatioX96;
-  uint160 public immutable tightUpperSqrtRatioX96;
-  uint160 public immutable wideLowerSqrtRatioX96;
-  uint160 public immutable wideUpperSqrtRatioX96;
+  // Variables are packed into a single storage slot
+  address public treasury;
+  uint16 public performanceFee; // Basis points of the Uniswap fees collected by rebalance()
+  uint16 public managementFee; // Basis points of the LP supply minted to the treasury a year
+  bool public feesAsShares; // Take the performance fee as LP tokens instead of token0 & token1
+  uint32 public lastFeeAccrual;
 
-  bytes32 public immutable tightPositionID;
-  bytes32 public immutable widePositionID;
+  // Variables are packed into a single storage slot
+  uint32 public twapWindow; // Seconds the TWAP that guards against price manipulation is averaged over
+  bool public guardMints; // Also require the price to be near the TWAP to mint
+  bool public emergency; // Set by emergencyExit(): the positions are withdrawn and only burns are allowed
+
+  // Only contract allowed to call the parameter setters, after a delay
+  MetaPoolTimelock public immutable timelock;
 
   event Rebalanced(
-    uint128 newTightLiquidity,
-    uint128 newWideLiquidity,
+    uint128[] newLiquidity,
     uint256 amount0Remainder,
     uint256 amount1Remainder
   );
 
+  event PerformanceFeeTaken(address indexed treasury, uint256 amount0, uint256 amount1, uint256 shares);
+  event ManagementFeeAccrued(address indexed treasury, uint256 shares);
+  event RangesMoved(int24[] oldLowerTicks, int24[] oldUpperTicks, int24[] newLowerTicks, int24[] newUpperTicks);
+  event FeesUpdated(uint16 performanceFee, uint16 managementFee);
+  event TreasuryUpdated(address treasury, bool feesAsShares);
+  event TwapUpdated(uint32 twapWindow, uint16 observationCardinality);
+  event MintGuardUpdated(bool guardMints);
+  event EmergencyExit(uint256 amount0, uint256 amount1);
+
   /// @param _pool Address of the Uniswap V3 pool to use
-  /// @param _tightLowerTick Lower tick to use for the tight position
-  /// @param _tightUpperTick Upper tick to use for the tight position
-  /// @param _wideLowerTick Lower tick to use for the wide position
-  /// @param _wideUpperTick Upper tick to use for the wide position
+  /// @param _lowerTicks Lower tick of each range
+  /// @param _upperTicks Upper tick of each range
+  /// @param _weights Basis points of each deposit to add to each range, summing to 10000
+  /// @param _initialLiquidity Liquidity minted to each range by initialize(), setting the ratio between ranges
   /// @param _maxTickMovement Maximum number of ticks between the current tick & TWAP for rebalancing
-  /// @param _liquidityRatio Default ratio of wide liquidity to tight liquidity
+  /// @param _timelock Newly deployed timelock, which its deployer binds to this MetaPool with setMetaPool()
   constructor(
     IUniswapV3Pool _pool,
-    int24 _tightLowerTick,
-    int24 _tightUpperTick,
-    int24 _wideLowerTick,
-    int24 _wideUpperTick,
+    int24[] memory _lowerTicks,
+    int24[] memory _upperTicks,
+    uint16[] memory _weights,
+    uint128[] memory _initialLiquidity,
     uint24 _maxTickMovement,
-    uint128 _liquidityRatio
+    MetaPoolTimelock _timelock
   ) {
     pool = _pool;
     token0 = _pool.token0();
     token1 = _pool.token1();
 
     _pool.increaseObservationCardinalityNext(30);
+    twapWindow = 5 minutes;
+    timelock = _timelock;
+
+    uint256 rangeCount = _lowerTicks.length;
+    require(rangeCount > 0 && rangeCount <= MAX_RANGES, "Ranges");
+    require(
+      _upperTicks.length == rangeCount && _weights.length == rangeCount && _initialLiquidity.length == rangeCount,
+      "Ranges"
+    );
 
-    tightLowerTick = _tightLowerTick;
-    tightUpperTick = _tightUpperTick;
-    wideLowerTick = _wideLowerTick;
-    wideUpperTick = _wideUpperTick;
-    tightLowerSqrtRatioX96 = TickMath.getSqrtRatioAtTick(_tightLowerTick);
-    tightUpperSqrtRatioX96 = TickMath.getSqrtRatioAtTick(_tightUpperTick);
-    wideLowerSqrtRatioX96 = TickMath.getSqrtRatioAtTick(_wideLowerTick);
-    wideUpperSqrtRatioX96 = TickMath.getSqrtRatioAtTick(_wideUpperTick);
+    uint256 totalWeight;
+    for (uint256 i = 0; i < rangeCount; i++) {
+      require(_initialLiquidity[i] > 0, "Ranges");
+      totalWeight += _weights[i]; // Can't overflow
+
+      ranges.push();
+      ranges[i].weight = _weights[i];
+      ranges[i].initialLiquidity = _initialLiquidity[i];
+      setTicks(ranges[i], _lowerTicks[i], _upperTicks[i]);
+    }
+    require(totalWeight == 10000, "Weights");
+    requireDistinctRanges();
 
     maxTickMovement = _maxTickMovement;
-    liquidityRatio = _liquidityRatio;
+  }
 
-    tightPositionID = keccak256(abi.encodePacked(address(this), _tightLowerTick, _tightUpperTick));
-    widePositionID = keccak256(abi.encodePacked(address(this), _wideLowerTick, _wideUpperTick));
+  /// @notice Restrict a function to changes executed by the timelock
+  modifier onlyTimelock {
+    require(msg.sender == address(timelock));
+    _;
   }
 
   ///
   //  View functions
   ///
 
-  /// @notice Return the amount of tokens and liquidity held by the pool's tight position
-  /// @return token0Amount Amount of token0 in the tight position
-  /// @return token1Amount Amount of token1 in the tight position
-  /// @return liquidity Amount Uniswap liquidity in the tight position
-  function tightPosition() external view returns (
+  /// @notice Return the number of ranges liquidity is deposited to
+  function numRanges() external view returns (uint256) {
+    return ranges.length;
+  }
+
+  /// @notice Return the ticks of every range, in order
+  function getTicks() public view returns (int24[] memory lowerTicks, int24[] memory upperTicks) {
+    lowerTicks = new int24[](ranges.length);
+    upperTicks = new int24[](ranges.length);
+    for (uint256 i = 0; i < ranges.length; i++) {
+      lowerTicks[i] = ranges[i].lowerTick;
+      upperTicks[i] = ranges[i].upperTick;
+    }
+  }
+
+  /// @notice Return the amount of tokens and liquidity held by one of the pool's positions
+  /// @param index Index of the position's range in `ranges`
+  /// @return token0Amount Amount of token0 in the position
+  /// @return token1Amount Amount of token1 in the position
+  /// @return liquidity Amount Uniswap liquidity in the position
+  function position(uint256 index) public view returns (
     uint256 token0Amount,
     uint256 token1Amount,
     uint128 liquidity
   ) {
-    (liquidity,,,,) = pool.positions(tightPositionID);
+    Range storage range = ranges[index];
+    liquidity = getLiquidity(range);
 
-    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
+    uint160 sqrtRatioX96 = getSqrtRatio();
     (token0Amount, token1Amount) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, tightLowerSqrtRatioX96, tightUpperSqrtRatioX96, liquidity);
+      sqrtRatioX96, range.lowerSqrtRatioX96, range.upperSqrtRatioX96, liquidity);
   }
 
-  /// @notice Return the amount of tokens and liquidity held by the pool's wide position
-  /// @return token0Amount Amount of token0 in the wide position
-  /// @return token1Amount Amount of token1 in the wide position
-  /// @return liquidity Amount Uniswap liquidity in the wide position
-  function widePosition() external view returns (
+  /// @notice Return the amount of tokens and liquidity held by the first range's position,
+  ///         the tight position of the original two-range setup
+  function tightPosition() external view returns (
     uint256 token0Amount,
     uint256 token1Amount,
     uint128 liquidity
   ) {
-    bytes32 positionID = keccak256(abi.encodePacked(address(this), wideLowerTick, wideUpperTick));
-    (liquidity,,,,) = pool.positions(positionID);
+    return position(0);
+  }
 
-    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
-    (token0Amount, token1Amount) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, wideLowerSqrtRatioX96, wideUpperSqrtRatioX96, liquidity);
+  /// @notice Return the amount of tokens and liquidity held by the second range's position,
+  ///         the wide position of the original two-range setup
+  function widePosition() external view returns (
+    uint256 token0Amount,
+    uint256 token1Amount,
+    uint128 liquidity
+  ) {
+    return position(1);
   }
 
   /// @notice Return the total amount of tokens held by the pool's positions in Uniswap
   /// @return token0Amount Total amount of token0 held in the pool's positions
   /// @return token1Amount Total amount of token1 held in the pool's positions
-  function totalPosition() external view returns (uint256 token0Amount, uint256 token1Amount) {
-    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
-
-    (uint128 tightLiquidity,,,,) = pool.positions(tightPositionID);
-    (uint256 tightToken0, uint256 tightToken1) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, tightLowerSqrtRatioX96, tightUpperSqrtRatioX96, tightLiquidity);
+  function totalPosition() public view returns (uint256 token0Amount, uint256 token1Amount) {
+    uint160 sqrtRatioX96 = getSqrtRatio();
 
-    (uint128 wideLiquidity,,,,) = pool.positions(widePositionID);
-    (uint256 wideToken0, uint256 wideToken1) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, wideLowerSqrtRatioX96, wideUpperSqrtRatioX96, wideLiquidity);
+    for (uint256 i = 0; i < ranges.length; i++) {
+      Range storage range = ranges[i];
+      uint128 liquidity = getLiquidity(range);
+      (uint256 amount0, uint256 amount1) = LiquidityAmounts.getAmountsForLiquidity(
+        sqrtRatioX96, range.lowerSqrtRatioX96, range.upperSqrtRatioX96, liquidity);
 
-    return (tightToken0 + wideToken0, tightToken1 + wideToken1); // Can't overflow
+      // Can't overflow
+      token0Amount += amount0;
+      token1Amount += amount1;
+    }
   }
 
-  /// @notice Return the amount of tokens needed to mint a given amount of LP tokens
-  /// @param newLPTokens Number of MetaPool LP tokens to simulate minting
-  /// @return token0Amount Total amount of token0 that will be transfered to mint
-  /// @return token1Amount Total amount of token1 that will be transfered to mint
-  function previewMint(uint256 newLPTokens) external view returns (
-    uint256 token0Amount,
-    uint256 token1Amount
-  ) {
-    (uint128 initialTightLiquidity, , , , ) = pool.positions(tightPositionID);
-    (uint128 initialWideLiquidity, , , , ) = pool.positions(widePositionID);
-    require(initialTightLiquidity > 0 && initialWideLiquidity > 0, "INI");
-
-    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
-
-    uint256 _totalSupply = totalSupply; // Single SLOAD for gas saving
-    uint256 newTightLiquidity = newLPTokens.mul(initialTightLiquidity) / _totalSupply;
-    uint256 newWideLiquidity = newLPTokens.mul(initialWideLiquidity) / _totalSupply;
-
-    // Check so we can cast to 128
-    require(newTightLiquidity < type(uint128).max);
-    require(newWideLiquidity < type(uint128).max);
-
-    (uint256 tightToken0, uint256 tightToken1) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, tightLowerSqrtRatioX96, tightUpperSqrtRatioX96, uint128(newTightLiquidity));
+  /// @notice Return the time-weighted average tick over the last `twapWindow` seconds, and the current tick's distance from it
+  /// @dev Reverts with "OLD" if the pool doesn't have observations covering the window
+  /// @return averageTick Time-weighted average tick
+  /// @return drift Number of ticks between the current tick & averageTick, limited to maxTickMovement by the guard
+  function twap() public view returns (int24 averageTick, uint24 drift) {
+    (, int24 currentTick, , , , , ) = pool.slot0();
 
-    (uint256 wideToken0, uint256 wideToken1) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, wideLowerSqrtRatioX96, wideUpperSqrtRatioX96, uint128(newWideLiquidity));
+    uint32[] memory secondsAgos = new uint32[](2);
+    secondsAgos[0] = twapWindow;
+    secondsAgos[1] = 0;
+    (int56[] memory tickCumulatives, ) = pool.observe(secondsAgos);
 
-    return (tightToken0.add(wideToken0), tightToken1.add(wideToken1));
+    averageTick = int24(int256(tickCumulatives[1] - tickCumulatives[0]) / int256(twapWindow));
+    drift = uint24(averageTick > currentTick ? averageTick - currentTick : currentTick - averageTick);
   }
 
-  /// @notice Return the amount of tokens returned when burning an amount of LP tokens
-  /// @param burnAmount Number of MetaPool LP tokens to simulate burning
-  /// @return token0Amount Total amount of token0 that will be returned
-  /// @return token1Amount Total amount of token1 that will be returned
-  function previewBurn(uint256 burnAmount) external view returns (
-    uint256 token0Amount,
-    uint256 token1Amount
-  ) {
-    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
-    (uint128 tightLiquidity, , , , ) = pool.positions(tightPositionID);
-    (uint128 wideLiquidity, , , , ) = pool.positions(widePositionID);
-
-    uint256 tightLiquidityBurned = burnAmount.mul(tightLiquidity) / totalSupply; // Can't overflow
-    require(tightLiquidityBurned < type(uint128).max); // Check so we can cast to 128
-
-    uint256 wideLiquidityBurned = burnAmount.mul(wideLiquidity) / totalSupply; // Can't overflow
-    require(wideLiquidityBurned < type(uint128).max); // Check so we can cast to 128
-
-    (uint256 tightToken0, uint256 tightToken1) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, tightLowerSqrtRatioX96, tightUpperSqrtRatioX96, uint128(tightLiquidityBurned));
-    (uint256 wideToken0, uint256 wideToken1) = LiquidityAmounts.getAmountsForLiquidity(
-      sqrtRatioX96, wideLowerSqrtRatioX96, wideUpperSqrtRatioX96, uint128(wideLiquidityBurned));
-
-    return (tightToken0 + wideToken0, tightToken1 + wideToken1); // Can't overflow
+  /// @notice Return the number of LP tokens the treasury is owed for the management fee, since it was last accrued
+  /// @dev Accrues linearly: totalSupply * managementFee * elapsed / (10000 * 365 days)
+  function pendingManagementFee() public view returns (uint256) {
+    if (treasury == address(0) || managementFee == 0 || emergency) {
+      return 0;
+    }
+    return uint256(totalSupply).mul(managementFee).mul(block.timestamp - lastFeeAccrual) / (10000 * 365 days);
   }
 
   ///
@@ -204,35 +240,29 @@ contract MetaPool is IUniswapV3MintCallback, IUniswapV3SwapCallback, ERC20 {
 
   /// @notice Initialize the pool, depositting a negligable amount of tokens
   ///         and minting LP tokens to 0x0
-  /// @dev The caller must have approved the contract to transfer token0 and token1
+  /// @dev The caller must have approved the contract to transfer token0 and token1.
+  ///      Can only be called once, and not after emergencyExit() has withdrawn the positions
   function initialize() external {
-    (uint128 tightLiquidity, , , , ) = pool.positions(tightPositionID);
-    (uint128 wideLiquidity, , , , ) = pool.positions(widePositionID);
-
-    // Ensure the pool hasn't been initialized yet
-    require(tightLiquidity == 0 && wideLiquidity == 0);
-
-    pool.mint(
-      address(this),
-      wideLowerTick,
-      wideUpperTick,
-      100,
-      abi.encode(msg.sender) // Data field for uniswapV3MintCallback
-    );
+    // Ensure the pool hasn't been initialized yet. The 100 LP tokens minted to 0x0 can never be burned
+    require(totalSupply == 0 && !emergency);
 
-    pool.mint(
-      address(this),
-      tightLowerTick,
-      tightUpperTick,
-      100 * liquidityRatio, // Won't overflow, since we assume reasonable liquidityRatio
-      abi.encode(msg.sender) // Data field for uniswapV3MintCallback
-    );
+    for (uint256 i = 0; i < ranges.length; i++) {
+      Range storage range = ranges[i];
+      pool.mint(
+        address(this),
+        range.lowerTick,
+        range.upperTick,
+        range.initialLiquidity,
+        abi.encode(msg.sender) // Data field for uniswapV3MintCallback
+      );
+    }
 
     _mint(address(0), 100);
   }
 
   /// @notice Deposits tokens into Uniswap positions and mints LP tokens
-  /// @dev The caller must have approved the contract to transfer token0 and token1
+  /// @dev The caller must have approved the contract to transfer token0 and token1.
+  ///      With guardMints set, reverts if the price is too far from the TWAP
   /// @param newLPTokens Number of MetaPool LP tokens to mint
   /// @param amount0Max Maximum amount of token0 to deposit, to prevent slippage
   /// @param amount1Max Maximum amount of token1 to deposit, to prevent slippage
@@ -241,44 +271,49 @@ contract MetaPool is IUniswapV3MintCallback, IUniswapV3SwapCallback, ERC20 {
     uint256 amount0Max,
     uint256 amount1Max
   ) external notPaused {
-    (uint128 initialTightLiquidity, , , , ) = pool.positions(tightPositionID);
-    (uint128 initialWideLiquidity, , , , ) = pool.positions(widePositionID);
-    // Ensure the pool is already initalized
-    require(initialTightLiquidity > 0 && initialWideLiquidity > 0, "INI");
-
-    uint256 _totalSupply = totalSupply; // Single SLOAD for gas saving
+    if (guardMints) {
+      requireMinimalPriceMovement();
+    }
+    accrueManagementFee();
 
-    // Will deposit in the same ratio of liquidity tokens as the pool already holds
-    uint256 newTightLiquidity = newLPTokens.mul(initialTightLiquidity) / _totalSupply;
-    uint256 newWideLiquidity = newLPTokens.mul(initialWideLiquidity) / _totalSupply;
+    (uint256 amount0, uint256 amount1) = addLiquidity(newLPTokens, totalSupply);
+    require(amount0 <= amount0Max && amount1 <= amount1Max, "Slippage");
 
-    // Check so we can cast to 128
-    require(newTightLiquidity < type(uint128).max);
-    require(newWideLiquidity < type(uint128).max);
+    _mint(msg.sender, newLPTokens);
+  }
 
-    (uint256 tightToken0, uint256 tightToken1) = pool.mint(
-      address(this),
-      tightLowerTick,
-      tightUpperTick,
-      uint128(newTightLiquidity),
-      abi.encode(msg.sender) // Data field for uniswapV3MintCallback
-    );
+  /// @notice Deposits up to the given amounts of tokens into Uniswap positions, minting as many LP tokens as they cover
+  /// @dev The caller must have approved the contract to transfer token0 and token1.
+  ///      Amounts of a token the positions don't hold aren't needed, and can be 0.
+  ///      With guardMints set, reverts if the price is too far from the TWAP
+  /// @param amount0Max Maximum amount of token0 to deposit
+  /// @param amount1Max Maximum amount of token1 to deposit
+  /// @param minLPTokens Minimum number of LP tokens to mint, to prevent slippage
+  /// @return newLPTokens Number of MetaPool LP tokens minted
+  /// @return amount0 Amount of token0 deposited
+  /// @return amount1 Amount of token1 deposited
+  function mintWithAmounts(
+    uint256 amount0Max,
+    uint256 amount1Max,
+    uint256 minLPTokens
+  ) external notPaused returns (uint256 newLPTokens, uint256 amount0, uint256 amount1) {
+    if (guardMints) {
+      requireMinimalPriceMovement();
+    }
+    accrueManagementFee();
+    uint256 _totalSupply = totalSupply; // Single SLOAD for gas saving
 
-    (uint256 wideToken0, uint256 wideToken1) = pool.mint(
-      address(this),
-      wideLowerTick,
-      wideUpperTick,
-      uint128(newWideLiquidity),
-      abi.encode(msg.sender) // Data field for uniswapV3MintCallback
-    );
+    newLPTokens = getMaxLPTokens(amount0Max, amount1Max, _totalSupply);
+    require(newLPTokens > 0 && newLPTokens >= minLPTokens, "Slippage");
 
-    // Can't overflow
-    require(tightToken0 + wideToken0 <= amount0Max && tightToken1 + wideToken1 <= amount1Max, "Slippage");
+    (amount0, amount1) = addLiquidity(newLPTokens, _totalSupply);
+    require(amount0 <= amount0Max && amount1 <= amount1Max, "Slippage");
 
     _mint(msg.sender, newLPTokens);
   }
 
   /// @notice Burns LP tokens and returns underlying tokens to recipient
+  /// @dev After emergencyExit(), pays out a share of the tokens held by the contract instead
   /// @param burnAmount Number of MetaPool LP tokens to burn
   /// @param amount0Min Minimum number of token0 to receive, to prevent slippage
   /// @param amount1Min Minimum number of token0 to receive, to prevent slippage
@@ -291,147 +326,376 @@ contract MetaPool is IUniswapV3MintCallback, IUniswapV3SwapCallback, ERC20 {
     uint256 amount1Min,
     address recipient
   ) external returns (uint256 amount0, uint256 amount1) {
+    accrueManagementFee();
     uint256 _totalSupply = totalSupply; // Single SLOAD for gas saving
 
     _burn(msg.sender, burnAmount);
 
-    // Withdraw from tight position
-    {
-      (uint128 tightLiquidity,,,,) = pool.positions(tightPositionID);
+    if (emergency) {
+      (amount0, amount1) = getEmergencyAmounts(burnAmount, _totalSupply);
+      if (amount0 > 0) {
+        TransferHelper.safeTransfer(token0, recipient, amount0);
+      }
+      if (amount1 > 0) {
+        TransferHelper.safeTransfer(token1, recipient, amount1);
+      }
+    } else {
+      for (uint256 i = 0; i < ranges.length; i++) {
+        Range storage range = ranges[i];
+        uint128 liquidity = getLiquidity(range);
+
+        uint256 liquidityBurned = burnAmount.mul(liquidity) / _totalSupply; // Can't overflow
+        require(liquidityBurned < type(uint128).max); // Check so we can cast to 128
+
+        (uint256 rangeAmount0, uint256 rangeAmount1) =
+          pool.burn(range.lowerTick, range.upperTick, uint128(liquidityBurned));
+
+        // Can't overflow
+        amount0 += rangeAmount0;
+        amount1 += rangeAmount1;
+
+        // Withdraw tokens to user
+        pool.collect(
+          recipient,
+          range.lowerTick,
+          range.upperTick,
+          uint128(rangeAmount0), // cast can't overflow
+          uint128(rangeAmount1) // cast can't overflow
+        );
+      }
+    }
 
-      uint256 tightLiquidityBurned = burnAmount.mul(tightLiquidity) / _totalSupply; // Can't overflow
-      require(tightLiquidityBurned < type(uint128).max); // Check so we can cast to 128
+    require(amount0 >= amount0Min && amount1 >= amount1Min, "Slippage");
+  }
 
-      (amount0, amount1) = pool.burn(tightLowerTick, tightUpperTick, uint128(tightLiquidityBurned));
+  /// @notice Approve this contract to transfer the caller's token0 or token1 with an EIP-2612 permit,
+  ///         so a multicall() can permit and mint in one transaction
+  /// @dev Skips the permit if the allowance already covers the value, so a permit submitted by someone else
+  ///      can't make the multicall revert
+  /// @param token token0 or token1
+  /// @param value Amount to approve
+  /// @param deadline Timestamp the permit expires at
+  function selfPermit(
+    address token,
+    uint256 value,
+    uint256 deadline,
+    uint8 v,
+    bytes32 r,
+    bytes32 s
+  ) external {
+    require(token == token0 || token == token1, "Token");
+    if (IERC20Permit(token).allowance(msg.sender, address(this)) < value) {
+      IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s);
+    }
+  }
 
-      // Withdraw tokens to user
-      pool.collect(
-        recipient,
-        tightLowerTick,
-        tightUpperTick,
-        uint128(amount0), // cast can't overflow
-        uint128(amount1) // cast can't overflow
-      );
+  /// @notice Claim all accrued fees, take the protocol's cut and attempt to re-deposit into Uniswap positions
+  /// @dev Only callable by the keeper
+  function rebalance() external notPaused onlyRole(Role.Keeper) {
+    // Calling burn with 0 liquidity will update fee balances
+    for (uint256 i = 0; i < ranges.length; i++) {
+      pool.burn(ranges[i].lowerTick, ranges[i].upperTick, 0);
     }
 
-    // Withdraw from wide position
-    {
-      (uint128 wideLiquidity,,,,) = pool.positions(widePositionID);
+    uint256 fees0;
+    uint256 fees1;
+    for (uint256 i = 0; i < ranges.length; i++) {
+      Range storage range = ranges[i];
+      (uint128 rangeFees0, uint128 rangeFees1) = pool.collect(
+        address(this),
+        range.lowerTick,
+        range.upperTick,
+        // We can request MAX_INT, and Uniswap will just give whatever we're owed
+        type(uint128).max,
+        type(uint128).max
+      );
+
+      // Can't overflow
+      fees0 += rangeFees0;
+      fees1 += rangeFees1;
+    }
 
-      uint256 wideLiquidityBurned = burnAmount.mul(wideLiquidity) / _totalSupply; // Can't overflow
-      require(wideLiquidityBurned < type(uint128).max); // Check so we can cast to 128
+    accrueManagementFee();
+    takePerformanceFee(fees0, fees1);
 
-      (uint256 wideAmount0, uint256 wideAmount1) =
-        pool.burn(wideLowerTick, wideUpperTick, uint128(wideLiquidityBurned));
+    deposit();
+  }
 
+  /// @notice Move every position to new ticks, withdrawing all liquidity and re-depositing it with deposit()
+  /// @dev Only callable by the strategist while unpaused. Like rebalance(), this requires the price to be near the TWAP,
+  ///      and takes the protocol fee from the Uniswap fees collected along the way
+  /// @param lowerTicks New lower tick of each range
+  /// @param upperTicks New upper tick of each range
+  function moveRanges(
+    int24[] calldata lowerTicks,
+    int24[] calldata upperTicks
+  ) external notPaused onlyRole(Role.Strategist) {
+    require(lowerTicks.length == ranges.length && upperTicks.length == ranges.length, "Ranges");
+
+    (int24[] memory oldLowerTicks, int24[] memory oldUpperTicks) = getTicks();
+    emit RangesMoved(oldLowerTicks, oldUpperTicks, lowerTicks, upperTicks);
+
+    uint256 fees0;
+    uint256 fees1;
+    for (uint256 i = 0; i < lowerTicks.length; i++) {
+      (uint256 rangeFees0, uint256 rangeFees1) = withdrawAll(ranges[i]);
       // Can't overflow
-      amount0 += wideAmount0;
-      amount1 += wideAmount1;
-
-      // Withdraw tokens to user
-      pool.collect(
-        recipient,
-        wideLowerTick,
-        wideUpperTick,
-        uint128(wideAmount0), // cast can't overflow
-        uint128(wideAmount1) // cast can't overflow
-      );
+      fees0 += rangeFees0;
+      fees1 += rangeFees1;
+
+      setTicks(ranges[i], lowerTicks[i], upperTicks[i]);
     }
+    requireDistinctRanges();
 
-    require(amount0 >= amount0Min && amount1 >= amount1Min, "Slippage");
+    accrueManagementFee();
+    takePerformanceFee(fees0, fees1);
+
+    deposit();
+
+    // mint() can't be used unless every position holds liquidity
+    for (uint256 i = 0; i < lowerTicks.length; i++) {
+      uint128 liquidity = getLiquidity(ranges[i]);
+      require(liquidity > 0, "INI");
+    }
   }
 
-  /// @notice Claim all accrued fees and attempt to re-deposit into Uniswap positions
-  function rebalance() external notPaused {
-    // Calling burn with 0 liquidity will update fee balances
-    pool.burn(tightLowerTick, tightUpperTick, 0);
-    pool.burn(wideLowerTick, wideUpperTick, 0);
-
-    // Collect fees from tight range
-    pool.collect(
-      address(this),
-      tightLowerTick,
-      tightUpperTick,
-      // We can request MAX_INT, and Uniswap will just give whatever we're owed
-      type(uint128).max,
-      type(uint128).max
-    );
+  /// @notice Withdraw all liquidity & fees from Uniswap into the contract, leaving burn() as the only way out
+  /// @dev Only callable by the admin. Pauses the pool for good, and stops the management fee
+  function emergencyExit() external onlyRole(Role.Admin) {
+    accrueManagementFee();
+    emergency = true;
+    paused = true;
+    emit Paused();
 
-    // Collect fees from wide range
-    pool.collect(
-      address(this),
-      wideLowerTick,
-      wideUpperTick,
-      // We can request MAX_INT, and Uniswap will just give whatever we're owed
-      type(uint128).max,
-      type(uint128).max
+    for (uint256 i = 0; i < ranges.length; i++) {
+      withdrawAll(ranges[i]);
+    }
+    emit EmergencyExit(
+      IERC20Minimal(token0).balanceOf(address(this)),
+      IERC20Minimal(token1).balanceOf(address(this))
     );
+  }
 
-    deposit();
+  /// @notice Unpause the pool, unless it's been shut down by emergencyExit()
+  function unpause() public override {
+    require(!emergency);
+    super.unpause();
   }
 
   ///
-  //  Private functions
+  //  Parameter setters, only callable by the timelock
   ///
 
-  function deposit() private {
-    requireMinimalPriceMovement();
-    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
+  /// @notice Set the protocol's cut of collected fees & the yearly management fee, in basis points
+  /// @dev The management fee is accrued at the old rate first
+  function setFees(uint16 _performanceFee, uint16 _managementFee) external onlyTimelock {
+    require(_performanceFee <= MAX_PERFORMANCE_FEE && _managementFee <= MAX_MANAGEMENT_FEE, "Fee");
 
-    // Query the actual balances, so we can soop up any un-deposited
-    // tokens from the last rebalance
-    uint256 amount0 = IERC20Minimal(token0).balanceOf(address(this));
-    uint256 amount1 = IERC20Minimal(token1).balanceOf(address(this));
+    accrueManagementFee();
+    performanceFee = _performanceFee;
+    managementFee = _managementFee;
+    emit FeesUpdated(_performanceFee, _managementFee);
+  }
 
-    // Total liquidity values, only used for logging
-    uint128 tightLiquidityAdded;
-    uint128 wideLiquidityAdded;
+  /// @notice Set the address receiving protocol fees, and how the performance fee is paid
+  /// @dev No fees are taken while the treasury is 0x0
+  /// @param _treasury Address to receive fees
+  /// @param _feesAsShares Mint the performance fee as LP tokens, instead of transferring token0 & token1
+  function setTreasury(address _treasury, bool _feesAsShares) external onlyTimelock {
+    accrueManagementFee();
+    treasury = _treasury;
+    feesAsShares = _feesAsShares;
+    emit TreasuryUpdated(_treasury, _feesAsShares);
+  }
 
-    {
-      uint256 tightAmount0Desired = amount0.mul(8000) / 10000; // 80%
-      uint256 tightAmount1Desired = amount1.mul(8000) / 10000; // 80%
-      uint256 wideAmount0Desired = amount0.mul(2000) / 10000; // 20%
-      uint256 wideAmount1Desired = amount1.mul(2000) / 10000; // 20%
+  /// @notice Set the window of the TWAP guarding against price manipulation, and grow the pool's observation buffer
+  /// @dev Guarded calls revert with "OLD" until the pool has observations covering the window,
+  ///      so the buffer should hold enough observations to span it
+  /// @param _twapWindow Seconds the TWAP is averaged over
+  /// @param observationCardinality Number of observations the pool should keep, or 0 to leave it unchanged
+  function setTwap(uint32 _twapWindow, uint16 observationCardinality) external onlyTimelock {
+    require(_twapWindow > 0, "TWAP");
+
+    twapWindow = _twapWindow;
+    if (observationCardinality > 0) {
+      pool.increaseObservationCardinalityNext(observationCardinality);
+    }
+    emit TwapUpdated(_twapWindow, observationCardinality);
+  }
 
-      uint128 newTightLiquidity = LiquidityAmounts.getLiquidityForAmounts(
-        sqrtRatioX96,
-        tightLowerSqrtRatioX96,
-        tightUpperSqrtRatioX96,
-        tightAmount0Desired,
-        tightAmount1Desired
-      );
+  /// @notice Set whether mint() & mintWithAmounts() require the price to be near the TWAP, like rebalance()
+  /// @dev This stops a manipulated pool price being used to mint shares,
+  ///      at the cost of reverting mints while the price is moving quickly
+  function setGuardMints(bool _guardMints) external onlyTimelock {
+    guardMints = _guardMints;
+    emit MintGuardUpdated(_guardMints);
+  }
 
-      uint128 newWideLiquidity = LiquidityAmounts.getLiquidityForAmounts(
-        sqrtRatioX96,
-        wideLowerSqrtRatioX96,
-        wideUpperSqrtRatioX96,
-        wideAmount0Desired,
-        wideAmount1Desired
-      );
+  ///
+  //  Private functions
+  ///
 
-      (uint256 tightToken0, uint256 tightToken1) = pool.mint(
-        address(this),
-        tightLowerTick,
-        tightUpperTick,
-        newTightLiquidity,
-        abi.encode(address(this)) // Data field for uniswapV3MintCallback
-      );
+  /// @notice Return a share of the tokens held by the contract, which holds everything after emergencyExit()
+  function getEmergencyAmounts(uint256 burnAmount, uint256 _totalSupply) private view returns (
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    amount0 = IERC20Minimal(token0).balanceOf(address(this)).mul(burnAmount) / _totalSupply;
+    amount1 = IERC20Minimal(token1).balanceOf(address(this)).mul(burnAmount) / _totalSupply;
+  }
 
-      (uint256 wideToken0, uint256 wideToken1) = pool.mint(
+  /// @notice Add liquidity to every position in proportion to the liquidity it holds, pulling tokens from msg.sender
+  /// @return amount0 Amount of token0 deposited
+  /// @return amount1 Amount of token1 deposited
+  function addLiquidity(uint256 newLPTokens, uint256 _totalSupply) private returns (uint256 amount0, uint256 amount1) {
+    for (uint256 i = 0; i < ranges.length; i++) {
+      Range storage range = ranges[i];
+      uint128 liquidity = getLiquidity(range);
+      // Ensure the pool is already initalized
+      require(liquidity > 0, "INI");
+
+      // Will deposit in the same ratio of liquidity tokens as the pool already holds
+      uint256 newLiquidity = newLPTokens.mul(liquidity) / _totalSupply;
+      require(newLiquidity < type(uint128).max); // Check so we can cast to 128
+
+      (uint256 rangeAmount0, uint256 rangeAmount1) = pool.mint(
         address(this),
-        wideLowerTick,
-        wideUpperTick,
-        newWideLiquidity,
-        abi.encode(address(this)) // Data field for uniswapV3MintCallback
+        range.lowerTick,
+        range.upperTick,
+        uint128(newLiquidity),
+        abi.encode(msg.sender) // Data field for uniswapV3MintCallback
       );
 
       // Can't overflow
-      amount0 -= (tightToken0 + wideToken0);
-      amount1 -= (tightToken1 + wideToken1);
+      amount0 += rangeAmount0;
+      amount1 += rangeAmount1;
+    }
+  }
 
-      tightLiquidityAdded += newTightLiquidity;
-      wideLiquidityAdded += newWideLiquidity;
+  /// @notice Largest number of LP tokens addLiquidity() can be called with without exceeding the given amounts
+  /// @dev totalPosition() rounds each position's amounts down, while the pool rounds mint amounts up,
+  ///      so each amount & total is padded by 1 for each range. A token the positions don't hold doesn't limit it
+  function getMaxLPTokens(
+    uint256 amount0Max,
+    uint256 amount1Max,
+    uint256 _totalSupply
+  ) private view returns (uint256 newLPTokens) {
+    (uint256 total0, uint256 total1) = totalPosition();
+    uint256 padding = ranges.length;
+
+    newLPTokens = type(uint256).max;
+    if (total0 > 0) {
+      newLPTokens = amount0Max > padding ? FullMath.mulDiv(amount0Max - padding, _totalSupply, total0 + padding) : 0;
+    }
+    if (total1 > 0) {
+      uint256 lpTokensForAmount1 =
+        amount1Max > padding ? FullMath.mulDiv(amount1Max - padding, _totalSupply, total1 + padding) : 0;
+      if (lpTokensForAmount1 < newLPTokens) {
+        newLPTokens = lpTokensForAmount1;
+      }
     }
+  }
+
+  /// @notice Current price of the Uniswap pool
+  function getSqrtRatio() private view returns (uint160 sqrtRatioX96) {
+    (sqrtRatioX96, , , , , , ) = pool.slot0();
+  }
+
+  /// @notice Liquidity held by a range's Uniswap position
+  function getLiquidity(Range storage range) private view returns (uint128 liquidity) {
+    (liquidity, , , , ) = pool.positions(range.positionID);
+  }
+
+  function setTicks(Range storage range, int24 lowerTick, int24 upperTick) private {
+    require(lowerTick < upperTick, "Ticks");
+
+    range.lowerTick = lowerTick;
+    range.upperTick = upperTick;
+    range.lowerSqrtRatioX96 = TickMath.getSqrtRatioAtTick(lowerTick);
+    range.upperSqrtRatioX96 = TickMath.getSqrtRatioAtTick(upperTick);
+    range.positionID = keccak256(abi.encodePacked(address(this), lowerTick, upperTick));
+  }
+
+  /// @notice Burn all of a position's liquidity & collect everything it's owed
+  /// @return fees0 Amount of token0 collected beyond the liquidity burned
+  /// @return fees1 Amount of token1 collected beyond the liquidity burned
+  function withdrawAll(Range storage range) private returns (uint256 fees0, uint256 fees1) {
+    int24 lowerTick = range.lowerTick;
+    int24 upperTick = range.upperTick;
+    uint128 liquidity = getLiquidity(range);
+    (uint256 amount0, uint256 amount1) = pool.burn(lowerTick, upperTick, liquidity);
+    (uint128 collected0, uint128 collected1) =
+      pool.collect(address(this), lowerTick, upperTick, type(uint128).max, type(uint128).max);
+    return (collected0 - amount0, collected1 - amount1); // Can't underflow, the burned amounts are collected too
+  }
+
+  /// @notice Mint the management fee owed since the last accrual to the treasury
+  function accrueManagementFee() private {
+    uint256 shares = pendingManagementFee();
+    lastFeeAccrual = uint32(block.timestamp);
+    if (shares > 0) {
+      address _treasury = treasury;
+      _mint(_treasury, shares);
+      emit ManagementFeeAccrued(_treasury, shares);
+    }
+  }
+
+  /// @notice Take the performance fee from freshly collected fees, before they're re-deposited
+  /// @dev As LP tokens, the treasury is minted shares worth the fee, valued in token1 at the current price:
+  ///      totalSupply * feeValue / (totalValue - feeValue)
+  function takePerformanceFee(uint256 fees0, uint256 fees1) private {
+    address _treasury = treasury;
+    uint256 _performanceFee = performanceFee;
+    if (_treasury == address(0) || _performanceFee == 0) {
+      return;
+    }
+
+    uint256 fee0 = fees0.mul(_performanceFee) / 10000;
+    uint256 fee1 = fees1.mul(_performanceFee) / 10000;
+    uint256 shares;
+
+    if (feesAsShares) {
+      uint160 sqrtRatioX96 = getSqrtRatio();
+      (uint256 total0, uint256 total1) = totalPosition();
+      // Includes the collected fees & anything left over from the last rebalance
+      total0 = total0.add(IERC20Minimal(token0).balanceOf(address(this)));
+      total1 = total1.add(IERC20Minimal(token1).balanceOf(address(this)));
+
+      uint256 feeValue = fee1.add(UniMathHelpers.getQuoteFromSqrt(sqrtRatioX96, uint128(fee0), token0, token1));
+      uint256 totalValue = total1.add(UniMathHelpers.getQuoteFromSqrt(sqrtRatioX96, uint128(total0), token0, token1));
+
+      shares = uint256(totalSupply).mul(feeValue) / (totalValue - feeValue);
+      if (shares > 0) {
+        _mint(_treasury, shares);
+      }
+    } else {
+      if (fee0 > 0) {
+        TransferHelper.safeTransfer(token0, _treasury, fee0);
+      }
+      if (fee1 > 0) {
+        TransferHelper.safeTransfer(token1, _treasury, fee1);
+      }
+    }
+
+    emit PerformanceFeeTaken(_treasury, fee0, fee1, shares);
+  }
+
+  function deposit() private {
+    requireMinimalPriceMovement();
+    uint160 sqrtRatioX96 = getSqrtRatio();
+
+    // Query the actual balances, so we can soop up any un-deposited
+    // tokens from the last rebalance
+    uint256 amount0 = IERC20Minimal(token0).balanceOf(address(this));
+    uint256 amount1 = IERC20Minimal(token1).balanceOf(address(this));
+
+    // Total liquidity added to each range, only used for logging
+    uint128[] memory liquidityAdded = new uint128[](ranges.length);
+    (uint256 used0, uint256 used1) = mintAll(sqrtRatioX96, amount0, amount1, liquidityAdded);
+
+    // Can't overflow
+    amount0 -= used0;
+    amount1 -= used1;
 
     // If we still have some left-over, we need to swap so it's balanced
     // We check if it's bigger than 2, since there's no use in swapping dust
@@ -472,73 +736,71 @@ contract MetaPool is IUniswapV3MintCallback, IUniswapV3SwapCallback, ERC20 {
         amount1 = uint256(int256(amount1) - amount1Delta);
       }
 
-      // Add liquidity a second time
+      // Add liquidity a second time, sized with the post-swap price so the mints can't take more than we hold
       {
-        uint256 tightAmount0Desired = amount0.mul(8000) / 10000; // 80%
-        uint256 tightAmount1Desired = amount1.mul(8000) / 10000; // 80%
-        uint256 wideAmount0Desired = amount0.mul(2000) / 10000; // 20%
-        uint256 wideAmount1Desired = amount1.mul(2000) / 10000; // 20%
-
-        uint128 newTightLiquidity = LiquidityAmounts.getLiquidityForAmounts(
-          sqrtRatioX96,
-          tightLowerSqrtRatioX96,
-          tightUpperSqrtRatioX96,
-          tightAmount0Desired,
-          tightAmount1Desired
-        );
+        sqrtRatioX96 = getSqrtRatio();
+        (uint256 secondUsed0, uint256 secondUsed1) = mintAll(sqrtRatioX96, amount0, amount1, liquidityAdded);
+        amount0 -= secondUsed0;
+        amount1 -= secondUsed1;
+      }
+    }
 
-        uint128 newWideLiquidity = LiquidityAmounts.getLiquidityForAmounts(
-          sqrtRatioX96,
-          wideLowerSqrtRatioX96,
-          wideUpperSqrtRatioX96,
-          wideAmount0Desired,
-          wideAmount1Desired
-        );
+    emit Rebalanced(liquidityAdded, amount0, amount1);
+  }
 
-        if (newTightLiquidity > 0) {
-          (uint256 tightToken0, uint256 tightToken1) = pool.mint(
-            address(this),
-            tightLowerTick,
-            tightUpperTick,
-            newTightLiquidity,
-            abi.encode(address(this)) // Data field for uniswapV3MintCallback
-          );
-          amount0 -= tightToken0;
-          amount1 -= tightToken1;
-          tightLiquidityAdded += newTightLiquidity;
-        }
+  /// @notice Add liquidity to every position, splitting the amounts between ranges by their weights
+  /// @dev Positions that the amounts can't add any liquidity to are skipped
+  /// @param liquidityAdded Running total of the liquidity added to each position, updated in place
+  /// @return amount0 Amount of token0 deposited
+  /// @return amount1 Amount of token1 deposited
+  function mintAll(
+    uint160 sqrtRatioX96,
+    uint256 amount0Desired,
+    uint256 amount1Desired,
+    uint128[] memory liquidityAdded
+  ) private returns (uint256 amount0, uint256 amount1) {
+    for (uint256 i = 0; i < ranges.length; i++) {
+      Range storage range = ranges[i];
+      uint256 weight = range.weight;
+
+      uint128 liquidity = LiquidityAmounts.getLiquidityForAmounts(
+        sqrtRatioX96,
+        range.lowerSqrtRatioX96,
+        range.upperSqrtRatioX96,
+        amount0Desired.mul(weight) / 10000,
+        amount1Desired.mul(weight) / 10000
+      );
 
-        if (newWideLiquidity > 0) {
-          (uint256 wideToken0, uint256 wideToken1) = pool.mint(
-            address(this),
-            wideLowerTick,
-            wideUpperTick,
-            newWideLiquidity,
-            abi.encode(address(this)) // Data field for uniswapV3MintCallback
-          );
-          amount0 -= wideToken0;
-          amount1 -= wideToken1;
-          wideLiquidityAdded += newWideLiquidity;
-        }
+      if (liquidity > 0) {
+        (uint256 rangeAmount0, uint256 rangeAmount1) = pool.mint(
+          address(this),
+          range.lowerTick,
+          range.upperTick,
+          liquidity,
+          abi.encode(address(this)) // Data field for uniswapV3MintCallback
+        );
+
+        // Can't overflow
+        amount0 += rangeAmount0;
+        amount1 += rangeAmount1;
+        liquidityAdded[i] += liquidity;
       }
     }
+  }
 
-    emit Rebalanced(tightLiquidityAdded, wideLiquidityAdded, amount0, amount1);
+  /// @notice Ensure that no two ranges share a Uniswap position, which would break the share accounting
+  function requireDistinctRanges() private view {
+    for (uint256 i = 1; i < ranges.length; i++) {
+      for (uint256 j = 0; j < i; j++) {
+        require(ranges[i].positionID != ranges[j].positionID, "Ranges");
+      }
+    }
   }
 
-  /// @notice Ensure that the current price isn't too far from the 5 minute TWAP price
+  /// @notice Ensure that the current price isn't too far from the TWAP price
   function requireMinimalPriceMovement() private view {
-    (, int24 currentTick, , , , , ) = pool.slot0();
-
-    uint32[] memory secondsAgos = new uint32[](2);
-    secondsAgos[0] = 5 minutes;
-    secondsAgos[1] = 0;
-    (int56[] memory tickCumulatives, ) = pool.observe(secondsAgos);
-
-    int24 averageTick = int24(int256(tickCumulatives[1] - tickCumulatives[0]) / 5 minutes);
-
-    int24 diff = averageTick > currentTick ? averageTick - currentTick : currentTick - averageTick;
-    require(uint24(diff) < maxTickMovement, "Slippage");
+    (, uint24 drift) = twap();
+    require(drift < maxTickMovement, "Slippage");
   }
 
   ///
@@ -0,0 +1,225 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IUniswapV3Factory } from "./uniswap-v3/interfaces/IUniswapV3Factory.sol";
+import { IUniswapV3Pool } from "./uniswap-v3/interfaces/IUniswapV3Pool.sol";
+import { IMetaPoolFactory } from "./interfaces/IMetaPoolFactory.sol";
+import { MetaPool } from "./MetaPool.sol";
+import { MetaPoolTimelock } from "./MetaPoolTimelock.sol";
+import { Roles } from "./Roles.sol";
+
+/// @title Deploys MetaPools to deterministic addresses and keeps a registry of them
+/// @notice MetaPools are deployed with CREATE2, salted with their constructor arguments, so each pool & range config
+///         can only be deployed once and its address is known in advance. Each MetaPool's timelock is deployed
+///         with the same salt just before it. The creator is offered every role
+/// @dev MetaPool's creation code is too large to embed in the factory's runtime code, so the constructor stores the
+///      compiled code in data-only contracts, which are read back with EXTCODECOPY. Only the factory's own creation
+///      code includes it, so it can't be deployed with anything but the MetaPool it was compiled with
+contract MetaPoolFactory is IMetaPoolFactory {
+  // Each data contract's code is a STOP opcode followed by the chunk, within the 24576 byte limit
+  uint256 private constant CHUNK_SIZE = 24000;
+
+  IUniswapV3Factory public immutable override uniswapFactory;
+  bytes32 public immutable override metaPoolCodeHash; // keccak256 of MetaPool's creation code, for verification
+  bytes32 private immutable timelockCodeHash;
+
+  address[] private codeChunks;
+
+  address[] public override allMetaPools;
+  mapping(bytes32 => address) public override getMetaPool; // Keyed by salt: the keccak256 of the ABI encoded constructor arguments, before the timelock
+  mapping(address => address[]) private metaPoolsByPool;
+
+  struct Registration {
+    address creator;
+    bytes parameters; // ABI encoded constructor arguments, before the timelock
+  }
+  mapping(address => Registration) private registrations;
+
+  /// @param _uniswapFactory Uniswap V3 factory whose pools MetaPools can be created for
+  constructor(IUniswapV3Factory _uniswapFactory) {
+    uniswapFactory = _uniswapFactory;
+    bytes memory code = type(MetaPool).creationCode;
+    metaPoolCodeHash = keccak256(code);
+    timelockCodeHash = keccak256(type(MetaPoolTimelock).creationCode);
+
+    for (uint256 offset = 0; offset < code.length; offset += CHUNK_SIZE) {
+      uint256 size = code.length - offset < CHUNK_SIZE ? code.length - offset : CHUNK_SIZE;
+      codeChunks.push(writeChunk(code, offset, size));
+    }
+  }
+
+  ///
+  //  View functions
+  ///
+
+  /// @notice Return the address createMetaPool() will deploy a MetaPool with these arguments to
+  function predictMetaPoolAddress(
+    IUniswapV3Pool pool,
+    int24[] memory lowerTicks,
+    int24[] memory upperTicks,
+    uint16[] memory weights,
+    uint128[] memory initialLiquidity,
+    uint24 maxTickMovement
+  ) external view override returns (address) {
+    bytes memory parameters = abi.encode(pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement);
+    bytes32 salt = keccak256(parameters);
+    address timelock = getCreate2Address(salt, timelockCodeHash);
+    return getCreate2Address(salt, keccak256(getInitCode(parameters, timelock)));
+  }
+
+  /// @notice Return the number of MetaPools created
+  function allMetaPoolsLength() external view override returns (uint256) {
+    return allMetaPools.length;
+  }
+
+  /// @notice Return every MetaPool created for a Uniswap pool
+  function getMetaPools(address pool) external view override returns (address[] memory) {
+    return metaPoolsByPool[pool];
+  }
+
+  /// @notice Return the arguments a MetaPool was created with, and its creator
+  /// @dev The ticks are the ones it was created with, and may since have been moved with moveRanges()
+  function getParameters(address metaPool) external view override returns (
+    IUniswapV3Pool pool,
+    int24[] memory lowerTicks,
+    int24[] memory upperTicks,
+    uint16[] memory weights,
+    uint128[] memory initialLiquidity,
+    uint24 maxTickMovement,
+    address creator
+  ) {
+    Registration storage registration = registrations[metaPool];
+    require(registration.creator != address(0), "MetaPool");
+
+    (pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement) = abi.decode(
+      registration.parameters,
+      (IUniswapV3Pool, int24[], int24[], uint16[], uint128[], uint24)
+    );
+    creator = registration.creator;
+  }
+
+  /// @notice Return MetaPool's creation code, reassembled from the data contracts
+  function metaPoolCode() public view returns (bytes memory code) {
+    uint256 size;
+    for (uint256 i = 0; i < codeChunks.length; i++) {
+      size += chunkSize(codeChunks[i]);
+    }
+
+    code = new bytes(size);
+    uint256 offset;
+    for (uint256 i = 0; i < codeChunks.length; i++) {
+      address chunk = codeChunks[i];
+      uint256 length = chunkSize(chunk);
+      assembly {
+        extcodecopy(chunk, add(add(code, 32), offset), 1, length)
+      }
+      offset += length;
+    }
+  }
+
+  ///
+  //  Mutative functions
+  ///
+
+  /// @notice Deploy a MetaPool for a Uniswap pool, and offer the caller every role
+  /// @dev Reverts with "Exists" if a MetaPool was already created with the same arguments.
+  ///      The caller must accept each role with acceptRole(), and call initialize()
+  /// @param pool Uniswap V3 pool created by `uniswapFactory`
+  /// @param lowerTicks Lower tick of each range
+  /// @param upperTicks Upper tick of each range
+  /// @param weights Basis points of each deposit to add to each range, summing to 10000
+  /// @param initialLiquidity Liquidity minted to each range by initialize()
+  /// @param maxTickMovement Maximum number of ticks between the current tick & TWAP for rebalancing
+  /// @return metaPool Address of the new MetaPool
+  function createMetaPool(
+    IUniswapV3Pool pool,
+    int24[] memory lowerTicks,
+    int24[] memory upperTicks,
+    uint16[] memory weights,
+    uint128[] memory initialLiquidity,
+    uint24 maxTickMovement
+  ) external override returns (address metaPool) {
+    require(uniswapFactory.getPool(pool.token0(), pool.token1(), pool.fee()) == address(pool), "Pool");
+
+    bytes memory parameters = abi.encode(pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement);
+    bytes32 salt = keccak256(parameters);
+    require(getMetaPool[salt] == address(0), "Exists");
+
+    // Each MetaPool is governed by its own timelock, deployed with the same salt
+    MetaPoolTimelock timelock = new MetaPoolTimelock{ salt: salt }();
+    bytes memory initCode = getInitCode(parameters, address(timelock));
+    assembly {
+      metaPool := create2(0, add(initCode, 32), mload(initCode), salt)
+    }
+    require(metaPool != address(0));
+    timelock.setMetaPool(metaPool);
+
+    // The factory starts with every role, as the MetaPool's deployer
+    for (uint8 i = 0; i <= uint8(Roles.Role.Strategist); i++) {
+      MetaPool(metaPool).transferRole(Roles.Role(i), msg.sender);
+    }
+
+    getMetaPool[salt] = metaPool;
+    allMetaPools.push(metaPool);
+    metaPoolsByPool[address(pool)].push(metaPool);
+    registrations[metaPool] = Registration({ creator: msg.sender, parameters: parameters });
+
+    emit MetaPoolCreated(
+      address(pool),
+      metaPool,
+      msg.sender,
+      lowerTicks,
+      upperTicks,
+      weights,
+      initialLiquidity,
+      maxTickMovement
+    );
+  }
+
+  ///
+  //  Private functions
+  ///
+
+  /// @notice Return MetaPool's creation code followed by its constructor arguments
+  /// @param parameters ABI encoded constructor arguments, before the timelock's address
+  function getInitCode(bytes memory parameters, address timelock) private view returns (bytes memory) {
+    (
+      IUniswapV3Pool pool,
+      int24[] memory lowerTicks,
+      int24[] memory upperTicks,
+      uint16[] memory weights,
+      uint128[] memory initialLiquidity,
+      uint24 maxTickMovement
+    ) = abi.decode(parameters, (IUniswapV3Pool, int24[], int24[], uint16[], uint128[], uint24));
+    return abi.encodePacked(
+      metaPoolCode(),
+      abi.encode(pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement, timelock)
+    );
+  }
+
+  /// @notice Return the address of a contract deployed by this factory with CREATE2
+  function getCreate2Address(bytes32 salt, bytes32 initCodeHash) private view returns (address) {
+    return address(uint256(keccak256(abi.encodePacked(hex"ff", address(this), salt, initCodeHash))));
+  }
+
+  /// @notice Deploy a contract whose code is a STOP opcode followed by `size` bytes of `data` from `offset`
+  function writeChunk(bytes memory data, uint256 offset, uint256 size) private returns (address chunk) {
+    // Creation code that returns everything after its 12 bytes as the contract's code
+    bytes memory creationCode = abi.encodePacked(hex"61", uint16(size + 1), hex"80600c6000396000f300", new bytes(size));
+    assembly {
+      let source := add(add(data, 32), offset)
+      let destination := add(creationCode, 45) // 32 byte length + 13 bytes of code & the STOP opcode
+      for { let i := 0 } lt(i, size) { i := add(i, 32) } {
+        mstore(add(destination, i), mload(add(source, i)))
+      }
+      chunk := create(0, add(creationCode, 32), mload(creationCode))
+    }
+    require(chunk != address(0));
+  }
+
+  function chunkSize(address chunk) private view returns (uint256 size) {
+    assembly {
+      size := sub(extcodesize(chunk), 1)
+    }
+  }
+}
@@ -0,0 +1,48 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { MetaPoolPreviews } from "./libraries/MetaPoolPreviews.sol";
+import { MetaPool } from "./MetaPool.sol";
+
+/// @title Previews of MetaPool mints & burns
+/// @notice Stateless, so one deployment serves every MetaPool
+contract MetaPoolLens {
+  /// @notice Return the amount of tokens needed to mint a given amount of LP tokens
+  /// @param metaPool MetaPool to preview
+  /// @param newLPTokens Number of MetaPool LP tokens to simulate minting
+  /// @return amount0 Total amount of token0 that will be transfered to mint
+  /// @return amount1 Total amount of token1 that will be transfered to mint
+  function previewMint(MetaPool metaPool, uint256 newLPTokens) external view returns (
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    return MetaPoolPreviews.previewMint(metaPool, newLPTokens);
+  }
+
+  /// @notice Return the largest number of LP tokens that the given amounts can mint, and the amounts it takes
+  /// @param metaPool MetaPool to preview
+  /// @param amount0Max Amount of token0 available to deposit
+  /// @param amount1Max Amount of token1 available to deposit
+  /// @return newLPTokens Number of MetaPool LP tokens mintWithAmounts() will mint
+  /// @return amount0 Amount of token0 that will be transfered to mint
+  /// @return amount1 Amount of token1 that will be transfered to mint
+  function previewMintWithAmounts(MetaPool metaPool, uint256 amount0Max, uint256 amount1Max) external view returns (
+    uint256 newLPTokens,
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    return MetaPoolPreviews.previewMintWithAmounts(metaPool, amount0Max, amount1Max);
+  }
+
+  /// @notice Return the amount of tokens returned when burning an amount of LP tokens
+  /// @param metaPool MetaPool to preview
+  /// @param burnAmount Number of MetaPool LP tokens to simulate burning
+  /// @return amount0 Total amount of token0 that will be returned
+  /// @return amount1 Total amount of token1 that will be returned
+  function previewBurn(MetaPool metaPool, uint256 burnAmount) external view returns (
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    return MetaPoolPreviews.previewBurn(metaPool, burnAmount);
+  }
+}
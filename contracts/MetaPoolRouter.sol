@@ -0,0 +1,143 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { TransferHelper } from "./libraries/TransferHelper.sol";
+import { IStETH } from "./interfaces/IStETH.sol";
+import { IWETH9 } from "./interfaces/IWETH9.sol";
+import { IWstETH } from "./interfaces/IWstETH.sol";
+import { MetaPool } from "./MetaPool.sol";
+
+/// @title Native ETH & stETH deposits into & withdrawals from wstETH/WETH MetaPools
+/// @notice Wraps ETH into WETH & stETH into wstETH before minting, and can unwrap them after burning
+contract MetaPoolRouter {
+  IWETH9 public immutable weth;
+  IWstETH public immutable wstETH;
+  IStETH public immutable stETH;
+
+  /// @param _weth WETH9 contract
+  /// @param _wstETH Lido wstETH contract, which wraps stETH
+  constructor(IWETH9 _weth, IWstETH _wstETH) {
+    weth = _weth;
+    wstETH = _wstETH;
+    stETH = IStETH(_wstETH.stETH());
+
+    TransferHelper.safeApprove(_wstETH.stETH(), address(_wstETH), type(uint256).max);
+  }
+
+  /// @dev Only accepts ETH from unwrapping WETH
+  receive() external payable {
+    require(msg.sender == address(weth));
+  }
+
+  /// @notice Mint LP tokens with native ETH & stETH
+  /// @dev ETH is sent with the call, and the caller must have approved the router to transfer stETH.
+  ///      Any ETH & stETH that isn't deposited is returned to the caller.
+  /// @param metaPool MetaPool of wstETH & WETH
+  /// @param newLPTokens Number of MetaPool LP tokens to mint
+  /// @param stETHAmount Maximum amount of stETH to deposit (the maximum ETH is the value sent)
+  /// @param recipient Address to receive the LP tokens
+  /// @return ethRefund Amount of ETH returned to the caller
+  /// @return stETHRefund Amount of stETH returned to the caller
+  function mint(
+    MetaPool metaPool,
+    uint256 newLPTokens,
+    uint256 stETHAmount,
+    address recipient
+  ) external payable returns (uint256 ethRefund, uint256 stETHRefund) {
+    bool wethIsToken0 = checkTokens(metaPool);
+
+    weth.deposit{ value: msg.value }();
+
+    uint256 wstETHAmount;
+    if (stETHAmount > 0) {
+      TransferHelper.safeTransferFrom(address(stETH), msg.sender, address(this), stETHAmount);
+      // stETH transfers can round down by a wei, so wrap what was actually received
+      wstETHAmount = wstETH.wrap(stETH.balanceOf(address(this)));
+    }
+
+    TransferHelper.safeApprove(address(weth), address(metaPool), msg.value);
+    TransferHelper.safeApprove(address(wstETH), address(metaPool), wstETHAmount);
+    (uint256 amount0Max, uint256 amount1Max) = wethIsToken0
+      ? (msg.value, wstETHAmount)
+      : (wstETHAmount, msg.value);
+    metaPool.mint(newLPTokens, amount0Max, amount1Max);
+    // Don't leave the caller-supplied MetaPool an allowance over tokens the router holds later
+    TransferHelper.safeApprove(address(weth), address(metaPool), 0);
+    TransferHelper.safeApprove(address(wstETH), address(metaPool), 0);
+
+    TransferHelper.safeTransfer(address(metaPool), recipient, newLPTokens);
+
+    ethRefund = weth.balanceOf(address(this));
+    if (ethRefund > 0) {
+      weth.withdraw(ethRefund);
+      TransferHelper.safeTransferETH(msg.sender, ethRefund);
+    }
+
+    uint256 wstETHRefund = wstETH.balanceOf(address(this));
+    if (wstETHRefund > 0) {
+      stETHRefund = wstETH.unwrap(wstETHRefund);
+      TransferHelper.safeTransfer(address(stETH), msg.sender, stETHRefund);
+    }
+  }
+
+  /// @notice Burn LP tokens, optionally unwrapping the WETH into ETH & the wstETH into stETH
+  /// @dev The caller must have approved the router to transfer the LP tokens
+  /// @param metaPool MetaPool of wstETH & WETH
+  /// @param burnAmount Number of MetaPool LP tokens to burn
+  /// @param amount0Min Minimum amount of token0 to withdraw, before unwrapping, to prevent slippage
+  /// @param amount1Min Minimum amount of token1 to withdraw, before unwrapping, to prevent slippage
+  /// @param unwrapWETH Send ETH instead of WETH
+  /// @param unwrapWstETH Send stETH instead of wstETH
+  /// @param recipient Address to receive the tokens
+  /// @return ethAmount Amount of ETH (or WETH) sent to the recipient
+  /// @return stETHAmount Amount of stETH (or wstETH) sent to the recipient
+  function burn(
+    MetaPool metaPool,
+    uint256 burnAmount,
+    uint256 amount0Min,
+    uint256 amount1Min,
+    bool unwrapWETH,
+    bool unwrapWstETH,
+    address payable recipient
+  ) external returns (uint256 ethAmount, uint256 stETHAmount) {
+    bool wethIsToken0 = checkTokens(metaPool);
+
+    TransferHelper.safeTransferFrom(address(metaPool), msg.sender, address(this), burnAmount);
+    (uint256 amount0, uint256 amount1) = metaPool.burn(burnAmount, amount0Min, amount1Min, address(this));
+    (ethAmount, stETHAmount) = wethIsToken0 ? (amount0, amount1) : (amount1, amount0);
+
+    if (ethAmount > 0) {
+      if (unwrapWETH) {
+        weth.withdraw(ethAmount);
+        TransferHelper.safeTransferETH(recipient, ethAmount);
+      } else {
+        TransferHelper.safeTransfer(address(weth), recipient, ethAmount);
+      }
+    }
+
+    if (stETHAmount > 0) {
+      if (unwrapWstETH) {
+        stETHAmount = wstETH.unwrap(stETHAmount);
+        TransferHelper.safeTransfer(address(stETH), recipient, stETHAmount);
+      } else {
+        TransferHelper.safeTransfer(address(wstETH), recipient, stETHAmount);
+      }
+    }
+  }
+
+  ///
+  //  Private functions
+  ///
+
+  /// @notice Ensure the MetaPool's tokens are WETH & wstETH
+  /// @return wethIsToken0 True if WETH is the MetaPool's token0
+  function checkTokens(MetaPool metaPool) private view returns (bool wethIsToken0) {
+    address token0 = metaPool.token0();
+    address token1 = metaPool.token1();
+    wethIsToken0 = token0 == address(weth);
+    require(
+      wethIsToken0 ? token1 == address(wstETH) : token0 == address(wstETH) && token1 == address(weth),
+      "Tokens"
+    );
+  }
+}
@@ -0,0 +1,254 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { LowGasSafeMath } from "./uniswap-v3/libraries/LowGasSafeMath.sol";
+import { TransferHelper } from "./libraries/TransferHelper.sol";
+import { MetaPool } from "./MetaPool.sol";
+
+/// @title Staking of MetaPool LP tokens for rewards in one or more tokens
+/// @notice LP tokens are staked with stake(), or by sending them with MetaPool.transferAndCall(). Each reward token
+///         is streamed to stakers in proportion to their stake, over periods funded by the token's distributor
+/// @dev The owner adds reward tokens & sets their distributors. Rewards streamed while nothing is staked,
+///      and the rounding dust of each period's rate, are carried into the next period
+contract MetaPoolStaking {
+  using LowGasSafeMath for uint256;
+
+  uint256 public constant MAX_REWARDS = 8;
+  uint256 private constant PRECISION = 1e18;
+
+  MetaPool public immutable metaPool;
+
+  address public owner;
+  address public pendingOwner; // Offered ownership by transferOwnership(), but hasn't accepted it yet
+
+  struct Reward {
+    // Variables are packed into a single storage slot
+    address distributor; // Funds reward periods with fundReward()
+    uint32 periodFinish;
+    uint32 lastUpdateTime;
+
+    uint256 rewardRate; // Tokens streamed a second until periodFinish
+    uint256 rewardPerTokenStored; // Rewards per staked LP token up to lastUpdateTime, scaled by 1e18
+    uint256 undistributed; // Tokens to add to the next period
+  }
+
+  address[] public rewardTokens;
+  mapping(address => Reward) public rewardData;
+
+  // Account => reward token => rewardPerTokenStored when the account's rewards were last updated
+  mapping(address => mapping(address => uint256)) public rewardPerTokenPaid;
+  // Account => reward token => rewards earned but not claimed, as of the last update
+  mapping(address => mapping(address => uint256)) public rewards;
+
+  uint256 public totalSupply;
+  mapping(address => uint256) public balanceOf;
+
+  event Staked(address indexed account, uint256 amount);
+  event Withdrawn(address indexed account, uint256 amount);
+  event RewardPaid(address indexed account, address indexed token, uint256 amount);
+  event RewardAdded(address indexed token, address distributor);
+  event DistributorUpdated(address indexed token, address distributor);
+  event RewardFunded(address indexed token, uint256 amount, uint256 rewardRate, uint256 periodFinish);
+  event OwnershipTransferStarted(address indexed owner, address indexed pendingOwner);
+  event OwnershipTransferred(address previousOwner, address newOwner);
+
+  /// @param _metaPool MetaPool whose LP tokens are staked
+  constructor(MetaPool _metaPool) {
+    metaPool = _metaPool;
+    owner = msg.sender;
+    emit OwnershipTransferred(address(0), msg.sender);
+  }
+
+  modifier onlyOwner {
+    require(msg.sender == owner);
+    _;
+  }
+
+  ///
+  //  View functions
+  ///
+
+  /// @notice Return the number of reward tokens
+  function rewardTokensLength() external view returns (uint256) {
+    return rewardTokens.length;
+  }
+
+  /// @notice Return the time rewards have been streamed up to: now, or the end of the last period
+  function lastTimeRewardApplicable(address token) public view returns (uint256) {
+    uint256 periodFinish = rewardData[token].periodFinish;
+    return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+  }
+
+  /// @notice Return the rewards streamed per staked LP token since the reward was added, scaled by 1e18
+  function rewardPerToken(address token) public view returns (uint256) {
+    Reward storage reward = rewardData[token];
+    if (totalSupply == 0) {
+      return reward.rewardPerTokenStored;
+    }
+    uint256 elapsed = lastTimeRewardApplicable(token) - reward.lastUpdateTime; // Can't underflow
+    return reward.rewardPerTokenStored.add(elapsed.mul(reward.rewardRate).mul(PRECISION) / totalSupply);
+  }
+
+  /// @notice Return the rewards an account can claim in a reward token
+  function earned(address account, address token) public view returns (uint256) {
+    uint256 perToken = rewardPerToken(token).sub(rewardPerTokenPaid[account][token]);
+    return rewards[account][token].add(balanceOf[account].mul(perToken) / PRECISION);
+  }
+
+  ///
+  //  Mutative functions
+  ///
+
+  /// @notice Stake LP tokens
+  /// @dev The caller must have approved this contract to transfer the LP tokens
+  function stake(uint256 amount) external {
+    TransferHelper.safeTransferFrom(address(metaPool), msg.sender, address(this), amount);
+    stakeFor(msg.sender, amount);
+  }
+
+  /// @notice Stake LP tokens sent with MetaPool.transferAndCall()
+  /// @param sender Account the LP tokens were sent by
+  /// @param value Number of LP tokens received
+  /// @param data Empty to stake for the sender, or an ABI encoded address to stake for
+  function onTokenTransfer(address sender, uint256 value, bytes calldata data) external {
+    require(msg.sender == address(metaPool), "Token");
+    stakeFor(data.length == 0 ? sender : abi.decode(data, (address)), value);
+  }
+
+  /// @notice Withdraw staked LP tokens, leaving the rewards earned to be claimed
+  function withdraw(uint256 amount) public {
+    require(amount > 0, "Amount");
+    updateRewards(msg.sender);
+
+    totalSupply = totalSupply.sub(amount);
+    balanceOf[msg.sender] = balanceOf[msg.sender].sub(amount);
+    TransferHelper.safeTransfer(address(metaPool), msg.sender, amount);
+    emit Withdrawn(msg.sender, amount);
+  }
+
+  /// @notice Claim the rewards earned in every reward token
+  function getReward() public {
+    updateRewards(msg.sender);
+
+    for (uint256 i = 0; i < rewardTokens.length; i++) {
+      address token = rewardTokens[i];
+      uint256 reward = rewards[msg.sender][token];
+      if (reward > 0) {
+        rewards[msg.sender][token] = 0;
+        TransferHelper.safeTransfer(token, msg.sender, reward);
+        emit RewardPaid(msg.sender, token, reward);
+      }
+    }
+  }
+
+  /// @notice Withdraw every staked LP token & claim all rewards
+  function exit() external {
+    uint256 balance = balanceOf[msg.sender];
+    if (balance > 0) {
+      withdraw(balance);
+    }
+    getReward();
+  }
+
+  /// @notice Stream an amount of a reward token over a new period starting now
+  /// @dev Only callable by the token's distributor, who must have approved this contract to transfer the amount.
+  ///      Rewards left from a period still running are added to the new period
+  /// @param token Reward token
+  /// @param amount Amount of the token to add
+  /// @param duration Seconds the new period lasts
+  function fundReward(address token, uint256 amount, uint256 duration) external {
+    Reward storage reward = rewardData[token];
+    require(msg.sender == reward.distributor);
+    require(duration > 0 && block.timestamp + duration <= type(uint32).max, "Duration");
+    updateReward(token);
+
+    TransferHelper.safeTransferFrom(token, msg.sender, address(this), amount);
+
+    uint256 total = amount.add(reward.undistributed);
+    if (block.timestamp < reward.periodFinish) {
+      total = total.add((reward.periodFinish - block.timestamp).mul(reward.rewardRate));
+    }
+    uint256 rewardRate = total / duration;
+    require(rewardRate > 0, "Amount");
+
+    reward.rewardRate = rewardRate;
+    reward.undistributed = total - rewardRate * duration; // Can't overflow or underflow
+    reward.lastUpdateTime = uint32(block.timestamp);
+    reward.periodFinish = uint32(block.timestamp + duration);
+    emit RewardFunded(token, amount, rewardRate, block.timestamp + duration);
+  }
+
+  /// @notice Add a reward token, funded by a distributor
+  /// @dev Only callable by the owner. The LP token can't be a reward, as stakes & rewards would be mixed
+  function addReward(address token, address distributor) external onlyOwner {
+    require(token != address(metaPool) && rewardData[token].distributor == address(0) && distributor != address(0), "Token");
+    require(rewardTokens.length < MAX_REWARDS, "Rewards");
+
+    rewardTokens.push(token);
+    rewardData[token].distributor = distributor;
+    emit RewardAdded(token, distributor);
+  }
+
+  /// @notice Set the account funding a reward token
+  /// @dev Only callable by the owner
+  function setDistributor(address token, address distributor) external onlyOwner {
+    require(rewardData[token].distributor != address(0) && distributor != address(0), "Token");
+    rewardData[token].distributor = distributor;
+    emit DistributorUpdated(token, distributor);
+  }
+
+  /// @notice Offer ownership to a new owner, who must call acceptOwnership() to take it
+  /// @dev Only callable by the owner. Offering it to 0x0 cancels the offer
+  function transferOwnership(address _pendingOwner) external onlyOwner {
+    pendingOwner = _pendingOwner;
+    emit OwnershipTransferStarted(owner, _pendingOwner);
+  }
+
+  /// @notice Take the ownership offered by transferOwnership()
+  function acceptOwnership() external {
+    require(msg.sender == pendingOwner);
+    emit OwnershipTransferred(owner, msg.sender);
+    owner = msg.sender;
+    delete pendingOwner;
+  }
+
+  ///
+  //  Private functions
+  ///
+
+  function stakeFor(address account, uint256 amount) private {
+    require(amount > 0, "Amount");
+    updateRewards(account);
+
+    totalSupply = totalSupply.add(amount);
+    balanceOf[account] = balanceOf[account].add(amount);
+    emit Staked(account, amount);
+  }
+
+  /// @notice Stream a reward token up to now, into rewardPerTokenStored or, while nothing is staked, undistributed
+  function updateReward(address token) private returns (uint256 rewardPerTokenStored) {
+    Reward storage reward = rewardData[token];
+    uint256 lastTime = lastTimeRewardApplicable(token);
+    uint256 streamed = (lastTime - reward.lastUpdateTime).mul(reward.rewardRate); // Can't underflow
+
+    if (totalSupply == 0) {
+      reward.undistributed = reward.undistributed.add(streamed);
+    } else {
+      reward.rewardPerTokenStored = reward.rewardPerTokenStored.add(streamed.mul(PRECISION) / totalSupply);
+    }
+    reward.lastUpdateTime = uint32(lastTime);
+    return reward.rewardPerTokenStored;
+  }
+
+  /// @notice Stream every reward token up to now, and record what an account has earned
+  function updateRewards(address account) private {
+    for (uint256 i = 0; i < rewardTokens.length; i++) {
+      address token = rewardTokens[i];
+      uint256 rewardPerTokenStored = updateReward(token);
+
+      uint256 perToken = rewardPerTokenStored - rewardPerTokenPaid[account][token]; // Can't underflow
+      rewards[account][token] = rewards[account][token].add(balanceOf[account].mul(perToken) / PRECISION);
+      rewardPerTokenPaid[account][token] = rewardPerTokenStored;
+    }
+  }
+}
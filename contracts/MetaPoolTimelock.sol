@@ -0,0 +1,113 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IMetaPoolParameters } from "./interfaces/IMetaPoolParameters.sol";
+import { Roles } from "./Roles.sol";
+
+/// @title Delays changes to a MetaPool's parameters
+/// @notice Deployed before the MetaPool it governs, then bound to it by the deployer with setMetaPool().
+///         The MetaPool's strategist queues calls to its setters, and executes them once `delay` has passed,
+///         giving the admin & LPs time to react
+contract MetaPoolTimelock {
+  Roles public metaPool;
+
+  address private immutable deployer; // Only account that can bind the timelock to its MetaPool
+
+  uint32 public constant MAX_DELAY = 30 days;
+
+  uint32 public delay; // Seconds a queued change must wait before it can be executed
+
+  // Hash of each queued change's calldata => timestamp it can be executed from
+  mapping(bytes32 => uint256) public queuedChanges;
+
+  event ChangeQueued(bytes32 indexed id, bytes data, uint256 eta);
+  event ChangeExecuted(bytes32 indexed id);
+  event ChangeCancelled(bytes32 indexed id);
+  event DelayUpdated(uint32 delay);
+
+  modifier onlyRole(Roles.Role role) {
+    require(metaPool.roles(role) == msg.sender);
+    _;
+  }
+
+  constructor() {
+    deployer = msg.sender;
+  }
+
+  /// @notice Bind the timelock to the MetaPool it governs
+  /// @dev Only callable once, by the timelock's deployer, with a MetaPool created with this timelock.
+  ///      Binding it in the MetaPool's constructor instead would let anyone bind it first
+  function setMetaPool(address _metaPool) external {
+    require(msg.sender == deployer && address(metaPool) == address(0), "Timelock");
+    require(IMetaPoolParameters(_metaPool).timelock() == address(this), "Timelock");
+    metaPool = Roles(_metaPool);
+  }
+
+  /// @notice Queue a parameter change, which the strategist can execute once `delay` has passed
+  /// @dev Only callable by the strategist. The admin can cancel it in the meantime
+  /// @param data Calldata of a call to the MetaPool's setFees(), setTreasury(), setTwap() or setGuardMints(),
+  ///        or to this contract's setDelay()
+  /// @return id Hash of `data`, identifying the change
+  function queueChange(bytes calldata data) external onlyRole(Roles.Role.Strategist) returns (bytes32 id) {
+    bytes4 selector = getSelector(data);
+    require(
+      selector == IMetaPoolParameters.setFees.selector ||
+      selector == IMetaPoolParameters.setTreasury.selector ||
+      selector == IMetaPoolParameters.setTwap.selector ||
+      selector == IMetaPoolParameters.setGuardMints.selector ||
+      selector == this.setDelay.selector,
+      "Change"
+    );
+
+    id = keccak256(data);
+    require(queuedChanges[id] == 0, "Queued");
+    uint256 eta = block.timestamp + delay; // Can't overflow
+    queuedChanges[id] = eta;
+    emit ChangeQueued(id, data, eta);
+  }
+
+  /// @notice Execute a queued change whose delay has passed
+  /// @dev Only callable by the strategist. Reverts with the setter's reason if it fails
+  /// @param data Calldata the change was queued with
+  function executeChange(bytes calldata data) external onlyRole(Roles.Role.Strategist) {
+    bytes32 id = keccak256(data);
+    uint256 eta = queuedChanges[id];
+    require(eta > 0 && eta <= block.timestamp, "Timelock");
+    delete queuedChanges[id];
+
+    address target = getSelector(data) == this.setDelay.selector ? address(this) : address(metaPool);
+    (bool success, bytes memory result) = target.call(data);
+    if (!success) {
+      assembly {
+        revert(add(result, 32), mload(result))
+      }
+    }
+    emit ChangeExecuted(id);
+  }
+
+  /// @notice Drop a queued change
+  /// @dev Only callable by the admin
+  function cancelChange(bytes32 id) external onlyRole(Roles.Role.Admin) {
+    require(queuedChanges[id] > 0, "Timelock");
+    delete queuedChanges[id];
+    emit ChangeCancelled(id);
+  }
+
+  /// @notice Set how long queued changes wait before they can be executed
+  /// @dev Only callable through a queued change. Applies to changes queued afterwards
+  function setDelay(uint32 _delay) external {
+    require(msg.sender == address(this));
+    require(_delay <= MAX_DELAY, "Timelock");
+
+    delay = _delay;
+    emit DelayUpdated(_delay);
+  }
+
+  /// @notice Return the selector of the function a change calls
+  function getSelector(bytes calldata data) private pure returns (bytes4 selector) {
+    require(data.length >= 4, "Change");
+    assembly {
+      selector := and(calldataload(data.offset), not(sub(shl(224, 1), 1)))
+    }
+  }
+}
@@ -0,0 +1,293 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IUniswapV3Pool } from "./uniswap-v3/interfaces/IUniswapV3Pool.sol";
+import { IERC20Minimal } from "./uniswap-v3/interfaces/IERC20Minimal.sol";
+import { FullMath } from "./uniswap-v3/libraries/FullMath.sol";
+import { LowGasSafeMath } from "./uniswap-v3/libraries/LowGasSafeMath.sol";
+import { TickMath } from "./uniswap-v3/libraries/TickMath.sol";
+import { LiquidityAmounts } from "./libraries/LiquidityAmounts.sol";
+import { TransferHelper } from "./libraries/TransferHelper.sol";
+import { UniMathHelpers } from "./libraries/UniMathHelpers.sol";
+import { MetaPoolPreviews } from "./libraries/MetaPoolPreviews.sol";
+import { MetaPool } from "./MetaPool.sol";
+
+/// @title EIP-4626 style vault over a MetaPool's LP tokens
+/// @notice Each vault share is backed by one MetaPool LP token held by the vault. Assets are valued in token1:
+///         the token0 & token1 a share can be burnt for, priced at the pool's TWAP
+/// @dev Deposits take both tokens, in the amounts MetaPoolPreviews.previewMint() asks for, so `asset()` is only the
+///      unit of account. Conversions round in the vault's favour, so deposits & withdrawals can't take value from holders
+contract MetaPoolVault {
+  using LowGasSafeMath for uint256;
+
+  string public constant name = 'Lido stETH UniV3 Pool Vault';
+  string public constant symbol = 'vLDOPL';
+  uint8 public constant decimals = 18;
+
+  MetaPool public immutable metaPool;
+  IUniswapV3Pool public immutable pool;
+  address public immutable token0;
+  address public immutable token1;
+
+  uint256 public totalSupply;
+  mapping(address => uint256) public balanceOf;
+  mapping(address => mapping(address => uint256)) public allowance;
+
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+  event Transfer(address indexed from, address indexed to, uint256 value);
+  event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares);
+  event Withdraw(
+    address indexed sender,
+    address indexed receiver,
+    address indexed owner,
+    uint256 assets,
+    uint256 shares
+  );
+
+  /// @param _metaPool MetaPool whose LP tokens back the vault's shares
+  constructor(MetaPool _metaPool) {
+    metaPool = _metaPool;
+    pool = _metaPool.pool();
+    token0 = _metaPool.token0();
+    token1 = _metaPool.token1();
+  }
+
+  ///
+  //  View functions
+  ///
+
+  /// @notice Return the token assets are denominated in
+  /// @dev Deposits also take token0
+  function asset() external view returns (address) {
+    return token1;
+  }
+
+  /// @notice Return the value in token1 of the LP tokens backing every share
+  function totalAssets() external view returns (uint256) {
+    return convertToAssets(totalSupply);
+  }
+
+  /// @notice Return the number of shares worth `assets`, rounded down
+  /// @dev Reverts with "OLD" if the pool doesn't have observations covering the MetaPool's TWAP window
+  function convertToShares(uint256 assets) public view returns (uint256) {
+    (uint256 value, uint256 lpSupply) = getValue();
+    return value == 0 ? 0 : FullMath.mulDiv(assets, lpSupply, value);
+  }
+
+  /// @notice Return the value in token1 of `shares`, rounded down
+  /// @dev Reverts with "OLD" if the pool doesn't have observations covering the MetaPool's TWAP window
+  function convertToAssets(uint256 shares) public view returns (uint256) {
+    (uint256 value, uint256 lpSupply) = getValue();
+    return FullMath.mulDiv(shares, value, lpSupply);
+  }
+
+  /// @notice Return the most that `receiver` can deposit, which is nothing while the MetaPool is paused
+  function maxDeposit(address) external view returns (uint256) {
+    return metaPool.paused() ? 0 : type(uint256).max;
+  }
+
+  /// @notice Return the most shares that `receiver` can mint, which is none while the MetaPool is paused
+  function maxMint(address) external view returns (uint256) {
+    return metaPool.paused() ? 0 : type(uint256).max;
+  }
+
+  /// @notice Return the most assets `owner` can withdraw
+  function maxWithdraw(address owner) external view returns (uint256) {
+    return convertToAssets(balanceOf[owner]);
+  }
+
+  /// @notice Return the most shares `owner` can redeem
+  function maxRedeem(address owner) external view returns (uint256) {
+    return balanceOf[owner];
+  }
+
+  /// @notice Return the shares deposit() mints for `assets`, rounded down
+  function previewDeposit(uint256 assets) public view returns (uint256) {
+    return convertToShares(assets);
+  }
+
+  /// @notice Return the value of the tokens mint() takes for `shares`, rounded up
+  /// @dev The token amounts are given by MetaPoolPreviews.previewMint()
+  function previewMint(uint256 shares) public view returns (uint256) {
+    (uint256 value, uint256 lpSupply) = getValue();
+    return FullMath.mulDivRoundingUp(shares, value, lpSupply);
+  }
+
+  /// @notice Return the shares withdraw() burns for `assets`, rounded up
+  function previewWithdraw(uint256 assets) public view returns (uint256) {
+    (uint256 value, uint256 lpSupply) = getValue();
+    require(value > 0, "Shares");
+    return FullMath.mulDivRoundingUp(assets, lpSupply, value);
+  }
+
+  /// @notice Return the value of the tokens redeem() pays out for `shares`, rounded down
+  /// @dev The token amounts are given by MetaPoolPreviews.previewBurn()
+  function previewRedeem(uint256 shares) public view returns (uint256) {
+    return convertToAssets(shares);
+  }
+
+  ///
+  //  Mutative functions
+  ///
+
+  /// @notice Mint shares worth up to `assets` to `receiver`
+  /// @dev The caller must have approved the vault to transfer token0 & token1.
+  ///      Reverts with "Slippage" if the price is too far from the TWAP, as the shares are priced at the TWAP
+  /// @param assets Value in token1 to deposit
+  /// @param receiver Address to receive the shares
+  /// @return shares Number of shares minted
+  function deposit(uint256 assets, address receiver) external returns (uint256 shares) {
+    requireMinimalPriceMovement();
+    shares = previewDeposit(assets);
+    require(shares > 0, "Shares");
+
+    mintShares(shares, receiver);
+    emit Deposit(msg.sender, receiver, assets, shares);
+  }
+
+  /// @notice Mint an exact number of shares to `receiver`
+  /// @dev The caller must have approved the vault to transfer token0 & token1
+  /// @param shares Number of shares to mint
+  /// @param receiver Address to receive the shares
+  /// @return assets Value in token1 of the tokens deposited
+  function mint(uint256 shares, address receiver) external returns (uint256 assets) {
+    assets = previewMint(shares);
+
+    mintShares(shares, receiver);
+    emit Deposit(msg.sender, receiver, assets, shares);
+  }
+
+  /// @notice Burn `owner`'s shares to send `receiver` at least `assets` worth of token0 & token1
+  /// @dev The caller must be `owner`, or have an allowance of its shares.
+  ///      Reverts with "Slippage" if the price is too far from the TWAP, as the shares are priced at the TWAP
+  /// @param assets Value in token1 to withdraw
+  /// @param receiver Address to receive the tokens
+  /// @param owner Address whose shares are burnt
+  /// @return shares Number of shares burnt
+  function withdraw(uint256 assets, address receiver, address owner) external returns (uint256 shares) {
+    requireMinimalPriceMovement();
+    shares = previewWithdraw(assets);
+
+    burnShares(shares, receiver, owner);
+    emit Withdraw(msg.sender, receiver, owner, assets, shares);
+  }
+
+  /// @notice Burn an exact number of `owner`'s shares, sending their token0 & token1 to `receiver`
+  /// @dev The caller must be `owner`, or have an allowance of its shares
+  /// @param shares Number of shares to burn
+  /// @param receiver Address to receive the tokens
+  /// @param owner Address whose shares are burnt
+  /// @return assets Value in token1 of the tokens withdrawn
+  function redeem(uint256 shares, address receiver, address owner) external returns (uint256 assets) {
+    assets = previewRedeem(shares);
+
+    burnShares(shares, receiver, owner);
+    emit Withdraw(msg.sender, receiver, owner, assets, shares);
+  }
+
+  function approve(address spender, uint256 value) external returns (bool) {
+    allowance[msg.sender][spender] = value;
+    emit Approval(msg.sender, spender, value);
+    return true;
+  }
+
+  function transfer(address to, uint256 value) external returns (bool) {
+    _transfer(msg.sender, to, value);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 value) external returns (bool) {
+    spendAllowance(from, value);
+    _transfer(from, to, value);
+    return true;
+  }
+
+  ///
+  //  Private functions
+  ///
+
+  /// @notice Return the value in token1 of the MetaPool's positions (or its tokens after an emergency exit), at the TWAP
+  /// @return value Value of the tokens burning every LP token would pay out
+  /// @return lpSupply MetaPool LP supply, including the management fee owed to the treasury
+  function getValue() private view returns (uint256 value, uint256 lpSupply) {
+    (int24 averageTick, ) = metaPool.twap();
+    uint160 sqrtRatioX96 = TickMath.getSqrtRatioAtTick(averageTick);
+
+    uint256 amount0;
+    uint256 amount1;
+    if (metaPool.emergency()) {
+      amount0 = IERC20Minimal(token0).balanceOf(address(metaPool));
+      amount1 = IERC20Minimal(token1).balanceOf(address(metaPool));
+    } else {
+      uint256 numRanges = metaPool.numRanges();
+      for (uint256 i = 0; i < numRanges; i++) {
+        (, , , , uint160 lowerSqrtRatioX96, uint160 upperSqrtRatioX96, bytes32 positionID) = metaPool.ranges(i);
+        (uint128 liquidity, , , , ) = pool.positions(positionID);
+        (uint256 rangeAmount0, uint256 rangeAmount1) = LiquidityAmounts.getAmountsForLiquidity(
+          sqrtRatioX96, lowerSqrtRatioX96, upperSqrtRatioX96, liquidity);
+
+        // Can't overflow
+        amount0 += rangeAmount0;
+        amount1 += rangeAmount1;
+      }
+    }
+
+    require(amount0 <= type(uint128).max); // Check so we can cast to 128
+    value = UniMathHelpers.getQuoteFromSqrt(sqrtRatioX96, uint128(amount0), token0, token1).add(amount1);
+    lpSupply = uint256(metaPool.totalSupply()).add(metaPool.pendingManagementFee());
+  }
+
+  /// @notice Deposit the tokens for `shares` LP tokens from the caller into the MetaPool, and mint as many shares
+  function mintShares(uint256 shares, address receiver) private {
+    // The same amounts mint() will take, as nothing changes in between
+    (uint256 amount0, uint256 amount1) = MetaPoolPreviews.previewMint(metaPool, shares);
+    if (amount0 > 0) {
+      TransferHelper.safeTransferFrom(token0, msg.sender, address(this), amount0);
+      TransferHelper.safeApprove(token0, address(metaPool), amount0);
+    }
+    if (amount1 > 0) {
+      TransferHelper.safeTransferFrom(token1, msg.sender, address(this), amount1);
+      TransferHelper.safeApprove(token1, address(metaPool), amount1);
+    }
+    metaPool.mint(shares, amount0, amount1);
+
+    totalSupply = totalSupply.add(shares);
+    balanceOf[receiver] = balanceOf[receiver].add(shares);
+    emit Transfer(address(0), receiver, shares);
+  }
+
+  /// @notice Burn `owner`'s shares, and as many LP tokens, sending the tokens to `receiver`
+  function burnShares(uint256 shares, address receiver, address owner) private {
+    if (msg.sender != owner) {
+      spendAllowance(owner, shares);
+    }
+
+    balanceOf[owner] = balanceOf[owner].sub(shares);
+    totalSupply = totalSupply.sub(shares);
+    emit Transfer(owner, address(0), shares);
+
+    metaPool.burn(shares, 0, 0, receiver);
+  }
+
+  function spendAllowance(address owner, uint256 value) private {
+    if (allowance[owner][msg.sender] != type(uint256).max) {
+      allowance[owner][msg.sender] = allowance[owner][msg.sender].sub(value);
+    }
+  }
+
+  function _transfer(address from, address to, uint256 value) private {
+    balanceOf[from] = balanceOf[from].sub(value);
+    balanceOf[to] = balanceOf[to].add(value);
+    emit Transfer(from, to, value);
+  }
+
+  /// @notice Ensure the price is near the TWAP the shares are valued at. Not needed after an emergency exit, as
+  ///         the MetaPool's tokens are then held outside the pool
+  function requireMinimalPriceMovement() private view {
+    if (metaPool.emergency()) {
+      return;
+    }
+    (, uint24 drift) = metaPool.twap();
+    require(drift < metaPool.maxTickMovement(), "Slippage");
+  }
+}
@@ -0,0 +1,247 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IUniswapV3Pool } from "./uniswap-v3/interfaces/IUniswapV3Pool.sol";
+import { IUniswapV3SwapCallback } from "./uniswap-v3/interfaces/callback/IUniswapV3SwapCallback.sol";
+import { FullMath } from "./uniswap-v3/libraries/FullMath.sol";
+import { TickMath } from "./uniswap-v3/libraries/TickMath.sol";
+import { IERC20Minimal } from './uniswap-v3/interfaces/IERC20Minimal.sol';
+
+import { TransferHelper } from "./libraries/TransferHelper.sol";
+import { UniMathHelpers } from "./libraries/UniMathHelpers.sol";
+import { MetaPoolPreviews } from "./libraries/MetaPoolPreviews.sol";
+import { MetaPool } from "./MetaPool.sol";
+
+/// @title Single-sided deposits into & withdrawals from MetaPools
+/// @notice Swaps part of a single token deposit through the MetaPool's Uniswap pool, so the
+///         deposit matches the MetaPool's positions, then mints as many LP tokens as possible.
+///         Withdrawals burn LP tokens and swap the unwanted token into the one requested.
+contract MetaPoolZap is IUniswapV3SwapCallback {
+  /// @dev Pool that's allowed to call uniswapV3SwapCallback, only set during a swap
+  address private swapPool;
+
+  event Zapped(
+    address indexed metaPool,
+    address indexed recipient,
+    bool zeroForOne,
+    uint256 amountIn,
+    uint256 newLPTokens,
+    uint256 amount0Refund,
+    uint256 amount1Refund
+  );
+
+  event BurnedSingle(
+    address indexed metaPool,
+    address indexed recipient,
+    address tokenOut,
+    uint256 burnAmount,
+    uint256 amountOut
+  );
+
+  ///
+  //  View functions
+  ///
+
+  /// @notice Upper bound on the tokens returned by burnSingle()
+  /// @dev Prices the swap at the current pool price less the pool fee, ignoring price impact, which only lowers
+  ///      the amount. It's too optimistic for burnSingle()'s amountOutMin on pools with little liquidity near the
+  ///      price: quoteBurnSingle() in lib/zap.js simulates the swap exactly
+  /// @param metaPool MetaPool to withdraw from
+  /// @param burnAmount Number of MetaPool LP tokens to simulate burning
+  /// @param tokenOut Token to withdraw, either the MetaPool's token0 or token1
+  /// @return amountOut Most tokenOut burnSingle() can return
+  function previewBurnSingleUpperBound(
+    MetaPool metaPool,
+    uint256 burnAmount,
+    address tokenOut
+  ) external view returns (uint256 amountOut) {
+    IUniswapV3Pool pool = metaPool.pool();
+    bool zeroForOne = isZeroForOne(metaPool, tokenOut);
+    (uint256 amount0, uint256 amount1) = MetaPoolPreviews.previewBurn(metaPool, burnAmount);
+    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
+
+    (address tokenIn, uint256 amountIn, uint256 amountKept) =
+      zeroForOne ? (metaPool.token0(), amount0, amount1) : (metaPool.token1(), amount1, amount0);
+
+    uint256 quote = UniMathHelpers.getQuoteFromSqrt(sqrtRatioX96, uint128(amountIn), tokenIn, tokenOut);
+    return amountKept + quote * (1e6 - pool.fee()) / 1e6;
+  }
+
+  ///
+  //  Mutative functions
+  ///
+
+  /// @notice Deposit a single token into a MetaPool
+  /// @dev The caller must have approved the contract to transfer the deposited token
+  /// @param metaPool MetaPool to deposit into
+  /// @param zeroForOne True to deposit token0, false to deposit token1
+  /// @param amountIn Amount of the token to deposit
+  /// @param minLPTokens Minimum number of LP tokens to mint, to prevent slippage
+  /// @param sqrtPriceLimitX96 Price limit for the swap, to prevent slippage (0 for no limit)
+  /// @param recipient Address to receive the LP tokens & any unused tokens
+  /// @return newLPTokens Number of MetaPool LP tokens minted
+  /// @return amount0Refund Amount of token0 returned to the recipient
+  /// @return amount1Refund Amount of token1 returned to the recipient
+  function zapIn(
+    MetaPool metaPool,
+    bool zeroForOne,
+    uint256 amountIn,
+    uint256 minLPTokens,
+    uint160 sqrtPriceLimitX96,
+    address recipient
+  ) external returns (uint256 newLPTokens, uint256 amount0Refund, uint256 amount1Refund) {
+    address token0 = metaPool.token0();
+    address token1 = metaPool.token1();
+
+    TransferHelper.safeTransferFrom(zeroForOne ? token0 : token1, msg.sender, address(this), amountIn);
+    (uint256 amount0, uint256 amount1) = swapToRatio(metaPool, zeroForOne, amountIn, sqrtPriceLimitX96);
+
+    TransferHelper.safeApprove(token0, address(metaPool), amount0);
+    TransferHelper.safeApprove(token1, address(metaPool), amount1);
+    (newLPTokens, , ) = metaPool.mintWithAmounts(amount0, amount1, minLPTokens);
+    // Don't leave the caller-supplied MetaPool an allowance over tokens the zap holds later
+    TransferHelper.safeApprove(token0, address(metaPool), 0);
+    TransferHelper.safeApprove(token1, address(metaPool), 0);
+
+    TransferHelper.safeTransfer(address(metaPool), recipient, newLPTokens);
+
+    amount0Refund = IERC20Minimal(token0).balanceOf(address(this));
+    amount1Refund = IERC20Minimal(token1).balanceOf(address(this));
+    if (amount0Refund > 0) {
+      TransferHelper.safeTransfer(token0, recipient, amount0Refund);
+    }
+    if (amount1Refund > 0) {
+      TransferHelper.safeTransfer(token1, recipient, amount1Refund);
+    }
+
+    emit Zapped(address(metaPool), recipient, zeroForOne, amountIn, newLPTokens, amount0Refund, amount1Refund);
+  }
+
+  /// @notice Burn LP tokens and withdraw a single token, swapping the other through the pool
+  /// @dev The caller must have approved the contract to transfer the LP tokens
+  /// @param metaPool MetaPool to withdraw from
+  /// @param burnAmount Number of MetaPool LP tokens to burn
+  /// @param tokenOut Token to withdraw, either the MetaPool's token0 or token1
+  /// @param amountOutMin Minimum amount of tokenOut to receive, to prevent slippage
+  /// @param recipient Address to receive tokenOut
+  /// @return amountOut Amount of tokenOut sent to the recipient
+  function burnSingle(
+    MetaPool metaPool,
+    uint256 burnAmount,
+    address tokenOut,
+    uint256 amountOutMin,
+    address recipient
+  ) external returns (uint256 amountOut) {
+    bool zeroForOne = isZeroForOne(metaPool, tokenOut);
+
+    TransferHelper.safeTransferFrom(address(metaPool), msg.sender, address(this), burnAmount);
+    (uint256 amount0, uint256 amount1) = metaPool.burn(burnAmount, 0, 0, address(this));
+
+    (uint256 amountIn, uint256 amountKept) = zeroForOne ? (amount0, amount1) : (amount1, amount0);
+    amountOut = amountKept;
+    if (amountIn > 0) {
+      (int256 amount0Delta, int256 amount1Delta) = swapExactInput(metaPool.pool(), zeroForOne, amountIn, 0);
+      amountOut += uint256(-(zeroForOne ? amount1Delta : amount0Delta));
+    }
+
+    require(amountOut >= amountOutMin, "Slippage");
+    TransferHelper.safeTransfer(tokenOut, recipient, amountOut);
+
+    emit BurnedSingle(address(metaPool), recipient, tokenOut, burnAmount, amountOut);
+  }
+
+  ///
+  //  Private functions
+  ///
+
+  /// @notice Whether withdrawing tokenOut means swapping token0 for token1
+  function isZeroForOne(MetaPool metaPool, address tokenOut) private view returns (bool) {
+    if (tokenOut == metaPool.token1()) {
+      return true;
+    }
+    require(tokenOut == metaPool.token0(), "Token");
+    return false;
+  }
+
+  /// @notice Swap an exact amount of tokens held by this contract
+  /// @param sqrtPriceLimitX96 Price limit for the swap (0 for no limit)
+  function swapExactInput(
+    IUniswapV3Pool pool,
+    bool zeroForOne,
+    uint256 amountIn,
+    uint160 sqrtPriceLimitX96
+  ) private returns (int256 amount0Delta, int256 amount1Delta) {
+    swapPool = address(pool);
+    (amount0Delta, amount1Delta) = pool.swap(
+      address(this),
+      zeroForOne,
+      int256(amountIn),
+      sqrtPriceLimitX96 == 0
+        ? (zeroForOne ? TickMath.MIN_SQRT_RATIO + 1 : TickMath.MAX_SQRT_RATIO - 1)
+        : sqrtPriceLimitX96,
+      ""
+    );
+    swapPool = address(0);
+  }
+
+  /// @notice Swap part of the deposited token, so the amounts held match the MetaPool's token ratio
+  /// @return amount0 Amount of token0 held after the swap
+  /// @return amount1 Amount of token1 held after the swap
+  function swapToRatio(
+    MetaPool metaPool,
+    bool zeroForOne,
+    uint256 amountIn,
+    uint160 sqrtPriceLimitX96
+  ) private returns (uint256 amount0, uint256 amount1) {
+    IUniswapV3Pool pool = metaPool.pool();
+    (amount0, amount1) = zeroForOne ? (amountIn, uint256(0)) : (uint256(0), amountIn);
+
+    uint256 swapAmount = getSwapAmount(metaPool, pool, zeroForOne, amountIn);
+    if (swapAmount == 0) {
+      return (amount0, amount1);
+    }
+
+    (int256 amount0Delta, int256 amount1Delta) = swapExactInput(pool, zeroForOne, swapAmount, sqrtPriceLimitX96);
+    amount0 = uint256(int256(amount0) - amount0Delta);
+    amount1 = uint256(int256(amount1) - amount1Delta);
+  }
+
+  /// @notice Amount of the deposited token to swap, so the rest matches the MetaPool's token ratio
+  /// @dev Same sizing as MetaPool.deposit(), which assumes a 50/50 split, but weighted by the value of
+  ///      each token held in the MetaPool's positions: amountIn * valueOut / (valueIn + valueOut)
+  function getSwapAmount(
+    MetaPool metaPool,
+    IUniswapV3Pool pool,
+    bool zeroForOne,
+    uint256 amountIn
+  ) private view returns (uint256) {
+    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
+    (uint256 total0, uint256 total1) = metaPool.totalPosition();
+
+    // Value both sides in the output token
+    (uint256 valueIn, uint256 valueOut) = zeroForOne
+      ? (UniMathHelpers.getQuoteFromSqrt(sqrtRatioX96, uint128(total0), pool.token0(), pool.token1()), total1)
+      : (UniMathHelpers.getQuoteFromSqrt(sqrtRatioX96, uint128(total1), pool.token1(), pool.token0()), total0);
+
+    require(valueIn + valueOut > 0, "INI");
+    return FullMath.mulDiv(amountIn, valueOut, valueIn + valueOut);
+  }
+
+  ///
+  //  Uniswap callbacks
+  ///
+
+  function uniswapV3SwapCallback(
+    int256 amount0Delta,
+    int256 amount1Delta,
+    bytes calldata /*data*/
+  ) external override {
+    require(msg.sender == swapPool);
+
+    if (amount0Delta > 0) {
+      TransferHelper.safeTransfer(IUniswapV3Pool(msg.sender).token0(), msg.sender, uint256(amount0Delta));
+    } else if (amount1Delta > 0) {
+      TransferHelper.safeTransfer(IUniswapV3Pool(msg.sender).token1(), msg.sender, uint256(amount1Delta));
+    }
+  }
+}
@@ -0,0 +1,40 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+pragma abicoder v2;
+
+/// @title Batches calls to the inheriting contract into one transaction
+/// @dev Same interface as Uniswap V3 periphery's Multicall, plus the deadline overload of its MulticallExtended
+abstract contract Multicall {
+  /// @notice Revert with "Deadline" after the deadline
+  modifier checkDeadline(uint256 deadline) {
+    require(block.timestamp <= deadline, "Deadline");
+    _;
+  }
+
+  /// @notice Call functions of this contract in order, as the caller, reverting them all if any reverts
+  /// @dev Calls are delegated, so msg.sender is preserved. Reverts with the revert data of the first call to fail
+  /// @param data ABI encoded calls
+  /// @return results Data returned by each call
+  function multicall(bytes[] calldata data) public returns (bytes[] memory results) {
+    results = new bytes[](data.length);
+    for (uint256 i = 0; i < data.length; i++) {
+      (bool success, bytes memory result) = address(this).delegatecall(data[i]);
+      if (!success) {
+        assembly {
+          revert(add(result, 32), mload(result))
+        }
+      }
+      results[i] = result;
+    }
+  }
+
+  /// @notice Call functions of this contract in order, as the caller, unless the deadline has passed
+  /// @param deadline Timestamp after which the batch can't be executed
+  /// @param data ABI encoded calls
+  /// @return Data returned by each call
+  function multicall(uint256 deadline, bytes[] calldata data) external checkDeadline(deadline) returns (
+    bytes[] memory
+  ) {
+    return multicall(data);
+  }
+}
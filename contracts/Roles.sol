@@ -0,0 +1,52 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+/// @title Single-holder roles with two-step transfers
+/// @notice The deployer starts with every role
+abstract contract Roles {
+  enum Role {
+    Admin, // Manages roles, unpauses, cancels queued changes & triggers the emergency exit
+    Guardian, // Can only pause
+    Keeper, // Calls rebalance()
+    Strategist // Queues & executes parameter changes, and moves ranges
+  }
+
+  mapping(Role => address) public roles;
+  mapping(Role => address) public pendingRoles; // Holders that have been offered a role, but not accepted it yet
+
+  event RoleTransferStarted(Role indexed role, address indexed holder, address indexed pendingHolder);
+  event RoleTransferred(Role indexed role, address previousHolder, address newHolder);
+
+  constructor() {
+    for (uint8 i = 0; i <= uint8(Role.Strategist); i++) {
+      roles[Role(i)] = msg.sender;
+      emit RoleTransferred(Role(i), address(0), msg.sender);
+    }
+  }
+
+  modifier onlyRole(Role role) {
+    requireRole(role);
+    _;
+  }
+
+  /// @notice Offer a role to a new holder, who must call acceptRole() to take it
+  /// @dev Callable by the role's holder, or by the admin for any role. Offering it to 0x0 cancels the offer
+  function transferRole(Role role, address pendingHolder) external {
+    require(roles[role] == msg.sender || roles[Role.Admin] == msg.sender);
+    pendingRoles[role] = pendingHolder;
+    emit RoleTransferStarted(role, roles[role], pendingHolder);
+  }
+
+  /// @notice Take a role offered by transferRole()
+  function acceptRole(Role role) external {
+    require(pendingRoles[role] == msg.sender);
+    emit RoleTransferred(role, roles[role], msg.sender);
+    roles[role] = msg.sender;
+    delete pendingRoles[role];
+  }
+
+  // Kept out of the modifier, so its code isn't copied into every restricted function
+  function requireRole(Role role) internal view {
+    require(roles[role] == msg.sender);
+  }
+}
@@ -0,0 +1,23 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IERC20Minimal } from "../uniswap-v3/interfaces/IERC20Minimal.sol";
+
+/// @notice ERC20 token with EIP-2612 approvals by signature
+interface IERC20Permit is IERC20Minimal {
+  /// @notice Name of the token, which permits are signed for in the EIP-712 domain
+  function name() external view returns (string memory);
+
+  /// @notice Number of permits an owner has used, the nonce of their next permit
+  function nonces(address owner) external view returns (uint256);
+
+  function permit(
+    address owner,
+    address spender,
+    uint256 value,
+    uint256 deadline,
+    uint8 v,
+    bytes32 r,
+    bytes32 s
+  ) external;
+}
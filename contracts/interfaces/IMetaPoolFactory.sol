@@ -1,12 +1,58 @@
 //SPDX-License-Identifier: MIT
 pragma solidity ^0.7.0;
 
+import { IUniswapV3Factory } from "../uniswap-v3/interfaces/IUniswapV3Factory.sol";
+import { IUniswapV3Pool } from "../uniswap-v3/interfaces/IUniswapV3Pool.sol";
+
 interface IMetaPoolFactory {
-  event PoolCreated(address indexed token0, address indexed token1, address pool);
-  
-  function createPool(address tokenA, address tokenB) external returns (address pool);
+  event MetaPoolCreated(
+    address indexed pool,
+    address indexed metaPool,
+    address indexed creator,
+    int24[] lowerTicks,
+    int24[] upperTicks,
+    uint16[] weights,
+    uint128[] initialLiquidity,
+    uint24 maxTickMovement
+  );
+
+  function createMetaPool(
+    IUniswapV3Pool pool,
+    int24[] memory lowerTicks,
+    int24[] memory upperTicks,
+    uint16[] memory weights,
+    uint128[] memory initialLiquidity,
+    uint24 maxTickMovement
+  ) external returns (address metaPool);
+
+  function predictMetaPoolAddress(
+    IUniswapV3Pool pool,
+    int24[] memory lowerTicks,
+    int24[] memory upperTicks,
+    uint16[] memory weights,
+    uint128[] memory initialLiquidity,
+    uint24 maxTickMovement
+  ) external view returns (address);
+
+  function uniswapFactory() external view returns (IUniswapV3Factory);
+
+  function metaPoolCodeHash() external view returns (bytes32);
+
+  function getMetaPool(bytes32 salt) external view returns (address);
+
+  function allMetaPools(uint256 index) external view returns (address);
+
+  function allMetaPoolsLength() external view returns (uint256);
+
+  function getMetaPools(address pool) external view returns (address[] memory);
 
-  function getDeployProps() external view returns (address, address, address);
- 
-  function owner() external view returns (address);
+  function getParameters(address metaPool) external view returns (
+    IUniswapV3Pool pool,
+    int24[] memory lowerTicks,
+    int24[] memory upperTicks,
+    uint16[] memory weights,
+    uint128[] memory initialLiquidity,
+    uint24 maxTickMovement,
+    address creator
+  );
 }
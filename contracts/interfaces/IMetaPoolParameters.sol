@@ -0,0 +1,15 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+/// @notice MetaPool setters that can only be called through its MetaPoolTimelock
+interface IMetaPoolParameters {
+  function timelock() external view returns (address);
+
+  function setFees(uint16 performanceFee, uint16 managementFee) external;
+
+  function setTreasury(address treasury, bool feesAsShares) external;
+
+  function setTwap(uint32 twapWindow, uint16 observationCardinality) external;
+
+  function setGuardMints(bool guardMints) external;
+}
@@ -0,0 +1,13 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IERC20Minimal } from "../uniswap-v3/interfaces/IERC20Minimal.sol";
+
+/// @notice Lido's rebasing stETH, where balances are shares of the total pooled ether
+interface IStETH is IERC20Minimal {
+  function submit(address referral) external payable returns (uint256 shares);
+
+  function getSharesByPooledEth(uint256 ethAmount) external view returns (uint256);
+
+  function getPooledEthByShares(uint256 sharesAmount) external view returns (uint256);
+}
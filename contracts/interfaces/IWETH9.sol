@@ -0,0 +1,10 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IERC20Minimal } from "../uniswap-v3/interfaces/IERC20Minimal.sol";
+
+interface IWETH9 is IERC20Minimal {
+  function deposit() external payable;
+
+  function withdraw(uint256 amount) external;
+}
@@ -0,0 +1,17 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IERC20Minimal } from "../uniswap-v3/interfaces/IERC20Minimal.sol";
+
+/// @notice Lido's non-rebasing wrapper for stETH, where each token is a stETH share
+interface IWstETH is IERC20Minimal {
+  function stETH() external view returns (address);
+
+  function wrap(uint256 stETHAmount) external returns (uint256 wstETHAmount);
+
+  function unwrap(uint256 wstETHAmount) external returns (uint256 stETHAmount);
+
+  function getWstETHByStETH(uint256 stETHAmount) external view returns (uint256);
+
+  function getStETHByWstETH(uint256 wstETHAmount) external view returns (uint256);
+}
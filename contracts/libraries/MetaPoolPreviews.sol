@@ -0,0 +1,161 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { IUniswapV3Pool } from "../uniswap-v3/interfaces/IUniswapV3Pool.sol";
+import { IERC20Minimal } from '../uniswap-v3/interfaces/IERC20Minimal.sol';
+import { LowGasSafeMath } from "../uniswap-v3/libraries/LowGasSafeMath.sol";
+import { SqrtPriceMath } from "../uniswap-v3/libraries/SqrtPriceMath.sol";
+import { FullMath } from "../uniswap-v3/libraries/FullMath.sol";
+
+import { LiquidityAmounts } from "./LiquidityAmounts.sol";
+import { MetaPool } from "../MetaPool.sol";
+
+/// @title Previews of a MetaPool's mints & burns, computed from its public state
+/// @notice Kept out of MetaPool so it stays under the contract size limit. MetaPoolLens exposes them to callers
+///         off-chain, and contracts built on a MetaPool can use them directly
+library MetaPoolPreviews {
+  using LowGasSafeMath for uint256;
+
+  /// @notice The fields of MetaPool.Range that mints depend on
+  struct Range {
+    int24 lowerTick;
+    int24 upperTick;
+    uint160 lowerSqrtRatioX96;
+    uint160 upperSqrtRatioX96;
+    bytes32 positionID;
+  }
+
+  /// @notice Return the amount of tokens needed to mint a given amount of LP tokens
+  /// @param newLPTokens Number of MetaPool LP tokens to simulate minting
+  /// @return amount0 Total amount of token0 that will be transfered to mint
+  /// @return amount1 Total amount of token1 that will be transfered to mint
+  function previewMint(MetaPool metaPool, uint256 newLPTokens) internal view returns (
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    // mint() accrues the management fee first
+    return getMintAmounts(metaPool, newLPTokens, getSupply(metaPool));
+  }
+
+  /// @notice Return the largest number of LP tokens that the given amounts can mint, and the amounts it takes
+  /// @dev Rounding can leave up to 1 unit of each token per range unused
+  /// @param amount0Max Amount of token0 available to deposit
+  /// @param amount1Max Amount of token1 available to deposit
+  /// @return newLPTokens Number of MetaPool LP tokens mintWithAmounts() will mint
+  /// @return amount0 Amount of token0 that will be transfered to mint
+  /// @return amount1 Amount of token1 that will be transfered to mint
+  function previewMintWithAmounts(MetaPool metaPool, uint256 amount0Max, uint256 amount1Max) internal view returns (
+    uint256 newLPTokens,
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    // mintWithAmounts() accrues the management fee first
+    uint256 _totalSupply = getSupply(metaPool);
+
+    newLPTokens = getMaxLPTokens(metaPool, amount0Max, amount1Max, _totalSupply);
+    (amount0, amount1) = getMintAmounts(metaPool, newLPTokens, _totalSupply);
+  }
+
+  /// @notice Return the amount of tokens returned when burning an amount of LP tokens
+  /// @param burnAmount Number of MetaPool LP tokens to simulate burning
+  /// @return amount0 Total amount of token0 that will be returned
+  /// @return amount1 Total amount of token1 that will be returned
+  function previewBurn(MetaPool metaPool, uint256 burnAmount) internal view returns (
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    // burn() accrues the management fee first
+    uint256 _totalSupply = getSupply(metaPool);
+
+    if (metaPool.emergency()) {
+      // After emergencyExit(), burns pay out a share of the tokens the MetaPool holds
+      amount0 = IERC20Minimal(metaPool.token0()).balanceOf(address(metaPool)).mul(burnAmount) / _totalSupply;
+      amount1 = IERC20Minimal(metaPool.token1()).balanceOf(address(metaPool)).mul(burnAmount) / _totalSupply;
+      return (amount0, amount1);
+    }
+
+    IUniswapV3Pool pool = metaPool.pool();
+    (uint160 sqrtRatioX96, , , , , , ) = pool.slot0();
+    uint256 rangeCount = metaPool.numRanges();
+    for (uint256 i = 0; i < rangeCount; i++) {
+      (, , , , uint160 lowerSqrtRatioX96, uint160 upperSqrtRatioX96, bytes32 positionID) = metaPool.ranges(i);
+      (uint128 liquidity, , , , ) = pool.positions(positionID);
+
+      uint256 liquidityBurned = burnAmount.mul(liquidity) / _totalSupply; // Can't overflow
+      require(liquidityBurned < type(uint128).max); // Check so we can cast to 128
+
+      (uint256 rangeAmount0, uint256 rangeAmount1) = LiquidityAmounts.getAmountsForLiquidity(
+        sqrtRatioX96, lowerSqrtRatioX96, upperSqrtRatioX96, uint128(liquidityBurned));
+
+      // Can't overflow
+      amount0 += rangeAmount0;
+      amount1 += rangeAmount1;
+    }
+  }
+
+  /// @notice LP supply once the management fee owed to the treasury has been accrued
+  function getSupply(MetaPool metaPool) private view returns (uint256) {
+    return uint256(metaPool.totalSupply()).add(metaPool.pendingManagementFee());
+  }
+
+  /// @notice Amounts of each token MetaPool.mint() will deposit, rounded up like UniswapV3Pool.mint()
+  function getMintAmounts(MetaPool metaPool, uint256 newLPTokens, uint256 _totalSupply) private view returns (
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    IUniswapV3Pool pool = metaPool.pool();
+    (uint160 sqrtRatioX96, int24 tick, , , , , ) = pool.slot0();
+
+    // Held in memory, as there are too many fields for the stack
+    Range memory range;
+    uint256 rangeCount = metaPool.numRanges();
+    for (uint256 i = 0; i < rangeCount; i++) {
+      (range.lowerTick, range.upperTick, , , range.lowerSqrtRatioX96, range.upperSqrtRatioX96, range.positionID) =
+        metaPool.ranges(i);
+      (uint128 liquidity, , , , ) = pool.positions(range.positionID);
+      require(liquidity > 0, "INI");
+
+      uint256 newLiquidity = newLPTokens.mul(liquidity) / _totalSupply;
+      require(newLiquidity < type(uint128).max); // Check so we can cast to 128
+
+      // Same cases as UniswapV3Pool._modifyPosition(), which compares the current tick to the range
+      if (tick < range.lowerTick) {
+        amount0 = amount0.add(SqrtPriceMath.getAmount0Delta(
+          range.lowerSqrtRatioX96, range.upperSqrtRatioX96, uint128(newLiquidity), true));
+      } else if (tick < range.upperTick) {
+        amount0 = amount0.add(SqrtPriceMath.getAmount0Delta(
+          sqrtRatioX96, range.upperSqrtRatioX96, uint128(newLiquidity), true));
+        amount1 = amount1.add(SqrtPriceMath.getAmount1Delta(
+          range.lowerSqrtRatioX96, sqrtRatioX96, uint128(newLiquidity), true));
+      } else {
+        amount1 = amount1.add(SqrtPriceMath.getAmount1Delta(
+          range.lowerSqrtRatioX96, range.upperSqrtRatioX96, uint128(newLiquidity), true));
+      }
+    }
+  }
+
+  /// @notice Largest number of LP tokens MetaPool.mintWithAmounts() will mint without exceeding the given amounts
+  /// @dev Must match MetaPool.getMaxLPTokens(): totalPosition() rounds each position's amounts down,
+  ///      while the pool rounds mint amounts up, so each amount & total is padded by 1 for each range
+  function getMaxLPTokens(
+    MetaPool metaPool,
+    uint256 amount0Max,
+    uint256 amount1Max,
+    uint256 _totalSupply
+  ) private view returns (uint256 newLPTokens) {
+    (uint256 total0, uint256 total1) = metaPool.totalPosition();
+    uint256 padding = metaPool.numRanges();
+
+    newLPTokens = type(uint256).max;
+    if (total0 > 0) {
+      newLPTokens = amount0Max > padding ? FullMath.mulDiv(amount0Max - padding, _totalSupply, total0 + padding) : 0;
+    }
+    if (total1 > 0) {
+      uint256 lpTokensForAmount1 =
+        amount1Max > padding ? FullMath.mulDiv(amount1Max - padding, _totalSupply, total1 + padding) : 0;
+      if (lpTokensForAmount1 < newLPTokens) {
+        newLPTokens = lpTokensForAmount1;
+      }
+    }
+  }
+}
@@ -0,0 +1,63 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { LowGasSafeMath } from "../uniswap-v3/libraries/LowGasSafeMath.sol";
+
+/// @notice Plain ERC20 with its own name & symbol, for mocks of external tokens. Unlike the MetaPool's ERC20,
+///         it has no roles, pausing or permits
+abstract contract MockBaseERC20 {
+  using LowGasSafeMath for uint256;
+
+  string public name;
+  string public symbol;
+  uint8 public constant decimals = 18;
+
+  uint256 public totalSupply;
+  mapping(address => uint256) public balanceOf;
+  mapping(address => mapping(address => uint256)) public allowance;
+
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+  event Transfer(address indexed from, address indexed to, uint256 value);
+
+  constructor(string memory _name, string memory _symbol) {
+    name = _name;
+    symbol = _symbol;
+  }
+
+  function approve(address spender, uint256 amount) external returns (bool) {
+    allowance[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function transfer(address to, uint256 amount) external returns (bool) {
+    _transfer(msg.sender, to, amount);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+    if (allowance[from][msg.sender] != type(uint256).max) {
+      allowance[from][msg.sender] = allowance[from][msg.sender].sub(amount);
+    }
+    _transfer(from, to, amount);
+    return true;
+  }
+
+  function _mint(address to, uint256 amount) internal {
+    totalSupply = totalSupply.add(amount);
+    balanceOf[to] = balanceOf[to].add(amount);
+    emit Transfer(address(0), to, amount);
+  }
+
+  function _burn(address from, uint256 amount) internal {
+    balanceOf[from] = balanceOf[from].sub(amount);
+    totalSupply = totalSupply.sub(amount);
+    emit Transfer(from, address(0), amount);
+  }
+
+  function _transfer(address from, address to, uint256 amount) private {
+    balanceOf[from] = balanceOf[from].sub(amount);
+    balanceOf[to] = balanceOf[to].add(amount);
+    emit Transfer(from, to, amount);
+  }
+}
@@ -0,0 +1,15 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+// Records the last transferAndCall() it received, as a contract consuming it would
+contract MockERC677Receiver {
+  address public lastSender;
+  uint256 public lastValue;
+  bytes public lastData;
+
+  function onTokenTransfer(address sender, uint256 value, bytes calldata data) external {
+    lastSender = sender;
+    lastValue = value;
+    lastData = data;
+  }
+}
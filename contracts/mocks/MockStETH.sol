@@ -0,0 +1,83 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { LowGasSafeMath } from "../uniswap-v3/libraries/LowGasSafeMath.sol";
+
+/// @notice Rebasing stETH, with balances computed from shares of the pooled ether like Lido's.
+///         Rewards & slashing are simulated by the owner calling setTotalPooledEther()
+contract MockStETH {
+  using LowGasSafeMath for uint256;
+
+  string public constant name = 'Liquid staked Ether 2.0';
+  string public constant symbol = 'stETH';
+  uint8 public constant decimals = 18;
+
+  address public immutable owner;
+
+  uint256 public totalShares;
+  uint256 public totalPooledEther;
+
+  mapping(address => uint256) public sharesOf;
+  mapping(address => mapping(address => uint256)) public allowance;
+
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+  event Transfer(address indexed from, address indexed to, uint256 value);
+
+  constructor() {
+    owner = msg.sender;
+  }
+
+  function totalSupply() external view returns (uint256) {
+    return totalPooledEther;
+  }
+
+  function balanceOf(address account) external view returns (uint256) {
+    return getPooledEthByShares(sharesOf[account]);
+  }
+
+  function getSharesByPooledEth(uint256 ethAmount) public view returns (uint256) {
+    return totalPooledEther == 0 ? ethAmount : ethAmount.mul(totalShares) / totalPooledEther;
+  }
+
+  function getPooledEthByShares(uint256 sharesAmount) public view returns (uint256) {
+    return totalShares == 0 ? 0 : sharesAmount.mul(totalPooledEther) / totalShares;
+  }
+
+  function submit(address /*referral*/) external payable returns (uint256 shares) {
+    shares = getSharesByPooledEth(msg.value);
+    totalShares = totalShares.add(shares);
+    totalPooledEther = totalPooledEther.add(msg.value);
+    sharesOf[msg.sender] = sharesOf[msg.sender].add(shares);
+    emit Transfer(address(0), msg.sender, msg.value);
+  }
+
+  /// @notice Rebase every balance, as Lido's oracle does when reporting rewards or slashing
+  function setTotalPooledEther(uint256 _totalPooledEther) external {
+    require(msg.sender == owner);
+    totalPooledEther = _totalPooledEther;
+  }
+
+  function approve(address spender, uint256 amount) external returns (bool) {
+    allowance[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function transfer(address to, uint256 amount) external returns (bool) {
+    _transfer(msg.sender, to, amount);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+    allowance[from][msg.sender] = allowance[from][msg.sender].sub(amount);
+    _transfer(from, to, amount);
+    return true;
+  }
+
+  function _transfer(address from, address to, uint256 amount) private {
+    uint256 shares = getSharesByPooledEth(amount);
+    sharesOf[from] = sharesOf[from].sub(shares);
+    sharesOf[to] = sharesOf[to].add(shares);
+    emit Transfer(from, to, amount);
+  }
+}
@@ -0,0 +1,22 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { MockBaseERC20 } from "./MockBaseERC20.sol";
+import { TransferHelper } from "../libraries/TransferHelper.sol";
+
+contract MockWETH9 is MockBaseERC20 {
+  constructor() MockBaseERC20("Wrapped Ether", "WETH") {}
+
+  receive() external payable {
+    deposit();
+  }
+
+  function deposit() public payable {
+    _mint(msg.sender, msg.value);
+  }
+
+  function withdraw(uint256 amount) external {
+    _burn(msg.sender, amount);
+    TransferHelper.safeTransferETH(msg.sender, amount);
+  }
+}
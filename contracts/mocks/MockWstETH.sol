@@ -0,0 +1,36 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.7.0;
+
+import { MockBaseERC20 } from "./MockBaseERC20.sol";
+import { IStETH } from "../interfaces/IStETH.sol";
+
+/// @notice wstETH, where each token is a share of MockStETH's pooled ether
+contract MockWstETH is MockBaseERC20 {
+  IStETH public immutable stETH;
+
+  constructor(IStETH _stETH) MockBaseERC20("Wrapped liquid staked Ether 2.0", "wstETH") {
+    stETH = _stETH;
+  }
+
+  function getWstETHByStETH(uint256 stETHAmount) external view returns (uint256) {
+    return stETH.getSharesByPooledEth(stETHAmount);
+  }
+
+  function getStETHByWstETH(uint256 wstETHAmount) external view returns (uint256) {
+    return stETH.getPooledEthByShares(wstETHAmount);
+  }
+
+  function wrap(uint256 stETHAmount) external returns (uint256 wstETHAmount) {
+    require(stETHAmount > 0, "wstETH: can't wrap zero stETH");
+    wstETHAmount = stETH.getSharesByPooledEth(stETHAmount);
+    _mint(msg.sender, wstETHAmount);
+    stETH.transferFrom(msg.sender, address(this), stETHAmount);
+  }
+
+  function unwrap(uint256 wstETHAmount) external returns (uint256 stETHAmount) {
+    require(wstETHAmount > 0, "wstETH: zero amount unwrap not allowed");
+    stETHAmount = stETH.getPooledEthByShares(wstETHAmount);
+    _burn(msg.sender, wstETHAmount);
+    stETH.transfer(msg.sender, stETHAmount);
+  }
+}
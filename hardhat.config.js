@@ -1,5 +1,26 @@
 require("@nomiclabs/hardhat-waffle");
-// require("./lib/uniswap");
+const { types } = require("hardhat/config");
+require("./lib/uniswap");
+const fs = require("fs");
+const {
+  deployMetaPool,
+  getDeployment,
+  getMetaPool,
+  getMetaPoolFactory,
+  loadConfig,
+  writeManifest,
+  DEFAULT_DEPLOYMENT_NAME,
+  DEFAULT_FACTORY_NAME,
+} = require("./lib/deploy");
+const { formatComparison, loadSeries, runGrid } = require("./lib/backtest");
+const { formatHistory, getHistory } = require("./lib/events");
+const { deployMetaPoolFactory, formatRegistration, getRegisteredMetaPools } = require("./lib/factory");
+const { compareGas, formatGasComparison, readGasSnapshot, runGasBenchmarks, writeGasSnapshot } = require("./lib/gas");
+const { cancelChange, executeChange, formatChange, getQueuedChanges, queueChange } = require("./lib/governance");
+const { jsonLogger, runKeeper } = require("./lib/keeper");
+const { formatProposal, proposeRanges } = require("./lib/ranges");
+const { DEFAULT_STAKING_NAME, deployStaking, fundRewards, getStaking } = require("./lib/staking");
+const { formatStatus, getStatus } = require("./lib/status");
 
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
@@ -11,6 +32,298 @@ task("accounts", "Prints the list of accounts", async () => {
   }
 });
 
+task("deploy-metapool", "Deploys & initializes a MetaPool, recording it in the network's deployment manifest")
+  .addParam("configFile", "Path to a JSON or JS deployment config")
+  .addOptionalParam("name", "Name to record the deployment under", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the manifest to write (defaults to deployments/<network>.json)")
+  .addFlag("skipInitialize", "Deploy without calling initialize()")
+  .setAction(async ({ configFile, name, manifest, skipInitialize }, hre) => {
+    const { deployment, manifestPath } = await deployMetaPool(hre, loadConfig(configFile), {
+      name,
+      manifest,
+      initialize: !skipInitialize,
+    });
+
+    console.log(`MetaPool deployed to ${deployment.address} (Uniswap pool ${deployment.pool})`);
+    console.log("Ranges " + deployment.ranges
+      .map(range => `[${range.lowerTick}:${range.upperTick}] ${range.weight / 100}%`)
+      .join(", "));
+    console.log(`Deployment written to ${manifestPath}`);
+    return deployment;
+  });
+
+task("deploy-metapool-factory", "Deploys a MetaPoolFactory, recording it in the network's deployment manifest")
+  .addParam("uniswapFactory", "Address of the Uniswap V3 factory")
+  .addOptionalParam("name", "Name to record the deployment under", DEFAULT_FACTORY_NAME)
+  .addOptionalParam("manifest", "Path of the manifest to write (defaults to deployments/<network>.json)")
+  .setAction(async ({ uniswapFactory, name, manifest }, hre) => {
+    const { factory, receipt } = await deployMetaPoolFactory(hre, uniswapFactory);
+    const deployment = {
+      address: factory.address,
+      uniswapFactory,
+      metaPoolCodeHash: await factory.metaPoolCodeHash(),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+    };
+    const manifestPath = writeManifest(hre, manifest, name, deployment);
+
+    console.log(`MetaPoolFactory deployed to ${factory.address}, set "metaPoolFactory" in deployment configs to use it`);
+    console.log(`Deployment written to ${manifestPath}`);
+    return deployment;
+  });
+
+task("deploy-metapool-staking", "Deploys a MetaPoolStaking contract for a MetaPool's LP tokens, recording it in the manifest")
+  .addOptionalParam("metaPool", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("metaPoolName", "Name of the MetaPool deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("name", "Name to record the deployment under", DEFAULT_STAKING_NAME)
+  .addOptionalParam("manifest", "Path of the manifest to write (defaults to deployments/<network>.json)")
+  .setAction(async ({ metaPool: address, metaPoolName, name, manifest }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name: metaPoolName, manifest });
+    const { staking, receipt } = await deployStaking(hre, metaPool.address);
+    const deployment = {
+      address: staking.address,
+      metaPool: metaPool.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+    };
+    const manifestPath = writeManifest(hre, manifest, name, deployment);
+
+    console.log(`MetaPoolStaking deployed to ${staking.address} for MetaPool ${metaPool.address}`);
+    console.log(`Deployment written to ${manifestPath}`);
+    return deployment;
+  });
+
+task("metapool:registry", "Lists every MetaPool created by a MetaPoolFactory")
+  .addOptionalParam("factory", "MetaPoolFactory address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the factory in the manifest", DEFAULT_FACTORY_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addFlag("json", "Print the MetaPools as JSON")
+  .setAction(async ({ factory, name, manifest, json }, hre) => {
+    const metaPools = await getRegisteredMetaPools(await getMetaPoolFactory(hre, { address: factory, name, manifest }));
+
+    if (json) {
+      console.log(JSON.stringify(metaPools, null, 2));
+    } else {
+      console.log(metaPools.length ? metaPools.map(formatRegistration).join("\n") : "No MetaPools created");
+    }
+    return metaPools;
+  });
+
+task("metapool:status", "Reports a MetaPool's positions, fees, share value & TWAP drift")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addFlag("json", "Print the report as JSON")
+  .setAction(async ({ address, name, manifest, json }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    const status = await getStatus(hre, metaPool);
+
+    console.log(json ? JSON.stringify(status, null, 2) : formatStatus(status));
+    return status;
+  });
+
+task("metapool:keeper", "Polls a MetaPool, calling rebalance() when it would succeed & collect more fees than it costs in gas")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addOptionalParam("interval", "Seconds between checks", 60, types.int)
+  .addOptionalParam("iterations", "Number of checks to run (0 runs until stopped)", 0, types.int)
+  .addOptionalParam("gasPrice", "Gas price in wei (defaults to the network's gas price)")
+  .addOptionalParam("ethPerToken1", "Value of one raw unit of token1 in wei", 1, types.float)
+  .addOptionalParam("minProfitRatio", "Required ratio of collected fee value to gas cost", 1, types.float)
+  .addOptionalParam("logFile", "File to append the JSON lines decision log to")
+  .addFlag("dryRun", "Log decisions without sending transactions")
+  .setAction(async ({ address, name, manifest, logFile, ...options }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    return runKeeper(hre, metaPool, { ...options, log: jsonLogger(logFile) });
+  });
+
+// Events are searched for from the deployment block onwards
+function getFromBlock(hre, { address, name, manifest }) {
+  const deployment = address ? undefined : getDeployment(hre, name, manifest);
+  return deployment ? deployment.blockNumber : 0;
+}
+
+task("metapool:history", "Exports every event of a MetaPool & its Uniswap positions as CSV or JSON Lines")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addOptionalParam("format", "Output format, csv or jsonl", "csv")
+  .addOptionalParam("out", "File to write to (defaults to stdout)")
+  .addOptionalParam("fromBlock", "First block to export (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block to export (defaults to the latest block)", undefined, types.int)
+  .addFlag("allPoolEvents", "Include Uniswap pool events that don't involve the MetaPool")
+  .setAction(async ({ address, name, manifest, format, out, fromBlock, toBlock, allPoolEvents }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    if (fromBlock === undefined) {
+      fromBlock = getFromBlock(hre, { address, name, manifest });
+    }
+
+    const events = await getHistory(hre, metaPool, { fromBlock, toBlock, allPoolEvents });
+    const output = formatHistory(events, format);
+    if (out) {
+      fs.writeFileSync(out, output);
+      console.log(`Wrote ${events.length} events to ${out}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return events;
+  });
+
+const parseRanges = ranges => ranges && ranges.split(";").map(range => range.split(",").map(Number));
+
+task("metapool:move-ranges", "Proposes new ranges around the current price & moves the MetaPool's positions to them")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addOptionalParam("ranges", "New ranges as low,high multiples of the current price, separated by ; (defaults to recentring)")
+  .addFlag("invertPrices", "Quote prices as token0 per token1")
+  .addFlag("dryRun", "Print the proposal without sending moveRanges()")
+  .setAction(async ({ address, name, manifest, ranges, invertPrices, dryRun }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    const proposal = await proposeRanges(hre, metaPool, { ranges: parseRanges(ranges), invertPrices });
+    console.log(formatProposal(proposal));
+
+    if (dryRun) {
+      return proposal;
+    }
+    if (proposal.simulation.reverted) {
+      throw new Error("Not moving ranges, as moveRanges() would revert");
+    }
+
+    const tx = await metaPool.moveRanges(
+      proposal.proposed.map(range => range.lowerTick),
+      proposal.proposed.map(range => range.upperTick),
+    );
+    const receipt = await tx.wait();
+    console.log(`Ranges moved in ${receipt.transactionHash}`);
+
+    // Keep the manifest's ticks in step with the contract
+    const deployment = getDeployment(hre, name, manifest);
+    if (deployment && deployment.address === metaPool.address) {
+      const ranges = deployment.ranges.map((range, i) => ({ ...range, ...proposal.proposed[i] }));
+      writeManifest(hre, manifest, name, { ...deployment, ranges });
+    }
+    return { ...proposal, transactionHash: receipt.transactionHash };
+  });
+
+task("metapool:queue-change", "Queues a timelocked parameter change, executable once the timelock's delay has passed")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addParam("setter", "setFees, setTreasury, setTwap, setGuardMints or setDelay")
+  .addOptionalParam("args", "Arguments as a JSON array, e.g. [1000,200]", "[]")
+  .setAction(async ({ address, name, manifest, setter, args }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    const change = await queueChange(hre, metaPool, setter, JSON.parse(args));
+    console.log(`Queued ${change.id} in ${change.transactionHash}, executable from ${new Date(change.eta * 1000).toISOString()}`);
+    return change;
+  });
+
+task("metapool:changes", "Lists the parameter changes waiting in a MetaPool's timelock")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addFlag("json", "Print the changes as JSON")
+  .setAction(async ({ address, name, manifest, json }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    const changes = await getQueuedChanges(hre, metaPool, { fromBlock: getFromBlock(hre, { address, name, manifest }) });
+
+    if (json) {
+      console.log(JSON.stringify(changes, null, 2));
+    } else {
+      console.log(changes.length ? changes.map(formatChange).join("\n") : "No changes queued");
+    }
+    return changes;
+  });
+
+task("metapool:execute-change", "Executes a queued parameter change whose delay has passed")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addParam("id", "Id of the change, from metapool:changes")
+  .setAction(async ({ address, name, manifest, id }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    const change = await executeChange(hre, metaPool, id, { fromBlock: getFromBlock(hre, { address, name, manifest }) });
+    console.log(`Executed ${formatChange(change)} in ${change.transactionHash}`);
+    return change;
+  });
+
+task("metapool:cancel-change", "Cancels a queued parameter change (admin only)")
+  .addOptionalParam("address", "MetaPool address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_DEPLOYMENT_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addParam("id", "Id of the change, from metapool:changes")
+  .setAction(async ({ address, name, manifest, id }, hre) => {
+    const metaPool = await getMetaPool(hre, { address, name, manifest });
+    const receipt = await cancelChange(hre, metaPool, id);
+    console.log(`Cancelled ${id} in ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task("metapool:fund-rewards", "Funds a reward period on a MetaPoolStaking contract, adding the reward token if needed")
+  .addOptionalParam("address", "MetaPoolStaking address (defaults to the deployment manifest)")
+  .addOptionalParam("name", "Name of the deployment in the manifest", DEFAULT_STAKING_NAME)
+  .addOptionalParam("manifest", "Path of the deployment manifest")
+  .addParam("token", "Address of the reward token")
+  .addParam("amount", "Amount of the reward token to stream, in raw units")
+  .addOptionalParam("duration", "Seconds the period lasts, starting now", 7 * 24 * 60 * 60, types.int)
+  .setAction(async ({ address, name, manifest, token, amount, duration }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const staking = (await getStaking(hre, { address, name, manifest })).connect(signer);
+    const result = await fundRewards(hre, staking, token, amount, { duration });
+
+    if (result.added) {
+      console.log(`Added reward token ${token}, distributed by ${signer.address}`);
+    }
+    console.log(`Streaming ${result.rewardRate} a second until ${new Date(result.periodFinish * 1000).toISOString()}`
+      + ` (${result.receipt.transactionHash})`);
+    return result;
+  });
+
+task("metapool:backtest", "Replays recorded swaps or price bars through local MetaPools & compares a grid of parameters")
+  .addParam("data", "CSV, JSON or JSON Lines file of Swap events (e.g. from metapool:history) or price/volume bars")
+  .addParam("configFile", "JSON or JS file with the parameter grid & backtest options")
+  .addFlag("json", "Print the results as JSON")
+  .setAction(async ({ data, configFile, json }, hre) => {
+    const series = loadSeries(data);
+    const { grid, ...options } = loadConfig(configFile);
+
+    const results = await runGrid(hre, series, grid, options, result => {
+      if (!json) {
+        const ranges = result.params.ticks.map(([lowerTick, upperTick]) => `[${lowerTick}:${upperTick}]`).join(" ");
+        console.log(`Backtested ${ranges} ${result.params.liquidity.join(":")} ${result.params.maxTickMovement}`);
+      }
+    });
+
+    console.log(json ? JSON.stringify(results, null, 2) : `\n${formatComparison(results)}`);
+    return results;
+  });
+
+task("metapool:gas-snapshot", "Benchmarks the gas used by each MetaPool operation & writes it to a snapshot")
+  .addOptionalParam("snapshot", "Snapshot file to write", "gas-snapshot.json")
+  .setAction(async ({ snapshot }, hre) => {
+    const results = await runGasBenchmarks(hre);
+    writeGasSnapshot(snapshot, results);
+    for (const [name, gasUsed] of Object.entries(results)) {
+      console.log(`${name}: ${gasUsed}`);
+    }
+    console.log(`Wrote ${snapshot}`);
+    return results;
+  });
+
+task("metapool:gas-diff", "Benchmarks the gas used by each MetaPool operation & fails if any regressed from the snapshot")
+  .addOptionalParam("snapshot", "Snapshot file to compare against", "gas-snapshot.json")
+  .addOptionalParam("threshold", "Percentage gas may rise by before it counts as a regression", 1, types.float)
+  .setAction(async ({ snapshot, threshold }, hre) => {
+    const comparison = compareGas(readGasSnapshot(snapshot), await runGasBenchmarks(hre), { threshold });
+    console.log(formatGasComparison(comparison));
+    if (comparison.regressions.length) {
+      throw new Error(`Gas regressed by more than ${threshold}% in ${comparison.regressions.join(", ")}`);
+    }
+    return comparison;
+  });
+
 // You need to export an object to set up your config
 // Go to https://hardhat.org/config/ to learn more
 
@@ -0,0 +1,427 @@
+const bn = require('bignumber.js');
+const fs = require('fs');
+
+const { deployMetaPoolContract } = require('./deploy');
+const { MAX_TICK, getTickSpacing, liquidityToWeights, priceToSqrtPriceX96 } = require('./prices');
+const { getOwedFees, getSnapshot } = require('./simulator');
+
+const YEAR = 365 * 24 * 60 * 60;
+// TickMath.MIN_SQRT_RATIO + 1, the lowest price limit a swap accepts
+const MIN_SQRT_PRICE_LIMIT = '4295128740';
+
+/*
+ * A series is a list of steps { timestamp, sqrtPriceX96, volume0 }, sorted by time. Replaying a step moves the
+ * local pool's price to `sqrtPriceX96`, then trades back & forth around it until `volume0` of token0 has been
+ * traded, so the MetaPool earns fees in proportion to its share of the liquidity at that price.
+ */
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [columns, ...values] = rows.filter(r => r.some(value => value !== ''));
+  return values.map(r => Object.fromEntries(columns.map((column, i) => [column.trim(), r[i]])));
+}
+
+function parseRecords(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+  if (trimmed.startsWith('{')) {
+    return trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  return parseCSV(trimmed);
+}
+
+/**
+ * Parse a recorded series of Uniswap swaps or price/volume bars
+ *
+ * Accepts CSV, a JSON array or JSON Lines, like the output of `metapool:history --all-pool-events`.
+ * Rows with an `event` other than Swap are skipped. Each row needs a `timestamp` in seconds and either
+ * the pool's `sqrtPriceX96` or a raw token1/token0 `price`; volume is taken from `amount0` (Swap events)
+ * or `volume` (bars, in token0) and defaults to 0.
+ *
+ * @param text Contents of the file
+ * @return Steps { timestamp, sqrtPriceX96, volume0 }, sorted by time
+ */
+function parseSeries(text) {
+  const steps = parseRecords(text)
+    .filter(record => record.event === undefined || record.event === '' || record.event === 'Swap')
+    .map((record, i) => {
+      const timestamp = Number(record.timestamp);
+      if (!Number.isFinite(timestamp)) {
+        throw new Error(`Row ${i + 1} has no timestamp`);
+      }
+
+      let sqrtPriceX96;
+      if (record.sqrtPriceX96 !== undefined && record.sqrtPriceX96 !== '') {
+        sqrtPriceX96 = new bn(record.sqrtPriceX96.toString()).toFixed(0);
+      } else if (record.price !== undefined && record.price !== '') {
+        // Raw prices are already token1/token0, without decimals
+        sqrtPriceX96 = priceToSqrtPriceX96(record.price, { decimals0: 0, decimals1: 0 });
+      } else {
+        throw new Error(`Row ${i + 1} has neither a sqrtPriceX96 nor a price`);
+      }
+
+      const volume = record.amount0 !== undefined && record.amount0 !== '' ? record.amount0 : record.volume;
+      const volume0 = volume === undefined || volume === '' ? '0' : new bn(volume.toString()).abs().toFixed(0);
+      return { timestamp, sqrtPriceX96, volume0 };
+    });
+
+  return steps.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Read a series with parseSeries()
+ * @param file Path of a CSV, JSON or JSON Lines file
+ */
+function loadSeries(file) {
+  return parseSeries(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Expand a parameter grid into every combination of its values
+ * @param grid.ticks List of candidate ranges, each a list of [lowerTick, upperTick]
+ * @param grid.liquidity List of candidate target liquidities for the ranges (e.g. [[8, 1], [4, 1]])
+ * @param grid.liquidityRatio Shorthand for two ranges: the tight range's liquidity relative to the wide range's
+ * @param grid.maxTickMovement List of candidate TWAP limits
+ * @return Parameter sets { ticks, liquidity, maxTickMovement }
+ */
+function expandGrid({ ticks, liquidity, liquidityRatio, maxTickMovement }) {
+  const liquidities = liquidity || (liquidityRatio || []).map(ratio => [Number(ratio), 1]);
+  if (!ticks || !ticks.length || !liquidities.length || !maxTickMovement || !maxTickMovement.length) {
+    throw new Error('The grid must list `ticks`, `liquidity` or `liquidityRatio`, and `maxTickMovement`');
+  }
+
+  const params = [];
+  for (const rangeTicks of ticks) {
+    for (const rangeLiquidity of liquidities) {
+      if (rangeLiquidity.length !== rangeTicks.length) {
+        throw new Error(`Liquidity ${rangeLiquidity.join(':')} doesn't match ${rangeTicks.length} ranges`);
+      }
+      for (const movement of maxTickMovement) {
+        params.push({ ticks: rangeTicks, liquidity: rangeLiquidity.map(Number), maxTickMovement: Number(movement) });
+      }
+    }
+  }
+  return params;
+}
+
+// Value of the amounts in token1, at the given price
+function valueInToken1(amount0, amount1, sqrtPriceX96) {
+  const price = new bn(sqrtPriceX96.toString()).div(new bn(2).pow(96)).pow(2);
+  return new bn(amount0.toString()).multipliedBy(price).plus(amount1.toString());
+}
+
+/**
+ * Return the reason string a call reverted with, from a Hardhat or JSON-RPC error ('' if it had none)
+ */
+function revertReason(error) {
+  const match = (error.message || '').match(/reverted with reason string '([^']*)'/)
+    || (error.message || '').match(/execution reverted: ([^"\n]*)/);
+  if (match) {
+    return match[1];
+  }
+  return error.reason && error.reason !== 'execution reverted' ? error.reason.replace(/^execution reverted: /, '') : '';
+}
+
+/**
+ * Replay a series through a fresh Uniswap pool & MetaPool on the Hardhat network
+ *
+ * The network is reverted to its starting state afterwards, so parameter sets can be run one after another.
+ * Amounts (volumes, `poolLiquidity` & `capital`) are divided by `scale`, so large series fit in the mock tokens'
+ * supply; the results are ratios, so they barely depend on it.
+ *
+ * @param hre Hardhat runtime environment
+ * @param series Steps from loadSeries()
+ * @param params.ticks [lowerTick, upperTick] of each range
+ * @param params.liquidity Target liquidity of each range, relative to the others
+ * @param params.maxTickMovement TWAP limit of the MetaPool
+ * @param options.fee Fee tier of the pool (defaults to 500)
+ * @param options.poolLiquidity Full-range liquidity of the pool's other LPs
+ * @param options.capital [amount0, amount1] available to deposit into the MetaPool with mintWithAmounts()
+ * @param options.rebalanceInterval Seconds between calls to rebalance() (defaults to a day)
+ * @param options.observationCardinality Number of TWAP observations the pool keeps (defaults to 100)
+ * @param options.scale Divisor for every amount (defaults to 1)
+ * @return Fee APR, impermanent loss & return versus holding the deposit, time in range for each range,
+ *         and the number of rebalances & those that reverted
+ */
+async function runBacktest(hre, series, params, {
+  fee = 500,
+  poolLiquidity = '1000000000000000000000',
+  capital = ['100000000000000000000', '100000000000000000000'],
+  rebalanceInterval = 24 * 60 * 60,
+  observationCardinality = 100,
+  scale = 1,
+} = {}) {
+  const { ethers } = hre;
+  if (hre.network.name !== 'hardhat') {
+    throw new Error('Backtests deploy fresh pools, so only run on the hardhat network');
+  }
+  if (series.length < 2 || series[series.length - 1].timestamp <= series[0].timestamp) {
+    throw new Error('A backtest needs steps spanning some time');
+  }
+  const scaled = amount => ethers.BigNumber.from(new bn(amount.toString()).div(scale).integerValue(1).toFixed(0));
+  const tickSpacing = getTickSpacing({ fee });
+  if (params.ticks.some(ticks => ticks.some(tick => tick % tickSpacing !== 0))) {
+    throw new Error(`Ticks must be multiples of the tick spacing, ${tickSpacing}`);
+  }
+
+  const snapshotId = await ethers.provider.send('evm_snapshot', []);
+  try {
+    const [deployer, lp] = await ethers.getSigners();
+
+    const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+    const uniswapFactory = await UniswapV3Factory.deploy();
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    let token0 = await MockERC20.deploy();
+    let token1 = await MockERC20.deploy();
+    if (ethers.BigNumber.from(token0.address).gt(ethers.BigNumber.from(token1.address))) {
+      [token0, token1] = [token1, token0];
+    }
+
+    await uniswapFactory.createPool(token0.address, token1.address, fee);
+    const pool = await ethers.getContractAt(
+      'IUniswapV3Pool',
+      await uniswapFactory.getPool(token0.address, token1.address, fee),
+    );
+    await pool.initialize(series[0].sqrtPriceX96);
+    await pool.increaseObservationCardinalityNext(observationCardinality);
+
+    const TestUniswapV3Callee = await ethers.getContractFactory('TestUniswapV3Callee');
+    const callee = await TestUniswapV3Callee.deploy();
+    const SwapTest = await ethers.getContractFactory('SwapTest');
+    const swapTest = await SwapTest.deploy();
+    for (const token of [token0, token1]) {
+      await token.approve(callee.address, ethers.constants.MaxUint256);
+      await token.approve(swapTest.address, ethers.constants.MaxUint256);
+    }
+    const fullRange = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+    await callee.mint(pool.address, deployer.address, -fullRange, fullRange, scaled(poolLiquidity));
+
+    const { tick } = await pool.slot0();
+    const { metaPool } = await deployMetaPoolContract(hre, [
+      pool.address,
+      params.ticks.map(([lowerTick]) => lowerTick),
+      params.ticks.map(([, upperTick]) => upperTick),
+      liquidityToWeights(params.ticks, params.liquidity, tick),
+      params.liquidity.map(liquidity => Math.round(100 * liquidity)),
+      params.maxTickMovement,
+    ]);
+    for (const token of [token0, token1]) {
+      await token.approve(metaPool.address, ethers.constants.MaxUint256);
+    }
+    await metaPool.initialize();
+
+    // The LP under test deposits as much of its capital as the positions take
+    const capital0 = scaled(capital[0]);
+    const capital1 = scaled(capital[1]);
+    for (const [token, amount] of [[token0, capital0], [token1, capital1]]) {
+      await token.transfer(lp.address, amount);
+      await token.connect(lp).approve(metaPool.address, amount);
+    }
+    const { events } = await (await metaPool.connect(lp).mintWithAmounts(capital0, capital1, 0)).wait();
+    const { args: deposited } = events.find(event => event.event === 'Transfer' && event.args.to === lp.address);
+    const deposit0 = capital0.sub(await token0.balanceOf(lp.address));
+    const deposit1 = capital1.sub(await token1.balanceOf(lp.address));
+
+    // Series timestamps are shifted to start at the next block
+    const { timestamp: startTime } = await ethers.provider.getBlock('latest');
+    const offset = startTime + 1 - series[0].timestamp;
+    const setTime = async timestamp => {
+      const { timestamp: latest } = await ethers.provider.getBlock('latest');
+      await ethers.provider.send('evm_setNextBlockTimestamp', [Math.max(timestamp, latest + 1)]);
+    };
+
+    const maxAmount = ethers.BigNumber.from(2).pow(128);
+    const moveTo = async sqrtPriceX96 => {
+      const { sqrtPriceX96: current } = await pool.slot0();
+      if (current.eq(sqrtPriceX96)) {
+        return ethers.constants.Zero;
+      }
+      const zeroForOne = current.gt(sqrtPriceX96);
+      const { events: swapEvents } = await (await swapTest.getSwapResult(pool.address, zeroForOne, maxAmount, sqrtPriceX96)).wait();
+      const swap = swapEvents.find(event => event.address === pool.address);
+      return pool.interface.parseLog(swap).args.amount0.abs();
+    };
+
+    const fees = [ethers.constants.Zero, ethers.constants.Zero];
+    let feesValue = new bn(0);
+    const secondsInRange = params.ticks.map(() => 0);
+    let rebalances = 0;
+    const failures = {};
+
+    let nextRebalance = startTime + rebalanceInterval;
+    for (let i = 0; i < series.length; i++) {
+      const step = series[i];
+      const time = step.timestamp + offset;
+
+      if (time >= nextRebalance) {
+        await setTime(nextRebalance);
+        rebalances++;
+        try {
+          const { sqrtPriceX96 } = await pool.slot0();
+          const { events: rebalanceEvents } = await (await metaPool.rebalance()).wait();
+          for (const event of rebalanceEvents.filter(e => e.address === pool.address)) {
+            const { name, args } = pool.interface.parseLog(event);
+            if (name === 'Collect' && args.owner === metaPool.address) {
+              fees[0] = fees[0].add(args.amount0);
+              fees[1] = fees[1].add(args.amount1);
+              feesValue = feesValue.plus(valueInToken1(args.amount0, args.amount1, sqrtPriceX96));
+            }
+          }
+        } catch (e) {
+          const reason = revertReason(e) || 'unknown';
+          failures[reason] = (failures[reason] || 0) + 1;
+        }
+        while (nextRebalance <= time) {
+          nextRebalance += rebalanceInterval;
+        }
+      }
+
+      await setTime(time);
+      const moved = await moveTo(step.sqrtPriceX96);
+      const remaining = scaled(step.volume0).sub(moved);
+      if (remaining.gt(1)) {
+        // Trade the rest of the volume in token0, then swap back to the recorded price
+        await swapTest.getSwapResult(pool.address, true, remaining.div(2), MIN_SQRT_PRICE_LIMIT);
+        await moveTo(step.sqrtPriceX96);
+      }
+
+      if (i + 1 < series.length) {
+        const { tick: currentTick } = await pool.slot0();
+        const duration = series[i + 1].timestamp - step.timestamp;
+        params.ticks.forEach(([lowerTick, upperTick], r) => {
+          if (currentTick >= lowerTick && currentTick < upperTick) {
+            secondsInRange[r] += duration;
+          }
+        });
+      }
+    }
+
+    // The LP's share of the positions, idle balances & uncollected fees, at the final price
+    const snapshot = await getSnapshot(hre, metaPool);
+    const { sqrtPriceX96 } = await pool.slot0();
+    const { token0Amount, token1Amount } = await metaPool.totalPosition();
+    let held0 = token0Amount.add(await token0.balanceOf(metaPool.address));
+    let held1 = token1Amount.add(await token1.balanceOf(metaPool.address));
+    for (const position of snapshot.positions) {
+      const [owed0, owed1] = getOwedFees(snapshot.pool, position);
+      held0 = held0.add(owed0.toString());
+      held1 = held1.add(owed1.toString());
+      feesValue = feesValue.plus(valueInToken1(owed0, owed1, sqrtPriceX96));
+      fees[0] = fees[0].add(owed0.toString());
+      fees[1] = fees[1].add(owed1.toString());
+    }
+    const share = new bn(deposited.value.toString()).div((await metaPool.totalSupply()).toString());
+    const finalValue = valueInToken1(held0, held1, sqrtPriceX96).multipliedBy(share);
+    const lpFeesValue = feesValue.multipliedBy(share);
+
+    const initialValue = valueInToken1(deposit0, deposit1, series[0].sqrtPriceX96);
+    const holdValue = valueInToken1(deposit0, deposit1, sqrtPriceX96);
+    const duration = series[series.length - 1].timestamp - series[0].timestamp;
+
+    return {
+      params,
+      duration,
+      deposited: [deposit0.toString(), deposit1.toString()],
+      fees: fees.map(amount => amount.toString()),
+      feeAPR: lpFeesValue.div(initialValue).multipliedBy(YEAR).div(duration).toNumber(),
+      impermanentLoss: finalValue.minus(lpFeesValue).minus(holdValue).div(holdValue).toNumber(),
+      returnVsHold: finalValue.minus(holdValue).div(holdValue).toNumber(),
+      timeInRange: secondsInRange.map(seconds => seconds / duration),
+      rebalances,
+      rebalanceFailures: Object.values(failures).reduce((sum, count) => sum + count, 0),
+      twapFailures: failures.Slippage || 0,
+      failureReasons: failures,
+    };
+  } finally {
+    await ethers.provider.send('evm_revert', [snapshotId]);
+  }
+}
+
+/**
+ * Backtest every parameter set of a grid over the same series
+ * @param grid Parameter grid, see expandGrid()
+ * @param options Options for runBacktest()
+ * @param onResult Optional callback with each result, as it's computed
+ * @return The results of runBacktest(), in grid order
+ */
+async function runGrid(hre, series, grid, options = {}, onResult = () => {}) {
+  const results = [];
+  for (const params of expandGrid(grid)) {
+    const result = await runBacktest(hre, series, params, options);
+    onResult(result);
+    results.push(result);
+  }
+  return results;
+}
+
+const percent = value => `${(value * 100).toFixed(2)}%`;
+
+/**
+ * Format backtest results as a table, one row per parameter set
+ */
+function formatComparison(results) {
+  const header = ['ranges', 'liquidity', 'maxTickMovement', 'fee APR', 'IL', 'vs hold', 'time in range', 'rebalances', 'failed (TWAP)'];
+  const rows = results.map(result => [
+    result.params.ticks.map(([lowerTick, upperTick]) => `[${lowerTick}:${upperTick}]`).join(' '),
+    result.params.liquidity.join(':'),
+    String(result.params.maxTickMovement),
+    percent(result.feeAPR),
+    percent(result.impermanentLoss),
+    percent(result.returnVsHold),
+    result.timeInRange.map(percent).join(' / '),
+    String(result.rebalances),
+    `${result.rebalanceFailures} (${result.twapFailures})`,
+  ]);
+
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const line = row => row.map((value, i) => value.padEnd(widths[i])).join(' | ').trimEnd();
+  return [line(header), widths.map(width => '-'.repeat(width)).join('-|-'), ...rows.map(line)].join('\n');
+}
+
+module.exports = {
+  expandGrid,
+  formatComparison,
+  loadSeries,
+  parseSeries,
+  revertReason,
+  runBacktest,
+  runGrid,
+};
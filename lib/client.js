@@ -0,0 +1,361 @@
+const JSBI = require('jsbi');
+const { revertReason } = require('./backtest');
+const { approveIfNeeded } = require('./deploy');
+const { withSlippage, withSlippageUp } = require('./prices');
+const { getQuoteFromSqrt, getSnapshot, simulateBurn, simulateMint, simulateMintWithAmounts } = require('./simulator');
+
+const ONE_LP_TOKEN = '1000000000000000000';
+
+/**
+ * A MetaPool call that reverted, with the revert reason ('' if it had none)
+ */
+class MetaPoolError extends Error {
+  constructor(message, { reason = '', method, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.method = method;
+    this.cause = cause;
+  }
+}
+
+// "INI": the positions have no liquidity, as initialize() hasn't been called
+class NotInitializedError extends MetaPoolError {}
+
+// "Slippage": the amounts were outside their bounds, or the price is too far from the TWAP
+class SlippageError extends MetaPoolError {}
+
+// "OLD": the pool has no observations covering the TWAP window yet
+class StaleOracleError extends MetaPoolError {}
+
+// Reverted without a reason while the MetaPool is paused
+class PausedError extends MetaPoolError {}
+
+const ERRORS = {
+  INI: [NotInitializedError, 'The MetaPool hasn\'t been initialized'],
+  Slippage: [SlippageError, 'The amounts moved beyond the slippage tolerance, or the price is too far from the TWAP'],
+  OLD: [StaleOracleError, 'The Uniswap pool doesn\'t have observations covering the TWAP window yet'],
+};
+
+function isRevert(error) {
+  return /revert/i.test(error.message || '') || error.code === 'CALL_EXCEPTION';
+}
+
+/**
+ * Client for integrating a MetaPool: quotes & executes deposits and withdrawals with slippage bounds,
+ * reads positions & share values, and throws a MetaPoolError subclass for each revert reason
+ */
+class MetaPoolClient {
+  /**
+   * @param hre Hardhat runtime environment
+   * @param metaPool MetaPool contract, connected to the account depositing & withdrawing
+   * @param info The MetaPool's tokens & ranges, as read by load()
+   */
+  constructor(hre, metaPool, { token0, token1, ranges }) {
+    this.hre = hre;
+    this.metaPool = metaPool;
+    this.token0 = token0;
+    this.token1 = token1;
+    this.ranges = ranges;
+  }
+
+  /**
+   * Load a deployed MetaPool, reading its tokens & ranges
+   * @param signer Account to connect the client to (defaults to the first account)
+   */
+  static async load(hre, address, signer) {
+    const { ethers } = hre;
+    const metaPool = await ethers.getContractAt('MetaPool', address, signer || (await ethers.getSigners())[0]);
+    const client = new MetaPoolClient(hre, metaPool, {
+      token0: await metaPool.token0(),
+      token1: await metaPool.token1(),
+      ranges: [],
+    });
+    await client.getRanges();
+    return client;
+  }
+
+  /**
+   * Read the ranges again, as the strategist can move them
+   * @return [{ lowerTick, upperTick, weight }], also stored as `ranges`
+   */
+  async getRanges() {
+    const count = (await this.metaPool.numRanges()).toNumber();
+    const ranges = [];
+    for (let i = 0; i < count; i++) {
+      const { lowerTick, upperTick, weight } = await this.metaPool.ranges(i);
+      ranges.push({ lowerTick, upperTick, weight });
+    }
+    this.ranges = ranges;
+    return ranges;
+  }
+
+  /**
+   * Read the tokens & liquidity of each position, and the totals
+   */
+  async getPositions() {
+    const positions = [];
+    for (let i = 0; i < this.ranges.length; i++) {
+      const { token0Amount, token1Amount, liquidity } = await this.metaPool.position(i);
+      positions.push({ ...this.ranges[i], liquidity, amount0: token0Amount, amount1: token1Amount });
+    }
+    const { token0Amount, token1Amount } = await this.metaPool.totalPosition();
+    return { positions, amount0: token0Amount, amount1: token1Amount };
+  }
+
+  /**
+   * Read what one LP token (1e18 units) is worth, in each token & in token1 at the pool's current price.
+   * The management fee owed to the treasury is counted in the supply, as burning accrues it
+   */
+  async getShareValue() {
+    const { BigNumber } = this.hre.ethers;
+    const { amount0: total0, amount1: total1 } = await this.getPositions();
+    const supply = (await this.metaPool.totalSupply()).add(await this.metaPool.pendingManagementFee());
+    if (supply.isZero()) {
+      return { amount0: BigNumber.from(0), amount1: BigNumber.from(0), value: BigNumber.from(0) };
+    }
+    const amount0 = total0.mul(ONE_LP_TOKEN).div(supply);
+    const amount1 = total1.mul(ONE_LP_TOKEN).div(supply);
+    return { amount0, amount1, value: await this.valueInToken1(amount0, amount1) };
+  }
+
+  /**
+   * Read an account's LP tokens & what burning them would return
+   * @param owner Address of the account (defaults to the client's signer)
+   */
+  async getAccount(owner) {
+    const address = owner || await this.metaPool.signer.getAddress();
+    const lpTokens = await this.metaPool.balanceOf(address);
+    const { amount0, amount1 } = lpTokens.isZero()
+      ? { amount0: lpTokens, amount1: lpTokens }
+      : await this.simulate('burn', simulateBurn, [lpTokens]);
+    return { address, lpTokens, amount0, amount1, value: await this.valueInToken1(amount0, amount1) };
+  }
+
+  /**
+   * Quote mint(): the token amounts `lpTokens` take, and the `amount0Max` & `amount1Max` bounds
+   * @param options.slippage Fraction the amounts may rise by before the transaction is mined (defaults to 0.5%)
+   */
+  async quoteDeposit(lpTokens, { slippage = 0.005 } = {}) {
+    const { amount0, amount1 } = await this.simulate('mint', simulateMint, [lpTokens]);
+    return {
+      lpTokens: this.hre.ethers.BigNumber.from(lpTokens),
+      amount0,
+      amount1,
+      amount0Max: withSlippageUp(amount0, slippage),
+      amount1Max: withSlippageUp(amount1, slippage),
+    };
+  }
+
+  /**
+   * Mint an exact number of LP tokens, approving the MetaPool to take up to the bounds if needed
+   * @param options.slippage See quoteDeposit()
+   * @return The quote, transaction receipt & the amounts deposited
+   */
+  async deposit(lpTokens, options = {}) {
+    return this.executeDeposit(await this.quoteDeposit(lpTokens, options));
+  }
+
+  /**
+   * Execute a deposit quoted by quoteDeposit(), which reverts with SlippageError if the amounts rose beyond its bounds
+   */
+  async executeDeposit(quote) {
+    await this.approve(quote.amount0Max, quote.amount1Max);
+    const receipt = await this.sendMint('mint', [quote.lpTokens, quote.amount0Max, quote.amount1Max], quote);
+    return { quote, receipt, ...this.getDeposited(receipt) };
+  }
+
+  /**
+   * Quote mintWithAmounts(): the LP tokens up to the given amounts mint, and the `minLPTokens` bound
+   * @param options.slippage Fraction the LP tokens minted may fall by before the transaction is mined (defaults to 0.5%)
+   */
+  async quoteDepositAmounts(amount0Max, amount1Max, { slippage = 0.005 } = {}) {
+    const { BigNumber } = this.hre.ethers;
+    const { newLPTokens, amount0, amount1 } =
+      await this.simulate('mintWithAmounts', simulateMintWithAmounts, [amount0Max, amount1Max]);
+    return {
+      lpTokens: newLPTokens,
+      amount0,
+      amount1,
+      amount0Max: BigNumber.from(amount0Max),
+      amount1Max: BigNumber.from(amount1Max),
+      minLPTokens: withSlippage(newLPTokens, slippage),
+    };
+  }
+
+  /**
+   * Deposit up to the given amounts, approving the MetaPool to take them if needed
+   * @param options.slippage See quoteDepositAmounts()
+   * @return The quote, transaction receipt, the LP tokens minted & the amounts deposited
+   */
+  async depositAmounts(amount0Max, amount1Max, options = {}) {
+    return this.executeDepositAmounts(await this.quoteDepositAmounts(amount0Max, amount1Max, options));
+  }
+
+  /**
+   * Execute a deposit quoted by quoteDepositAmounts(), which reverts with SlippageError if fewer LP tokens would be minted
+   */
+  async executeDepositAmounts(quote) {
+    await this.approve(quote.amount0Max, quote.amount1Max);
+    const receipt = await this.sendMint('mintWithAmounts', [quote.amount0Max, quote.amount1Max, quote.minLPTokens], quote);
+    return { quote, receipt, ...this.getDeposited(receipt) };
+  }
+
+  /**
+   * Quote burn(): the token amounts `lpTokens` return, and the `amount0Min` & `amount1Min` bounds
+   * @param options.slippage Fraction the amounts may fall by before the transaction is mined (defaults to 0.5%)
+   */
+  async quoteWithdraw(lpTokens, { slippage = 0.005 } = {}) {
+    const { amount0, amount1 } = await this.simulate('burn', simulateBurn, [lpTokens]);
+    return {
+      lpTokens: this.hre.ethers.BigNumber.from(lpTokens),
+      amount0,
+      amount1,
+      amount0Min: withSlippage(amount0, slippage),
+      amount1Min: withSlippage(amount1, slippage),
+    };
+  }
+
+  /**
+   * Burn LP tokens for their share of the positions
+   * @param options.recipient Address to receive the tokens (defaults to the client's signer)
+   * @param options.slippage See quoteWithdraw()
+   * @return The quote, transaction receipt & the amounts withdrawn
+   */
+  async withdraw(lpTokens, { recipient, ...options } = {}) {
+    return this.executeWithdraw(await this.quoteWithdraw(lpTokens, options), recipient);
+  }
+
+  /**
+   * Execute a withdrawal quoted by quoteWithdraw(), which reverts with SlippageError if the amounts fell below its bounds
+   * @param recipient Address to receive the tokens (defaults to the client's signer)
+   */
+  async executeWithdraw(quote, recipient) {
+    const to = recipient || await this.metaPool.signer.getAddress();
+    const receipt = await this.send('burn', [quote.lpTokens, quote.amount0Min, quote.amount1Min, to]);
+    const [amount0, amount1] = this.getTransferred(receipt, { to });
+    return { quote, receipt, amount0, amount1 };
+  }
+
+  ///
+  //  Helpers
+  ///
+
+  async approve(amount0, amount1) {
+    const { ethers } = this.hre;
+    const { signer, address } = this.metaPool;
+    await approveIfNeeded(ethers, this.token0, signer, address, amount0);
+    await approveIfNeeded(ethers, this.token1, signer, address, amount1);
+  }
+
+  async valueInToken1(amount0, amount1) {
+    const { sqrtPriceX96 } = await (await this.getPool()).slot0();
+    return amount1.add(getQuoteFromSqrt(JSBI.BigInt(sqrtPriceX96.toString()), JSBI.BigInt(amount0.toString()), true).toString());
+  }
+
+  async getPool() {
+    if (!this.pool) {
+      this.pool = await this.hre.ethers.getContractAt('IUniswapV3Pool', await this.metaPool.pool());
+    }
+    return this.pool;
+  }
+
+  // LP tokens minted to the signer, and the tokens it paid for them
+  getDeposited(receipt) {
+    const { ethers } = this.hre;
+    const { args } = receipt.events.find(event => event.event === 'Transfer'
+      && event.address === this.metaPool.address
+      && event.args.from === ethers.constants.AddressZero);
+    const [amount0, amount1] = this.getTransferred(receipt, { from: args.to });
+    return { lpTokens: args.value, amount0, amount1 };
+  }
+
+  // Amounts of token0 & token1 transferred from `from` or to `to` in a transaction
+  getTransferred(receipt, { from, to }) {
+    const { ethers } = this.hre;
+    const topic = ethers.utils.id('Transfer(address,address,uint256)');
+    const amounts = [ethers.constants.Zero, ethers.constants.Zero];
+    for (const log of receipt.logs) {
+      const index = [this.token0, this.token1].indexOf(log.address);
+      if (index === -1 || log.topics[0] !== topic) {
+        continue;
+      }
+      const logFrom = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12));
+      const logTo = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+      if (logFrom === from || logTo === to) {
+        amounts[index] = amounts[index].add(log.data);
+      }
+    }
+    return amounts;
+  }
+
+  // Quotes are simulated off-chain against a snapshot, throwing the error the call would revert with
+  async simulate(method, simulateFn, args) {
+    const prediction = simulateFn(await getSnapshot(this.hre, this.metaPool), ...args);
+    if (prediction.reverted) {
+      throw await this.getError(prediction.reason || '', method);
+    }
+    return prediction;
+  }
+
+  async send(method, args) {
+    try {
+      return await (await this.metaPool[method](...args)).wait();
+    } catch (e) {
+      throw await this.toError(e, method);
+    }
+  }
+
+  // Approvals only cover the quoted bounds, so a failed token transfer ("STF") means the amounts rose beyond them,
+  // unless the signer doesn't hold that much
+  async sendMint(method, args, { amount0Max, amount1Max }) {
+    try {
+      return await this.send(method, args);
+    } catch (e) {
+      if (e.reason !== 'STF') {
+        throw e;
+      }
+      const { ethers } = this.hre;
+      const { signer } = this.metaPool;
+      const owner = await signer.getAddress();
+      for (const [token, amount] of [[this.token0, amount0Max], [this.token1, amount1Max]]) {
+        if ((await (await ethers.getContractAt('IERC20Minimal', token, signer)).balanceOf(owner)).lt(amount)) {
+          throw new MetaPoolError(`${method}(): Insufficient balance of ${token}`, { reason: e.reason, method, cause: e.cause });
+        }
+      }
+      throw new SlippageError(`${method}(): ${ERRORS.Slippage[1]}`, { reason: e.reason, method, cause: e.cause });
+    }
+  }
+
+  /**
+   * Convert an error from a MetaPool call into a MetaPoolError subclass for its revert reason.
+   * Errors that aren't reverts are returned as they are
+   */
+  async toError(error, method) {
+    if (!isRevert(error)) {
+      return error;
+    }
+    return this.getError(revertReason(error), method, error);
+  }
+
+  // MetaPoolError subclass for a revert reason
+  async getError(reason, method, cause) {
+    if (ERRORS[reason]) {
+      const [ErrorClass, message] = ERRORS[reason];
+      return new ErrorClass(`${method}(): ${message}`, { reason, method, cause });
+    }
+    if (!reason && await this.metaPool.paused()) {
+      return new PausedError(`${method}(): The MetaPool is paused`, { reason, method, cause });
+    }
+    return new MetaPoolError(`${method}() reverted${reason ? ` with "${reason}"` : ''}`, { reason, method, cause });
+  }
+}
+
+module.exports = {
+  MetaPoolClient,
+  MetaPoolError,
+  NotInitializedError,
+  PausedError,
+  SlippageError,
+  StaleOracleError,
+};
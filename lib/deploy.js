@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const JSBI = require('jsbi');
+const { SqrtPriceMath, TickMath } = require('@uniswap/v3-sdk/dist/');
+const { createMetaPool } = require('./factory');
+const { ROLES, applyChange, getRoles, getTimelock, transferRole } = require('./governance');
+const { liquidityToWeights, priceRangeToTicks } = require('./prices');
+
+const DEFAULT_DEPLOYMENT_NAME = 'MetaPool';
+const DEFAULT_FACTORY_NAME = 'MetaPoolFactory';
+
+function loadConfig(file) {
+  const resolved = path.resolve(file);
+  if (path.extname(resolved) === '.json') {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  }
+  return require(resolved);
+}
+
+function getManifestPath(hre, manifest) {
+  return manifest
+    ? path.resolve(manifest)
+    : path.join(hre.config.paths.root, 'deployments', `${hre.network.name}.json`);
+}
+
+function readManifest(hre, manifest) {
+  const file = getManifestPath(hre, manifest);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeManifest(hre, manifest, name, deployment) {
+  const file = getManifestPath(hre, manifest);
+  const deployments = readManifest(hre, file);
+  deployments[name] = deployment;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployments, null, 2) + '\n');
+  return file;
+}
+
+/**
+ * Look up a deployment written by the deploy-metapool task
+ * @returns The manifest entry, or undefined if there is no such deployment on this network
+ */
+function getDeployment(hre, name = DEFAULT_DEPLOYMENT_NAME, manifest) {
+  return readManifest(hre, manifest)[name];
+}
+
+/**
+ * Load a MetaPool contract by address, or by its name in the deployment manifest
+ */
+async function getMetaPool(hre, { address, name = DEFAULT_DEPLOYMENT_NAME, manifest } = {}) {
+  if (!address) {
+    const deployment = getDeployment(hre, name, manifest);
+    if (!deployment) {
+      throw new Error(`No MetaPool address given, and no "${name}" deployment in ${getManifestPath(hre, manifest)}`);
+    }
+    address = deployment.address;
+  }
+  return hre.ethers.getContractAt('MetaPool', address);
+}
+
+/**
+ * Load a MetaPoolFactory contract by address, or by its name in the deployment manifest
+ */
+async function getMetaPoolFactory(hre, { address, name = DEFAULT_FACTORY_NAME, manifest } = {}) {
+  if (!address) {
+    const deployment = getDeployment(hre, name, manifest);
+    if (!deployment) {
+      throw new Error(`No MetaPoolFactory address given, and no "${name}" deployment in ${getManifestPath(hre, manifest)}`);
+    }
+    address = deployment.address;
+  }
+  return hre.ethers.getContractAt('MetaPoolFactory', address);
+}
+
+async function getDecimals(ethers, token) {
+  const erc20 = await ethers.getContractAt(['function decimals() view returns (uint8)'], token);
+  return erc20.decimals();
+}
+
+async function resolvePool(ethers, config) {
+  if (config.pool) {
+    return ethers.getContractAt('IUniswapV3Pool', config.pool);
+  }
+  if (!config.factory || !config.tokenA || !config.tokenB || !config.fee) {
+    throw new Error('Config must specify either `pool`, or `factory`, `tokenA`, `tokenB` & `fee`');
+  }
+
+  const factory = await ethers.getContractAt('IUniswapV3Factory', config.factory);
+  const poolAddress = await factory.getPool(config.tokenA, config.tokenB, config.fee);
+  if (poolAddress === ethers.constants.AddressZero) {
+    throw new Error(`No Uniswap pool for ${config.tokenA}/${config.tokenB} with fee ${config.fee}`);
+  }
+  return ethers.getContractAt('IUniswapV3Pool', poolAddress);
+}
+
+// Amount of each token the pool will pull when minting `liquidity` (rounded up, like Uniswap)
+function getMintAmounts(sqrtPriceX96, tickLower, tickUpper, liquidity) {
+  const sqrtPrice = JSBI.BigInt(sqrtPriceX96.toString());
+  const sqrtLower = TickMath.getSqrtRatioAtTick(tickLower);
+  const sqrtUpper = TickMath.getSqrtRatioAtTick(tickUpper);
+  const _liquidity = JSBI.BigInt(liquidity.toString());
+
+  let amount0 = JSBI.BigInt(0);
+  let amount1 = JSBI.BigInt(0);
+  if (JSBI.lessThanOrEqual(sqrtPrice, sqrtLower)) {
+    amount0 = SqrtPriceMath.getAmount0Delta(sqrtLower, sqrtUpper, _liquidity, true);
+  } else if (JSBI.lessThan(sqrtPrice, sqrtUpper)) {
+    amount0 = SqrtPriceMath.getAmount0Delta(sqrtPrice, sqrtUpper, _liquidity, true);
+    amount1 = SqrtPriceMath.getAmount1Delta(sqrtLower, sqrtPrice, _liquidity, true);
+  } else {
+    amount1 = SqrtPriceMath.getAmount1Delta(sqrtLower, sqrtUpper, _liquidity, true);
+  }
+  return [amount0.toString(), amount1.toString()];
+}
+
+async function approveIfNeeded(ethers, token, owner, spender, amount) {
+  const erc20 = await ethers.getContractAt('IERC20Minimal', token);
+  const allowance = await erc20.allowance(await owner.getAddress(), spender);
+  if (allowance.lt(amount)) {
+    await (await erc20.connect(owner).approve(spender, amount)).wait();
+  }
+}
+
+// The original tight/wide config: 80% of deposits to the tight range, which starts with liquidityRatio times the liquidity
+function legacyRanges(config) {
+  if (!(Number(config.liquidityRatio) > 0)) {
+    throw new Error('Config must specify a positive `liquidityRatio`');
+  }
+  return [
+    { range: config.tightRange, weight: 8000, liquidity: Number(config.liquidityRatio) },
+    { range: config.wideRange, weight: 2000, liquidity: 1 },
+  ];
+}
+
+/**
+ * Deploy a MetaPool without a factory, after its timelock, and bind the timelock to it
+ * @param constructorArgs [pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement]
+ * @param signer Account to deploy from (defaults to the first account)
+ * @return The MetaPool contract & its deployment receipt
+ */
+async function deployMetaPoolContract(hre, constructorArgs, signer) {
+  const { ethers } = hre;
+  signer = signer || (await ethers.getSigners())[0];
+
+  const MetaPoolTimelock = await ethers.getContractFactory('MetaPoolTimelock', signer);
+  const timelock = await MetaPoolTimelock.deploy();
+  await timelock.deployTransaction.wait();
+
+  const MetaPool = await ethers.getContractFactory('MetaPool', signer);
+  const metaPool = await MetaPool.deploy(...constructorArgs, timelock.address);
+  const receipt = await metaPool.deployTransaction.wait();
+
+  // Only the timelock's deployer can bind it, so nobody can bind it to another contract first
+  await (await timelock.setMetaPool(metaPool.address)).wait();
+  return { metaPool, receipt };
+}
+
+/**
+ * Deploy a MetaPool, approve the dust it pulls in initialize() and initialize it
+ * @param hre Hardhat runtime environment
+ * @param config Deployment config (see config/wsteth-eth.example.json)
+ * @returns The deployed MetaPool contract & the manifest entry that was written
+ */
+async function deployMetaPool(hre, config, { name = DEFAULT_DEPLOYMENT_NAME, manifest, initialize = true } = {}) {
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+
+  if (!(Number(config.maxTickMovement) > 0)) {
+    throw new Error('Config must specify a positive `maxTickMovement`');
+  }
+  const rangeConfigs = config.ranges || legacyRanges(config);
+  if (rangeConfigs.some(range => !(Number(range.liquidity) > 0))) {
+    throw new Error('Each range must specify a positive `liquidity`');
+  }
+
+  const pool = await resolvePool(ethers, config);
+  const token0 = await pool.token0();
+  const token1 = await pool.token1();
+  const { sqrtPriceX96, tick } = await pool.slot0();
+
+  const priceOptions = {
+    tickSpacing: await pool.tickSpacing(),
+    decimals0: await getDecimals(ethers, token0),
+    decimals1: await getDecimals(ethers, token1),
+    invert: !!config.invertPrices,
+  };
+  const ticks = rangeConfigs.map(range => priceRangeToTicks(range.range, priceOptions));
+  // Weights default to the split that keeps deposits in line with the target liquidity at the current price
+  const weights = rangeConfigs.every(range => range.weight !== undefined)
+    ? rangeConfigs.map(range => Number(range.weight))
+    : liquidityToWeights(ticks, rangeConfigs.map(range => Number(range.liquidity)), tick);
+  // initialize() mints initialLiquidity to each position, so it's scaled up from the target to keep its proportions
+  const initialLiquidity = rangeConfigs.map(range => Math.round(100 * Number(range.liquidity)));
+
+  const constructorArgs = [
+    pool.address,
+    ticks.map(([lowerTick]) => lowerTick),
+    ticks.map(([, upperTick]) => upperTick),
+    weights,
+    initialLiquidity,
+    Number(config.maxTickMovement),
+  ];
+
+  let metaPool;
+  let receipt;
+  if (config.metaPoolFactory) {
+    // The factory offers the deployer every role, which createMetaPool() accepts
+    const factory = await ethers.getContractAt('MetaPoolFactory', config.metaPoolFactory, deployer);
+    ({ metaPool, receipt } = await createMetaPool(hre, factory, constructorArgs));
+  } else {
+    ({ metaPool, receipt } = await deployMetaPoolContract(hre, constructorArgs, deployer));
+  }
+
+  // The constructor sets a 5 minute TWAP window & asks the pool for 30 observations.
+  // The deployer holds every role and the timelock starts without a delay, so changes apply straight away
+  if (config.twapWindow !== undefined || config.observationCardinality !== undefined) {
+    const twapWindow = config.twapWindow === undefined ? await metaPool.twapWindow() : Number(config.twapWindow);
+    await applyChange(hre, metaPool, 'setTwap', [twapWindow, Number(config.observationCardinality || 0)]);
+  }
+  if (config.guardMints) {
+    await applyChange(hre, metaPool, 'setGuardMints', [true]);
+  }
+
+  if (initialize) {
+    let total0 = ethers.constants.Zero;
+    let total1 = ethers.constants.Zero;
+    ticks.forEach(([lowerTick, upperTick], i) => {
+      const [amount0, amount1] = getMintAmounts(sqrtPriceX96, lowerTick, upperTick, initialLiquidity[i]);
+      total0 = total0.add(amount0);
+      total1 = total1.add(amount1);
+    });
+
+    await approveIfNeeded(ethers, token0, deployer, metaPool.address, total0);
+    await approveIfNeeded(ethers, token1, deployer, metaPool.address, total1);
+
+    await (await metaPool.initialize()).wait();
+  }
+
+  // Set the delay last, so it doesn't hold up the changes above
+  if (config.timelockDelay) {
+    await applyChange(hre, metaPool, 'setDelay', [Number(config.timelockDelay)]);
+  }
+  // Roles are offered to their new holders, who have to accept them with acceptRole()
+  for (const role of ROLES) {
+    if (config.roles && config.roles[role] && config.roles[role] !== await deployer.getAddress()) {
+      await transferRole(metaPool, role, config.roles[role]);
+    }
+  }
+
+  const deployment = {
+    address: metaPool.address,
+    pool: pool.address,
+    token0,
+    token1,
+    constructorArgs,
+    metaPoolFactory: config.metaPoolFactory || null,
+    ranges: ticks.map(([lowerTick, upperTick], i) => ({
+      lowerTick,
+      upperTick,
+      weight: weights[i],
+      initialLiquidity: initialLiquidity[i],
+    })),
+    maxTickMovement: constructorArgs[5],
+    twapWindow: await metaPool.twapWindow(),
+    guardMints: await metaPool.guardMints(),
+    timelock: await metaPool.timelock(),
+    timelockDelay: await (await getTimelock(hre, metaPool)).delay(),
+    roles: await getRoles(metaPool),
+    initialized: initialize,
+    deployer: await deployer.getAddress(),
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+  };
+  const manifestPath = writeManifest(hre, manifest, name, deployment);
+
+  return { metaPool, deployment, manifestPath };
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENT_NAME,
+  DEFAULT_FACTORY_NAME,
+  approveIfNeeded,
+  deployMetaPool,
+  deployMetaPoolContract,
+  getDecimals,
+  getDeployment,
+  getManifestPath,
+  getMetaPool,
+  getMetaPoolFactory,
+  loadConfig,
+  readManifest,
+  writeManifest,
+};
@@ -0,0 +1,228 @@
+/*
+ * Decoded events are plain objects:
+ *   { event, contract, address, blockNumber, transactionHash, logIndex, args }
+ * where `contract` is "MetaPool", "MetaPoolTimelock" or "UniswapV3Pool", and `args` holds the event's named
+ * arguments as returned by ethers (BigNumbers for amounts, numbers for ticks).
+ * getHistory() also sets `timestamp`, in seconds.
+ */
+
+const { ROLES } = require('./governance');
+
+const BASE_COLUMNS = ['blockNumber', 'timestamp', 'transactionHash', 'logIndex', 'contract', 'address', 'event'];
+
+// Pool events emitted on behalf of the MetaPool, which is always the first indexed argument
+const OWN_POOL_EVENTS = ['Mint', 'Burn', 'Collect', 'Swap'];
+
+/**
+ * Build a decoder for the events of a MetaPool, its timelock & its Uniswap pool
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract
+ */
+async function getDecoder(hre, metaPool) {
+  const pool = await hre.ethers.getContractAt('IUniswapV3Pool', await metaPool.pool());
+  const timelock = await hre.ethers.getContractAt('MetaPoolTimelock', await metaPool.timelock());
+  return {
+    metaPool,
+    pool,
+    timelock,
+    contracts: {
+      [metaPool.address.toLowerCase()]: { name: 'MetaPool', interface: metaPool.interface },
+      [timelock.address.toLowerCase()]: { name: 'MetaPoolTimelock', interface: timelock.interface },
+      [pool.address.toLowerCase()]: { name: 'UniswapV3Pool', interface: pool.interface },
+    },
+  };
+}
+
+/**
+ * Decode a log emitted by the MetaPool, its timelock or its Uniswap pool
+ * @return The decoded event, or null if the log is from another contract
+ */
+function decodeLog(decoder, log) {
+  const contract = decoder.contracts[log.address.toLowerCase()];
+  if (!contract) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = contract.interface.parseLog(log);
+  } catch (e) {
+    return null;
+  }
+
+  const args = {};
+  parsed.eventFragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+
+  return {
+    event: parsed.name,
+    contract: contract.name,
+    address: log.address,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    args,
+  };
+}
+
+/**
+ * Decode the MetaPool, timelock & Uniswap pool events of a transaction
+ * @param tx Transaction hash, response or receipt, or a promise of one
+ */
+async function decodeTransaction(hre, metaPool, tx) {
+  const decoder = await getDecoder(hre, metaPool);
+  tx = await tx;
+  let receipt;
+  if (typeof tx === 'string') {
+    receipt = await hre.ethers.provider.getTransactionReceipt(tx);
+  } else {
+    receipt = tx.logs ? tx : await tx.wait();
+  }
+  return receipt.logs.map(log => decodeLog(decoder, log)).filter(Boolean);
+}
+
+/**
+ * Fetch & decode all events of a MetaPool & its timelock over a block range, in the order they were emitted
+ * @param options.fromBlock First block to search (defaults to 0)
+ * @param options.toBlock Last block to search (defaults to the latest)
+ * @param options.blockRange Number of blocks to request logs for at a time
+ * @param options.allPoolEvents Include Uniswap pool events that don't involve the MetaPool
+ */
+async function getHistory(hre, metaPool, {
+  fromBlock = 0,
+  toBlock = 'latest',
+  blockRange = 10000,
+  allPoolEvents = false,
+} = {}) {
+  const { ethers } = hre;
+  const decoder = await getDecoder(hre, metaPool);
+  const { pool, timelock } = decoder;
+
+  const poolFilter = { address: pool.address };
+  if (!allPoolEvents) {
+    poolFilter.topics = [
+      OWN_POOL_EVENTS.map(name => pool.interface.getEventTopic(name)),
+      ethers.utils.hexZeroPad(metaPool.address, 32),
+    ];
+  }
+
+  const lastBlock = toBlock === 'latest' ? await ethers.provider.getBlockNumber() : toBlock;
+  const logs = [];
+  for (let start = fromBlock; start <= lastBlock; start += blockRange) {
+    const range = { fromBlock: start, toBlock: Math.min(start + blockRange - 1, lastBlock) };
+    logs.push(...await ethers.provider.getLogs({ address: metaPool.address, ...range }));
+    logs.push(...await ethers.provider.getLogs({ address: timelock.address, ...range }));
+    logs.push(...await ethers.provider.getLogs({ ...poolFilter, ...range }));
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const timestamps = {};
+  const events = [];
+  for (const log of logs) {
+    const event = decodeLog(decoder, log);
+    if (!event) {
+      continue;
+    }
+    if (timestamps[log.blockNumber] === undefined) {
+      timestamps[log.blockNumber] = (await ethers.provider.getBlock(log.blockNumber)).timestamp;
+    }
+    events.push({ ...event, timestamp: timestamps[log.blockNumber] });
+  }
+  return events;
+}
+
+/**
+ * Describe a decoded event in a single line
+ */
+function formatEvent({ event, args }) {
+  switch (event) {
+    case 'Collect':
+      return `Collect [${args.tickLower}:${args.tickUpper}] Collected ${args.amount0} token0 & ${args.amount1} token1`;
+    case 'Mint':
+      return `Mint [${args.tickLower}:${args.tickUpper}] Added ${args.amount0} token0 & ${args.amount1} token1 for ${args.amount} Liquidity`;
+    case 'Burn':
+      return `Burn [${args.tickLower}:${args.tickUpper}] Removed ${args.amount0} token0 & ${args.amount1} token1 for ${args.amount} Liquidity`;
+    case 'Swap':
+      return args.amount0.lt(0)
+        ? `Swap ${args.amount1} token1 for ${args.amount0.mul(-1)} token0`
+        : `Swap ${args.amount0} token0 for ${args.amount1.mul(-1)} token1`;
+    case 'Rebalanced':
+      return `Rebalanced: added ${args.newLiquidity.join(' / ')} liquidity`
+        + ` -- ${args.amount0Remainder} token0 & ${args.amount1Remainder} token1 remaining`;
+    case 'RangesMoved': {
+      const ranges = (lowerTicks, upperTicks) => lowerTicks.map((tick, i) => `[${tick}:${upperTicks[i]}]`).join(' ');
+      return `RangesMoved ${ranges(args.oldLowerTicks, args.oldUpperTicks)} to ${ranges(args.newLowerTicks, args.newUpperTicks)}`;
+    }
+    case 'Transfer':
+      return `Transfer ${args.value} LP from ${args.from} to ${args.to}`;
+    case 'RoleTransferStarted':
+      return `RoleTransferStarted ${ROLES[args.role]} offered by ${args.holder} to ${args.pendingHolder}`;
+    case 'RoleTransferred':
+      return `RoleTransferred ${ROLES[args.role]} from ${args.previousHolder} to ${args.newHolder}`;
+    default: {
+      const values = Object.entries(args).map(([name, value]) => `${name}=${value}`);
+      return [event, ...values].join(' ');
+    }
+  }
+}
+
+function toRecord(event) {
+  const record = {};
+  for (const column of BASE_COLUMNS) {
+    if (event[column] !== undefined) {
+      record[column] = event[column];
+    }
+  }
+  for (const [name, value] of Object.entries(event.args)) {
+    record[name] = Array.isArray(value) ? value.map(item => item.toString()) : value.toString();
+  }
+  return record;
+}
+
+function getColumns(events) {
+  const columns = [...BASE_COLUMNS];
+  for (const event of events) {
+    for (const name of Object.keys(event.args)) {
+      if (!columns.includes(name)) {
+        columns.push(name);
+      }
+    }
+  }
+  return columns;
+}
+
+function escapeCSV(value) {
+  if (value === undefined) {
+    return '';
+  }
+  const string = String(value);
+  return /[",\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+}
+
+/**
+ * Serialize decoded events as CSV ("csv") or JSON Lines ("jsonl"), with amounts as decimal strings
+ */
+function formatHistory(events, format = 'csv') {
+  const records = events.map(toRecord);
+  switch (format) {
+    case 'jsonl':
+      return records.map(record => JSON.stringify(record) + '\n').join('');
+    case 'csv': {
+      const columns = getColumns(events);
+      const rows = records.map(record => columns.map(column => escapeCSV(record[column])).join(','));
+      return [columns.join(','), ...rows].join('\n') + '\n';
+    }
+    default:
+      throw new Error(`Unknown history format "${format}", expected "csv" or "jsonl"`);
+  }
+}
+
+module.exports = {
+  decodeLog,
+  decodeTransaction,
+  formatEvent,
+  formatHistory,
+  getDecoder,
+  getHistory,
+};
@@ -0,0 +1,108 @@
+const { ROLES, acceptRole } = require('./governance');
+
+// MetaPool's constructor arguments, which salt its CREATE2 address. They're followed by its timelock's address
+const CONSTRUCTOR_TYPES = ['address', 'int24[]', 'int24[]', 'uint16[]', 'uint128[]', 'uint24'];
+
+/**
+ * Deploy a MetaPoolFactory, which stores the MetaPool creation code it was compiled with
+ * @param hre Hardhat runtime environment
+ * @param uniswapFactory Address of the Uniswap V3 factory whose pools MetaPools can be created for
+ * @return The factory contract & its deployment receipt
+ */
+async function deployMetaPoolFactory(hre, uniswapFactory) {
+  const MetaPoolFactory = await hre.ethers.getContractFactory('MetaPoolFactory');
+  const factory = await MetaPoolFactory.deploy(uniswapFactory);
+  const receipt = await factory.deployTransaction.wait();
+  return { factory, receipt };
+}
+
+/**
+ * Return the CREATE2 salt of a MetaPool: the hash of its ABI encoded constructor arguments
+ * @param constructorArgs [pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement]
+ */
+function getMetaPoolSalt(hre, constructorArgs) {
+  const { utils } = hre.ethers;
+  return utils.keccak256(utils.defaultAbiCoder.encode(CONSTRUCTOR_TYPES, constructorArgs));
+}
+
+/**
+ * Compute the address a factory will deploy a MetaPool to, without calling the factory.
+ * The factory deploys the MetaPool's timelock first, with the same salt
+ * @param factoryAddress Address of the MetaPoolFactory
+ * @param constructorArgs [pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement]
+ * @param options.bytecode MetaPool creation code the factory was deployed with (defaults to the compiled artifact)
+ */
+async function predictMetaPoolAddress(hre, factoryAddress, constructorArgs, { bytecode } = {}) {
+  const { utils } = hre.ethers;
+  const creationCode = bytecode || (await hre.artifacts.readArtifact('MetaPool')).bytecode;
+  const salt = getMetaPoolSalt(hre, constructorArgs);
+
+  const { bytecode: timelockCode } = await hre.artifacts.readArtifact('MetaPoolTimelock');
+  const timelock = utils.getCreate2Address(factoryAddress, salt, utils.keccak256(timelockCode));
+
+  const args = utils.defaultAbiCoder.encode([...CONSTRUCTOR_TYPES, 'address'], [...constructorArgs, timelock]);
+  return utils.getCreate2Address(factoryAddress, salt, utils.keccak256(utils.hexConcat([creationCode, args])));
+}
+
+/**
+ * Create a MetaPool through a factory, and accept the roles the factory offers the caller
+ * @param factory MetaPoolFactory contract, connected to the creator
+ * @param constructorArgs [pool, lowerTicks, upperTicks, weights, initialLiquidity, maxTickMovement]
+ * @return The MetaPool contract, connected to the creator, & the creation receipt
+ */
+async function createMetaPool(hre, factory, constructorArgs) {
+  const { bytecode } = await hre.artifacts.readArtifact('MetaPool');
+  if (await factory.metaPoolCodeHash() !== hre.ethers.utils.keccak256(bytecode)) {
+    throw new Error(`MetaPoolFactory ${factory.address} deploys different MetaPool bytecode than the compiled artifact`);
+  }
+
+  const receipt = await (await factory.createMetaPool(...constructorArgs)).wait();
+  const { args } = receipt.events.find(event => event.event === 'MetaPoolCreated');
+  const metaPool = await hre.ethers.getContractAt('MetaPool', args.metaPool, factory.signer);
+
+  for (const role of ROLES) {
+    await acceptRole(metaPool, role);
+  }
+  return { metaPool, receipt };
+}
+
+/**
+ * List every MetaPool a factory has created, with the arguments it was created with
+ */
+async function getRegisteredMetaPools(factory) {
+  const metaPools = [];
+  const count = (await factory.allMetaPoolsLength()).toNumber();
+  for (let i = 0; i < count; i++) {
+    const address = await factory.allMetaPools(i);
+    const parameters = await factory.getParameters(address);
+    metaPools.push({
+      address,
+      pool: parameters.pool,
+      creator: parameters.creator,
+      ranges: parameters.lowerTicks.map((lowerTick, j) => ({
+        lowerTick,
+        upperTick: parameters.upperTicks[j],
+        weight: parameters.weights[j],
+        initialLiquidity: parameters.initialLiquidity[j].toString(),
+      })),
+      maxTickMovement: parameters.maxTickMovement,
+    });
+  }
+  return metaPools;
+}
+
+function formatRegistration(metaPool) {
+  const ranges = metaPool.ranges
+    .map(range => `[${range.lowerTick}:${range.upperTick}] ${range.weight / 100}%`)
+    .join(', ');
+  return `${metaPool.address} pool ${metaPool.pool} ranges ${ranges} maxTickMovement ${metaPool.maxTickMovement}`;
+}
+
+module.exports = {
+  createMetaPool,
+  deployMetaPoolFactory,
+  formatRegistration,
+  getMetaPoolSalt,
+  getRegisteredMetaPools,
+  predictMetaPoolAddress,
+};
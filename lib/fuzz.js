@@ -0,0 +1,141 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32), so a sequence can be replayed from its seed
+ * @param seed 32-bit integer seed
+ * @return Helpers drawing from the generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bool: () => next() < 0.5,
+    pick: items => items[Math.floor(next() * items.length)],
+    // Pick a key of { key: weight }, with probability proportional to its weight
+    weighted: weights => {
+      const entries = Object.entries(weights);
+      let r = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        r -= weight;
+        if (r < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+  };
+}
+
+/**
+ * Shrink a failing sequence of actions to a smaller one that still fails
+ *
+ * Removes runs of actions, halving the run length down to single actions, then halves each action's
+ * numeric fields (other than `keep`) while the sequence keeps failing.
+ *
+ * @param actions Failing sequence of actions
+ * @param run Async function replaying a sequence, resolving to a failure or null if it passes
+ * @param options.failure The failure `actions` produced
+ * @param options.maxRuns Maximum number of replays to try (defaults to 200)
+ * @param options.keep Numeric fields that aren't shrunk, like indexes (defaults to ['user'])
+ * @return The smallest failing { actions, failure } found & the number of replays it took
+ */
+async function shrink(actions, run, { failure, maxRuns = 200, keep = ['user'] } = {}) {
+  let current = actions;
+  let currentFailure = failure || await run(actions);
+  let runs = 0;
+
+  const attempt = async candidate => {
+    if (runs >= maxRuns) {
+      return false;
+    }
+    runs++;
+    const result = await run(candidate);
+    if (result) {
+      current = candidate;
+      currentFailure = result;
+      return true;
+    }
+    return false;
+  };
+
+  for (let size = Math.floor(current.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    let start = 0;
+    while (start < current.length) {
+      const removed = await attempt([...current.slice(0, start), ...current.slice(start + size)]);
+      if (!removed) {
+        start += size;
+      }
+    }
+  }
+
+  for (let i = 0; i < current.length; i++) {
+    for (const key of Object.keys(current[i])) {
+      while (typeof current[i][key] === 'number' && !keep.includes(key) && Math.abs(current[i][key]) > 1) {
+        const candidate = [...current];
+        candidate[i] = { ...current[i], [key]: Math.trunc(current[i][key] / 2) };
+        if (!await attempt(candidate)) {
+          break;
+        }
+      }
+    }
+  }
+
+  return { actions: current, failure: currentFailure, runs };
+}
+
+/**
+ * Run randomized sequences of actions until one fails, and shrink it
+ * @param options.seed Seed of the first sequence; each later run uses the next integer
+ * @param options.runs Number of sequences to try
+ * @param options.length Number of actions in each sequence
+ * @param options.generate Function (random, length) returning a sequence of actions
+ * @param options.run Async function replaying a sequence, resolving to a failure or null if it passes
+ * @param options.shrinkOptions Options for shrink()
+ * @return null if every sequence passed, otherwise the failing seed, its actions & failure, and the shrunk sequence
+ */
+async function fuzz({ seed, runs, length, generate, run, shrinkOptions = {} }) {
+  for (let i = 0; i < runs; i++) {
+    const runSeed = seed + i;
+    const actions = generate(createRandom(runSeed), length);
+    const failure = await run(actions);
+    if (failure) {
+      return {
+        seed: runSeed,
+        actions,
+        failure,
+        shrunk: await shrink(actions, run, { ...shrinkOptions, failure }),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a failure from fuzz(), with the environment variables that replay it
+ * @param result Result of fuzz()
+ * @param command Command the variables are prefixed to
+ */
+function formatFailure(result, command) {
+  const { seed, actions, failure, shrunk } = result;
+  return [
+    `Sequence with seed ${seed} failed after ${actions.length} actions: ${failure.message}`,
+    `Replay: FUZZ_SEED=${seed} FUZZ_RUNS=1 FUZZ_LENGTH=${actions.length} ${command}`,
+    `Shrunk to ${shrunk.actions.length} actions in ${shrunk.runs} replays: ${shrunk.failure.message}`,
+    `Replay: FUZZ_ACTIONS='${JSON.stringify(shrunk.actions)}' ${command}`,
+  ].join('\n');
+}
+
+module.exports = {
+  createRandom,
+  formatFailure,
+  fuzz,
+  shrink,
+};
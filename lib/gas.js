@@ -0,0 +1,200 @@
+const fs = require('fs');
+const { deployMetaPool } = require('./deploy');
+const { encodePriceSqrt } = require('./prices');
+const { increaseTime, tempPath } = require('./scenarios');
+const { getSnapshot, simulateMint } = require('./simulator');
+
+const FEE_AMOUNT = 500;
+const FULL_RANGE_LIQ = '1000000000000000000';
+
+// Whether the Uniswap pool emitted a Swap during a transaction
+function swapped(pool, receipt) {
+  const topic = pool.interface.getEventTopic('Swap');
+  return receipt.logs.some(log => log.address === pool.address && log.topics[0] === topic);
+}
+
+/**
+ * Run every MetaPool operation under representative states on the Hardhat network, recording the gas each uses.
+ * The chain is reverted afterwards
+ * @param hre Hardhat runtime environment
+ * @return { [benchmark]: gasUsed }, in the order they ran
+ */
+async function runGasBenchmarks(hre) {
+  if (hre.network.name !== 'hardhat') {
+    throw new Error(`Gas benchmarks deploy their own contracts, so run on the hardhat network, not ${hre.network.name}`);
+  }
+  const { ethers } = hre;
+  const snapshot = await ethers.provider.send('evm_snapshot', []);
+  try {
+    return await benchmark(hre);
+  } finally {
+    await ethers.provider.send('evm_revert', [snapshot]);
+  }
+}
+
+async function benchmark(hre) {
+  const { ethers } = hre;
+  const [deployer, user, trader] = await ethers.getSigners();
+  const results = {};
+  async function measure(name, txPromise) {
+    const receipt = await (await txPromise).wait();
+    results[name] = receipt.gasUsed.toNumber();
+    return receipt;
+  }
+
+  const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+  const uniswapFactory = await UniswapV3Factory.deploy();
+  const MockERC20 = await ethers.getContractFactory('MockERC20');
+  let token0 = await MockERC20.deploy();
+  let token1 = await MockERC20.deploy();
+  if (ethers.BigNumber.from(token0.address).gt(ethers.BigNumber.from(token1.address))) {
+    [token0, token1] = [token1, token0];
+  }
+  await uniswapFactory.createPool(token0.address, token1.address, FEE_AMOUNT);
+  const pool = await ethers.getContractAt(
+    'IUniswapV3Pool',
+    await uniswapFactory.getPool(token0.address, token1.address, FEE_AMOUNT),
+  );
+  await pool.initialize(encodePriceSqrt('1', '1'));
+
+  // The ranges of config/wsteth-eth.example.json, around a price of 1
+  const manifest = tempPath('manifest.json');
+  const { metaPool } = await deployMetaPool(hre, {
+    pool: pool.address,
+    invertPrices: true,
+    tightRange: [0.95, 1.01],
+    wideRange: [0.90, 1.03],
+    maxTickMovement: 100,
+    liquidityRatio: 8,
+  }, { manifest, initialize: false });
+
+  const TestUniswapV3Callee = await ethers.getContractFactory('TestUniswapV3Callee');
+  const callee = await TestUniswapV3Callee.deploy();
+  const SwapTest = await ethers.getContractFactory('SwapTest');
+  const swapTest = await SwapTest.deploy();
+  const amount = ethers.utils.parseEther('1000');
+  for (const token of [token0, token1]) {
+    await token.approve(metaPool.address, ethers.constants.MaxUint256);
+    await token.approve(callee.address, ethers.constants.MaxUint256);
+    for (const account of [user, trader]) {
+      await token.transfer(account.address, amount);
+    }
+    await token.connect(user).approve(metaPool.address, ethers.constants.MaxUint256);
+    await token.connect(trader).approve(swapTest.address, ethers.constants.MaxUint256);
+  }
+  // Other liquidity, so trades don't move the price far
+  await callee.mint(pool.address, deployer.address, -887270, 887270, FULL_RANGE_LIQ);
+
+  await measure('initialize', metaPool.initialize());
+
+  const lpTokens = ethers.utils.parseEther('10');
+  const userPool = metaPool.connect(user);
+  await measure('mint (first deposit)', userPool.mint(lpTokens, amount, amount));
+  await measure('mint', userPool.mint(lpTokens, amount, amount));
+  const { amount0, amount1 } = simulateMint(await getSnapshot(hre, metaPool), lpTokens);
+  await measure('mintWithAmounts', userPool.mintWithAmounts(amount0, amount1, 0));
+  await increaseTime(ethers, 6 * 60);
+
+  // Trading in one direction leaves the fees in a single token, which is partly swapped before being re-deposited
+  const tradeAmount = ethers.utils.parseEther('1');
+  await swapTest.connect(trader).washTrade(pool.address, tradeAmount, 10, 2);
+  for (let i = 0; i < 5; i++) {
+    await swapTest.connect(trader).swap(pool.address, true, tradeAmount);
+    await swapTest.connect(trader).swap(pool.address, false, tradeAmount.mul(-1));
+  }
+  await increaseTime(ethers, 6 * 60);
+  const swapReceipt = await measure('rebalance (swap)', metaPool.rebalance());
+  if (!swapped(pool, swapReceipt)) {
+    throw new Error('rebalance (swap) didn\'t take the swap branch');
+  }
+
+  // With the price above every range, the positions only take token1, which the trade's fees are paid in, so no swap is needed
+  await swapTest.connect(trader).swap(pool.address, false, ethers.utils.parseEther('50'));
+  await increaseTime(ethers, 6 * 60);
+  const noSwapReceipt = await measure('rebalance (no swap)', metaPool.rebalance());
+  if (swapped(pool, noSwapReceipt)) {
+    throw new Error('rebalance (no swap) took the swap branch');
+  }
+  // Back in range, so burns withdraw both tokens
+  await swapTest.connect(trader).swap(pool.address, true, ethers.utils.parseEther('50'));
+  await increaseTime(ethers, 6 * 60);
+
+  const MockERC677Receiver = await ethers.getContractFactory('MockERC677Receiver');
+  const receiver = await MockERC677Receiver.deploy();
+  await measure('transferAndCall', userPool.transferAndCall(receiver.address, 1000, '0x1234'));
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const deadline = ethers.constants.MaxUint256;
+  const signature = ethers.utils.splitSignature(await user._signTypedData(
+    { name: await metaPool.name(), version: '1', chainId, verifyingContract: metaPool.address },
+    {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+      ],
+    },
+    { owner: user.address, spender: deployer.address, value: 1000, nonce: 0, deadline },
+  ));
+  await measure('permit', metaPool.permit(
+    user.address, deployer.address, 1000, deadline, signature.v, signature.r, signature.s));
+
+  await measure('burn', userPool.burn(lpTokens, 0, 0, user.address));
+  await measure('burn (entire balance)', userPool.burn(await metaPool.balanceOf(user.address), 0, 0, user.address));
+
+  return results;
+}
+
+/**
+ * Compare benchmark results with a snapshot
+ * @param baseline Snapshot to compare against, { [benchmark]: gasUsed }
+ * @param current Results of runGasBenchmarks()
+ * @param options.threshold Percentage gas may rise by before it counts as a regression (defaults to 1%)
+ * @return A row for each benchmark, and the names of those that regressed or are missing from the results
+ */
+function compareGas(baseline, current, { threshold = 1 } = {}) {
+  const names = [...new Set([...Object.keys(baseline), ...Object.keys(current)])];
+  const rows = names.map(name => {
+    const before = baseline[name];
+    const after = current[name];
+    if (before === undefined || after === undefined) {
+      return { name, before, after, change: null, percent: null, regression: after === undefined };
+    }
+    const percent = ((after - before) / before) * 100;
+    return { name, before, after, change: after - before, percent, regression: percent > threshold };
+  });
+  return { rows, regressions: rows.filter(row => row.regression).map(row => row.name) };
+}
+
+function formatGasComparison({ rows, regressions }) {
+  const lines = rows.map(({ name, before, after, change, percent, regression }) => {
+    if (after === undefined) {
+      return `${name}: ${before} -> missing`;
+    }
+    if (before === undefined) {
+      return `${name}: new, ${after}`;
+    }
+    const sign = change > 0 ? '+' : '';
+    return `${name}: ${before} -> ${after} (${sign}${change}, ${sign}${percent.toFixed(2)}%)${regression ? ' REGRESSION' : ''}`;
+  });
+  lines.push(regressions.length ? `${regressions.length} regression(s)` : 'No regressions');
+  return lines.join('\n');
+}
+
+function readGasSnapshot(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeGasSnapshot(file, results) {
+  fs.writeFileSync(file, JSON.stringify(results, null, 2) + '\n');
+}
+
+module.exports = {
+  compareGas,
+  formatGasComparison,
+  readGasSnapshot,
+  runGasBenchmarks,
+  writeGasSnapshot,
+};
@@ -0,0 +1,180 @@
+// Order of the Roles.Role enum
+const ROLES = ['admin', 'guardian', 'keeper', 'strategist'];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+function roleIndex(role) {
+  const index = ROLES.indexOf(role);
+  if (index === -1) {
+    throw new Error(`Unknown role "${role}", expected one of ${ROLES.join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Read the holder of every role, and who each has been offered to
+ * @return { [role]: { holder, pending } }, with `pending` null when no transfer is in progress
+ */
+async function getRoles(metaPool) {
+  const roles = {};
+  for (const [i, role] of ROLES.entries()) {
+    const pending = await metaPool.pendingRoles(i);
+    roles[role] = { holder: await metaPool.roles(i), pending: pending === ZERO_ADDRESS ? null : pending };
+  }
+  return roles;
+}
+
+/**
+ * Offer a role to a new holder, who must accept it with acceptRole()
+ * @param metaPool MetaPool contract, connected to the role's holder or the admin
+ */
+async function transferRole(metaPool, role, holder) {
+  return (await metaPool.transferRole(roleIndex(role), holder)).wait();
+}
+
+/**
+ * Accept a role offered by transferRole()
+ * @param metaPool MetaPool contract, connected to the new holder
+ */
+async function acceptRole(metaPool, role) {
+  return (await metaPool.acceptRole(roleIndex(role))).wait();
+}
+
+/**
+ * Load the MetaPoolTimelock governing a MetaPool, connected to the same signer
+ */
+async function getTimelock(hre, metaPool) {
+  const timelock = await hre.ethers.getContractAt('MetaPoolTimelock', await metaPool.timelock());
+  return metaPool.signer ? timelock.connect(metaPool.signer) : timelock;
+}
+
+// setDelay() is the only change made to the timelock itself, the rest call MetaPool setters
+function getChangeInterface(metaPool, timelock, functionName) {
+  return functionName === 'setDelay' ? timelock.interface : metaPool.interface;
+}
+
+function decodeChange(metaPool, timelock, data) {
+  for (const iface of [metaPool.interface, timelock.interface]) {
+    try {
+      const { name, args } = iface.parseTransaction({ data });
+      return { functionName: name, args: args.map(arg => (arg._isBigNumber ? arg.toString() : arg)) };
+    } catch (e) {
+      // Not a function of this contract
+    }
+  }
+  return { functionName: null, args: [] };
+}
+
+/**
+ * Queue a parameter change, to be executed once the timelock's delay has passed
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract, connected to the strategist
+ * @param functionName setFees, setTreasury, setTwap, setGuardMints or setDelay
+ * @param args Arguments to call it with
+ * @return The change's id, calldata & the timestamp it can be executed from
+ */
+async function queueChange(hre, metaPool, functionName, args) {
+  const timelock = await getTimelock(hre, metaPool);
+  const data = getChangeInterface(metaPool, timelock, functionName).encodeFunctionData(functionName, args);
+
+  const receipt = await (await timelock.queueChange(data)).wait();
+  const { args: { id, eta } } = receipt.events.find(event => event.event === 'ChangeQueued');
+  return { id, data, functionName, args, eta: eta.toNumber(), transactionHash: receipt.transactionHash };
+}
+
+/**
+ * List the changes still waiting in a MetaPool's timelock
+ * @param options.fromBlock Block to search for ChangeQueued events from (defaults to 0)
+ * @return Queued changes, with their decoded call, `eta` & whether they can be executed yet
+ */
+async function getQueuedChanges(hre, metaPool, { fromBlock = 0 } = {}) {
+  const timelock = await getTimelock(hre, metaPool);
+  const { timestamp } = await hre.ethers.provider.getBlock('latest');
+
+  const changes = [];
+  for (const event of await timelock.queryFilter(timelock.filters.ChangeQueued(), fromBlock)) {
+    const { id, data, eta } = event.args;
+    // Executed & cancelled changes are deleted, and a change queued again has a later eta
+    if (!(await timelock.queuedChanges(id)).eq(eta)) {
+      continue;
+    }
+    changes.push({
+      id,
+      data,
+      ...decodeChange(metaPool, timelock, data),
+      eta: eta.toNumber(),
+      ready: eta.lte(timestamp),
+      transactionHash: event.transactionHash,
+    });
+  }
+  return changes;
+}
+
+async function findQueuedChange(hre, metaPool, id, options) {
+  const change = (await getQueuedChanges(hre, metaPool, options)).find(queued => queued.id === id);
+  if (!change) {
+    throw new Error(`No change ${id} is queued`);
+  }
+  return change;
+}
+
+/**
+ * Execute a queued change whose delay has passed
+ * @param metaPool MetaPool contract, connected to the strategist
+ * @param id Id returned by queueChange()
+ * @param options.fromBlock Block to search for the change from (defaults to 0)
+ */
+async function executeChange(hre, metaPool, id, options) {
+  const change = await findQueuedChange(hre, metaPool, id, options);
+  if (!change.ready) {
+    throw new Error(`Change ${id} can't be executed until ${new Date(change.eta * 1000).toISOString()}`);
+  }
+
+  const timelock = await getTimelock(hre, metaPool);
+  const receipt = await (await timelock.executeChange(change.data)).wait();
+  return { ...change, transactionHash: receipt.transactionHash };
+}
+
+/**
+ * Drop a queued change
+ * @param metaPool MetaPool contract, connected to the admin
+ */
+async function cancelChange(hre, metaPool, id) {
+  const timelock = await getTimelock(hre, metaPool);
+  return (await timelock.cancelChange(id)).wait();
+}
+
+/**
+ * Queue a change and execute it straight away, which only works while the timelock's delay is 0
+ * @param metaPool MetaPool contract, connected to the strategist
+ */
+async function applyChange(hre, metaPool, functionName, args) {
+  const timelock = await getTimelock(hre, metaPool);
+  const { data, eta } = await queueChange(hre, metaPool, functionName, args);
+  const { timestamp } = await hre.ethers.provider.getBlock('latest');
+  if (eta > timestamp) {
+    throw new Error(`${functionName}() is timelocked until ${new Date(eta * 1000).toISOString()}`);
+  }
+  return (await timelock.executeChange(data)).wait();
+}
+
+function formatChange(change) {
+  const call = change.functionName ? `${change.functionName}(${change.args.join(', ')})` : change.data;
+  const when = change.ready ? 'ready' : `executable from ${new Date(change.eta * 1000).toISOString()}`;
+  return `${change.id} ${call} - ${when}`;
+}
+
+module.exports = {
+  ROLES,
+  acceptRole,
+  applyChange,
+  cancelChange,
+  executeChange,
+  formatChange,
+  getQueuedChanges,
+  getRoles,
+  getTimelock,
+  queueChange,
+  roleIndex,
+  transferRole,
+};
@@ -0,0 +1,156 @@
+const bn = require('bignumber.js');
+const fs = require('fs');
+const JSBI = require('jsbi');
+const { BigNumber } = require('@ethersproject/bignumber');
+const { roleIndex } = require('./governance');
+const { getQuoteFromSqrt, getSnapshot, getTwapDrift, simulateRebalance } = require('./simulator');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Prices & ratios are applied to wei amounts with 18 decimals, so the amounts never pass through doubles
+const ONE = BigNumber.from('1000000000000000000');
+
+function toFixedPoint(value) {
+  return BigNumber.from(new bn(value.toString()).times(ONE.toString()).integerValue(bn.ROUND_FLOOR).toFixed());
+}
+
+/*
+ * Keeper options:
+ *   dryRun          Log the decision without sending rebalance()
+ *   gasPrice        Gas price to use, in wei (defaults to the provider's gas price)
+ *   ethPerToken1    Value of one raw unit of token1 in wei (1 for WETH), as a number or decimal string
+ *   minProfitRatio  Collected fees must be worth this multiple of the gas cost (defaults to 1)
+ */
+
+/**
+ * Decide whether calling rebalance() now would succeed and pay for its gas
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract, connected to the keeper's signer
+ * @return Decision record, with `action` of "rebalance" or "skip" and the `reason`
+ */
+async function evaluate(hre, metaPool, { gasPrice, ethPerToken1 = 1, minProfitRatio = 1 } = {}) {
+  const { ethers } = hre;
+  const block = await ethers.provider.getBlock('latest');
+  const decision = {
+    time: new Date(block.timestamp * 1000).toISOString(),
+    block: block.number,
+    metaPool: metaPool.address,
+    action: 'skip',
+  };
+
+  if (await metaPool.paused()) {
+    return { ...decision, reason: 'paused' };
+  }
+  // Only the keeper can call rebalance()
+  if (await metaPool.roles(roleIndex('keeper')) !== await metaPool.signer.getAddress()) {
+    return { ...decision, reason: 'not-keeper' };
+  }
+
+  const snapshot = await getSnapshot(hre, metaPool);
+  decision.tick = snapshot.pool.tick;
+  if (!snapshot.twap) {
+    return { ...decision, reason: 'twap-unavailable' };
+  }
+
+  const { averageTick, drift, maxTickMovement } = getTwapDrift(snapshot);
+  Object.assign(decision, { averageTick, drift, maxTickMovement });
+  if (drift >= maxTickMovement) {
+    return { ...decision, reason: 'twap-drift' };
+  }
+
+  const prediction = simulateRebalance(snapshot);
+  if (prediction.reverted) {
+    return { ...decision, reason: 'would-revert', revertReason: prediction.reason || null };
+  }
+
+  const fees0 = prediction.collected.reduce((total, { amount0 }) => total.add(amount0), ethers.constants.Zero);
+  const fees1 = prediction.collected.reduce((total, { amount1 }) => total.add(amount1), ethers.constants.Zero);
+  const feeValue1 = fees1.add(getQuoteFromSqrt(snapshot.pool.sqrtPriceX96, JSBI.BigInt(fees0.toString()), true).toString());
+  const feeValueScaled = feeValue1.mul(toFixedPoint(ethPerToken1));
+
+  const gasEstimate = await metaPool.estimateGas.rebalance();
+  const _gasPrice = gasPrice === undefined ? await ethers.provider.getGasPrice() : ethers.BigNumber.from(gasPrice);
+  const gasCost = gasEstimate.mul(_gasPrice);
+
+  Object.assign(decision, {
+    fees0: fees0.toString(),
+    fees1: fees1.toString(),
+    feeValueWei: feeValueScaled.div(ONE).toString(),
+    gasEstimate: gasEstimate.toString(),
+    gasPrice: _gasPrice.toString(),
+    gasCost: gasCost.toString(),
+  });
+
+  if (feeValueScaled.lt(gasCost.mul(toFixedPoint(minProfitRatio)))) {
+    return { ...decision, reason: 'unprofitable' };
+  }
+  return { ...decision, action: 'rebalance', reason: 'profitable' };
+}
+
+/**
+ * Evaluate the MetaPool once, and send rebalance() if it's worthwhile
+ * @return The decision record, including `txHash` if a rebalance was sent
+ */
+async function runOnce(hre, metaPool, options = {}) {
+  const decision = await evaluate(hre, metaPool, options);
+  if (decision.action !== 'rebalance') {
+    return decision;
+  }
+  if (options.dryRun) {
+    return { ...decision, action: 'dry-run' };
+  }
+
+  try {
+    const tx = await metaPool.rebalance({ gasPrice: decision.gasPrice });
+    const receipt = await tx.wait();
+    return { ...decision, txHash: receipt.transactionHash, gasUsed: receipt.gasUsed.toString() };
+  } catch (e) {
+    return { ...decision, action: 'error', error: e.message };
+  }
+}
+
+function jsonLogger(file) {
+  return decision => {
+    const line = JSON.stringify(decision);
+    console.log(line);
+    if (file) {
+      fs.appendFileSync(file, line + '\n');
+    }
+  };
+}
+
+/**
+ * Poll the MetaPool, rebalancing whenever it's worthwhile
+ * @param options.interval Seconds to wait between checks
+ * @param options.iterations Number of checks to run before returning (0 runs forever)
+ * @param options.log Called with every decision (defaults to printing JSON lines)
+ * @return All decisions that were made, once `iterations` checks have run
+ */
+async function runKeeper(hre, metaPool, { interval = 60, iterations = 0, log = jsonLogger(), ...options } = {}) {
+  // Running forever, decisions are only logged
+  const decisions = [];
+  for (let i = 0; iterations === 0 || i < iterations; i++) {
+    if (i > 0) {
+      await sleep(interval * 1000);
+    }
+
+    let decision;
+    try {
+      decision = await runOnce(hre, metaPool, options);
+    } catch (e) {
+      decision = { time: new Date().toISOString(), metaPool: metaPool.address, action: 'error', error: e.message };
+    }
+    log(decision);
+    if (iterations > 0) {
+      decisions.push(decision);
+    }
+  }
+  return decisions;
+}
+
+module.exports = {
+  evaluate,
+  jsonLogger,
+  runKeeper,
+  runOnce,
+};
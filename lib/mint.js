@@ -0,0 +1,56 @@
+const { approveIfNeeded } = require('./deploy');
+const { withSlippage } = require('./prices');
+const { getSnapshot, simulateMintWithAmounts } = require('./simulator');
+
+/**
+ * Quote a deposit of up to the given amounts through MetaPool.mintWithAmounts()
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract
+ * @param amount0Max Amount of token0 available to deposit
+ * @param amount1Max Amount of token1 available to deposit
+ * @param options.slippage Fraction the LP tokens minted may fall by before the price moves (defaults to 0.5%)
+ * @return The expected LP tokens & amounts deposited, plus the `minLPTokens` bound for mintWithAmounts()
+ */
+async function quoteMintWithAmounts(hre, metaPool, amount0Max, amount1Max, { slippage = 0.005 } = {}) {
+  const { BigNumber } = hre.ethers;
+  const snapshot = await getSnapshot(hre, metaPool);
+
+  const prediction = simulateMintWithAmounts(snapshot, amount0Max, amount1Max);
+  if (prediction.reverted) {
+    throw new Error(`mintWithAmounts() would revert${prediction.reason ? ` with "${prediction.reason}"` : ''}`);
+  }
+
+  return {
+    ...prediction,
+    token0: snapshot.token0,
+    token1: snapshot.token1,
+    amount0Max: BigNumber.from(amount0Max),
+    amount1Max: BigNumber.from(amount1Max),
+    minLPTokens: withSlippage(prediction.newLPTokens, slippage),
+  };
+}
+
+/**
+ * Deposit up to the given amounts into a MetaPool, approving it to take them if needed
+ * @param metaPool MetaPool contract, connected to the depositor
+ * @return The quote, transaction receipt & the number of LP tokens minted
+ */
+async function mintWithAmounts(hre, metaPool, amount0Max, amount1Max, options = {}) {
+  const quote = await quoteMintWithAmounts(hre, metaPool, amount0Max, amount1Max, options);
+  const depositor = await metaPool.signer.getAddress();
+
+  await approveIfNeeded(hre.ethers, quote.token0, metaPool.signer, metaPool.address, quote.amount0Max);
+  await approveIfNeeded(hre.ethers, quote.token1, metaPool.signer, metaPool.address, quote.amount1Max);
+  const tx = await metaPool.mintWithAmounts(quote.amount0Max, quote.amount1Max, quote.minLPTokens);
+  const receipt = await tx.wait();
+  const { args } = receipt.events.find(event => event.event === 'Transfer'
+    && event.args.from === hre.ethers.constants.AddressZero
+    && event.args.to === depositor);
+
+  return { quote, receipt, newLPTokens: args.value };
+}
+
+module.exports = {
+  mintWithAmounts,
+  quoteMintWithAmounts,
+};
@@ -0,0 +1,152 @@
+const { withSlippage, withSlippageUp } = require('./prices');
+const { getSnapshot, simulateBurn, simulateMint } = require('./simulator');
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Seconds a batch stays valid for, unless a deadline is given
+const DEFAULT_VALIDITY = 20 * 60;
+
+// Amounts mint() takes or burn() returns, simulated off-chain
+async function simulateAmounts(hre, metaPool, method, lpTokens) {
+  const snapshot = await getSnapshot(hre, metaPool);
+  const prediction = method === 'mint' ? simulateMint(snapshot, lpTokens) : simulateBurn(snapshot, lpTokens);
+  if (prediction.reverted) {
+    throw new Error(`${method}() would revert${prediction.reason ? ` with "${prediction.reason}"` : ''}`);
+  }
+  return prediction;
+}
+
+async function getDeadline(ethers, deadline) {
+  if (deadline !== undefined) {
+    return ethers.BigNumber.from(deadline);
+  }
+  const { timestamp } = await ethers.provider.getBlock('latest');
+  return ethers.BigNumber.from(timestamp + DEFAULT_VALIDITY);
+}
+
+/**
+ * Sign an EIP-2612 permit for a token with the `Permit` typed data of ERC20.sol, which MockERC20 & MetaPool share
+ * @param token Token contract implementing IERC20Permit
+ * @param owner Signer approving `spender`
+ * @return The permit's arguments: { owner, spender, value, deadline, v, r, s }
+ */
+async function signPermit(hre, token, owner, spender, value, deadline) {
+  const { ethers } = hre;
+  const { chainId } = await ethers.provider.getNetwork();
+  const message = {
+    owner: await owner.getAddress(),
+    spender,
+    value: ethers.BigNumber.from(value),
+    nonce: await token.nonces(await owner.getAddress()),
+    deadline: ethers.BigNumber.from(deadline),
+  };
+  const { v, r, s } = ethers.utils.splitSignature(await owner._signTypedData(
+    { name: await token.name(), version: '1', chainId, verifyingContract: token.address },
+    PERMIT_TYPES,
+    message,
+  ));
+  return { owner: message.owner, spender, value: message.value, deadline: message.deadline, v, r, s };
+}
+
+// MetaPool.multicall() with a deadline, which ethers can't pick out of the overloads by name
+const MULTICALL = 'multicall(uint256,bytes[])';
+
+/**
+ * Mint LP tokens in one transaction, approving token0 & token1 with permits signed by the depositor.
+ * Permits are only signed for tokens the MetaPool isn't already allowed to take the amounts of
+ * @param metaPool MetaPool contract, connected to the depositor
+ * @param options.slippage Fraction the amounts may rise by before the transaction is mined (defaults to 0.5%)
+ * @param options.deadline Timestamp the batch & permits expire at (defaults to 20 minutes after the latest block)
+ * @return The quote, the encoded calls batched by multicall(), transaction receipt & the number of LP tokens minted
+ */
+async function permitAndMint(hre, metaPool, lpTokens, { slippage = 0.005, deadline } = {}) {
+  const { ethers } = hre;
+  const { signer } = metaPool;
+  const depositor = await signer.getAddress();
+  const { amount0, amount1 } = await simulateAmounts(hre, metaPool, 'mint', lpTokens);
+  const quote = {
+    deadline: await getDeadline(ethers, deadline),
+    amount0,
+    amount1,
+    amount0Max: withSlippageUp(amount0, slippage),
+    amount1Max: withSlippageUp(amount1, slippage),
+  };
+
+  const calls = [];
+  for (const [address, amount] of [[await metaPool.token0(), quote.amount0Max], [await metaPool.token1(), quote.amount1Max]]) {
+    const token = await ethers.getContractAt('IERC20Permit', address);
+    if ((await token.allowance(depositor, metaPool.address)).lt(amount)) {
+      const { v, r, s } = await signPermit(hre, token, signer, metaPool.address, amount, quote.deadline);
+      calls.push(metaPool.interface.encodeFunctionData('selfPermit', [address, amount, quote.deadline, v, r, s]));
+    }
+  }
+  calls.push(metaPool.interface.encodeFunctionData('mint', [lpTokens, quote.amount0Max, quote.amount1Max]));
+
+  const receipt = await (await metaPool[MULTICALL](quote.deadline, calls)).wait();
+  const { args } = receipt.events.find(event => event.event === 'Transfer'
+    && event.args.from === ethers.constants.AddressZero
+    && event.args.to === depositor);
+
+  return { quote, calls, receipt, newLPTokens: args.value };
+}
+
+/**
+ * Burn an owner's LP tokens in one transaction sent by a relayer, with a permit the owner signs for the relayer.
+ * The relayer takes the LP tokens and burns them, paying the tokens out to `recipient`
+ * @param metaPool MetaPool contract, connected to the relayer
+ * @param owner Signer holding the LP tokens
+ * @param recipient Address to receive token0 & token1
+ * @param options.slippage Fraction the amounts may fall by before the transaction is mined (defaults to 0.5%)
+ * @param options.deadline Timestamp the batch & permit expire at (defaults to 20 minutes after the latest block)
+ * @return The quote, the encoded calls batched by multicall(), transaction receipt & the amounts withdrawn
+ */
+async function permitAndBurn(hre, metaPool, owner, lpTokens, recipient, { slippage = 0.005, deadline } = {}) {
+  const { ethers } = hre;
+  const relayer = await metaPool.signer.getAddress();
+  const { amount0, amount1 } = await simulateAmounts(hre, metaPool, 'burn', lpTokens);
+  const quote = {
+    deadline: await getDeadline(ethers, deadline),
+    amount0,
+    amount1,
+    amount0Min: withSlippage(amount0, slippage),
+    amount1Min: withSlippage(amount1, slippage),
+  };
+
+  const permit = await signPermit(hre, metaPool, owner, relayer, lpTokens, quote.deadline);
+  const calls = [
+    metaPool.interface.encodeFunctionData('permit', [
+      permit.owner, relayer, lpTokens, quote.deadline, permit.v, permit.r, permit.s,
+    ]),
+    metaPool.interface.encodeFunctionData('transferFrom', [permit.owner, relayer, lpTokens]),
+    metaPool.interface.encodeFunctionData('burn', [lpTokens, quote.amount0Min, quote.amount1Min, recipient]),
+  ];
+  const receipt = await (await metaPool[MULTICALL](quote.deadline, calls)).wait();
+
+  // burn() doesn't emit its amounts, so read them from the tokens collected to the recipient
+  const pool = await ethers.getContractAt('IUniswapV3Pool', await metaPool.pool());
+  const collected = receipt.events
+    .filter(event => event.address === pool.address)
+    .map(event => pool.interface.parseLog(event))
+    .filter(event => event.name === 'Collect' && event.args.recipient === recipient);
+  return {
+    quote,
+    calls,
+    receipt,
+    amount0: collected.reduce((total, { args }) => total.add(args.amount0), ethers.constants.Zero),
+    amount1: collected.reduce((total, { args }) => total.add(args.amount1), ethers.constants.Zero),
+  };
+}
+
+module.exports = {
+  permitAndBurn,
+  permitAndMint,
+  signPermit,
+};
@@ -0,0 +1,209 @@
+const bn = require('bignumber.js');
+const { BigNumber } = require('@ethersproject/bignumber');
+
+bn.config({ EXPONENTIAL_AT: 999999, DECIMAL_PLACES: 40 })
+
+const Q96 = new bn(2).pow(96);
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+const TICK_SPACINGS = {
+  500: 10,
+  3000: 60,
+  10000: 200,
+};
+
+// Slippage fractions are applied with 9 decimals
+const SLIPPAGE_PRECISION = 1e9;
+
+/*
+ * Price options, shared by all the conversions below:
+ *   fee / tickSpacing  The pool's fee tier, or its tick spacing directly
+ *   decimals0          Decimals of token0 (defaults to 18)
+ *   decimals1          Decimals of token1 (defaults to 18)
+ *   invert             Prices are quoted as token0 per token1, instead of token1 per token0
+ */
+
+function getTickSpacing({ fee, tickSpacing } = {}) {
+  if (tickSpacing) {
+    return tickSpacing;
+  }
+  if (!TICK_SPACINGS[fee]) {
+    throw new Error(`Unknown fee tier ${fee}`);
+  }
+  return TICK_SPACINGS[fee];
+}
+
+/**
+ * Build the `decimals0`, `decimals1` & `invert` options for quoting prices of `base` in `quote`
+ * @param base Token being priced, as { address, decimals }
+ * @param quote Token the price is denominated in, as { address, decimals }
+ */
+function pairOptions(base, quote) {
+  const invert = BigNumber.from(base.address).gt(BigNumber.from(quote.address));
+  const [token0, token1] = invert ? [quote, base] : [base, quote];
+  return {
+    decimals0: token0.decimals === undefined ? 18 : token0.decimals,
+    decimals1: token1.decimals === undefined ? 18 : token1.decimals,
+    invert,
+  };
+}
+
+// Convert a human price into the raw token1/token0 ratio that Uniswap uses
+function toRawPrice(price, { decimals0 = 18, decimals1 = 18, invert = false } = {}) {
+  const humanPrice = invert ? new bn(1).div(price.toString()) : new bn(price.toString());
+  return humanPrice.multipliedBy(new bn(10).pow(decimals1 - decimals0));
+}
+
+function fromRawPrice(rawPrice, { decimals0 = 18, decimals1 = 18, invert = false } = {}) {
+  const humanPrice = new bn(rawPrice.toString()).div(new bn(10).pow(decimals1 - decimals0));
+  return invert ? new bn(1).div(humanPrice) : humanPrice;
+}
+
+/**
+ * Convert a price to the nearest tick that is usable with the pool's tick spacing
+ * @param price Human readable price (see price options above)
+ * @return Tick, as a multiple of the tick spacing
+ */
+function priceToTick(price, options = {}) {
+  if (!(new bn(price.toString()).gt(0))) {
+    throw new Error(`Invalid price ${price}`);
+  }
+  const tickSpacing = getTickSpacing(options);
+  const tick = Math.log(toRawPrice(price, options).toNumber()) / Math.log(1.0001);
+
+  const maxTick = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+  const alignedTick = Math.round(tick / tickSpacing) * tickSpacing;
+  // `+ 0` avoids returning -0
+  return Math.max(-maxTick, Math.min(maxTick, alignedTick)) + 0;
+}
+
+/**
+ * Convert a [low, high] price range to a pair of spacing-aligned ticks
+ * @return [lowerTick, upperTick], ordered for Uniswap regardless of `invert`
+ */
+function priceRangeToTicks(range, options = {}) {
+  if (!Array.isArray(range) || range.length !== 2) {
+    throw new Error('Price ranges must be a [lowPrice, highPrice] pair');
+  }
+  const ticks = range.map(price => priceToTick(price, options));
+  const lowerTick = Math.min(...ticks);
+  const upperTick = Math.max(...ticks);
+  if (lowerTick === upperTick) {
+    throw new Error(`Price range ${range.join('-')} is narrower than the tick spacing`);
+  }
+  return [lowerTick, upperTick];
+}
+
+/**
+ * Convert a tick to a human readable price
+ * @return Price as a number (see price options above)
+ */
+function tickToPrice(tick, options = {}) {
+  return fromRawPrice(new bn(Math.pow(1.0001, tick)), options).toNumber();
+}
+
+function tickRangeToPrices([lowerTick, upperTick], options = {}) {
+  const prices = [tickToPrice(lowerTick, options), tickToPrice(upperTick, options)];
+  return prices.sort((a, b) => a - b);
+}
+
+// returns the sqrt price as a 64x96
+function encodePriceSqrt(reserve1, reserve0) {
+  return new bn(reserve1.toString())
+    .div(reserve0.toString())
+    .sqrt()
+    .multipliedBy(Q96)
+    .integerValue(3)
+    .toString()
+}
+
+function priceToSqrtPriceX96(price, options = {}) {
+  return toRawPrice(price, options)
+    .sqrt()
+    .multipliedBy(Q96)
+    .integerValue(3)
+    .toString();
+}
+
+function sqrtPriceX96ToPrice(sqrtPriceX96, options = {}) {
+  const rawPrice = x96ToDecimal(sqrtPriceX96.toString()).pow(2);
+  return fromRawPrice(rawPrice, options).toNumber();
+}
+
+function x96ToDecimal(number) {
+  return new bn(number.toString()).div(Q96);
+}
+
+function tickToPriceSqrt(tick) {
+  return Math.sqrt(Math.pow(1.0001, tick));
+}
+
+/**
+ * Compute MetaPool range weights that add liquidity to each range in proportion to a target distribution
+ *
+ * MetaPool splits each deposit between its ranges by weight, so a range's weight is the share of the
+ * deposit's value that its target liquidity is worth at the current price.
+ *
+ * @param ranges [lowerTick, upperTick] of each range
+ * @param liquidity Target liquidity of each range, relative to the others (e.g. [8, 1])
+ * @param tick Current tick of the pool
+ * @return Weight of each range in basis points, summing to 10000
+ */
+function liquidityToWeights(ranges, liquidity, tick) {
+  if (ranges.length === 0 || ranges.length !== liquidity.length) {
+    throw new Error('Give a target liquidity for each range');
+  }
+  const sqrtPrice = tickToPriceSqrt(tick);
+
+  // Value of each range's liquidity, in token1
+  const values = ranges.map(([lowerTick, upperTick], i) => {
+    const sqrtLower = tickToPriceSqrt(lowerTick);
+    const sqrtUpper = tickToPriceSqrt(upperTick);
+    const sqrtCurrent = Math.min(Math.max(sqrtPrice, sqrtLower), sqrtUpper);
+    const amount0 = liquidity[i] * (1 / sqrtCurrent - 1 / sqrtUpper);
+    const amount1 = liquidity[i] * (sqrtCurrent - sqrtLower);
+    return amount0 * sqrtPrice * sqrtPrice + amount1;
+  });
+  const total = values.reduce((a, b) => a + b, 0);
+  if (!(total > 0) || values.some(value => value < 0)) {
+    throw new Error(`Invalid target liquidity ${liquidity.join(', ')}`);
+  }
+
+  const weights = values.map(value => Math.floor(value / total * 10000));
+  // Round so the weights sum to exactly 10000, as the MetaPool requires
+  const largest = weights.indexOf(Math.max(...weights));
+  weights[largest] += 10000 - weights.reduce((a, b) => a + b, 0);
+  return weights;
+}
+
+// Lower an amount by a fraction, for the minimum of an amount that may fall before a transaction is mined
+function withSlippage(amount, slippage) {
+  return amount.mul(Math.round((1 - slippage) * SLIPPAGE_PRECISION)).div(SLIPPAGE_PRECISION);
+}
+
+// Raise an amount by a fraction, for the maximum of an amount that may rise before a transaction is mined
+function withSlippageUp(amount, slippage) {
+  return amount.mul(Math.round((1 + slippage) * SLIPPAGE_PRECISION)).div(SLIPPAGE_PRECISION);
+}
+
+module.exports = {
+  MAX_TICK,
+  MIN_TICK,
+  TICK_SPACINGS,
+  encodePriceSqrt,
+  getTickSpacing,
+  liquidityToWeights,
+  pairOptions,
+  priceRangeToTicks,
+  priceToSqrtPriceX96,
+  priceToTick,
+  sqrtPriceX96ToPrice,
+  tickRangeToPrices,
+  tickToPrice,
+  tickToPriceSqrt,
+  withSlippage,
+  withSlippageUp,
+  x96ToDecimal,
+};
@@ -0,0 +1,81 @@
+const { getDecimals } = require('./deploy');
+const { priceRangeToTicks, sqrtPriceX96ToPrice, tickRangeToPrices } = require('./prices');
+const { getSnapshot, simulateMoveRanges } = require('./simulator');
+
+/**
+ * Propose new ranges for a MetaPool, based on the current price
+ *
+ * With `ranges`, each range is set to [low, high] multiples of the current price.
+ * Otherwise the current ranges keep their widths, shifted so the current tick is centred in the highest-weight range.
+ *
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract
+ * @param options.ranges New ranges, in the MetaPool's order, as [low, high] multiples of the current price
+ * @param options.invertPrices Quote prices as token0 per token1, instead of token1 per token0
+ * @return The current & proposed { lowerTick, upperTick } of each range, their prices & a simulation of
+ *         moveRanges() with the proposal
+ */
+async function proposeRanges(hre, metaPool, { ranges, invertPrices = false } = {}) {
+  const { ethers } = hre;
+  const snapshot = await getSnapshot(hre, metaPool);
+  const { tickSpacing } = snapshot.pool;
+  const priceOptions = {
+    tickSpacing,
+    decimals0: await getDecimals(ethers, snapshot.token0),
+    decimals1: await getDecimals(ethers, snapshot.token1),
+    invert: invertPrices,
+  };
+  const price = sqrtPriceX96ToPrice(snapshot.pool.sqrtPriceX96, priceOptions);
+
+  const current = snapshot.ranges.map(({ lowerTick, upperTick }) => ({ lowerTick, upperTick }));
+
+  let proposed;
+  if (ranges) {
+    if (ranges.length !== current.length) {
+      throw new Error(`Propose all ${current.length} ranges, or none to recentre the current ranges`);
+    }
+    proposed = ranges.map(range => {
+      const [lowerTick, upperTick] = priceRangeToTicks(range.map(m => m * price), priceOptions);
+      return { lowerTick, upperTick };
+    });
+  } else {
+    const main = snapshot.ranges.reduce((best, range) => (range.weight > best.weight ? range : best));
+    const centre = (main.lowerTick + main.upperTick) / 2;
+    const shift = Math.round((snapshot.pool.tick - centre) / tickSpacing) * tickSpacing;
+    proposed = current.map(({ lowerTick, upperTick }) => ({ lowerTick: lowerTick + shift, upperTick: upperTick + shift }));
+  }
+
+  const rangePrices = ticks => ticks.map(({ lowerTick, upperTick }) => tickRangeToPrices([lowerTick, upperTick], priceOptions));
+
+  return {
+    tick: snapshot.pool.tick,
+    price,
+    weights: snapshot.ranges.map(range => range.weight),
+    current,
+    proposed,
+    currentPrices: rangePrices(current),
+    proposedPrices: rangePrices(proposed),
+    simulation: simulateMoveRanges(snapshot, proposed),
+  };
+}
+
+function formatProposal(proposal) {
+  const { current, proposed, currentPrices, proposedPrices, simulation } = proposal;
+  const lines = [`Current tick ${proposal.tick}, price ${proposal.price}`];
+  current.forEach((range, i) => {
+    lines.push(
+      `#${i} ${proposal.weights[i] / 100}%: [${range.lowerTick}:${range.upperTick}] (${currentPrices[i].join('-')})`
+        + ` -> [${proposed[i].lowerTick}:${proposed[i].upperTick}] (${proposedPrices[i].join('-')})`,
+    );
+  });
+  lines.push(simulation.reverted
+    ? `moveRanges() would revert${simulation.reason ? ` with "${simulation.reason}"` : ''}`
+    : `moveRanges() would add ${simulation.newLiquidity.join(' / ')} liquidity,`
+      + ` leaving ${simulation.amount0Remainder} token0 & ${simulation.amount1Remainder} token1 idle`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatProposal,
+  proposeRanges,
+};
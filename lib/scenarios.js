@@ -0,0 +1,360 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployMetaPool } = require('./deploy');
+const { MAX_TICK, getTickSpacing, priceToSqrtPriceX96, sqrtPriceX96ToPrice } = require('./prices');
+
+// Swaps to a price limit are sized so the limit, not the amount, stops them
+const MAX_SWAP_AMOUNT = '340282366920938463463374607431768211456'; // 2^128
+
+/*
+ * A market is a Uniswap pool of two mock tokens with a MetaPool on it, deployed by deployMarket():
+ *   fee            Fee tier of the pool (defaults to 500)
+ *   price          Starting price, quoted like the ranges (defaults to 1)
+ *   invertPrices   Prices are quoted as token0 per token1 (defaults to true)
+ *   ranges         MetaPool ranges, as in deployment configs (defaults to the original tight & wide ranges)
+ *   maxTickMovement
+ *   deployConfig   Any other deployment config, such as `twapWindow`, `timelockDelay` or `roles`
+ *   poolLiquidity  Full range liquidity added to the pool besides the MetaPool's (none if 0)
+ *   users          Number of signers after the deployer to fund with `userBalance` of each token
+ */
+const DEFAULT_MARKET = {
+  fee: 500,
+  price: 1,
+  invertPrices: true,
+  ranges: [
+    { range: [0.95, 1.01], weight: 8000, liquidity: 8 },
+    { range: [0.90, 1.03], weight: 2000, liquidity: 1 },
+  ],
+  maxTickMovement: 100,
+  deployConfig: {},
+  poolLiquidity: 20,
+  users: 2,
+  userBalance: '100000000000000000000',
+};
+
+/*
+ * A scenario is declared as data, and replayed on a market by runScenario():
+ *   market    Overrides of DEFAULT_MARKET, used when a fixture deploys the market
+ *   deposits  [{ user, lpTokens }] minted once the MetaPool is initialized, by signer index (0 is the deployer)
+ *   steps     Actions, run in order by the deployer unless they name a `user`:
+ *     { type: 'swap', zeroForOne, amount }                 Swap an exact input (or output, if negative)
+ *     { type: 'washTrade', amount, count, ratio }          SwapTest.washTrade(): `count` trades of `amount`
+ *     { type: 'moveTo', price }                            Trade the pool to a price
+ *     { type: 'walk', to, steps, interval }                Move to a price in `steps` even moves, `interval` seconds apart
+ *     { type: 'oscillate', prices, count, interval }       Move to each of `prices` in turn, `count` times
+ *     { type: 'increaseTime', seconds }
+ *     { type: 'mint', user, lpTokens }
+ *     { type: 'burn', user, lpTokens }
+ *     { type: 'rebalance' }
+ * Amounts are raw token units. A step that reverts fails the scenario
+ */
+
+// Wait out the 5 minute TWAP window, so the MetaPool accepts the current price
+const SETTLE = { type: 'increaseTime', seconds: 6 * 60 };
+const DEPOSITS = [{ user: 0, lpTokens: 100000 }];
+
+const SCENARIOS = {
+  deposited: {
+    description: 'A deposit into the MetaPool, with the TWAP settled',
+    deposits: DEPOSITS,
+    steps: [SETTLE],
+  },
+  balancedTrading: {
+    description: 'Lots of trades alternating direction, which leave the price where it started',
+    deposits: DEPOSITS,
+    steps: [
+      SETTLE,
+      { type: 'washTrade', amount: 1000, count: 50, ratio: 2 },
+      SETTLE,
+    ],
+  },
+  unbalancedTrading: {
+    description: 'Lots of trades, two in one direction for every one in the other',
+    deposits: DEPOSITS,
+    steps: [
+      SETTLE,
+      { type: 'washTrade', amount: 25, count: 50, ratio: 3 },
+      SETTLE,
+    ],
+  },
+  depeg: {
+    description: 'The price slides to 0.93 over a day, out of the tight range into the wide one, and stays there',
+    deposits: DEPOSITS,
+    steps: [
+      SETTLE,
+      { type: 'walk', to: 0.93, steps: 24, interval: 60 * 60 },
+      SETTLE,
+    ],
+  },
+  leaveWideRange: {
+    description: 'The price slides to 0.88 over a day, below every range, and stays there',
+    deposits: DEPOSITS,
+    steps: [
+      SETTLE,
+      { type: 'walk', to: 0.88, steps: 24, interval: 60 * 60 },
+      SETTLE,
+    ],
+  },
+  highVolumeOscillation: {
+    description: 'The price swings across the tight range every minute for an hour',
+    deposits: DEPOSITS,
+    steps: [
+      SETTLE,
+      { type: 'oscillate', prices: [0.995, 1.005], count: 30, interval: 60 },
+      SETTLE,
+    ],
+  },
+};
+
+// Directories made by tempPath(), to remove on exit
+const tempDirs = [];
+
+/**
+ * Path to a file in a new temporary directory, which is removed when the process exits
+ * @param name File name
+ * @return Absolute path of the file, which doesn't exist yet
+ */
+function tempPath(name) {
+  if (!tempDirs.length) {
+    process.on('exit', () => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metapool-'));
+  tempDirs.push(dir);
+  return path.join(dir, name);
+}
+
+// Snapshots taken by fixtures that the chain can still revert to, oldest first
+const liveSnapshots = [];
+
+/**
+ * Wrap a setup function so it only runs once: later calls revert the chain to the state it left.
+ * Fixtures can load other fixtures in their setup, and run their setup again when the chain was
+ * reverted past them
+ * @param setup Async function (hre) setting up the chain
+ * @return Async function loading the fixture, resolving to what `setup` returned
+ */
+function createFixture(hre, setup) {
+  let snapshotId = null;
+  let result;
+  return async function loadFixture() {
+    const { provider } = hre.network;
+    // Reverting to a snapshot drops it & every later one, even when it was already dropped itself
+    const index = liveSnapshots.indexOf(snapshotId);
+    const reverted = index !== -1 && await provider.send('evm_revert', [snapshotId]);
+    if (index !== -1) {
+      liveSnapshots.splice(index);
+    }
+    if (!reverted) {
+      result = await setup(hre);
+    }
+    snapshotId = await provider.send('evm_snapshot', []);
+    liveSnapshots.push(snapshotId);
+    return result;
+  };
+}
+
+/**
+ * Deploy two mock tokens, a Uniswap pool with some full range liquidity & an uninitialized MetaPool on it,
+ * recorded in a temporary manifest
+ * @param options Overrides of DEFAULT_MARKET
+ * @return The contracts & signers of the market, and the path of the manifest
+ */
+async function deployMarket(hre, options = {}) {
+  const { ethers } = hre;
+  const config = { ...DEFAULT_MARKET, ...options };
+  const [deployer, ...signers] = await ethers.getSigners();
+  const users = signers.slice(0, config.users);
+  const priceOptions = { fee: config.fee, invert: config.invertPrices };
+
+  const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+  const uniswapFactory = await UniswapV3Factory.deploy();
+  const MockERC20 = await ethers.getContractFactory('MockERC20');
+  let token0 = await MockERC20.deploy();
+  let token1 = await MockERC20.deploy();
+  if (ethers.BigNumber.from(token0.address).gt(ethers.BigNumber.from(token1.address))) {
+    [token0, token1] = [token1, token0];
+  }
+
+  await uniswapFactory.createPool(token0.address, token1.address, config.fee);
+  const pool = await ethers.getContractAt(
+    'IUniswapV3Pool',
+    await uniswapFactory.getPool(token0.address, token1.address, config.fee),
+  );
+  await pool.initialize(priceToSqrtPriceX96(config.price, priceOptions));
+
+  const manifest = tempPath('manifest.json');
+  const { metaPool, deployment } = await deployMetaPool(hre, {
+    ...config.deployConfig,
+    pool: pool.address,
+    invertPrices: config.invertPrices,
+    ranges: config.ranges,
+    maxTickMovement: config.maxTickMovement,
+  }, { manifest, initialize: false });
+
+  const MetaPoolLens = await ethers.getContractFactory('MetaPoolLens');
+  const lens = await MetaPoolLens.deploy();
+  const SwapTest = await ethers.getContractFactory('SwapTest');
+  const swapTest = await SwapTest.deploy();
+  const TestUniswapV3Callee = await ethers.getContractFactory('TestUniswapV3Callee');
+  const callee = await TestUniswapV3Callee.deploy();
+  for (const token of [token0, token1]) {
+    for (const spender of [metaPool, swapTest, callee]) {
+      await token.approve(spender.address, ethers.constants.MaxUint256);
+    }
+    for (const user of users) {
+      await token.transfer(user.address, config.userBalance);
+      await token.connect(user).approve(metaPool.address, ethers.constants.MaxUint256);
+      await token.connect(user).approve(swapTest.address, ethers.constants.MaxUint256);
+    }
+  }
+
+  if (config.poolLiquidity) {
+    const tickSpacing = getTickSpacing(priceOptions);
+    const fullRange = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+    await callee.mint(pool.address, deployer.address, -fullRange, fullRange, config.poolLiquidity);
+  }
+
+  return {
+    config,
+    priceOptions,
+    deployer,
+    users,
+    signers: [deployer, ...users],
+    token0,
+    token1,
+    uniswapFactory,
+    pool,
+    metaPool,
+    deployment,
+    manifest,
+    lens,
+    swapTest,
+    callee,
+  };
+}
+
+async function wait(txPromise) {
+  return (await txPromise).wait();
+}
+
+async function increaseTime(ethers, seconds) {
+  await ethers.provider.send('evm_increaseTime', [seconds]);
+  await ethers.provider.send('evm_mine');
+}
+
+// Trade the pool to a price, returning the receipt or null if it's already there
+async function moveTo(market, price, signer) {
+  const { pool, swapTest, priceOptions } = market;
+  const target = priceToSqrtPriceX96(price, priceOptions);
+  const { sqrtPriceX96 } = await pool.slot0();
+  if (sqrtPriceX96.eq(target)) {
+    return null;
+  }
+  const zeroForOne = sqrtPriceX96.gt(target);
+  return wait(swapTest.connect(signer).getSwapResult(pool.address, zeroForOne, MAX_SWAP_AMOUNT, target));
+}
+
+async function runStep(hre, market, step) {
+  const { ethers } = hre;
+  const { pool, metaPool, swapTest, signers, priceOptions } = market;
+  const signer = signers[step.user || 0];
+
+  switch (step.type) {
+    case 'swap':
+      return [await wait(swapTest.connect(signer).swap(pool.address, step.zeroForOne, step.amount))];
+    case 'washTrade':
+      return [await wait(swapTest.connect(signer).washTrade(pool.address, step.amount, step.count, step.ratio))];
+    case 'moveTo':
+      return [await moveTo(market, step.price, signer)].filter(receipt => receipt);
+    case 'walk': {
+      const { sqrtPriceX96 } = await pool.slot0();
+      const from = sqrtPriceX96ToPrice(sqrtPriceX96, priceOptions);
+      const receipts = [];
+      for (let i = 1; i <= step.steps; i++) {
+        if (step.interval) {
+          await increaseTime(ethers, step.interval);
+        }
+        receipts.push(await moveTo(market, from * Math.pow(step.to / from, i / step.steps), signer));
+      }
+      return receipts.filter(receipt => receipt);
+    }
+    case 'oscillate': {
+      const receipts = [];
+      for (let i = 0; i < step.count; i++) {
+        for (const price of step.prices) {
+          if (step.interval) {
+            await increaseTime(ethers, step.interval);
+          }
+          receipts.push(await moveTo(market, price, signer));
+        }
+      }
+      return receipts.filter(receipt => receipt);
+    }
+    case 'increaseTime':
+      await increaseTime(ethers, step.seconds);
+      return [];
+    case 'mint':
+      return [await wait(metaPool.connect(signer).mint(step.lpTokens, ethers.constants.MaxUint256, ethers.constants.MaxUint256))];
+    case 'burn':
+      return [await wait(metaPool.connect(signer).burn(step.lpTokens, 0, 0, signer.address))];
+    case 'rebalance':
+      return [await wait(metaPool.connect(signer).rebalance())];
+    default:
+      throw new Error(`Unknown scenario step type '${step.type}'`);
+  }
+}
+
+/**
+ * Replay a scenario on a market, initializing its MetaPool first if no LP tokens have been minted
+ * @param market Result of deployMarket()
+ * @param scenario Scenario to run, see above
+ * @return The receipts of each step's transactions, in order
+ */
+async function runScenario(hre, market, scenario) {
+  const { metaPool } = market;
+  if ((await metaPool.totalSupply()).isZero()) {
+    await wait(metaPool.initialize());
+  }
+
+  const results = [];
+  const steps = [
+    ...(scenario.deposits || []).map(deposit => ({ type: 'mint', ...deposit })),
+    ...(scenario.steps || []),
+  ];
+  for (const step of steps) {
+    results.push({ step, receipts: await runStep(hre, market, step) });
+  }
+  return results;
+}
+
+/**
+ * Create a fixture running a scenario on a market
+ * @param scenario Scenario to run, or the name of one in SCENARIOS
+ * @param loadMarket Market fixture to start from (defaults to a new one, deploying the scenario's market)
+ * @return Async function loading the fixture, resolving to the market
+ */
+function scenarioFixture(hre, scenario, loadMarket) {
+  const _scenario = typeof scenario === 'string' ? SCENARIOS[scenario] : scenario;
+  if (!_scenario) {
+    throw new Error(`Unknown scenario '${scenario}'`);
+  }
+  const loadBase = loadMarket || createFixture(hre, () => deployMarket(hre, _scenario.market));
+
+  return createFixture(hre, async () => {
+    const market = await loadBase();
+    await runScenario(hre, market, _scenario);
+    return market;
+  });
+}
+
+module.exports = {
+  DEFAULT_MARKET,
+  SCENARIOS,
+  createFixture,
+  deployMarket,
+  increaseTime,
+  runScenario,
+  scenarioFixture,
+  tempPath,
+};
@@ -0,0 +1,995 @@
+const JSBI = require('jsbi');
+const { BigNumber } = require('@ethersproject/bignumber');
+const { keccak256: solidityKeccak256 } = require('@ethersproject/solidity');
+const { FullMath, LiquidityMath, SqrtPriceMath, TickMath } = require('@uniswap/v3-sdk/dist/');
+
+// Off-chain model of MetaPool.rebalance(), MetaPool.deposit() & MetaPoolZap's deposits & withdrawals.
+// Every rounding step mirrors the contracts (MetaPool, LiquidityAmounts, UniMathHelpers & the Uniswap
+// pool's mint, burn & swap), so predictions should match the chain exactly when the pool hasn't
+// changed since the snapshot.
+
+const ZERO = JSBI.BigInt(0);
+const ONE = JSBI.BigInt(1);
+const Q96 = JSBI.exponentiate(JSBI.BigInt(2), JSBI.BigInt(96));
+const Q128 = JSBI.exponentiate(JSBI.BigInt(2), JSBI.BigInt(128));
+const Q192 = JSBI.exponentiate(JSBI.BigInt(2), JSBI.BigInt(192));
+const MAX_UINT128 = JSBI.subtract(Q128, ONE);
+const MAX_FEE = JSBI.BigInt(1000000);
+const TEN_BILLION = JSBI.BigInt(1e10);
+const YEAR = 365 * 24 * 60 * 60;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const big = value => JSBI.BigInt(value.toString());
+const toBN = value => BigNumber.from(value.toString());
+const min = (a, b) => JSBI.lessThan(a, b) ? a : b;
+const mulDiv = (a, b, denominator) => JSBI.divide(JSBI.multiply(a, b), denominator);
+const uint256 = value => JSBI.asUintN(256, value);
+
+class SimulationRevert extends Error {
+  constructor(reason) {
+    super(`Simulated transaction reverted${reason ? `: ${reason}` : ''}`);
+    this.reason = reason;
+  }
+}
+
+///
+//  Snapshots
+///
+
+async function readPosition(pool, metaPool, tickLower, tickUpper, overrides) {
+  const key = solidityKeccak256(['address', 'int24', 'int24'], [metaPool.address, tickLower, tickUpper]);
+  const position = await pool.positions(key, overrides);
+  return {
+    tickLower,
+    tickUpper,
+    liquidity: big(position._liquidity),
+    feeGrowthInside0LastX128: big(position.feeGrowthInside0LastX128),
+    feeGrowthInside1LastX128: big(position.feeGrowthInside1LastX128),
+    tokensOwed0: big(position.tokensOwed0),
+    tokensOwed1: big(position.tokensOwed1),
+  };
+}
+
+async function readTick(pool, tick, overrides) {
+  const info = await pool.ticks(tick, overrides);
+  return {
+    liquidityGross: big(info.liquidityGross),
+    liquidityNet: big(info.liquidityNet),
+    feeGrowthOutside0X128: big(info.feeGrowthOutside0X128),
+    feeGrowthOutside1X128: big(info.feeGrowthOutside1X128),
+    initialized: info.initialized,
+  };
+}
+
+/**
+ * Read everything the simulator needs from a MetaPool & its Uniswap pool
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract
+ * @param options.wordPadding Number of tick bitmap words to read beyond the MetaPool's ranges & the current tick
+ * @param options.blockTag Block to read the state at (defaults to latest)
+ */
+async function getSnapshot(hre, metaPool, { wordPadding = 2, blockTag } = {}) {
+  const { ethers } = hre;
+  const overrides = blockTag === undefined ? {} : { blockTag };
+  const pool = await ethers.getContractAt('IUniswapV3Pool', await metaPool.pool());
+
+  const token0 = await ethers.getContractAt('IERC20Minimal', await metaPool.token0());
+  const token1 = await ethers.getContractAt('IERC20Minimal', await metaPool.token1());
+  const ranges = [];
+  const numRanges = (await metaPool.numRanges(overrides)).toNumber();
+  for (let i = 0; i < numRanges; i++) {
+    const range = await metaPool.ranges(i, overrides);
+    ranges.push({
+      lowerTick: range.lowerTick,
+      upperTick: range.upperTick,
+      weight: range.weight,
+      initialLiquidity: big(range.initialLiquidity),
+    });
+  }
+
+  const slot0 = await pool.slot0(overrides);
+  const tickSpacing = await pool.tickSpacing();
+
+  const lowestTick = Math.min(slot0.tick, ...ranges.map(range => range.lowerTick));
+  const highestTick = Math.max(slot0.tick, ...ranges.map(range => range.upperTick));
+  const minWord = (Math.floor(lowestTick / tickSpacing) >> 8) - wordPadding;
+  const maxWord = (Math.floor(highestTick / tickSpacing) >> 8) + wordPadding;
+
+  const tickData = {};
+  for (let word = minWord; word <= maxWord; word++) {
+    const bitmap = big(await pool.tickBitmap(word, overrides));
+    for (let bit = 0; bit < 256; bit++) {
+      if (JSBI.notEqual(JSBI.bitwiseAnd(JSBI.signedRightShift(bitmap, JSBI.BigInt(bit)), ONE), ZERO)) {
+        const tick = (word * 256 + bit) * tickSpacing;
+        tickData[tick] = await readTick(pool, tick, overrides);
+      }
+    }
+  }
+
+  const twapWindow = await metaPool.twapWindow(overrides);
+  let twap = null;
+  try {
+    const { tickCumulatives } = await pool.observe([twapWindow, 0], overrides);
+    twap = { tickCumulatives: tickCumulatives.map(big) };
+  } catch (e) {
+    // The pool doesn't have observations covering the window yet, so rebalance() would revert with "OLD"
+  }
+
+  const { timestamp } = await ethers.provider.getBlock(blockTag === undefined ? 'latest' : blockTag);
+
+  return {
+    token0: token0.address,
+    token1: token1.address,
+    ranges,
+    maxTickMovement: await metaPool.maxTickMovement(),
+    twapWindow,
+    guardMints: await metaPool.guardMints(overrides),
+    emergency: await metaPool.emergency(overrides),
+    totalSupply: big(await metaPool.totalSupply(overrides)),
+    timestamp,
+    fees: {
+      treasury: await metaPool.treasury(overrides),
+      performanceFee: await metaPool.performanceFee(overrides),
+      managementFee: await metaPool.managementFee(overrides),
+      feesAsShares: await metaPool.feesAsShares(overrides),
+      lastFeeAccrual: await metaPool.lastFeeAccrual(overrides),
+    },
+    balance0: big(await token0.balanceOf(metaPool.address, overrides)),
+    balance1: big(await token1.balanceOf(metaPool.address, overrides)),
+    positions: await Promise.all(
+      ranges.map(range => readPosition(pool, metaPool, range.lowerTick, range.upperTick, overrides)),
+    ),
+    twap,
+    pool: {
+      address: pool.address,
+      fee: await pool.fee(),
+      tickSpacing,
+      sqrtPriceX96: big(slot0.sqrtPriceX96),
+      tick: slot0.tick,
+      liquidity: big(await pool.liquidity(overrides)),
+      feeGrowthGlobal0X128: big(await pool.feeGrowthGlobal0X128(overrides)),
+      feeGrowthGlobal1X128: big(await pool.feeGrowthGlobal1X128(overrides)),
+      ticks: tickData,
+      minWord,
+      maxWord,
+    },
+  };
+}
+
+///
+//  Contract math
+///
+
+// LiquidityAmounts.getLiquidityForAmounts
+function getLiquidityForAmounts(sqrtRatioX96, sqrtRatioAX96, sqrtRatioBX96, amount0, amount1) {
+  const liquidityForAmount0 = (sqrtA, sqrtB) =>
+    mulDiv(amount0, mulDiv(sqrtA, sqrtB, Q96), JSBI.subtract(sqrtB, sqrtA));
+  const liquidityForAmount1 = (sqrtA, sqrtB) =>
+    mulDiv(amount1, Q96, JSBI.subtract(sqrtB, sqrtA));
+
+  if (JSBI.lessThan(sqrtRatioX96, sqrtRatioAX96)) {
+    return liquidityForAmount0(sqrtRatioAX96, sqrtRatioBX96);
+  } else if (JSBI.lessThan(sqrtRatioX96, sqrtRatioBX96)) {
+    return min(
+      liquidityForAmount0(sqrtRatioX96, sqrtRatioBX96),
+      liquidityForAmount1(sqrtRatioAX96, sqrtRatioX96),
+    );
+  }
+  return liquidityForAmount1(sqrtRatioAX96, sqrtRatioBX96);
+}
+
+// LiquidityAmounts.getAmountsForLiquidity (rounds down, used by the MetaPool view functions)
+function getAmountsForLiquidity(sqrtRatioX96, sqrtRatioAX96, sqrtRatioBX96, liquidity) {
+  if (JSBI.lessThan(sqrtRatioX96, sqrtRatioAX96)) {
+    return [SqrtPriceMath.getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, false), ZERO];
+  } else if (JSBI.lessThan(sqrtRatioX96, sqrtRatioBX96)) {
+    return [
+      SqrtPriceMath.getAmount0Delta(sqrtRatioX96, sqrtRatioBX96, liquidity, false),
+      SqrtPriceMath.getAmount1Delta(sqrtRatioAX96, sqrtRatioX96, liquidity, false),
+    ];
+  }
+  return [ZERO, SqrtPriceMath.getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, false)];
+}
+
+// UniMathHelpers.getQuoteFromSqrt, with token0 as the base when `zeroForOne`
+function getQuoteFromSqrt(sqrtRatioX96, baseAmount, zeroForOne) {
+  if (JSBI.lessThanOrEqual(sqrtRatioX96, MAX_UINT128)) {
+    const ratioX192 = JSBI.multiply(sqrtRatioX96, sqrtRatioX96);
+    return zeroForOne
+      ? mulDiv(ratioX192, baseAmount, Q192)
+      : mulDiv(Q192, baseAmount, ratioX192);
+  }
+  const ratioX128 = mulDiv(sqrtRatioX96, sqrtRatioX96, JSBI.exponentiate(JSBI.BigInt(2), JSBI.BigInt(64)));
+  return zeroForOne
+    ? mulDiv(ratioX128, baseAmount, Q128)
+    : mulDiv(Q128, baseAmount, ratioX128);
+}
+
+// Tick.getFeeGrowthInside
+function getFeeGrowthInside(pool, tickLower, tickUpper) {
+  const lower = pool.ticks[tickLower];
+  const upper = pool.ticks[tickUpper];
+
+  return [0, 1].map(token => {
+    const global = pool[`feeGrowthGlobal${token}X128`];
+    const lowerOutside = lower[`feeGrowthOutside${token}X128`];
+    const upperOutside = upper[`feeGrowthOutside${token}X128`];
+
+    const below = pool.tick >= tickLower ? lowerOutside : JSBI.subtract(global, lowerOutside);
+    const above = pool.tick < tickUpper ? upperOutside : JSBI.subtract(global, upperOutside);
+    return uint256(JSBI.subtract(JSBI.subtract(global, below), above));
+  });
+}
+
+// The fees a position will be able to collect after `pool.burn(tickLower, tickUpper, 0)`
+function getOwedFees(pool, position) {
+  // Empty positions can't be poked, and their ticks may no longer be initialized
+  if (JSBI.equal(position.liquidity, ZERO)) {
+    return [position.tokensOwed0, position.tokensOwed1];
+  }
+  const feeGrowthInside = getFeeGrowthInside(pool, position.tickLower, position.tickUpper);
+  return [0, 1].map(token => {
+    const delta = uint256(JSBI.subtract(feeGrowthInside[token], position[`feeGrowthInside${token}LastX128`]));
+    const owed = JSBI.add(position[`tokensOwed${token}`], mulDiv(delta, position.liquidity, Q128));
+    return JSBI.asUintN(128, owed);
+  });
+}
+
+///
+//  Pool model
+///
+
+function clonePool(pool) {
+  return { ...pool, ticks: { ...pool.ticks } };
+}
+
+// UniswapV3Pool.mint, including its effect on the pool's liquidity & initialized ticks
+function poolMint(pool, tickLower, tickUpper, liquidity) {
+  if (JSBI.equal(liquidity, ZERO)) {
+    throw new SimulationRevert();
+  }
+
+  for (const [tick, delta] of [[tickLower, liquidity], [tickUpper, JSBI.multiply(liquidity, JSBI.BigInt(-1))]]) {
+    const existing = pool.ticks[tick] || { liquidityGross: ZERO, liquidityNet: ZERO, initialized: true };
+    pool.ticks[tick] = {
+      ...existing,
+      liquidityGross: JSBI.add(existing.liquidityGross, liquidity),
+      liquidityNet: JSBI.add(existing.liquidityNet, delta),
+    };
+  }
+
+  const sqrtLower = TickMath.getSqrtRatioAtTick(tickLower);
+  const sqrtUpper = TickMath.getSqrtRatioAtTick(tickUpper);
+
+  // The pool compares ticks here, unlike LiquidityAmounts which compares sqrt prices
+  if (pool.tick < tickLower) {
+    return [SqrtPriceMath.getAmount0Delta(sqrtLower, sqrtUpper, liquidity, true), ZERO];
+  } else if (pool.tick < tickUpper) {
+    pool.liquidity = JSBI.add(pool.liquidity, liquidity);
+    return [
+      SqrtPriceMath.getAmount0Delta(pool.sqrtPriceX96, sqrtUpper, liquidity, true),
+      SqrtPriceMath.getAmount1Delta(sqrtLower, pool.sqrtPriceX96, liquidity, true),
+    ];
+  }
+  return [ZERO, SqrtPriceMath.getAmount1Delta(sqrtLower, sqrtUpper, liquidity, true)];
+}
+
+// UniswapV3Pool.burn, which rounds the amounts owed down
+function poolBurn(pool, tickLower, tickUpper, liquidity) {
+  for (const [tick, delta] of [[tickLower, JSBI.unaryMinus(liquidity)], [tickUpper, liquidity]]) {
+    const liquidityGross = JSBI.subtract(pool.ticks[tick].liquidityGross, liquidity);
+    if (JSBI.equal(liquidityGross, ZERO)) {
+      // The pool clears ticks that no position references
+      delete pool.ticks[tick];
+    } else {
+      pool.ticks[tick] = { ...pool.ticks[tick], liquidityGross, liquidityNet: JSBI.add(pool.ticks[tick].liquidityNet, delta) };
+    }
+  }
+
+  const sqrtLower = TickMath.getSqrtRatioAtTick(tickLower);
+  const sqrtUpper = TickMath.getSqrtRatioAtTick(tickUpper);
+
+  if (pool.tick < tickLower) {
+    return [SqrtPriceMath.getAmount0Delta(sqrtLower, sqrtUpper, liquidity, false), ZERO];
+  } else if (pool.tick < tickUpper) {
+    pool.liquidity = JSBI.subtract(pool.liquidity, liquidity);
+    return [
+      SqrtPriceMath.getAmount0Delta(pool.sqrtPriceX96, sqrtUpper, liquidity, false),
+      SqrtPriceMath.getAmount1Delta(sqrtLower, pool.sqrtPriceX96, liquidity, false),
+    ];
+  }
+  return [ZERO, SqrtPriceMath.getAmount1Delta(sqrtLower, sqrtUpper, liquidity, false)];
+}
+
+// TickBitmap.nextInitializedTickWithinOneWord
+function nextInitializedTickWithinOneWord(pool, tick, lte) {
+  const { tickSpacing } = pool;
+  const compressed = Math.floor(tick / tickSpacing);
+  const initialized = Object.keys(pool.ticks)
+    .filter(key => pool.ticks[key].initialized)
+    .map(key => Number(key) / tickSpacing);
+
+  const start = lte ? compressed : compressed + 1;
+  const word = start >> 8;
+  if (word < pool.minWord || word > pool.maxWord) {
+    throw new Error(`Swap moved past the ticks in the snapshot (word ${word}), increase wordPadding`);
+  }
+  const wordStart = word * 256;
+
+  if (lte) {
+    const candidates = initialized.filter(c => c >= wordStart && c <= compressed);
+    return candidates.length > 0
+      ? [Math.max(...candidates) * tickSpacing, true]
+      : [wordStart * tickSpacing, false];
+  }
+  const candidates = initialized.filter(c => c >= start && c <= wordStart + 255);
+  return candidates.length > 0
+    ? [Math.min(...candidates) * tickSpacing, true]
+    : [(wordStart + 255) * tickSpacing, false];
+}
+
+// SwapMath.computeSwapStep
+function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const zeroForOne = JSBI.greaterThanOrEqual(sqrtRatioCurrentX96, sqrtRatioTargetX96);
+  const exactIn = JSBI.greaterThanOrEqual(amountRemaining, ZERO);
+  const fee = JSBI.BigInt(feePips);
+  let sqrtRatioNextX96;
+  let amountIn;
+  let amountOut;
+
+  if (exactIn) {
+    const amountRemainingLessFee = mulDiv(amountRemaining, JSBI.subtract(MAX_FEE, fee), MAX_FEE);
+    amountIn = zeroForOne
+      ? SqrtPriceMath.getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+      : SqrtPriceMath.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+    sqrtRatioNextX96 = JSBI.greaterThanOrEqual(amountRemainingLessFee, amountIn)
+      ? sqrtRatioTargetX96
+      : SqrtPriceMath.getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+  } else {
+    const amountRemainingOut = JSBI.unaryMinus(amountRemaining);
+    amountOut = zeroForOne
+      ? SqrtPriceMath.getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false)
+      : SqrtPriceMath.getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+    sqrtRatioNextX96 = JSBI.greaterThanOrEqual(amountRemainingOut, amountOut)
+      ? sqrtRatioTargetX96
+      : SqrtPriceMath.getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, amountRemainingOut, zeroForOne);
+  }
+
+  const max = JSBI.equal(sqrtRatioTargetX96, sqrtRatioNextX96);
+  if (zeroForOne) {
+    if (!(max && exactIn)) {
+      amountIn = SqrtPriceMath.getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    }
+    if (!(max && !exactIn)) {
+      amountOut = SqrtPriceMath.getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+    }
+  } else {
+    if (!(max && exactIn)) {
+      amountIn = SqrtPriceMath.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    }
+    if (!(max && !exactIn)) {
+      amountOut = SqrtPriceMath.getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+    }
+  }
+
+  if (!exactIn && JSBI.greaterThan(amountOut, JSBI.unaryMinus(amountRemaining))) {
+    amountOut = JSBI.unaryMinus(amountRemaining);
+  }
+
+  const feeAmount = exactIn && JSBI.notEqual(sqrtRatioNextX96, sqrtRatioTargetX96)
+    ? JSBI.subtract(amountRemaining, amountIn)
+    : FullMath.mulDivRoundingUp(amountIn, fee, JSBI.subtract(MAX_FEE, fee));
+
+  return [sqrtRatioNextX96, amountIn, amountOut, feeAmount];
+}
+
+// UniswapV3Pool.swap, updating the pool's price, tick & liquidity
+function poolSwap(pool, zeroForOne, amountSpecified, sqrtPriceLimitX96) {
+  if (JSBI.equal(amountSpecified, ZERO)) {
+    throw new SimulationRevert('AS');
+  }
+  const exactInput = JSBI.greaterThan(amountSpecified, ZERO);
+  let amountSpecifiedRemaining = amountSpecified;
+  let amountCalculated = ZERO;
+
+  while (JSBI.notEqual(amountSpecifiedRemaining, ZERO) && JSBI.notEqual(pool.sqrtPriceX96, sqrtPriceLimitX96)) {
+    const sqrtPriceStartX96 = pool.sqrtPriceX96;
+
+    let [tickNext, initialized] = nextInitializedTickWithinOneWord(pool, pool.tick, zeroForOne);
+    tickNext = Math.max(TickMath.MIN_TICK, Math.min(TickMath.MAX_TICK, tickNext));
+    const sqrtPriceNextX96 = TickMath.getSqrtRatioAtTick(tickNext);
+
+    const pastLimit = zeroForOne
+      ? JSBI.lessThan(sqrtPriceNextX96, sqrtPriceLimitX96)
+      : JSBI.greaterThan(sqrtPriceNextX96, sqrtPriceLimitX96);
+    const [sqrtPriceX96, amountIn, amountOut, feeAmount] = computeSwapStep(
+      pool.sqrtPriceX96,
+      pastLimit ? sqrtPriceLimitX96 : sqrtPriceNextX96,
+      pool.liquidity,
+      amountSpecifiedRemaining,
+      pool.fee,
+    );
+    pool.sqrtPriceX96 = sqrtPriceX96;
+
+    if (exactInput) {
+      amountSpecifiedRemaining = JSBI.subtract(amountSpecifiedRemaining, JSBI.add(amountIn, feeAmount));
+      amountCalculated = JSBI.subtract(amountCalculated, amountOut);
+    } else {
+      amountSpecifiedRemaining = JSBI.add(amountSpecifiedRemaining, amountOut);
+      amountCalculated = JSBI.add(amountCalculated, JSBI.add(amountIn, feeAmount));
+    }
+
+    if (JSBI.equal(pool.sqrtPriceX96, sqrtPriceNextX96)) {
+      if (initialized) {
+        const liquidityNet = pool.ticks[tickNext].liquidityNet;
+        pool.liquidity = LiquidityMath.addDelta(pool.liquidity, zeroForOne ? JSBI.unaryMinus(liquidityNet) : liquidityNet);
+      }
+      pool.tick = zeroForOne ? tickNext - 1 : tickNext;
+    } else if (JSBI.notEqual(pool.sqrtPriceX96, sqrtPriceStartX96)) {
+      pool.tick = TickMath.getTickAtSqrtRatio(pool.sqrtPriceX96);
+    }
+  }
+
+  const specifiedDelta = JSBI.subtract(amountSpecified, amountSpecifiedRemaining);
+  return zeroForOne === exactInput
+    ? [specifiedDelta, amountCalculated]
+    : [amountCalculated, specifiedDelta];
+}
+
+///
+//  MetaPool model
+///
+
+// MetaPool.twap, with the current tick of the snapshot or a simulated pool
+function getTwapDrift(snapshot, currentTick = snapshot.pool.tick) {
+  if (!snapshot.twap) {
+    throw new SimulationRevert('OLD');
+  }
+  const [cumulativeStart, cumulativeEnd] = snapshot.twap.tickCumulatives;
+  // Solidity division truncates towards zero, just like JSBI.divide
+  const averageTick = JSBI.toNumber(
+    JSBI.divide(JSBI.subtract(cumulativeEnd, cumulativeStart), JSBI.BigInt(snapshot.twapWindow)),
+  );
+  return {
+    averageTick,
+    currentTick,
+    drift: Math.abs(averageTick - currentTick),
+    maxTickMovement: snapshot.maxTickMovement,
+  };
+}
+
+// MetaPool.requireMinimalPriceMovement. Swaps earlier in the same block don't change the TWAP, only the current tick
+function requireMinimalPriceMovement(snapshot, pool) {
+  const twap = getTwapDrift(snapshot, pool.tick);
+  if (twap.drift >= snapshot.maxTickMovement) {
+    throw new SimulationRevert('Slippage');
+  }
+  return twap;
+}
+
+// MetaPool.pendingManagementFee, at the snapshot's block timestamp
+function getPendingManagementFee(snapshot) {
+  const { treasury, managementFee, lastFeeAccrual } = snapshot.fees;
+  if (treasury === ZERO_ADDRESS || managementFee === 0 || snapshot.emergency) {
+    return ZERO;
+  }
+  const elapsed = JSBI.BigInt(snapshot.timestamp - lastFeeAccrual);
+  return JSBI.divide(
+    JSBI.multiply(JSBI.multiply(snapshot.totalSupply, JSBI.BigInt(managementFee)), elapsed),
+    JSBI.BigInt(10000 * YEAR),
+  );
+}
+
+// LP supply once mint(), burn() or rebalance() has accrued the management fee
+function getSupply(snapshot) {
+  return JSBI.add(snapshot.totalSupply, getPendingManagementFee(snapshot));
+}
+
+// MetaPool.takePerformanceFee, returning the balances left to deposit
+function takePerformanceFee(snapshot, pool, supply, amount0, amount1, fees0, fees1) {
+  const { treasury, performanceFee, feesAsShares } = snapshot.fees;
+  if (treasury === ZERO_ADDRESS || performanceFee === 0) {
+    return { fee0: ZERO, fee1: ZERO, shares: ZERO, amount0, amount1 };
+  }
+
+  const fee0 = mulDiv(fees0, JSBI.BigInt(performanceFee), JSBI.BigInt(10000));
+  const fee1 = mulDiv(fees1, JSBI.BigInt(performanceFee), JSBI.BigInt(10000));
+  if (!feesAsShares) {
+    return { fee0, fee1, shares: ZERO, amount0: spend(amount0, fee0), amount1: spend(amount1, fee1) };
+  }
+
+  const [total0, total1] = getTotalPosition(snapshot, pool);
+  const feeValue = JSBI.add(fee1, getQuoteFromSqrt(pool.sqrtPriceX96, fee0, true));
+  const totalValue = JSBI.add(JSBI.add(total1, amount1), getQuoteFromSqrt(pool.sqrtPriceX96, JSBI.add(total0, amount0), true));
+  const shares = mulDiv(supply, feeValue, JSBI.subtract(totalValue, feeValue));
+  return { fee0, fee1, shares, amount0, amount1 };
+}
+
+// MetaPool.mintAll, skipping positions that wouldn't get any liquidity
+function mintAll(pool, snapshot, sqrtRatioX96, amount0, amount1) {
+  return snapshot.ranges.map(({ lowerTick, upperTick, weight }) => {
+    const amount0Desired = mulDiv(amount0, JSBI.BigInt(weight), JSBI.BigInt(10000));
+    const amount1Desired = mulDiv(amount1, JSBI.BigInt(weight), JSBI.BigInt(10000));
+    const liquidity = getLiquidityForAmounts(
+      sqrtRatioX96,
+      TickMath.getSqrtRatioAtTick(lowerTick),
+      TickMath.getSqrtRatioAtTick(upperTick),
+      amount0Desired,
+      amount1Desired,
+    );
+
+    if (JSBI.equal(liquidity, ZERO)) {
+      return { amount0Desired, amount1Desired, liquidity, amount0: ZERO, amount1: ZERO };
+    }
+    const [minted0, minted1] = poolMint(pool, lowerTick, upperTick, liquidity);
+    return { amount0Desired, amount1Desired, liquidity, amount0: minted0, amount1: minted1 };
+  });
+}
+
+// Total of a list of { amount0, amount1 }
+function sumAmounts(amounts) {
+  return amounts.reduce(
+    ([total0, total1], { amount0, amount1 }) => [JSBI.add(total0, amount0), JSBI.add(total1, amount1)],
+    [ZERO, ZERO],
+  );
+}
+
+// The pool pulls tokens from the MetaPool's balance, so overspending fails in TransferHelper.safeTransfer
+function spend(balance, amount) {
+  if (JSBI.greaterThan(amount, balance)) {
+    throw new SimulationRevert('ST');
+  }
+  return JSBI.subtract(balance, amount);
+}
+
+function deposit(snapshot, pool, amount0, amount1) {
+  const twap = requireMinimalPriceMovement(snapshot, pool);
+  const sqrtRatioX96 = pool.sqrtPriceX96;
+
+  const firstMint = mintAll(pool, snapshot, sqrtRatioX96, amount0, amount1);
+  for (const leg of firstMint) {
+    amount0 = spend(amount0, leg.amount0);
+    amount1 = spend(amount1, leg.amount1);
+  }
+  let liquidityAdded = firstMint.map(leg => leg.liquidity);
+
+  let swap = null;
+  let secondMint = null;
+  const TWO = JSBI.BigInt(2);
+  if (JSBI.greaterThan(amount0, TWO) || JSBI.greaterThan(amount1, TWO)) {
+    let zeroForOne;
+    let swapAmount;
+    if (JSBI.lessThanOrEqual(amount0, TWO) || JSBI.lessThanOrEqual(amount1, TWO)) {
+      zeroForOne = JSBI.greaterThan(amount0, amount1);
+      swapAmount = zeroForOne ? amount0 : amount1;
+    } else {
+      const equivalentAmount0 = getQuoteFromSqrt(sqrtRatioX96, amount1, false);
+      zeroForOne = JSBI.greaterThan(amount0, equivalentAmount0);
+      swapAmount = zeroForOne
+        ? JSBI.subtract(amount0, equivalentAmount0)
+        : JSBI.subtract(amount1, getQuoteFromSqrt(sqrtRatioX96, amount0, true));
+    }
+
+    const price = getQuoteFromSqrt(sqrtRatioX96, TEN_BILLION, zeroForOne);
+    swapAmount = JSBI.divide(JSBI.multiply(swapAmount, TEN_BILLION), JSBI.add(TEN_BILLION, price));
+
+    const sqrtPriceLimitX96 = zeroForOne
+      ? JSBI.add(TickMath.MIN_SQRT_RATIO, ONE)
+      : JSBI.subtract(TickMath.MAX_SQRT_RATIO, ONE);
+    const [amount0Delta, amount1Delta] = poolSwap(pool, zeroForOne, swapAmount, sqrtPriceLimitX96);
+
+    amount0 = spend(amount0, amount0Delta);
+    amount1 = spend(amount1, amount1Delta);
+    swap = {
+      zeroForOne,
+      amountSpecified: swapAmount,
+      amount0Delta,
+      amount1Delta,
+      sqrtPriceX96After: pool.sqrtPriceX96,
+      tickAfter: pool.tick,
+    };
+
+    // The second pass sizes liquidity with the post-swap price
+    secondMint = mintAll(pool, snapshot, pool.sqrtPriceX96, amount0, amount1);
+    for (const leg of secondMint) {
+      amount0 = spend(amount0, leg.amount0);
+      amount1 = spend(amount1, leg.amount1);
+    }
+    liquidityAdded = liquidityAdded.map((liquidity, i) => JSBI.add(liquidity, secondMint[i].liquidity));
+  }
+
+  return {
+    twap,
+    firstMint,
+    swap,
+    secondMint,
+    newLiquidity: liquidityAdded.map(liquidity => JSBI.asUintN(128, liquidity)),
+    amount0Remainder: amount0,
+    amount1Remainder: amount1,
+  };
+}
+
+// MetaPool.totalPosition, at the model pool's current price
+function getTotalPosition(snapshot, pool) {
+  let total0 = ZERO;
+  let total1 = ZERO;
+  snapshot.ranges.forEach((range, i) => {
+    const [amount0, amount1] = getAmountsForLiquidity(
+      pool.sqrtPriceX96,
+      TickMath.getSqrtRatioAtTick(range.lowerTick),
+      TickMath.getSqrtRatioAtTick(range.upperTick),
+      snapshot.positions[i].liquidity,
+    );
+    total0 = JSBI.add(total0, amount0);
+    total1 = JSBI.add(total1, amount1);
+  });
+  return [total0, total1];
+}
+
+// MetaPool.getMaxLPTokens, or null if the positions don't hold either token
+function getMaxLPTokens(snapshot, pool, amount0, amount1) {
+  const padding = JSBI.BigInt(snapshot.ranges.length);
+  const totals = getTotalPosition(snapshot, pool);
+  let newLPTokens = null;
+  [amount0, amount1].forEach((amount, i) => {
+    if (JSBI.equal(totals[i], ZERO)) {
+      return;
+    }
+    const lpTokens = JSBI.greaterThan(amount, padding)
+      ? mulDiv(JSBI.subtract(amount, padding), getSupply(snapshot), JSBI.add(totals[i], padding))
+      : ZERO;
+    newLPTokens = newLPTokens === null ? lpTokens : min(newLPTokens, lpTokens);
+  });
+  return newLPTokens;
+}
+
+// MetaPool.mint, returning the amounts pulled from the caller
+function metaPoolMint(snapshot, pool, newLPTokens) {
+  if (snapshot.positions.some(position => JSBI.equal(position.liquidity, ZERO))) {
+    throw new SimulationRevert('INI');
+  }
+  const supply = getSupply(snapshot);
+  let amount0 = ZERO;
+  let amount1 = ZERO;
+  snapshot.ranges.forEach((range, i) => {
+    const liquidity = mulDiv(newLPTokens, snapshot.positions[i].liquidity, supply);
+    const [minted0, minted1] = poolMint(pool, range.lowerTick, range.upperTick, liquidity);
+    amount0 = JSBI.add(amount0, minted0);
+    amount1 = JSBI.add(amount1, minted1);
+  });
+  return [amount0, amount1];
+}
+
+// MetaPool.mintWithAmounts
+function mintWithAmounts(snapshot, pool, amount0Max, amount1Max, minLPTokens) {
+  if (snapshot.guardMints) {
+    requireMinimalPriceMovement(snapshot, pool);
+  }
+  const newLPTokens = getMaxLPTokens(snapshot, pool, amount0Max, amount1Max);
+  if (newLPTokens === null) {
+    // The positions are empty, so addLiquidity() reverts
+    throw new SimulationRevert('INI');
+  }
+  if (JSBI.equal(newLPTokens, ZERO) || JSBI.lessThan(newLPTokens, minLPTokens)) {
+    throw new SimulationRevert('Slippage');
+  }
+  const [amount0, amount1] = metaPoolMint(snapshot, pool, newLPTokens);
+  if (JSBI.greaterThan(amount0, amount0Max) || JSBI.greaterThan(amount1, amount1Max)) {
+    throw new SimulationRevert('Slippage');
+  }
+  return { newLPTokens, amount0, amount1 };
+}
+
+function zap(snapshot, pool, zeroForOne, amountIn, sqrtPriceLimitX96) {
+  let [amount0, amount1] = zeroForOne ? [amountIn, ZERO] : [ZERO, amountIn];
+
+  // MetaPoolZap.getSwapAmount
+  const [total0, total1] = getTotalPosition(snapshot, pool);
+  const valueIn = getQuoteFromSqrt(pool.sqrtPriceX96, zeroForOne ? total0 : total1, zeroForOne);
+  const valueOut = zeroForOne ? total1 : total0;
+  if (JSBI.equal(JSBI.add(valueIn, valueOut), ZERO)) {
+    throw new SimulationRevert('INI');
+  }
+  const swapAmount = mulDiv(amountIn, valueOut, JSBI.add(valueIn, valueOut));
+
+  let swap = null;
+  if (JSBI.notEqual(swapAmount, ZERO)) {
+    if (JSBI.equal(sqrtPriceLimitX96, ZERO)) {
+      sqrtPriceLimitX96 = zeroForOne
+        ? JSBI.add(TickMath.MIN_SQRT_RATIO, ONE)
+        : JSBI.subtract(TickMath.MAX_SQRT_RATIO, ONE);
+    }
+    const validLimit = zeroForOne
+      ? JSBI.lessThan(sqrtPriceLimitX96, pool.sqrtPriceX96) && JSBI.greaterThan(sqrtPriceLimitX96, TickMath.MIN_SQRT_RATIO)
+      : JSBI.greaterThan(sqrtPriceLimitX96, pool.sqrtPriceX96) && JSBI.lessThan(sqrtPriceLimitX96, TickMath.MAX_SQRT_RATIO);
+    if (!validLimit) {
+      throw new SimulationRevert('SPL');
+    }
+
+    const [amount0Delta, amount1Delta] = poolSwap(pool, zeroForOne, swapAmount, sqrtPriceLimitX96);
+    amount0 = JSBI.subtract(amount0, amount0Delta);
+    amount1 = JSBI.subtract(amount1, amount1Delta);
+    swap = {
+      zeroForOne,
+      amountSpecified: swapAmount,
+      amount0Delta,
+      amount1Delta,
+      sqrtPriceX96After: pool.sqrtPriceX96,
+      tickAfter: pool.tick,
+    };
+  }
+
+  const { newLPTokens, amount0: amount0Used, amount1: amount1Used } = mintWithAmounts(snapshot, pool, amount0, amount1, ZERO);
+
+  return {
+    swap,
+    newLPTokens,
+    amount0Used,
+    amount1Used,
+    amount0Refund: spend(amount0, amount0Used),
+    amount1Refund: spend(amount1, amount1Used),
+  };
+}
+
+// MetaPool.burn, returning the amounts sent to the recipient
+function metaPoolBurn(snapshot, pool, burnAmount) {
+  const supply = getSupply(snapshot);
+  if (snapshot.emergency) {
+    // After emergencyExit(), burns pay out a share of the tokens the MetaPool holds
+    return [mulDiv(snapshot.balance0, burnAmount, supply), mulDiv(snapshot.balance1, burnAmount, supply)];
+  }
+  let amount0 = ZERO;
+  let amount1 = ZERO;
+  snapshot.ranges.forEach((range, i) => {
+    const liquidity = mulDiv(burnAmount, snapshot.positions[i].liquidity, supply);
+    const [burned0, burned1] = poolBurn(pool, range.lowerTick, range.upperTick, liquidity);
+    amount0 = JSBI.add(amount0, burned0);
+    amount1 = JSBI.add(amount1, burned1);
+  });
+  return [amount0, amount1];
+}
+
+function burnSingle(snapshot, pool, burnAmount, zeroForOne) {
+  const [amount0, amount1] = metaPoolBurn(snapshot, pool, burnAmount);
+
+  let amountOut = zeroForOne ? amount1 : amount0;
+  const amountIn = zeroForOne ? amount0 : amount1;
+  let swap = null;
+  if (JSBI.notEqual(amountIn, ZERO)) {
+    const sqrtPriceLimitX96 = zeroForOne
+      ? JSBI.add(TickMath.MIN_SQRT_RATIO, ONE)
+      : JSBI.subtract(TickMath.MAX_SQRT_RATIO, ONE);
+    const [amount0Delta, amount1Delta] = poolSwap(pool, zeroForOne, amountIn, sqrtPriceLimitX96);
+    amountOut = JSBI.subtract(amountOut, zeroForOne ? amount1Delta : amount0Delta);
+    swap = {
+      zeroForOne,
+      amountSpecified: amountIn,
+      amount0Delta,
+      amount1Delta,
+      sqrtPriceX96After: pool.sqrtPriceX96,
+      tickAfter: pool.tick,
+    };
+  }
+
+  return { amount0Burned: amount0, amount1Burned: amount1, swap, amountOut };
+}
+
+// Convert every JSBI in a result to an ethers BigNumber
+function toBigNumbers(value) {
+  if (value instanceof JSBI) {
+    return toBN(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toBigNumbers);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = toBigNumbers(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+function simulate(fn) {
+  try {
+    return toBigNumbers({ reverted: false, ...fn() });
+  } catch (e) {
+    if (e instanceof SimulationRevert) {
+      return { reverted: true, reason: e.reason };
+    }
+    throw e;
+  }
+}
+
+/**
+ * Predict the outcome of MetaPool.rebalance(), with the management fee accrued to the snapshot's block
+ * @param snapshot State from getSnapshot()
+ * @return Collected fees, the protocol fees taken, each step of deposit() & the values of the Rebalanced event,
+ *         or { reverted: true, reason } if the call would revert
+ */
+function simulateRebalance(snapshot) {
+  return simulate(() => {
+    const pool = clonePool(snapshot.pool);
+
+    const collected = snapshot.positions.map(position => {
+      const [amount0, amount1] = getOwedFees(pool, position);
+      return { amount0, amount1 };
+    });
+
+    const [fees0, fees1] = sumAmounts(collected);
+    const managementShares = getPendingManagementFee(snapshot);
+    const { fee0, fee1, shares, amount0, amount1 } = takePerformanceFee(
+      snapshot,
+      pool,
+      JSBI.add(snapshot.totalSupply, managementShares),
+      JSBI.add(snapshot.balance0, fees0),
+      JSBI.add(snapshot.balance1, fees1),
+      fees0,
+      fees1,
+    );
+    const protocolFees = { managementShares, performanceFee0: fee0, performanceFee1: fee1, performanceShares: shares };
+
+    return { collected, protocolFees, ...deposit(snapshot, pool, amount0, amount1) };
+  });
+}
+
+/**
+ * Predict the outcome of MetaPool.moveRanges(), with the management fee accrued to the snapshot's block
+ * @param snapshot State from getSnapshot()
+ * @param ticks New { lowerTick, upperTick } of each range
+ * @return Amounts withdrawn & fees collected from the old positions, the protocol fees taken & each step
+ *         of deposit() into the new positions, or { reverted: true, reason }
+ */
+function simulateMoveRanges(snapshot, ticks) {
+  return simulate(() => {
+    if (ticks.length !== snapshot.ranges.length) {
+      throw new SimulationRevert('Ranges');
+    }
+    if (ticks.some(({ lowerTick, upperTick }) => lowerTick >= upperTick)) {
+      throw new SimulationRevert('Ticks');
+    }
+    const keys = new Set(ticks.map(({ lowerTick, upperTick }) => `${lowerTick}:${upperTick}`));
+    if (keys.size !== ticks.length) {
+      throw new SimulationRevert('Ranges');
+    }
+    const pool = clonePool(snapshot.pool);
+
+    let amount0 = snapshot.balance0;
+    let amount1 = snapshot.balance1;
+    const withdrawn = [];
+    const collected = [];
+    snapshot.ranges.forEach((range, i) => {
+      const position = snapshot.positions[i];
+      const [fees0, fees1] = getOwedFees(pool, position);
+      const [burned0, burned1] = poolBurn(pool, range.lowerTick, range.upperTick, position.liquidity);
+      withdrawn.push({ amount0: burned0, amount1: burned1 });
+      collected.push({ amount0: fees0, amount1: fees1 });
+      amount0 = JSBI.add(amount0, JSBI.add(burned0, fees0));
+      amount1 = JSBI.add(amount1, JSBI.add(burned1, fees1));
+    });
+
+    // Every position is empty until deposit() mints into the new ranges
+    const moved = {
+      ...snapshot,
+      ranges: snapshot.ranges.map((range, i) => ({ ...range, ...ticks[i] })),
+      positions: snapshot.positions.map((position, i) => ({
+        ...position,
+        tickLower: ticks[i].lowerTick,
+        tickUpper: ticks[i].upperTick,
+        liquidity: ZERO,
+      })),
+    };
+    const managementShares = getPendingManagementFee(snapshot);
+    const [fees0, fees1] = sumAmounts(collected);
+    const fee = takePerformanceFee(
+      moved, pool, JSBI.add(snapshot.totalSupply, managementShares), amount0, amount1, fees0, fees1,
+    );
+    const protocolFees = {
+      managementShares,
+      performanceFee0: fee.fee0,
+      performanceFee1: fee.fee1,
+      performanceShares: fee.shares,
+    };
+
+    const result = deposit(moved, pool, fee.amount0, fee.amount1);
+    if (result.newLiquidity.some(liquidity => JSBI.equal(liquidity, ZERO))) {
+      throw new SimulationRevert('INI');
+    }
+    return { withdrawn, collected, protocolFees, ...result };
+  });
+}
+
+/**
+ * Predict how MetaPool's private deposit() would add a given token balance to its positions
+ * @param snapshot State from getSnapshot()
+ * @param amount0 Total token0 balance held by the MetaPool when deposit() runs
+ * @param amount1 Total token1 balance held by the MetaPool when deposit() runs
+ */
+function simulateDeposit(snapshot, amount0, amount1) {
+  return simulate(() => deposit(snapshot, clonePool(snapshot.pool), big(amount0), big(amount1)));
+}
+
+/**
+ * Predict the amounts MetaPool.mint() takes, with the management fee accrued to the snapshot's block
+ * @param snapshot State from getSnapshot()
+ * @param newLPTokens Number of LP tokens to mint
+ * @return The amounts deposited, or { reverted: true, reason }
+ */
+function simulateMint(snapshot, newLPTokens) {
+  return simulate(() => {
+    const pool = clonePool(snapshot.pool);
+    if (snapshot.guardMints) {
+      requireMinimalPriceMovement(snapshot, pool);
+    }
+    const [amount0, amount1] = metaPoolMint(snapshot, pool, big(newLPTokens));
+    return { amount0, amount1 };
+  });
+}
+
+/**
+ * Predict the outcome of MetaPool.mintWithAmounts(), with the management fee accrued to the snapshot's block
+ * @param snapshot State from getSnapshot()
+ * @param amount0Max Maximum amount of token0 to deposit
+ * @param amount1Max Maximum amount of token1 to deposit
+ * @param minLPTokens Minimum number of LP tokens to mint
+ * @return The LP tokens minted & amounts deposited, or { reverted: true, reason }
+ */
+function simulateMintWithAmounts(snapshot, amount0Max, amount1Max, minLPTokens = 0) {
+  return simulate(() => mintWithAmounts(snapshot, clonePool(snapshot.pool), big(amount0Max), big(amount1Max), big(minLPTokens)));
+}
+
+/**
+ * Predict the outcome of MetaPoolZap.zapIn()
+ * @param snapshot State from getSnapshot()
+ * @param zeroForOne True to deposit token0, false to deposit token1
+ * @param amountIn Amount of the token to deposit
+ * @param sqrtPriceLimitX96 Price limit for the swap (0 for no limit)
+ * @return The swap, LP tokens minted, amounts deposited & refunds, or { reverted: true, reason }
+ */
+function simulateZap(snapshot, zeroForOne, amountIn, sqrtPriceLimitX96 = 0) {
+  return simulate(() => zap(snapshot, clonePool(snapshot.pool), zeroForOne, big(amountIn), big(sqrtPriceLimitX96)));
+}
+
+/**
+ * Predict the amounts MetaPool.burn() returns, with the management fee accrued to the snapshot's block
+ * @param snapshot State from getSnapshot()
+ * @param burnAmount Number of LP tokens to burn
+ * @return The amounts withdrawn, or { reverted: true, reason }
+ */
+function simulateBurn(snapshot, burnAmount) {
+  return simulate(() => {
+    const [amount0, amount1] = metaPoolBurn(snapshot, clonePool(snapshot.pool), big(burnAmount));
+    return { amount0, amount1 };
+  });
+}
+
+/**
+ * Predict the outcome of MetaPoolZap.burnSingle()
+ * @param snapshot State from getSnapshot()
+ * @param burnAmount Number of LP tokens to burn
+ * @param zeroForOne True to withdraw token1 (swapping the token0 withdrawn), false to withdraw token0
+ * @return The amounts burned, the swap & the amount of the requested token returned
+ */
+function simulateBurnSingle(snapshot, burnAmount, zeroForOne) {
+  return simulate(() => burnSingle(snapshot, clonePool(snapshot.pool), big(burnAmount), zeroForOne));
+}
+
+module.exports = {
+  getAmountsForLiquidity,
+  getLiquidityForAmounts,
+  getOwedFees,
+  getPendingManagementFee,
+  getQuoteFromSqrt,
+  getSnapshot,
+  getTwapDrift,
+  simulateBurn,
+  simulateBurnSingle,
+  simulateDeposit,
+  simulateMint,
+  simulateMintWithAmounts,
+  simulateMoveRanges,
+  simulateRebalance,
+  simulateZap,
+};
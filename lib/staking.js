@@ -0,0 +1,100 @@
+const { approveIfNeeded, getDeployment, getManifestPath } = require('./deploy');
+
+const DEFAULT_STAKING_NAME = 'MetaPoolStaking';
+const DEFAULT_PERIOD = 7 * 24 * 60 * 60;
+
+/**
+ * Deploy a MetaPoolStaking contract for a MetaPool's LP tokens. The deployer holds every role
+ * @param signer Account to deploy from (defaults to the first account)
+ * @return The staking contract & its deployment receipt
+ */
+async function deployStaking(hre, metaPoolAddress, signer) {
+  const { ethers } = hre;
+  const MetaPoolStaking = await ethers.getContractFactory('MetaPoolStaking', signer || (await ethers.getSigners())[0]);
+  const staking = await MetaPoolStaking.deploy(metaPoolAddress);
+  const receipt = await staking.deployTransaction.wait();
+  return { staking, receipt };
+}
+
+/**
+ * Load a MetaPoolStaking contract by address, or by its name in the deployment manifest
+ */
+async function getStaking(hre, { address, name = DEFAULT_STAKING_NAME, manifest } = {}) {
+  if (!address) {
+    const deployment = getDeployment(hre, name, manifest);
+    if (!deployment) {
+      throw new Error(`No staking address given, and no "${name}" deployment in ${getManifestPath(hre, manifest)}`);
+    }
+    address = deployment.address;
+  }
+  return hre.ethers.getContractAt('MetaPoolStaking', address);
+}
+
+/**
+ * Read every reward token's period, and what an account has staked & earned
+ * @param account Address to read the stake & earnings of (optional)
+ * @return { totalSupply, staked, rewards: [{ token, distributor, rewardRate, periodFinish, remaining, undistributed, earned }] }
+ */
+async function getRewards(hre, staking, account) {
+  const { timestamp } = await hre.ethers.provider.getBlock('latest');
+  const rewards = [];
+  const count = (await staking.rewardTokensLength()).toNumber();
+  for (let i = 0; i < count; i++) {
+    const token = await staking.rewardTokens(i);
+    const { distributor, periodFinish, rewardRate, undistributed } = await staking.rewardData(token);
+    rewards.push({
+      token,
+      distributor,
+      rewardRate,
+      periodFinish,
+      // Still to be streamed in the current period
+      remaining: periodFinish > timestamp ? rewardRate.mul(periodFinish - timestamp) : rewardRate.mul(0),
+      undistributed,
+      earned: account ? await staking.earned(account, token) : undefined,
+    });
+  }
+  return {
+    totalSupply: await staking.totalSupply(),
+    staked: account ? await staking.balanceOf(account) : undefined,
+    rewards,
+  };
+}
+
+/**
+ * Fund a period of a reward token, adding the token with the signer as its distributor if it isn't a reward yet.
+ * Rewards left from a running period are streamed over the new one too
+ * @param staking MetaPoolStaking contract, connected to the distributor (or the owner, for a new reward token)
+ * @param token Address of the reward token
+ * @param amount Amount of the token to add, in raw units
+ * @param options.duration Seconds the period lasts (defaults to 7 days)
+ * @return The receipt, the period's `rewardRate` & `periodFinish`, and whether the token was added
+ */
+async function fundRewards(hre, staking, token, amount, { duration = DEFAULT_PERIOD } = {}) {
+  const { ethers } = hre;
+  const { signer } = staking;
+  const address = await signer.getAddress();
+
+  let added = false;
+  let { distributor } = await staking.rewardData(token);
+  if (distributor === ethers.constants.AddressZero) {
+    await (await staking.addReward(token, address)).wait();
+    distributor = address;
+    added = true;
+  }
+  if (distributor !== address) {
+    throw new Error(`${address} isn't the distributor of ${token}, ${distributor} is`);
+  }
+
+  await approveIfNeeded(ethers, token, signer, staking.address, amount);
+  const receipt = await (await staking.fundReward(token, amount, duration)).wait();
+  const { args } = receipt.events.find(event => event.event === 'RewardFunded');
+  return { receipt, added, rewardRate: args.rewardRate, periodFinish: args.periodFinish.toNumber() };
+}
+
+module.exports = {
+  DEFAULT_STAKING_NAME,
+  deployStaking,
+  fundRewards,
+  getRewards,
+  getStaking,
+};
@@ -0,0 +1,150 @@
+const { getDecimals } = require('./deploy');
+const { getRoles, getTimelock } = require('./governance');
+const { sqrtPriceX96ToPrice, tickRangeToPrices } = require('./prices');
+const { getOwedFees, getPendingManagementFee, getSnapshot, getTwapDrift } = require('./simulator');
+
+const ONE_LP_TOKEN = '1000000000000000000';
+
+async function getPositionStatus(metaPool, snapshot, index, priceOptions) {
+  const { lowerTick: tickLower, upperTick: tickUpper, weight } = snapshot.ranges[index];
+  const { token0Amount, token1Amount, liquidity } = await metaPool.position(index);
+  const [fees0, fees1] = getOwedFees(snapshot.pool, snapshot.positions[index]);
+  const [priceLower, priceUpper] = tickRangeToPrices([tickLower, tickUpper], priceOptions);
+
+  return {
+    weight,
+    tickLower,
+    tickUpper,
+    priceLower,
+    priceUpper,
+    inRange: snapshot.pool.tick >= tickLower && snapshot.pool.tick < tickUpper,
+    liquidity: liquidity.toString(),
+    amount0: token0Amount.toString(),
+    amount1: token1Amount.toString(),
+    uncollectedFees0: fees0.toString(),
+    uncollectedFees1: fees1.toString(),
+  };
+}
+
+/**
+ * Collect a report of a MetaPool's positions, fees, share value & rebalancing conditions
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract
+ * @return Plain object, with all token amounts as decimal strings in raw token units
+ */
+async function getStatus(hre, metaPool) {
+  const { ethers } = hre;
+  const snapshot = await getSnapshot(hre, metaPool);
+  const priceOptions = {
+    decimals0: await getDecimals(ethers, snapshot.token0),
+    decimals1: await getDecimals(ethers, snapshot.token1),
+  };
+
+  const positions = [];
+  for (let i = 0; i < snapshot.ranges.length; i++) {
+    positions.push(await getPositionStatus(metaPool, snapshot, i, priceOptions));
+  }
+
+  const { token0Amount, token1Amount } = await metaPool.totalPosition();
+  const totalSupply = await metaPool.totalSupply();
+  const perLPToken = totalSupply.isZero()
+    ? { amount0: '0', amount1: '0' }
+    : {
+      amount0: token0Amount.mul(ONE_LP_TOKEN).div(totalSupply).toString(),
+      amount1: token1Amount.mul(ONE_LP_TOKEN).div(totalSupply).toString(),
+    };
+
+  let twap = null;
+  if (snapshot.twap) {
+    const { averageTick, drift } = getTwapDrift(snapshot);
+    twap = {
+      averageTick,
+      drift,
+      maxTickMovement: snapshot.maxTickMovement,
+      withinLimit: drift < snapshot.maxTickMovement,
+    };
+  }
+  const pool = await ethers.getContractAt('IUniswapV3Pool', snapshot.pool.address);
+  const { observationCardinality, observationCardinalityNext } = await pool.slot0();
+
+  const { number: blockNumber } = await ethers.provider.getBlock('latest');
+  const timelock = await getTimelock(hre, metaPool);
+
+  return {
+    blockNumber,
+    metaPool: metaPool.address,
+    pool: snapshot.pool.address,
+    token0: snapshot.token0,
+    token1: snapshot.token1,
+    sqrtPriceX96: snapshot.pool.sqrtPriceX96.toString(),
+    tick: snapshot.pool.tick,
+    price: sqrtPriceX96ToPrice(snapshot.pool.sqrtPriceX96, priceOptions),
+    positions,
+    totalAmount0: token0Amount.toString(),
+    totalAmount1: token1Amount.toString(),
+    idleAmount0: snapshot.balance0.toString(),
+    idleAmount1: snapshot.balance1.toString(),
+    totalSupply: totalSupply.toString(),
+    perLPToken,
+    paused: await metaPool.paused(),
+    emergency: snapshot.emergency,
+    roles: await getRoles(metaPool),
+    timelock: {
+      address: timelock.address,
+      delay: await timelock.delay(),
+    },
+    protocolFees: {
+      ...snapshot.fees,
+      pendingManagementFee: getPendingManagementFee(snapshot).toString(),
+    },
+    twap,
+    twapWindow: snapshot.twapWindow,
+    observationCardinality,
+    observationCardinalityNext,
+    guardMints: snapshot.guardMints,
+  };
+}
+
+function formatStatus(status) {
+  const lines = [
+    `MetaPool ${status.metaPool} (block ${status.blockNumber})`,
+    `Uniswap pool ${status.pool}: tick ${status.tick}, price ${status.price} token1 per token0`,
+    '',
+  ];
+
+  status.positions.forEach((position, i) => {
+    lines.push(
+      `#${i} ${position.weight / 100}% [${position.tickLower}:${position.tickUpper}] (${position.priceLower}-${position.priceUpper}) `
+        + (position.inRange ? 'in range' : 'OUT OF RANGE'),
+      `  liquidity ${position.liquidity}: ${position.amount0} token0 & ${position.amount1} token1`,
+      `  uncollected fees: ${position.uncollectedFees0} token0 & ${position.uncollectedFees1} token1`,
+    );
+  });
+
+  lines.push(
+    '',
+    `Total: ${status.totalAmount0} token0 & ${status.totalAmount1} token1 (${status.idleAmount0} token0 & ${status.idleAmount1} token1 idle)`,
+    `Supply: ${status.totalSupply} LP, ${status.perLPToken.amount0} token0 & ${status.perLPToken.amount1} token1 per 1e18 LP`,
+    `Paused: ${status.paused}${status.emergency ? ' - emergency exit, positions withdrawn & only burns allowed' : ''}`,
+    'Roles: ' + Object.entries(status.roles)
+      .map(([role, { holder, pending }]) => `${role} ${holder}${pending ? ` (offered to ${pending})` : ''}`)
+      .join(', '),
+    `Timelock ${status.timelock.address}: ${status.timelock.delay}s delay on parameter changes`,
+    `Protocol fees: ${status.protocolFees.performanceFee} bps of collected fees`
+      + ` (as ${status.protocolFees.feesAsShares ? 'LP tokens' : 'tokens'}), ${status.protocolFees.managementFee} bps a year`
+      + ` to ${status.protocolFees.treasury}, ${status.protocolFees.pendingManagementFee} LP pending`,
+    status.twap
+      ? `TWAP tick ${status.twap.averageTick} over ${status.twapWindow}s, drift ${status.twap.drift} / ${status.twap.maxTickMovement}`
+        + (status.twap.withinLimit ? '' : ` - rebalance${status.guardMints ? ' & mint' : ''} would revert`)
+      : `TWAP unavailable: the pool has less than ${status.twapWindow}s of observations`,
+    `Observations: ${status.observationCardinality} (growing to ${status.observationCardinalityNext}),`
+      + ` mints ${status.guardMints ? 'guarded by' : 'not guarded by'} the TWAP`,
+  );
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatStatus,
+  getStatus,
+};
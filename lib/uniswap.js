@@ -1,8 +1,99 @@
 const fs = require('fs');
-const { TASK_COMPILE_GET_COMPILATION_TASKS } = require("hardhat/builtin-tasks/task-names");
+const path = require('path');
+const { subtask } = require("hardhat/config");
+const {
+  TASK_COMPILE_GET_COMPILATION_TASKS,
+  TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS,
+} = require("hardhat/builtin-tasks/task-names");
+const { keccak256 } = require('@ethersproject/keccak256');
+const { POOL_INIT_CODE_HASH: SDK_POOL_INIT_CODE_HASH } = require('@uniswap/v3-sdk/dist/');
 
 const TASK_CREATE_UNISWAPV3_ARTIFACT = 'TASK_CREATE_UNISWAPV3_ARTIFACT';
 
+// Artifacts of the Uniswap releases on mainnet, by package
+const UNISWAP_ARTIFACTS = {
+  '@uniswap/v3-core': [
+    'contracts/UniswapV3Factory.sol/UniswapV3Factory.json',
+    'contracts/UniswapV3Pool.sol/UniswapV3Pool.json',
+  ],
+  '@uniswap/v3-periphery': [
+    'contracts/SwapRouter.sol/SwapRouter.json',
+    'contracts/NonfungiblePositionManager.sol/NonfungiblePositionManager.json',
+    'contracts/lens/Quoter.sol/Quoter.json',
+  ],
+};
+
+// Vendored sources of the contracts the release artifacts replace, and of the test contracts built on them.
+// They're kept for reference but not compiled, as their artifacts would collide by name with the release ones
+const UNCOMPILED_SOURCES = [
+  'contracts/uniswap-v3/UniswapV3Factory.sol',
+  'contracts/uniswap-v3/UniswapV3Pool.sol',
+  'contracts/uniswap-v3/UniswapV3PoolDeployer.sol',
+  'contracts/uniswap-v3/test/MockTimeUniswapV3Pool.sol',
+  'contracts/uniswap-v3/test/MockTimeUniswapV3PoolDeployer.sol',
+];
+
+/**
+ * Read the Uniswap artifacts from the installed packages, with their source names prefixed by the package
+ * so they can't collide with the project's own sources
+ * @return { [contractName]: artifact }
+ */
+function readUniswapArtifacts() {
+  const artifacts = {};
+  for (const [packageName, paths] of Object.entries(UNISWAP_ARTIFACTS)) {
+    for (const artifactPath of paths) {
+      const artifact = JSON.parse(fs.readFileSync(require.resolve(`${packageName}/artifacts/${artifactPath}`), 'utf8'));
+      artifacts[artifact.contractName] = { ...artifact, sourceName: `${packageName}/${artifact.sourceName}` };
+    }
+  }
+  return artifacts;
+}
+
+// The init code hash periphery contracts compute pool addresses with, from PoolAddress.sol
+function getPeripheryPoolInitCodeHash() {
+  const source = fs.readFileSync(require.resolve('@uniswap/v3-periphery/contracts/libraries/PoolAddress.sol'), 'utf8');
+  const match = source.match(/POOL_INIT_CODE_HASH\s*=\s*(0x[0-9a-fA-F]{64})/);
+  if (!match) {
+    throw new Error('Couldn\'t find POOL_INIT_CODE_HASH in @uniswap/v3-periphery\'s PoolAddress.sol');
+  }
+  return match[1].toLowerCase();
+}
+
+/**
+ * Check the pool's init code hash is the one pool addresses are computed with, by PoolAddress in the periphery
+ * contracts & by the SDK, and that the factory deploys that pool
+ * @param artifacts Result of readUniswapArtifacts()
+ * @throws If any of them don't match
+ */
+function verifyUniswapArtifacts({ UniswapV3Factory, UniswapV3Pool }) {
+  const initCodeHash = keccak256(UniswapV3Pool.bytecode);
+  const expected = [
+    ['@uniswap/v3-periphery PoolAddress.POOL_INIT_CODE_HASH', getPeripheryPoolInitCodeHash()],
+    ['@uniswap/v3-sdk POOL_INIT_CODE_HASH', SDK_POOL_INIT_CODE_HASH.toLowerCase()],
+  ];
+  for (const [name, hash] of expected) {
+    if (initCodeHash !== hash) {
+      throw new Error(
+        `UniswapV3Pool init code hash ${initCodeHash} doesn't match ${name} ${hash}, ` +
+        'so pools wouldn\'t be found at the addresses it computes. Check the installed Uniswap package versions'
+      );
+    }
+  }
+
+  // The factory creates pools with `new UniswapV3Pool()`, so it embeds the pool's creation code
+  if (!UniswapV3Factory.bytecode.includes(UniswapV3Pool.bytecode.slice(2))) {
+    throw new Error('UniswapV3Factory doesn\'t deploy the UniswapV3Pool bytecode of @uniswap/v3-core');
+  }
+}
+
+subtask(
+  TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS,
+  async (_, { config }, runSuper) => {
+    const uncompiled = UNCOMPILED_SOURCES.map(sourceName => path.join(config.paths.root, sourceName));
+    return (await runSuper()).filter(sourcePath => !uncompiled.includes(sourcePath));
+  }
+);
+
 subtask(
   TASK_COMPILE_GET_COMPILATION_TASKS,
   async (_, __, runSuper) => {
@@ -11,16 +102,23 @@ subtask(
   }
 );
 
+// Write the verified Uniswap artifacts alongside the compiled ones, so tests deploy the same bytecode as mainnet
 subtask(TASK_CREATE_UNISWAPV3_ARTIFACT, async (_, { artifacts }) => {
-  const artifact = {
-    _format: "hh-sol-artifact-1",
-    contractName: "UniswapV3Factory",
-    abi: [],
-    bytecode: "0x60a060405234801561001057600080fd5b503060601b608052600380546001600160a01b031916339081179091556040516000907fb532073b38c83145e3e5135377a08bf9aab55bc0fd7c1179cd4fb995d2a5159c908290a36101f4600081815260046020527ffb8cf1d12598d1a039dd1d106665851a96aadf67d0d9ed76fceea282119208b7805462ffffff1916600a90811790915560405190929160008051602061608d83398151915291a3610bb8600081815260046020527f72dffa9b822156d9cf4b0090fa0b656bcb9cc2b2c60eb6acfc20a34f54b31743805462ffffff1916603c90811790915560405190929160008051602061608d83398151915291a3612710600081815260046020527f8cc740d51daa94ff54f33bd779c2d20149f524c340519b49181be5a08615f829805462ffffff191660c890811790915560405190929160008051602061608d83398151915291a360805160601c615f19610174600039806105515250615f196000f3fe608060405234801561001057600080fd5b506004361061007d5760003560e01c8063890357301161005b578063890357301461013b5780638a7c195f146101855780638da5cb5b146101b0578063a1671295146101b85761007d565b806313af4035146100825780631698ee82146100aa57806322afcccb14610102575b600080fd5b6100a86004803603602081101561009857600080fd5b50356001600160a01b03166101f4565b005b6100e6600480360360608110156100c057600080fd5b5080356001600160a01b03908116916020810135909116906040013562ffffff16610267565b604080516001600160a01b039092168252519081900360200190f35b6101246004803603602081101561011857600080fd5b503562ffffff16610293565b6040805160029290920b8252519081900360200190f35b6101436102a8565b604080516001600160a01b0396871681529486166020860152929094168383015262ffffff16606083015260029290920b608082015290519081900360a00190f35b6100a86004803603604081101561019b57600080fd5b5062ffffff813516906020013560020b6102de565b6100e66103a1565b6100e6600480360360608110156101ce57600080fd5b5080356001600160a01b03908116916020810135909116906040013562ffffff166103b0565b6003546001600160a01b0316331461020b57600080fd5b6003546040516001600160a01b038084169216907fb532073b38c83145e3e5135377a08bf9aab55bc0fd7c1179cd4fb995d2a5159c90600090a3600380546001600160a01b0319166001600160a01b0392909216919091179055565b60056020908152600093845260408085208252928452828420905282529020546001600160a01b031681565b60046020526000908152604090205460020b81565b600054600154600280546001600160a01b03938416939283169281169162ffffff600160a01b83041691600160b81b9004900b85565b6003546001600160a01b031633146102f557600080fd5b620f42408262ffffff161061030957600080fd5b60008160020b13801561032057506140008160020b125b61032957600080fd5b62ffffff8216600090815260046020526040902054600290810b900b1561034f57600080fd5b62ffffff828116600081815260046020526040808220805462ffffff1916600287900b958616179055517fc66a3fdf07232cdd185febcc6579d408c241b47ae2f9907d84be655141eeaecc9190a35050565b6003546001600160a01b031681565b60006103ba610546565b826001600160a01b0316846001600160a01b031614156103d957600080fd5b600080846001600160a01b0316866001600160a01b0316106103fc5784866103ff565b85855b90925090506001600160a01b03821661041757600080fd5b62ffffff8416600090815260046020526040902054600290810b9081900b61043e57600080fd5b6001600160a01b0383811660009081526005602090815260408083208685168452825280832062ffffff8a168452909152902054161561047d57600080fd5b61048a308484888561057d565b6001600160a01b03808516600081815260056020818152604080842089871680865290835281852062ffffff8e168087529084528286208054988a166001600160a01b0319998a1681179091558287529484528286208787528452828620818752845294829020805490971684179096558051600289900b815291820192909252815195995091947f783cca1c0412dd0d695e784568c96da2e9c22ff989357a2e8b1d9b2b4e6b71189281900390910190a45050509392505050565b306001600160a01b037f0000000000000000000000000000000000000000000000000000000000000000161461057b57600080fd5b565b6040805160a0810182526001600160a01b03878116808352878216602080850182905292881684860181905262ffffff888116606080880182905260028a810b6080998a01819052600080546001600160a01b03199081169099178155600180548a1689179055825490981686177fffffffffffffffffff000000ffffffffffffffffffffffffffffffffffffffff16600160a01b8502177fffffffffffff000000ffffffffffffffffffffffffffffffffffffffffffffff16600160b81b91830b9095160293909317909255875180870194909452838801929092528281019190915285518083039091018152930193849052825192909101919091209091610686906106f5565b8190604051809103906000f59050801580156106a6573d6000803e3d6000fd5b50600080546001600160a01b0319908116909155600180549091169055600280547fffffffffffff00000000000000000000000000000000000000000000000000001690559695505050505050565b61580a806107038339019056fe6101606040523480156200001257600080fd5b503060601b60805260408051630890357360e41b81529051600091339163890357309160048082019260a092909190829003018186803b1580156200005657600080fd5b505afa1580156200006b573d6000803e3d6000fd5b505050506040513d60a08110156200008257600080fd5b508051602080830151604084015160608086015160809096015160e896871b6001600160e81b0319166101005291811b6001600160601b031990811660e05292811b831660c0529390931b1660a052600282810b900b90921b610120529150620000f79082906200010f811b620029d517901c565b60801b6001600160801b03191661014052506200017d565b60008082600281900b620d89e719816200012557fe5b05029050600083600281900b620d89e8816200013d57fe5b0502905060008460020b83830360020b816200015557fe5b0560010190508062ffffff166001600160801b038016816200017357fe5b0495945050505050565b60805160601c60a05160601c60c05160601c60e05160601c6101005160e81c6101205160e81c6101405160801c6155a26200026860003980611f7652806146115280614645525080610bc15280610e7b52806127245280612786528061467952806146a652806146d95280614706528061477552806147b2525080610cb05280611953528061198a52806127ce5250806111505280611a0d5280611e7c52806123cc52806127aa5280613ade5250806108b6528061127e52806119dc5280611e165280612346528061399552508061200352806122055280612762525080612a4c52506155a26000f3fe608060405234801561001057600080fd5b50600436106101b95760003560e01c806370cf754a116100f9578063c45a015511610097578063ddca3f4311610071578063ddca3f4314610813578063f305839914610833578063f30dba931461083b578063f637731d1461088e576101b9565b8063c45a0155146107e4578063d0c93a7c146107ec578063d21220a71461080b576101b9565b8063883bdbfd116100d3578063883bdbfd1461063e578063a34123a714610747578063a757e4fd14610781578063b81fdcfb146107a1576101b9565b806370cf754a146105d15780638206a4d1146105d957806385b6672914610601576101b9565b80633850c7bd11610166578063490e6cbc11610140578063490e6cbc1461047b5780634f1eb3d814610507578063514ea4bf146105585780635339c296146105b1576101b9565b80633850c7bd146103665780633c8a7d8d146103bf5780634614131914610461576101b9565b80631ad8b03b116101975780631ad8b03b146102b5578063252c09d7146102ec57806332148f6714610343576101b9565b80630dfe1681146101be578063128acb08146101e25780631a68650214610291575b600080fd5b6101c66108b4565b604080516001600160a01b039092168252519081900360200190f35b610278600480360360a08110156101f857600080fd5b6001600160a01b0382358116926020810135151592604082013592606083013516919081019060a08101608082013564010000000081111561023957600080fd5b82018360208201111561024b57600080fd5b8035906020019184600183028401116401000000008311171561026d57600080fd5b5090925090506108d8565b6040805192835260208301919091528051918290030190f35b610299611435565b604080516001600160801b039092168252519081900360200190f35b6102bd611444565b60405180836001600160801b03168152602001826001600160801b031681526020019250505060405180910390f35b6103096004803603602081101561030257600080fd5b503561145e565b6040805163ffffffff909516855260069390930b60208501526001600160a01b039091168383015215156060830152519081900360800190f35b6103646004803603602081101561035957600080fd5b503561ffff166114a4565b005b61036e61159e565b604080516001600160a01b03909816885260029690960b602088015261ffff9485168787015292841660608701529216608085015260ff90911660a0840152151560c0830152519081900360e00190f35b610278600480360360a08110156103d557600080fd5b6001600160a01b03823516916020810135600290810b92604083013590910b916001600160801b036060820135169181019060a08101608082013564010000000081111561042257600080fd5b82018360208201111561043457600080fd5b8035906020019184600183028401116401000000008311171561045657600080fd5b5090925090506115ee565b6104696118aa565b60408051918252519081900360200190f35b6103646004803603608081101561049157600080fd5b6001600160a01b0382351691602081013591604082013591908101906080810160608201356401000000008111156104c857600080fd5b8201836020820111156104da57600080fd5b803590602001918460018302840111640100000000831117156104fc57600080fd5b5090925090506118b0565b6102bd600480360360a081101561051d57600080fd5b506001600160a01b03813516906020810135600290810b91604081013590910b906001600160801b0360608201358116916080013516611d0b565b6105756004803603602081101561056e57600080fd5b5035611f25565b604080516001600160801b0396871681526020810195909552848101939093529084166060840152909216608082015290519081900360a00190f35b610469600480360360208110156105c757600080fd5b503560010b611f62565b610299611f74565b610364600480360360408110156105ef57600080fd5b5060ff81358116916020013516611f98565b6102bd6004803603606081101561061757600080fd5b506001600160a01b03813516906001600160801b0360208201358116916040013516612197565b6106ae6004803603602081101561065457600080fd5b81019060208101813564010000000081111561066f57600080fd5b82018360208201111561068157600080fd5b803590602001918460208302840111640100000000831117156106a357600080fd5b509092509050612464565b604051808060200180602001838103835285818151815260200191508051906020019060200280838360005b838110156106f25781810151838201526020016106da565b50505050905001838103825284818151815260200191508051906020019060200280838360005b83811015610731578181015183820152602001610719565b5050505090500194505050505060405180910390f35b6102786004803603606081101561075d57600080fd5b508035600290810b91602081013590910b90604001356001600160801b03166124f1565b6104696004803603602081101561079757600080fd5b503560020b612668565b6107cb600480360360408110156107b757600080fd5b508035600290810b9160200135900b61267a565b6040805163ffffffff9092168252519081900360200190f35b6101c6612760565b6107f4612784565b6040805160029290920b8252519081900360200190f35b6101c66127a8565b61081b6127cc565b6040805162ffffff9092168252519081900360200190f35b6104696127f0565b61085b6004803603602081101561085157600080fd5b503560020b6127f6565b604080516001600160801b039095168552600f9390930b6020850152838301919091526060830152519081900360800190f35b610364600480360360208110156108a457600080fd5b50356001600160a01b031661282c565b7f000000000000000000000000000000000000000000000000000000000000000081565b6000806108e3612a41565b8561091a576040805162461bcd60e51b8152602060048201526002602482015261415360f01b604482015290519081900360640190fd5b6040805160e0810182526000546001600160a01b0381168252600160a01b8104600290810b810b900b602083015261ffff600160b81b8204811693830193909352600160c81b810483166060830152600160d81b8104909216608082015260ff600160e81b8304811660a0830152600160f01b909204909116151560c082018190526109d3576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b87610a1e5780600001516001600160a01b0316866001600160a01b0316118015610a19575073fffd8963efd1fc6a506488495d951d5263988d266001600160a01b038716105b610a50565b80600001516001600160a01b0316866001600160a01b0316108015610a5057506401000276a36001600160a01b038716115b610a87576040805162461bcd60e51b815260206004820152600360248201526214d41360ea1b604482015290519081900360640190fd5b6000805460ff60f01b191681556040805160608101909152808a610ab65760048460a0015160ff16901c610ac9565b60108460a0015160ff1681610ac757fe5b065b60ff1681526004546001600160801b03166020820152604001610aea612a78565b63ffffffff1681525090506000808913905060006040518060e001604052808b81526020016000815260200185600001516001600160a01b03168152602001856020015160020b81526020018c610b4357600254610b47565b6001545b815260200160006001600160801b0316815260200184602001516001600160801b031681525090505b805115801590610b965750886001600160a01b031681604001516001600160a01b031614155b15610f2857610ba3615532565b60408201516001600160a01b031681526060820151610be6906006907f00000000000000000000000000000000000000000000000000000000000000008f612a7c565b15156040830152600290810b810b60208301819052620d89e719910b1215610c1757620d89e7196020820152610c36565b6020810151620d89e860029190910b1315610c3657620d89e860208201525b610c438160200151612bbe565b6001600160a01b031660608201526040820151610cd4908d610c7d578b6001600160a01b031683606001516001600160a01b031611610c97565b8b6001600160a01b031683606001516001600160a01b0316105b610ca5578260600151610ca7565b8b5b60c085015185517f0000000000000000000000000000000000000000000000000000000000000000612ef0565b60c085015260a084015260808301526001600160a01b031660408301528215610d3657610d0a8160c001518260800151016130e2565b825103825260a0810151610d2c90610d21906130e2565b6020840151906130f8565b6020830152610d71565b610d438160a001516130e2565b825101825260c08101516080820151610d6b91610d6091016130e2565b60208401519061310e565b60208301525b835160ff1615610db7576000846000015160ff168260c0015181610d9157fe5b60c0840180519290910491829003905260a0840180519091016001600160801b03169052505b60c08201516001600160801b031615610df657610dea8160c00151600160801b8460c001516001600160801b0316613124565b60808301805190910190525b80606001516001600160a01b031682604001516001600160a01b03161415610ee757806040015115610ebe576000610e5c82602001518e610e3957600154610e3f565b84608001515b8f610e4e578560800151610e52565b6002545b60059291906131d4565b90508c15610e68576000035b60208201516040860151610ea0916007917f000000000000000000000000000000000000000000000000000000000000000090613210565b610eae8360c0015182613261565b6001600160801b031660c0840152505b8b610ecd578060200151610ed6565b60018160200151035b600290810b900b6060830152610f22565b80600001516001600160a01b031682604001516001600160a01b031614610f2257610f158260400151613317565b600290810b900b60608301525b50610b70565b836020015160020b816060015160020b1461100357600080610f7686604001518660400151886020015188602001518a606001518b608001516009613643909695949392919063ffffffff16565b604085015160608601516000805461ffff60c81b1916600160c81b61ffff958616021761ffff60b81b1916600160b81b95909416949094029290921762ffffff60a01b1916600160a01b62ffffff60029490940b93909316929092029190911773ffffffffffffffffffffffffffffffffffffffff19166001600160a01b03909116179055506110359050565b60408101516000805473ffffffffffffffffffffffffffffffffffffffff19166001600160a01b039092169190911790555b8060c001516001600160801b031683602001516001600160801b03161461107b5760c0810151600480546001600160801b0319166001600160801b039092169190911790555b8a156110cb57608081015160015560a08101516001600160801b0316156110c65760a0810151600380546001600160801b031981166001600160801b03918216909301169190911790555b611111565b608081015160025560a08101516001600160801b0316156111115760a0810151600380546001600160801b03808216600160801b92839004821690940116029190911790555b8115158b15151461112a57602081015181518b03611137565b80600001518a0381602001515b90965094508a15611270576000851215611179576111797f00000000000000000000000000000000000000000000000000000000000000008d876000036137f9565b6000611183613947565b9050336001600160a01b031663fa461e3388888c8c6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b15801561120757600080fd5b505af115801561121b573d6000803e3d6000fd5b50505050611227613947565b6112318289613a80565b111561126a576040805162461bcd60e51b815260206004820152600360248201526249494160e81b604482015290519081900360640190fd5b5061139a565b60008612156112a7576112a77f00000000000000000000000000000000000000000000000000000000000000008d886000036137f9565b60006112b1613a90565b9050336001600160a01b031663fa461e3388888c8c6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b15801561133557600080fd5b505af1158015611349573d6000803e3d6000fd5b50505050611355613a90565b61135f8288613a80565b1115611398576040805162461bcd60e51b815260206004820152600360248201526249494160e81b604482015290519081900360640190fd5b505b8b6001600160a01b0316336001600160a01b03167f41e82c9c8c68651be91e14fa6bb6d577822b5f6b66fda7d7f365faed56e2855e88888560400151866060015160405180858152602001848152602001836001600160a01b031681526020018260020b815260200194505050505060405180910390a350506000805460ff60f01b1916600160f01b17905550919890975095505050505050565b6004546001600160801b031681565b6003546001600160801b0380821691600160801b90041682565b60098161ffff811061146f57600080fd5b015463ffffffff81169150640100000000810460060b90600160581b81046001600160a01b031690600160f81b900460ff1684565b600054600160f01b900460ff166114e8576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b191690556114fd612a41565b60008054600160d81b900461ffff169061151960098385613b28565b6000805461ffff808416600160d81b810261ffff60d81b1990931692909217909255919250831614611586576040805161ffff80851682528316602082015281517fac49e518f90a358f652e4400164f05a5d8f7e35e7747279bc3a93dbf584e125a929181900390910190a15b50506000805460ff60f01b1916600160f01b17905550565b6000546001600160a01b03811690600160a01b810460020b9061ffff600160b81b8204811691600160c81b8104821691600160d81b8204169060ff600160e81b8204811691600160f01b90041687565b600080548190600160f01b900460ff16611635576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b191690556001600160801b03851661165557600080fd5b6000806116a360405180608001604052808c6001600160a01b031681526020018b60020b81526020018a60020b81526020016116998a6001600160801b0316613bcb565b600f0b9052613bdc565b925092505081935080925060008060008611156116c5576116c2613947565b91505b84156116d6576116d3613a90565b90505b336001600160a01b031663d348799787878b8b6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b15801561175857600080fd5b505af115801561176c573d6000803e3d6000fd5b5050505060008611156117c357611781613947565b61178b8388613a80565b11156117c3576040805162461bcd60e51b815260206004820152600260248201526104d360f41b604482015290519081900360640190fd5b8415611813576117d1613a90565b6117db8287613a80565b1115611813576040805162461bcd60e51b81526020600482015260026024820152614d3160f01b604482015290519081900360640190fd5b8960020b8b60020b8d6001600160a01b03167f7a53080ba414158be7ec69b987b5fb7d07dee101fe85488f0853ae16239d0bde338d8b8b60405180856001600160a01b03168152602001846001600160801b0316815260200183815260200182815260200194505050505060405180910390a450506000805460ff60f01b1916600160f01b17905550919890975095505050505050565b60025481565b600054600160f01b900460ff166118f4576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b19169055611909612a41565b6004546001600160801b03168061194b576040805162461bcd60e51b81526020600482015260016024820152601360fa1b604482015290519081900360640190fd5b6000611980867f000000000000000000000000000000000000000000000000000000000000000062ffffff16620f4240613e1c565b905060006119b7867f000000000000000000000000000000000000000000000000000000000000000062ffffff16620f4240613e1c565b905060006119c3613947565b905060006119cf613a90565b90508815611a0257611a027f00000000000000000000000000000000000000000000000000000000000000008b8b6137f9565b8715611a3357611a337f00000000000000000000000000000000000000000000000000000000000000008b8a6137f9565b336001600160a01b031663e9cbafb085858a8a6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b158015611ab557600080fd5b505af1158015611ac9573d6000803e3d6000fd5b505050506000611ad7613947565b90506000611ae3613a90565b905081611af08588613a80565b1115611b28576040805162461bcd60e51b8152602060048201526002602482015261046360f41b604482015290519081900360640190fd5b80611b338487613a80565b1115611b6b576040805162461bcd60e51b8152602060048201526002602482015261463160f01b604482015290519081900360640190fd5b8382038382038115611bfa5760008054600160e81b9004600f16908115611b9e578160ff168481611b9857fe5b04611ba1565b60005b90506001600160801b03811615611bd457600380546001600160801b038082168401166001600160801b03199091161790555b611bee818503600160801b8d6001600160801b0316613124565b60018054909101905550505b8015611c855760008054600160e81b900460041c600f16908115611c2a578160ff168381611c2457fe5b04611c2d565b60005b90506001600160801b03811615611c5f57600380546001600160801b03600160801b8083048216850182160291161790555b611c79818403600160801b8d6001600160801b0316613124565b60028054909101905550505b8d6001600160a01b0316336001600160a01b03167fbdbdb71d7860376ba52b25a5028beea23581364a40522f6bcfb86bb1f2dca6338f8f86866040518085815260200184815260200183815260200182815260200194505050505060405180910390a350506000805460ff60f01b1916600160f01b179055505050505050505050505050565b600080548190600160f01b900460ff16611d52576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b19168155611d6c6008338989613e56565b60038101549091506001600160801b0390811690861611611d8d5784611d9c565b60038101546001600160801b03165b60038201549093506001600160801b03600160801b909104811690851611611dc45783611dda565b6003810154600160801b90046001600160801b03165b91506001600160801b03831615611e3f576003810180546001600160801b031981166001600160801b03918216869003821617909155611e3f907f0000000000000000000000000000000000000000000000000000000000000000908a9086166137f9565b6001600160801b03821615611ea5576003810180546001600160801b03600160801b808304821686900382160291811691909117909155611ea5907f0000000000000000000000000000000000000000000000000000000000000000908a9085166137f9565b604080516001600160a01b038a1681526001600160801b0380861660208301528416818301529051600288810b92908a900b9133917f70935338e69775456a85ddef226c395fb668b63fa0115f5f20610b388e6ca9c0919081900360600190a4506000805460ff60f01b1916600160f01b17905590969095509350505050565b60086020526000908152604090208054600182015460028301546003909301546001600160801b0392831693919281811691600160801b90041685565b60066020526000908152604090205481565b7f000000000000000000000000000000000000000000000000000000000000000081565b600054600160f01b900460ff16611fdc576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b1916905560408051638da5cb5b60e01b815290516001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001691638da5cb5b916004808301926020929190829003018186803b15801561204957600080fd5b505afa15801561205d573d6000803e3d6000fd5b505050506040513d602081101561207357600080fd5b50516001600160a01b0316331461208957600080fd5b60ff821615806120ac575060048260ff16101580156120ac5750600a8260ff1611155b80156120d6575060ff811615806120d6575060048160ff16101580156120d65750600a8160ff1611155b6120df57600080fd5b60008054610ff0600484901b16840160ff908116600160e81b9081027fffff00ffffffffffffffffffffffffffffffffffffffffffffffffffffffffff841617909355919004167f973d8d92bb299f4af6ce49b52a8adb85ae46b9f214c4c4fc06ac77401237b1336010826040805160ff9390920683168252600f600486901c16602083015286831682820152918516606082015290519081900360800190a150506000805460ff60f01b1916600160f01b17905550565b600080548190600160f01b900460ff166121de576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b1916905560408051638da5cb5b60e01b815290516001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001691638da5cb5b916004808301926020929190829003018186803b15801561224b57600080fd5b505afa15801561225f573d6000803e3d6000fd5b505050506040513d602081101561227557600080fd5b50516001600160a01b0316331461228b57600080fd5b6003546001600160801b03908116908516116122a757836122b4565b6003546001600160801b03165b6003549092506001600160801b03600160801b9091048116908416116122da57826122ee565b600354600160801b90046001600160801b03165b90506001600160801b0382161561236f576003546001600160801b038381169116141561231d57600019909101905b600380546001600160801b031981166001600160801b0391821685900382161790915561236f907f000000000000000000000000000000000000000000000000000000000000000090879085166137f9565b6001600160801b038116156123f5576003546001600160801b03828116600160801b9092041614156123a057600019015b600380546001600160801b03600160801b8083048216859003821602918116919091179091556123f5907f000000000000000000000000000000000000000000000000000000000000000090879084166137f9565b604080516001600160801b0380851682528316602082015281516001600160a01b0388169233927f596b573906218d3411850b26a6b437d6c4522fdb43d2d2386263f86d50b8b151929081900390910190a36000805460ff60f01b1916600160f01b1790559094909350915050565b60608061246f612a41565b6124e661247a612a78565b858580806020026020016040519081016040528093929190818152602001838360200280828437600092018290525054600454600996959450600160a01b820460020b935061ffff600160b81b8304811693506001600160801b0390911691600160c81b900416613eba565b915091509250929050565b600080548190600160f01b900460ff16612538576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b1916815560408051608081018252338152600288810b602083015287900b918101919091528190819061259190606081016125846001600160801b038a16613bcb565b600003600f0b9052613bdc565b92509250925081600003945080600003935060008511806125b25750600084115b156125f1576003830180546001600160801b038082168089018216600160801b93849004831689019092169092029091176001600160801b0319161790555b604080516001600160801b0388168152602081018790528082018690529051600289810b92908b900b9133917f0c396cd989a39f4459b5fa1aed6a9a8dcdbc45908acfd67e028cd568da98982c919081900360600190a450506000805460ff60f01b1916600160f01b179055509094909350915050565b60076020526000908152604090205481565b6000612684612a41565b61268e8383614014565b600283810b900b6000908152600560205260409020546001600160801b0316158015906126d85750600282810b900b6000908152600560205260409020546001600160801b031615155b61270d576040805162461bcd60e51b81526020600482015260016024820152600b60fb1b604482015290519081900360640190fd5b6000546127579084908490600160a01b900460020b7f000000000000000000000000000000000000000000000000000000000000000061274b612a78565b600794939291906140dd565b90505b92915050565b7f000000000000000000000000000000000000000000000000000000000000000081565b7f000000000000000000000000000000000000000000000000000000000000000081565b7f000000000000000000000000000000000000000000000000000000000000000081565b7f000000000000000000000000000000000000000000000000000000000000000081565b60015481565b6005602052600090815260409020805460018201546002909201546001600160801b03821692600160801b909204600f0b919084565b6000546001600160a01b03161561286f576040805162461bcd60e51b8152602060048201526002602482015261414960f01b604482015290519081900360640190fd5b600061287a82613317565b905060008061289261288a612a78565b600990614151565b6040805160e0810182526001600160a01b038816808252600288810b6020808501829052600085870181905261ffff898116606088018190529089166080880181905260a08801839052600160c0909801979097528154600160f01b73ffffffffffffffffffffffffffffffffffffffff19909116871762ffffff60a01b1916600160a01b62ffffff9787900b9790971696909602959095177fffffffffff00000000ffffffffffffffffffffffffffffffffffffffffffffff16600160c81b9091021761ffff60d81b1916600160d81b909602959095177fff0000ffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1692909217909355835191825281019190915281519395509193507f98636036cb66a9c19a37435efc1e90142190214e8abeb821bdba3f2990dd4c9592918290030190a150505050565b60008082600281900b620d89e719816129ea57fe5b05029050600083600281900b620d89e881612a0157fe5b0502905060008460020b83830360020b81612a1857fe5b0560010190508062ffffff166001600160801b03801681612a3557fe5b0493505050505b919050565b306001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001614612a7657600080fd5b565b4290565b60008060008460020b8660020b81612a9057fe5b05905060008660020b128015612ab757508460020b8660020b81612ab057fe5b0760020b15155b15612ac157600019015b8315612b3657600080612ad38361419d565b600182810b810b600090815260208d9052604090205460ff83169190911b80016000190190811680151597509294509092509085612b1857888360ff16860302612b2b565b88612b22826141af565b840360ff168603025b965050505050612bb4565b600080612b458360010161419d565b91509150600060018260ff166001901b031990506000818b60008660010b60010b8152602001908152602001600020541690508060001415955085612b9757888360ff0360ff16866001010102612bad565b8883612ba28361424f565b0360ff168660010101025b9650505050505b5094509492505050565b60008060008360020b12612bd5578260020b612bdd565b8260020b6000035b9050620d89e8811115612c1b576040805162461bcd60e51b81526020600482015260016024820152601560fa1b604482015290519081900360640190fd5b600060018216612c2f57600160801b612c41565b6ffffcb933bd6fad37aa2d162d1a5940015b70ffffffffffffffffffffffffffffffffff1690506002821615612c75576ffff97272373d413259a46990580e213a0260801c5b6004821615612c94576ffff2e50f5f656932ef12357cf3c7fdcc0260801c5b6008821615612cb3576fffe5caca7e10e4e61c3624eaa0941cd00260801c5b6010821615612cd2576fffcb9843d60f6159c9db58835c9266440260801c5b6020821615612cf1576fff973b41fa98c081472e6896dfb254c00260801c5b6040821615612d10576fff2ea16466c96a3843ec78b326b528610260801c5b6080821615612d2f576ffe5dee046a99a2a811c461f1969c30530260801c5b610100821615612d4f576ffcbe86c7900a88aedcffc83b479aa3a40260801c5b610200821615612d6f576ff987a7253ac413176f2b074cf7815e540260801c5b610400821615612d8f576ff3392b0822b70005940c7a398e4b70f30260801c5b610800821615612daf576fe7159475a2c29b7443b29c7fa6e889d90260801c5b611000821615612dcf576fd097f3bdfd2022b8845ad8f792aa58250260801c5b612000821615612def576fa9f746462d870fdf8a65dc1f90e061e50260801c5b614000821615612e0f576f70d869a156d2a1b890bb3df62baf32f70260801c5b618000821615612e2f576f31be135f97d08fd981231505542fcfa60260801c5b62010000821615612e50576f09aa508b5b7a84e1c677de54f3e99bc90260801c5b62020000821615612e70576e5d6af8dedb81196699c329225ee6040260801c5b62040000821615612e8f576d2216e584f5fa1ea926041bedfe980260801c5b62080000821615612eac576b048a170391f7dc42444e8fa20260801c5b60008460020b1315612ec7578060001981612ec357fe5b0490505b640100000000810615612edb576001612ede565b60005b60ff16602082901c0192505050919050565b60008080806001600160a01b03808916908a161015818712801590612f75576000612f298989620f42400362ffffff16620f4240613124565b905082612f4257612f3d8c8c8c6001614339565b612f4f565b612f4f8b8d8c60016143b4565b9550858110612f60578a9650612f6f565b612f6c8c8b8386614464565b96505b50612fbf565b81612f8c57612f878b8b8b60006143b4565b612f99565b612f998a8c8b6000614339565b9350838860000310612fad57899550612fbf565b612fbc8b8a8a600003856144b0565b95505b6001600160a01b038a811690871614821561302257808015612fde5750815b612ff457612fef878d8c60016143b4565b612ff6565b855b9550808015613003575081155b61301957613014878d8c6000614339565b61301b565b845b945061306c565b80801561302c5750815b6130425761303d8c888c6001614339565b613044565b855b9550808015613051575081155b613067576130628c888c60006143b4565b613069565b845b94505b8115801561307c57508860000385115b15613088578860000394505b8180156130a757508a6001600160a01b0316876001600160a01b031614155b156130b65785890393506130d3565b6130d0868962ffffff168a620f42400362ffffff16613e1c565b93505b50505095509550955095915050565b6000600160ff1b82106130f457600080fd5b5090565b8082038281131560008312151461275a57600080fd5b8181018281121560008312151461275a57600080fd5b600080806000198587098686029250828110908390030390508061315a576000841161314f57600080fd5b5082900490506131cd565b80841161316657600080fd5b6000848688096000868103871696879004966002600389028118808a02820302808a02820302808a02820302808a02820302808a02820302808a02909103029181900381900460010186841190950394909402919094039290920491909117919091029150505b9392505050565b600292830b830b60009081526020949094526040909320600181018054909203909155908101805490920390915554600160801b9004600f0b90565b60008061321d85856144fc565b600291820b90910b60009081526020979097526040909620805460ff90971687811c9485900363ffffffff908116821b9516901b9096189290921790945550505050565b60008082600f0b12156132c657826001600160801b03168260000384039150816001600160801b0316106132c1576040805162461bcd60e51b81526020600482015260026024820152614c5360f01b604482015290519081900360640190fd5b61275a565b826001600160801b03168284019150816001600160801b0316101561275a576040805162461bcd60e51b81526020600482015260026024820152614c4160f01b604482015290519081900360640190fd5b60006401000276a36001600160a01b03831610801590613353575073fffd8963efd1fc6a506488495d951d5263988d266001600160a01b038316105b613388576040805162461bcd60e51b81526020600482015260016024820152602960f91b604482015290519081900360640190fd5b77ffffffffffffffffffffffffffffffffffffffff00000000602083901b166001600160801b03811160071b81811c67ffffffffffffffff811160061b90811c63ffffffff811160051b90811c61ffff811160041b90811c60ff8111600390811b91821c600f811160021b90811c918211600190811b92831c9790881196179094179092171790911717176080811061342957607f810383901c9150613433565b80607f0383901b91505b908002607f81811c60ff83811c9190911c800280831c81831c1c800280841c81841c1c800280851c81851c1c800280861c81861c1c800280871c81871c1c800280881c81881c1c800280891c81891c1c8002808a1c818a1c1c8002808b1c818b1c1c8002808c1c818c1c1c8002808d1c818d1c1c8002808e1c9c81901c9c909c1c80029c8d901c9e9d607f198f0160401b60c09190911c678000000000000000161760c19b909b1c674000000000000000169a909a1760c29990991c672000000000000000169890981760c39790971c671000000000000000169690961760c49590951c670800000000000000169490941760c59390931c670400000000000000169290921760c69190911c670200000000000000161760c79190911c670100000000000000161760c89190911c6680000000000000161760c99190911c6640000000000000161760ca9190911c6620000000000000161760cb9190911c6610000000000000161760cc9190911c6608000000000000161760cd9190911c66040000000000001617693627a301d71055774c8581026f028f6481ab7f045a5af012a19d003aa9198101608090811d906fdb2df09e81959a81455e260799a0632f8301901d600281810b9083900b1461363457886001600160a01b031661361882612bbe565b6001600160a01b0316111561362d578161362f565b805b613636565b815b9998505050505050505050565b6000806000898961ffff1661ffff811061365957fe5b60408051608081018252919092015463ffffffff8082168084526401000000008304600690810b810b900b6020850152600160581b83046001600160a01b031694840194909452600160f81b90910460ff1615156060830152909250891614156136c957888592509250506137ed565b8461ffff168461ffff161180156136ea57506001850361ffff168961ffff16145b156136f7578391506136fb565b8491505b8161ffff168960010161ffff168161370f57fe5b06925061371e81898989614555565b8a8461ffff1661ffff811061372f57fe5b825191018054602084015160408501516060909501511515600160f81b027effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff6001600160a01b03909616600160581b027fff0000000000000000000000000000000000000000ffffffffffffffffffffff60069390930b66ffffffffffffff16640100000000026affffffffffffff000000001963ffffffff90971663ffffffff19909516949094179590951692909217169290921792909216179055505b97509795505050505050565b604080516001600160a01b038481166024830152604480830185905283518084039091018152606490920183526020820180516001600160e01b031663a9059cbb60e01b1781529251825160009485949389169392918291908083835b602083106138755780518252601f199092019160209182019101613856565b6001836020036101000a0380198251168184511680821785525050505050509050019150506000604051808303816000865af19150503d80600081146138d7576040519150601f19603f3d011682016040523d82523d6000602084013e6138dc565b606091505b509150915081801561390a57508051158061390a575080806020019051602081101561390757600080fd5b50515b613940576040805162461bcd60e51b81526020600482015260026024820152612a2360f11b604482015290519081900360640190fd5b5050505050565b604080513060248083019190915282518083039091018152604490910182526020810180516001600160e01b03166370a0823160e01b17815291518151600093849384936001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001693919290918291908083835b602083106139e05780518252601f1990920191602091820191016139c1565b6001836020036101000a038019825116818451168082178552505050505050905001915050600060405180830381855afa9150503d8060008114613a40576040519150601f19603f3d011682016040523d82523d6000602084013e613a45565b606091505b5091509150818015613a5957506020815110155b613a6257600080fd5b808060200190516020811015613a7757600080fd5b50519250505090565b8082018281101561275a57600080fd5b604080513060248083019190915282518083039091018152604490910182526020810180516001600160e01b03166370a0823160e01b17815291518151600093849384936001600160a01b037f0000000000000000000000000000000000000000000000000000000000000000169391929091829190808383602083106139e05780518252601f1990920191602091820191016139c1565b6000808361ffff1611613b66576040805162461bcd60e51b81526020600482015260016024820152604960f81b604482015290519081900360640190fd5b8261ffff168261ffff1611613b7c5750816131cd565b825b8261ffff168161ffff161015613bc2576001858261ffff1661ffff8110613ba157fe5b01805463ffffffff191663ffffffff92909216919091179055600101613b7e565b50909392505050565b80600f81900b8114612a3c57600080fd5b6000806000613be9612a41565b613bfb84602001518560400151614014565b6040805160e0810182526000546001600160a01b0381168252600160a01b8104600290810b810b900b602080840182905261ffff600160b81b8404811685870152600160c81b84048116606080870191909152600160d81b8504909116608086015260ff600160e81b8504811660a0870152600160f01b909404909316151560c085015288519089015194890151928901519394613c9f94919390929091906145d1565b93508460600151600f0b600014613e1457846020015160020b816020015160020b1215613cf457613ced613cd68660200151612bbe565b613ce38760400151612bbe565b87606001516147e5565b9250613e14565b846040015160020b816020015160020b1215613dea5760045460408201516001600160801b0390911690613d4690613d2a612a78565b6020850151606086015160808701516009949392918791613643565b6000805461ffff60c81b1916600160c81b61ffff938416021761ffff60b81b1916600160b81b939092169290920217905581516040870151613d969190613d8c90612bbe565b88606001516147e5565b9350613db4613da88760200151612bbe565b83516060890151614829565b9250613dc4818760600151613261565b600480546001600160801b0319166001600160801b039290921691909117905550613e14565b613e11613dfa8660200151612bbe565b613e078760400151612bbe565b8760600151614829565b91505b509193909250565b6000613e29848484613124565b905060008280613e3557fe5b84860911156131cd576000198110613e4c57600080fd5b6001019392505050565b6040805160609490941b6bffffffffffffffffffffffff1916602080860191909152600293840b60e890811b60348701529290930b90911b60378401528051808403601a018152603a90930181528251928201929092206000908152929052902090565b60608060008361ffff1611613efa576040805162461bcd60e51b81526020600482015260016024820152604960f81b604482015290519081900360640190fd5b865167ffffffffffffffff81118015613f1257600080fd5b50604051908082528060200260200182016040528015613f3c578160200160208202803683370190505b509150865167ffffffffffffffff81118015613f5757600080fd5b50604051908082528060200260200182016040528015613f81578160200160208202803683370190505b50905060005b875181101561400757613fb28a8a8a8481518110613fa157fe5b60200260200101518a8a8a8a614858565b848381518110613fbe57fe5b60200260200101848481518110613fd157fe5b60200260200101826001600160a01b03166001600160a01b03168152508260060b60060b81525050508080600101915050613f87565b5097509795505050505050565b8060020b8260020b12614054576040805162461bcd60e51b8152602060048201526003602482015262544c5560e81b604482015290519081900360640190fd5b620d89e719600283900b1215614097576040805162461bcd60e51b8152602060048201526003602482015262544c4d60e81b604482015290519081900360640190fd5b620d89e8600282900b13156140d9576040805162461bcd60e51b815260206004820152600360248201526254554d60e81b604482015290519081900360640190fd5b5050565b6000808660020b8560020b126140ff576140f88888866149d9565b905061410f565b61410a8888866149d9565b830390505b60008660020b8660020b12156141315761412a8988876149d9565b9050614141565b61413c8988876149d9565b840390505b9083030390509695505050505050565b6040805160808101825263ffffffff9283168082526000602083018190529282019290925260016060909101819052835463ffffffff1916909117909116600160f81b17909155908190565b60020b600881901d9161010090910790565b60008082116141bd57600080fd5b600160801b82106141d057608091821c91015b6801000000000000000082106141e857604091821c91015b64010000000082106141fc57602091821c91015b62010000821061420e57601091821c91015b610100821061421f57600891821c91015b6010821061422f57600491821c91015b6004821061423f57600291821c91015b60028210612a3c57600101919050565b600080821161425d57600080fd5b5060ff6001600160801b0382161561427857607f1901614280565b608082901c91505b67ffffffffffffffff82161561429957603f19016142a1565b604082901c91505b63ffffffff8216156142b657601f19016142be565b602082901c91505b61ffff8216156142d157600f19016142d9565b601082901c91505b60ff8216156142eb57600719016142f3565b600882901c91505b600f821615614305576003190161430d565b600482901c91505b600382161561431f5760011901614327565b600282901c91505b6001821615612a3c5760001901919050565b6000836001600160a01b0316856001600160a01b03161115614359579293925b8161438657614381836001600160801b03168686036001600160a01b0316600160601b613124565b6143a9565b6143a9836001600160801b03168686036001600160a01b0316600160601b613e1c565b90505b949350505050565b6000836001600160a01b0316856001600160a01b031611156143d4579293925b7bffffffffffffffffffffffffffffffff000000000000000000000000606084901b166001600160a01b03868603168361443357866001600160a01b03166144268383896001600160a01b0316613124565b8161442d57fe5b04614459565b61445961444a8383896001600160a01b0316613e1c565b886001600160a01b0316614a10565b979650505050505050565b600080856001600160a01b03161161447b57600080fd5b6000846001600160801b03161161449157600080fd5b816144a3576143818585856001614a41565b6143a98585856001614b22565b600080856001600160a01b0316116144c757600080fd5b6000846001600160801b0316116144dd57600080fd5b816144ef576143818585856000614b22565b6143a98585856000614a41565b6000808260020b8460020b8161450e57fe5b0760020b1561451c57600080fd5b60008360020b8560020b8161452d57fe5b05905060038160020b901d925060088160020b8161454757fe5b076020029150509250929050565b61455d61556e565b600085600001518503905060405180608001604052808663ffffffff1681526020018263ffffffff168660020b0288602001510160060b81526020018263ffffffff16856001600160801b0316028860400151016001600160a01b0316815260200160011515815250915050949350505050565b60006145e06008878787613e56565b60015460025491925090600080600f87900b1561472d576000614601612a78565b905061463560058b898b898960007f0000000000000000000000000000000000000000000000000000000000000000614c17565b925061466960058a898b898960017f0000000000000000000000000000000000000000000000000000000000000000614c17565b915082156146cb5761469d60068b7f0000000000000000000000000000000000000000000000000000000000000000614d5e565b6146cb60078b897f000000000000000000000000000000000000000000000000000000000000000085614dc4565b811561472b576146fd60068a7f0000000000000000000000000000000000000000000000000000000000000000614d5e565b61472b60078a897f000000000000000000000000000000000000000000000000000000000000000085614dc4565b505b60008061473f60058c8c8b8a8a614e15565b9092509050614750878a8484614ec1565b600089600f0b12156147d65783156147995761476d60058c615056565b61479960078c7f000000000000000000000000000000000000000000000000000000000000000061507a565b82156147d6576147aa60058b615056565b6147d660078b7f000000000000000000000000000000000000000000000000000000000000000061507a565b50505050505095945050505050565b60008082600f0b1261480b5761480661480185858560016143b4565b6130e2565b6143ac565b61481e61480185858560000360006143b4565b600003949350505050565b60008082600f0b12614845576148066148018585856001614339565b61481e6148018585856000036000614339565b60008063ffffffff87166148ff576000898661ffff1661ffff811061487957fe5b60408051608081018252919092015463ffffffff8082168084526401000000008304600690810b810b900b6020850152600160581b83046001600160a01b031694840194909452600160f81b90910460ff16151560608301529092508a16146148eb576148e8818a8988614555565b90505b8060200151816040015192509250506137ed565b8688036000806149148c8c858c8c8c8c6150bc565b9150915061492061556e565b825163ffffffff858116911614156149395750816149bb565b815163ffffffff858116911614156149525750806149bb565b60008360000151836000015103905060008163ffffffff16856020015185602001510360060b8161497f57fe5b05905060008263ffffffff1686604001518660400151036001600160a01b0316816149a657fe5b0490506149b586888484614555565b93505050505b80602001518160400151955095505050505097509795505050505050565b60008060006149e885856144fc565b600291820b90910b60009081526020889052604090205460ff9091161c925050509392505050565b600080828481614a1c57fe5b0611614a29576000614a2c565b60015b60ff16828481614a3857fe5b04019392505050565b60008115614ab45760006001600160a01b03841115614a7757614a7284600160601b876001600160801b0316613124565b614a8f565b6001600160801b038516606085901b81614a8d57fe5b045b9050614aac614aa76001600160a01b03881683613a80565b6152b9565b9150506143ac565b60006001600160a01b03841115614ae257614add84600160601b876001600160801b0316613e1c565b614af9565b614af9606085901b6001600160801b038716614a10565b905080866001600160a01b031611614b1057600080fd5b6001600160a01b0386160390506143ac565b600082614b305750836143ac565b7bffffffffffffffffffffffffffffffff000000000000000000000000606085901b168215614bd0576001600160a01b03861684810290858281614b7057fe5b041415614ba157818101828110614b9f57614b9583896001600160a01b031683613e1c565b93505050506143ac565b505b614bc782614bc2878a6001600160a01b03168681614bbb57fe5b0490613a80565b614a10565b925050506143ac565b6001600160a01b03861684810290858281614be757fe5b04148015614bf457508082115b614bfd57600080fd5b808203614b95614aa7846001600160a01b038b1684613e1c565b600287810b900b600090815260208990526040812080546001600160801b031682614c42828a613261565b9050846001600160801b0316816001600160801b03161115614c90576040805162461bcd60e51b81526020600482015260026024820152614c4f60f01b604482015290519081900360640190fd5b6001600160801b038281161590821615811415945015614cc6578960020b8b60020b13614cc65760018301889055600283018790555b82546001600160801b0319166001600160801b03821617835585614d0f578254614d0a90614d0590600160801b9004600f90810b810b908c900b61310e565b613bcb565b614d30565b8254614d3090614d0590600160801b9004600f90810b810b908c900b6130f8565b8354600f9190910b6001600160801b03908116600160801b0291161790925550909998505050505050505050565b8060020b8260020b81614d6d57fe5b0760020b15614d7b57600080fd5b600080614d968360020b8560020b81614d9057fe5b0561419d565b600191820b820b60009081526020979097526040909620805460ff9097169190911b90951890945550505050565b8260020b8460020b1361394057600080614dde86856144fc565b600291820b90910b6000908152602089905260409020805463ffffffff861660ff9093169290921b91909117905550505050505050565b600285810b80820b60009081526020899052604080822088850b850b83529082209193849391929184918291908a900b12614e5b57505060018201546002830154614e6e565b8360010154880391508360020154870390505b6000808b60020b8b60020b1215614e9057505060018301546002840154614ea3565b84600101548a0391508460020154890390505b92909803979097039b96909503949094039850939650505050505050565b6040805160a08101825285546001600160801b0390811682526001870154602083015260028701549282019290925260038601548083166060830152600160801b900490911660808201526000600f85900b614f605781516001600160801b0316614f58576040805162461bcd60e51b815260206004820152600260248201526104e560f41b604482015290519081900360640190fd5b508051614f6f565b8151614f6c9086613261565b90505b6000614f938360200151860384600001516001600160801b0316600160801b613124565b90506000614fb98460400151860385600001516001600160801b0316600160801b613124565b905086600f0b600014614fe05787546001600160801b0319166001600160801b0384161788555b60018801869055600288018590556001600160801b03821615158061500e57506000816001600160801b0316115b1561504c576003880180546001600160801b031981166001600160801b039182168501821617808216600160801b9182900483168501909216021790555b5050505050505050565b600290810b810b600090815260209290925260408220828155600181018390550155565b60008061508784846144fc565b600291820b90910b60009081526020969096526040909520805463ffffffff60ff9097169690961b1990951690945550505050565b6150c461556e565b6150cc61556e565b888561ffff1661ffff81106150dd57fe5b60408051608081018252919092015463ffffffff81168083526401000000008204600690810b810b900b6020840152600160581b82046001600160a01b031693830193909352600160f81b900460ff16151560608201529250615142908990896152cf565b1561517a578663ffffffff16826000015163ffffffff161415615164576137ed565b8161517183898988614555565b915091506137ed565b888361ffff168660010161ffff168161518f57fe5b0661ffff1661ffff811061519f57fe5b60408051608081018252929091015463ffffffff811683526401000000008104600690810b810b900b60208401526001600160a01b03600160581b8204169183019190915260ff600160f81b9091041615156060820181905290925061525657604080516080810182528a5463ffffffff811682526401000000008104600690810b810b900b6020830152600160581b81046001600160a01b031692820192909252600160f81b90910460ff161515606082015291505b615265888360000151896152cf565b61529c576040805162461bcd60e51b815260206004820152600360248201526213d31160ea1b604482015290519081900360640190fd5b6152a98989898887615392565b9150915097509795505050505050565b806001600160a01b0381168114612a3c57600080fd5b60008363ffffffff168363ffffffff16111580156152f957508363ffffffff168263ffffffff1611155b15615315578163ffffffff168363ffffffff16111590506131cd565b60008463ffffffff168463ffffffff161161533d578363ffffffff1664010000000001615345565b8363ffffffff165b64ffffffffff16905060008563ffffffff168463ffffffff1611615376578363ffffffff166401000000000161537e565b8363ffffffff165b64ffffffffff169091111595945050505050565b61539a61556e565b6153a261556e565b60008361ffff168560010161ffff16816153b857fe5b0661ffff169050600060018561ffff16830103905060005b506002818301048961ffff871682816153e557fe5b0661ffff81106153f157fe5b60408051608081018252929091015463ffffffff811683526401000000008104600690810b810b900b60208401526001600160a01b03600160581b8204169183019190915260ff600160f81b9091041615156060820181905290955061545c578060010192506153d0565b898661ffff16826001018161546d57fe5b0661ffff811061547957fe5b60408051608081018252929091015463ffffffff811683526401000000008104600690810b810b900b60208401526001600160a01b03600160581b8204169183019190915260ff600160f81b909104161515606082015285519094506000906154e4908b908b6152cf565b90508080156154fd57506154fd8a8a87600001516152cf565b156155085750615525565b806155185760018203925061551f565b8160010193505b506153d0565b5050509550959350505050565b6040805160e081018252600080825260208201819052918101829052606081018290526080810182905260a0810182905260c081019190915290565b6040805160808101825260008082526020820181905291810182905260608101919091529056fea164736f6c6343000706000aa164736f6c6343000706000ac66a3fdf07232cdd185febcc6579d408c241b47ae2f9907d84be655141eeaecc",
-    deployedBytecode: "0x608060405234801561001057600080fd5b506004361061007d5760003560e01c8063890357301161005b578063890357301461013b5780638a7c195f146101855780638da5cb5b146101b0578063a1671295146101b85761007d565b806313af4035146100825780631698ee82146100aa57806322afcccb14610102575b600080fd5b6100a86004803603602081101561009857600080fd5b50356001600160a01b03166101f4565b005b6100e6600480360360608110156100c057600080fd5b5080356001600160a01b03908116916020810135909116906040013562ffffff16610267565b604080516001600160a01b039092168252519081900360200190f35b6101246004803603602081101561011857600080fd5b503562ffffff16610293565b6040805160029290920b8252519081900360200190f35b6101436102a8565b604080516001600160a01b0396871681529486166020860152929094168383015262ffffff16606083015260029290920b608082015290519081900360a00190f35b6100a86004803603604081101561019b57600080fd5b5062ffffff813516906020013560020b6102de565b6100e66103a1565b6100e6600480360360608110156101ce57600080fd5b5080356001600160a01b03908116916020810135909116906040013562ffffff166103b0565b6003546001600160a01b0316331461020b57600080fd5b6003546040516001600160a01b038084169216907fb532073b38c83145e3e5135377a08bf9aab55bc0fd7c1179cd4fb995d2a5159c90600090a3600380546001600160a01b0319166001600160a01b0392909216919091179055565b60056020908152600093845260408085208252928452828420905282529020546001600160a01b031681565b60046020526000908152604090205460020b81565b600054600154600280546001600160a01b03938416939283169281169162ffffff600160a01b83041691600160b81b9004900b85565b6003546001600160a01b031633146102f557600080fd5b620f42408262ffffff161061030957600080fd5b60008160020b13801561032057506140008160020b125b61032957600080fd5b62ffffff8216600090815260046020526040902054600290810b900b1561034f57600080fd5b62ffffff828116600081815260046020526040808220805462ffffff1916600287900b958616179055517fc66a3fdf07232cdd185febcc6579d408c241b47ae2f9907d84be655141eeaecc9190a35050565b6003546001600160a01b031681565b60006103ba610546565b826001600160a01b0316846001600160a01b031614156103d957600080fd5b600080846001600160a01b0316866001600160a01b0316106103fc5784866103ff565b85855b90925090506001600160a01b03821661041757600080fd5b62ffffff8416600090815260046020526040902054600290810b9081900b61043e57600080fd5b6001600160a01b0383811660009081526005602090815260408083208685168452825280832062ffffff8a168452909152902054161561047d57600080fd5b61048a308484888561057d565b6001600160a01b03808516600081815260056020818152604080842089871680865290835281852062ffffff8e168087529084528286208054988a166001600160a01b0319998a1681179091558287529484528286208787528452828620818752845294829020805490971684179096558051600289900b815291820192909252815195995091947f783cca1c0412dd0d695e784568c96da2e9c22ff989357a2e8b1d9b2b4e6b71189281900390910190a45050509392505050565b306001600160a01b037f0000000000000000000000000000000000000000000000000000000000000000161461057b57600080fd5b565b6040805160a0810182526001600160a01b03878116808352878216602080850182905292881684860181905262ffffff888116606080880182905260028a810b6080998a01819052600080546001600160a01b03199081169099178155600180548a1689179055825490981686177fffffffffffffffffff000000ffffffffffffffffffffffffffffffffffffffff16600160a01b8502177fffffffffffff000000ffffffffffffffffffffffffffffffffffffffffffffff16600160b81b91830b9095160293909317909255875180870194909452838801929092528281019190915285518083039091018152930193849052825192909101919091209091610686906106f5565b8190604051809103906000f59050801580156106a6573d6000803e3d6000fd5b50600080546001600160a01b0319908116909155600180549091169055600280547fffffffffffff00000000000000000000000000000000000000000000000000001690559695505050505050565b61580a806107038339019056fe6101606040523480156200001257600080fd5b503060601b60805260408051630890357360e41b81529051600091339163890357309160048082019260a092909190829003018186803b1580156200005657600080fd5b505afa1580156200006b573d6000803e3d6000fd5b505050506040513d60a08110156200008257600080fd5b508051602080830151604084015160608086015160809096015160e896871b6001600160e81b0319166101005291811b6001600160601b031990811660e05292811b831660c0529390931b1660a052600282810b900b90921b610120529150620000f79082906200010f811b620029d517901c565b60801b6001600160801b03191661014052506200017d565b60008082600281900b620d89e719816200012557fe5b05029050600083600281900b620d89e8816200013d57fe5b0502905060008460020b83830360020b816200015557fe5b0560010190508062ffffff166001600160801b038016816200017357fe5b0495945050505050565b60805160601c60a05160601c60c05160601c60e05160601c6101005160e81c6101205160e81c6101405160801c6155a26200026860003980611f7652806146115280614645525080610bc15280610e7b52806127245280612786528061467952806146a652806146d95280614706528061477552806147b2525080610cb05280611953528061198a52806127ce5250806111505280611a0d5280611e7c52806123cc52806127aa5280613ade5250806108b6528061127e52806119dc5280611e165280612346528061399552508061200352806122055280612762525080612a4c52506155a26000f3fe608060405234801561001057600080fd5b50600436106101b95760003560e01c806370cf754a116100f9578063c45a015511610097578063ddca3f4311610071578063ddca3f4314610813578063f305839914610833578063f30dba931461083b578063f637731d1461088e576101b9565b8063c45a0155146107e4578063d0c93a7c146107ec578063d21220a71461080b576101b9565b8063883bdbfd116100d3578063883bdbfd1461063e578063a34123a714610747578063a757e4fd14610781578063b81fdcfb146107a1576101b9565b806370cf754a146105d15780638206a4d1146105d957806385b6672914610601576101b9565b80633850c7bd11610166578063490e6cbc11610140578063490e6cbc1461047b5780634f1eb3d814610507578063514ea4bf146105585780635339c296146105b1576101b9565b80633850c7bd146103665780633c8a7d8d146103bf5780634614131914610461576101b9565b80631ad8b03b116101975780631ad8b03b146102b5578063252c09d7146102ec57806332148f6714610343576101b9565b80630dfe1681146101be578063128acb08146101e25780631a68650214610291575b600080fd5b6101c66108b4565b604080516001600160a01b039092168252519081900360200190f35b610278600480360360a08110156101f857600080fd5b6001600160a01b0382358116926020810135151592604082013592606083013516919081019060a08101608082013564010000000081111561023957600080fd5b82018360208201111561024b57600080fd5b8035906020019184600183028401116401000000008311171561026d57600080fd5b5090925090506108d8565b6040805192835260208301919091528051918290030190f35b610299611435565b604080516001600160801b039092168252519081900360200190f35b6102bd611444565b60405180836001600160801b03168152602001826001600160801b031681526020019250505060405180910390f35b6103096004803603602081101561030257600080fd5b503561145e565b6040805163ffffffff909516855260069390930b60208501526001600160a01b039091168383015215156060830152519081900360800190f35b6103646004803603602081101561035957600080fd5b503561ffff166114a4565b005b61036e61159e565b604080516001600160a01b03909816885260029690960b602088015261ffff9485168787015292841660608701529216608085015260ff90911660a0840152151560c0830152519081900360e00190f35b610278600480360360a08110156103d557600080fd5b6001600160a01b03823516916020810135600290810b92604083013590910b916001600160801b036060820135169181019060a08101608082013564010000000081111561042257600080fd5b82018360208201111561043457600080fd5b8035906020019184600183028401116401000000008311171561045657600080fd5b5090925090506115ee565b6104696118aa565b60408051918252519081900360200190f35b6103646004803603608081101561049157600080fd5b6001600160a01b0382351691602081013591604082013591908101906080810160608201356401000000008111156104c857600080fd5b8201836020820111156104da57600080fd5b803590602001918460018302840111640100000000831117156104fc57600080fd5b5090925090506118b0565b6102bd600480360360a081101561051d57600080fd5b506001600160a01b03813516906020810135600290810b91604081013590910b906001600160801b0360608201358116916080013516611d0b565b6105756004803603602081101561056e57600080fd5b5035611f25565b604080516001600160801b0396871681526020810195909552848101939093529084166060840152909216608082015290519081900360a00190f35b610469600480360360208110156105c757600080fd5b503560010b611f62565b610299611f74565b610364600480360360408110156105ef57600080fd5b5060ff81358116916020013516611f98565b6102bd6004803603606081101561061757600080fd5b506001600160a01b03813516906001600160801b0360208201358116916040013516612197565b6106ae6004803603602081101561065457600080fd5b81019060208101813564010000000081111561066f57600080fd5b82018360208201111561068157600080fd5b803590602001918460208302840111640100000000831117156106a357600080fd5b509092509050612464565b604051808060200180602001838103835285818151815260200191508051906020019060200280838360005b838110156106f25781810151838201526020016106da565b50505050905001838103825284818151815260200191508051906020019060200280838360005b83811015610731578181015183820152602001610719565b5050505090500194505050505060405180910390f35b6102786004803603606081101561075d57600080fd5b508035600290810b91602081013590910b90604001356001600160801b03166124f1565b6104696004803603602081101561079757600080fd5b503560020b612668565b6107cb600480360360408110156107b757600080fd5b508035600290810b9160200135900b61267a565b6040805163ffffffff9092168252519081900360200190f35b6101c6612760565b6107f4612784565b6040805160029290920b8252519081900360200190f35b6101c66127a8565b61081b6127cc565b6040805162ffffff9092168252519081900360200190f35b6104696127f0565b61085b6004803603602081101561085157600080fd5b503560020b6127f6565b604080516001600160801b039095168552600f9390930b6020850152838301919091526060830152519081900360800190f35b610364600480360360208110156108a457600080fd5b50356001600160a01b031661282c565b7f000000000000000000000000000000000000000000000000000000000000000081565b6000806108e3612a41565b8561091a576040805162461bcd60e51b8152602060048201526002602482015261415360f01b604482015290519081900360640190fd5b6040805160e0810182526000546001600160a01b0381168252600160a01b8104600290810b810b900b602083015261ffff600160b81b8204811693830193909352600160c81b810483166060830152600160d81b8104909216608082015260ff600160e81b8304811660a0830152600160f01b909204909116151560c082018190526109d3576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b87610a1e5780600001516001600160a01b0316866001600160a01b0316118015610a19575073fffd8963efd1fc6a506488495d951d5263988d266001600160a01b038716105b610a50565b80600001516001600160a01b0316866001600160a01b0316108015610a5057506401000276a36001600160a01b038716115b610a87576040805162461bcd60e51b815260206004820152600360248201526214d41360ea1b604482015290519081900360640190fd5b6000805460ff60f01b191681556040805160608101909152808a610ab65760048460a0015160ff16901c610ac9565b60108460a0015160ff1681610ac757fe5b065b60ff1681526004546001600160801b03166020820152604001610aea612a78565b63ffffffff1681525090506000808913905060006040518060e001604052808b81526020016000815260200185600001516001600160a01b03168152602001856020015160020b81526020018c610b4357600254610b47565b6001545b815260200160006001600160801b0316815260200184602001516001600160801b031681525090505b805115801590610b965750886001600160a01b031681604001516001600160a01b031614155b15610f2857610ba3615532565b60408201516001600160a01b031681526060820151610be6906006907f00000000000000000000000000000000000000000000000000000000000000008f612a7c565b15156040830152600290810b810b60208301819052620d89e719910b1215610c1757620d89e7196020820152610c36565b6020810151620d89e860029190910b1315610c3657620d89e860208201525b610c438160200151612bbe565b6001600160a01b031660608201526040820151610cd4908d610c7d578b6001600160a01b031683606001516001600160a01b031611610c97565b8b6001600160a01b031683606001516001600160a01b0316105b610ca5578260600151610ca7565b8b5b60c085015185517f0000000000000000000000000000000000000000000000000000000000000000612ef0565b60c085015260a084015260808301526001600160a01b031660408301528215610d3657610d0a8160c001518260800151016130e2565b825103825260a0810151610d2c90610d21906130e2565b6020840151906130f8565b6020830152610d71565b610d438160a001516130e2565b825101825260c08101516080820151610d6b91610d6091016130e2565b60208401519061310e565b60208301525b835160ff1615610db7576000846000015160ff168260c0015181610d9157fe5b60c0840180519290910491829003905260a0840180519091016001600160801b03169052505b60c08201516001600160801b031615610df657610dea8160c00151600160801b8460c001516001600160801b0316613124565b60808301805190910190525b80606001516001600160a01b031682604001516001600160a01b03161415610ee757806040015115610ebe576000610e5c82602001518e610e3957600154610e3f565b84608001515b8f610e4e578560800151610e52565b6002545b60059291906131d4565b90508c15610e68576000035b60208201516040860151610ea0916007917f000000000000000000000000000000000000000000000000000000000000000090613210565b610eae8360c0015182613261565b6001600160801b031660c0840152505b8b610ecd578060200151610ed6565b60018160200151035b600290810b900b6060830152610f22565b80600001516001600160a01b031682604001516001600160a01b031614610f2257610f158260400151613317565b600290810b900b60608301525b50610b70565b836020015160020b816060015160020b1461100357600080610f7686604001518660400151886020015188602001518a606001518b608001516009613643909695949392919063ffffffff16565b604085015160608601516000805461ffff60c81b1916600160c81b61ffff958616021761ffff60b81b1916600160b81b95909416949094029290921762ffffff60a01b1916600160a01b62ffffff60029490940b93909316929092029190911773ffffffffffffffffffffffffffffffffffffffff19166001600160a01b03909116179055506110359050565b60408101516000805473ffffffffffffffffffffffffffffffffffffffff19166001600160a01b039092169190911790555b8060c001516001600160801b031683602001516001600160801b03161461107b5760c0810151600480546001600160801b0319166001600160801b039092169190911790555b8a156110cb57608081015160015560a08101516001600160801b0316156110c65760a0810151600380546001600160801b031981166001600160801b03918216909301169190911790555b611111565b608081015160025560a08101516001600160801b0316156111115760a0810151600380546001600160801b03808216600160801b92839004821690940116029190911790555b8115158b15151461112a57602081015181518b03611137565b80600001518a0381602001515b90965094508a15611270576000851215611179576111797f00000000000000000000000000000000000000000000000000000000000000008d876000036137f9565b6000611183613947565b9050336001600160a01b031663fa461e3388888c8c6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b15801561120757600080fd5b505af115801561121b573d6000803e3d6000fd5b50505050611227613947565b6112318289613a80565b111561126a576040805162461bcd60e51b815260206004820152600360248201526249494160e81b604482015290519081900360640190fd5b5061139a565b60008612156112a7576112a77f00000000000000000000000000000000000000000000000000000000000000008d886000036137f9565b60006112b1613a90565b9050336001600160a01b031663fa461e3388888c8c6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b15801561133557600080fd5b505af1158015611349573d6000803e3d6000fd5b50505050611355613a90565b61135f8288613a80565b1115611398576040805162461bcd60e51b815260206004820152600360248201526249494160e81b604482015290519081900360640190fd5b505b8b6001600160a01b0316336001600160a01b03167f41e82c9c8c68651be91e14fa6bb6d577822b5f6b66fda7d7f365faed56e2855e88888560400151866060015160405180858152602001848152602001836001600160a01b031681526020018260020b815260200194505050505060405180910390a350506000805460ff60f01b1916600160f01b17905550919890975095505050505050565b6004546001600160801b031681565b6003546001600160801b0380821691600160801b90041682565b60098161ffff811061146f57600080fd5b015463ffffffff81169150640100000000810460060b90600160581b81046001600160a01b031690600160f81b900460ff1684565b600054600160f01b900460ff166114e8576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b191690556114fd612a41565b60008054600160d81b900461ffff169061151960098385613b28565b6000805461ffff808416600160d81b810261ffff60d81b1990931692909217909255919250831614611586576040805161ffff80851682528316602082015281517fac49e518f90a358f652e4400164f05a5d8f7e35e7747279bc3a93dbf584e125a929181900390910190a15b50506000805460ff60f01b1916600160f01b17905550565b6000546001600160a01b03811690600160a01b810460020b9061ffff600160b81b8204811691600160c81b8104821691600160d81b8204169060ff600160e81b8204811691600160f01b90041687565b600080548190600160f01b900460ff16611635576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b191690556001600160801b03851661165557600080fd5b6000806116a360405180608001604052808c6001600160a01b031681526020018b60020b81526020018a60020b81526020016116998a6001600160801b0316613bcb565b600f0b9052613bdc565b925092505081935080925060008060008611156116c5576116c2613947565b91505b84156116d6576116d3613a90565b90505b336001600160a01b031663d348799787878b8b6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b15801561175857600080fd5b505af115801561176c573d6000803e3d6000fd5b5050505060008611156117c357611781613947565b61178b8388613a80565b11156117c3576040805162461bcd60e51b815260206004820152600260248201526104d360f41b604482015290519081900360640190fd5b8415611813576117d1613a90565b6117db8287613a80565b1115611813576040805162461bcd60e51b81526020600482015260026024820152614d3160f01b604482015290519081900360640190fd5b8960020b8b60020b8d6001600160a01b03167f7a53080ba414158be7ec69b987b5fb7d07dee101fe85488f0853ae16239d0bde338d8b8b60405180856001600160a01b03168152602001846001600160801b0316815260200183815260200182815260200194505050505060405180910390a450506000805460ff60f01b1916600160f01b17905550919890975095505050505050565b60025481565b600054600160f01b900460ff166118f4576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b19169055611909612a41565b6004546001600160801b03168061194b576040805162461bcd60e51b81526020600482015260016024820152601360fa1b604482015290519081900360640190fd5b6000611980867f000000000000000000000000000000000000000000000000000000000000000062ffffff16620f4240613e1c565b905060006119b7867f000000000000000000000000000000000000000000000000000000000000000062ffffff16620f4240613e1c565b905060006119c3613947565b905060006119cf613a90565b90508815611a0257611a027f00000000000000000000000000000000000000000000000000000000000000008b8b6137f9565b8715611a3357611a337f00000000000000000000000000000000000000000000000000000000000000008b8a6137f9565b336001600160a01b031663e9cbafb085858a8a6040518563ffffffff1660e01b815260040180858152602001848152602001806020018281038252848482818152602001925080828437600081840152601f19601f82011690508083019250505095505050505050600060405180830381600087803b158015611ab557600080fd5b505af1158015611ac9573d6000803e3d6000fd5b505050506000611ad7613947565b90506000611ae3613a90565b905081611af08588613a80565b1115611b28576040805162461bcd60e51b8152602060048201526002602482015261046360f41b604482015290519081900360640190fd5b80611b338487613a80565b1115611b6b576040805162461bcd60e51b8152602060048201526002602482015261463160f01b604482015290519081900360640190fd5b8382038382038115611bfa5760008054600160e81b9004600f16908115611b9e578160ff168481611b9857fe5b04611ba1565b60005b90506001600160801b03811615611bd457600380546001600160801b038082168401166001600160801b03199091161790555b611bee818503600160801b8d6001600160801b0316613124565b60018054909101905550505b8015611c855760008054600160e81b900460041c600f16908115611c2a578160ff168381611c2457fe5b04611c2d565b60005b90506001600160801b03811615611c5f57600380546001600160801b03600160801b8083048216850182160291161790555b611c79818403600160801b8d6001600160801b0316613124565b60028054909101905550505b8d6001600160a01b0316336001600160a01b03167fbdbdb71d7860376ba52b25a5028beea23581364a40522f6bcfb86bb1f2dca6338f8f86866040518085815260200184815260200183815260200182815260200194505050505060405180910390a350506000805460ff60f01b1916600160f01b179055505050505050505050505050565b600080548190600160f01b900460ff16611d52576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b19168155611d6c6008338989613e56565b60038101549091506001600160801b0390811690861611611d8d5784611d9c565b60038101546001600160801b03165b60038201549093506001600160801b03600160801b909104811690851611611dc45783611dda565b6003810154600160801b90046001600160801b03165b91506001600160801b03831615611e3f576003810180546001600160801b031981166001600160801b03918216869003821617909155611e3f907f0000000000000000000000000000000000000000000000000000000000000000908a9086166137f9565b6001600160801b03821615611ea5576003810180546001600160801b03600160801b808304821686900382160291811691909117909155611ea5907f0000000000000000000000000000000000000000000000000000000000000000908a9085166137f9565b604080516001600160a01b038a1681526001600160801b0380861660208301528416818301529051600288810b92908a900b9133917f70935338e69775456a85ddef226c395fb668b63fa0115f5f20610b388e6ca9c0919081900360600190a4506000805460ff60f01b1916600160f01b17905590969095509350505050565b60086020526000908152604090208054600182015460028301546003909301546001600160801b0392831693919281811691600160801b90041685565b60066020526000908152604090205481565b7f000000000000000000000000000000000000000000000000000000000000000081565b600054600160f01b900460ff16611fdc576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b1916905560408051638da5cb5b60e01b815290516001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001691638da5cb5b916004808301926020929190829003018186803b15801561204957600080fd5b505afa15801561205d573d6000803e3d6000fd5b505050506040513d602081101561207357600080fd5b50516001600160a01b0316331461208957600080fd5b60ff821615806120ac575060048260ff16101580156120ac5750600a8260ff1611155b80156120d6575060ff811615806120d6575060048160ff16101580156120d65750600a8160ff1611155b6120df57600080fd5b60008054610ff0600484901b16840160ff908116600160e81b9081027fffff00ffffffffffffffffffffffffffffffffffffffffffffffffffffffffff841617909355919004167f973d8d92bb299f4af6ce49b52a8adb85ae46b9f214c4c4fc06ac77401237b1336010826040805160ff9390920683168252600f600486901c16602083015286831682820152918516606082015290519081900360800190a150506000805460ff60f01b1916600160f01b17905550565b600080548190600160f01b900460ff166121de576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b1916905560408051638da5cb5b60e01b815290516001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001691638da5cb5b916004808301926020929190829003018186803b15801561224b57600080fd5b505afa15801561225f573d6000803e3d6000fd5b505050506040513d602081101561227557600080fd5b50516001600160a01b0316331461228b57600080fd5b6003546001600160801b03908116908516116122a757836122b4565b6003546001600160801b03165b6003549092506001600160801b03600160801b9091048116908416116122da57826122ee565b600354600160801b90046001600160801b03165b90506001600160801b0382161561236f576003546001600160801b038381169116141561231d57600019909101905b600380546001600160801b031981166001600160801b0391821685900382161790915561236f907f000000000000000000000000000000000000000000000000000000000000000090879085166137f9565b6001600160801b038116156123f5576003546001600160801b03828116600160801b9092041614156123a057600019015b600380546001600160801b03600160801b8083048216859003821602918116919091179091556123f5907f000000000000000000000000000000000000000000000000000000000000000090879084166137f9565b604080516001600160801b0380851682528316602082015281516001600160a01b0388169233927f596b573906218d3411850b26a6b437d6c4522fdb43d2d2386263f86d50b8b151929081900390910190a36000805460ff60f01b1916600160f01b1790559094909350915050565b60608061246f612a41565b6124e661247a612a78565b858580806020026020016040519081016040528093929190818152602001838360200280828437600092018290525054600454600996959450600160a01b820460020b935061ffff600160b81b8304811693506001600160801b0390911691600160c81b900416613eba565b915091509250929050565b600080548190600160f01b900460ff16612538576040805162461bcd60e51b81526020600482015260036024820152624c4f4b60e81b604482015290519081900360640190fd5b6000805460ff60f01b1916815560408051608081018252338152600288810b602083015287900b918101919091528190819061259190606081016125846001600160801b038a16613bcb565b600003600f0b9052613bdc565b92509250925081600003945080600003935060008511806125b25750600084115b156125f1576003830180546001600160801b038082168089018216600160801b93849004831689019092169092029091176001600160801b0319161790555b604080516001600160801b0388168152602081018790528082018690529051600289810b92908b900b9133917f0c396cd989a39f4459b5fa1aed6a9a8dcdbc45908acfd67e028cd568da98982c919081900360600190a450506000805460ff60f01b1916600160f01b179055509094909350915050565b60076020526000908152604090205481565b6000612684612a41565b61268e8383614014565b600283810b900b6000908152600560205260409020546001600160801b0316158015906126d85750600282810b900b6000908152600560205260409020546001600160801b031615155b61270d576040805162461bcd60e51b81526020600482015260016024820152600b60fb1b604482015290519081900360640190fd5b6000546127579084908490600160a01b900460020b7f000000000000000000000000000000000000000000000000000000000000000061274b612a78565b600794939291906140dd565b90505b92915050565b7f000000000000000000000000000000000000000000000000000000000000000081565b7f000000000000000000000000000000000000000000000000000000000000000081565b7f000000000000000000000000000000000000000000000000000000000000000081565b7f000000000000000000000000000000000000000000000000000000000000000081565b60015481565b6005602052600090815260409020805460018201546002909201546001600160801b03821692600160801b909204600f0b919084565b6000546001600160a01b03161561286f576040805162461bcd60e51b8152602060048201526002602482015261414960f01b604482015290519081900360640190fd5b600061287a82613317565b905060008061289261288a612a78565b600990614151565b6040805160e0810182526001600160a01b038816808252600288810b6020808501829052600085870181905261ffff898116606088018190529089166080880181905260a08801839052600160c0909801979097528154600160f01b73ffffffffffffffffffffffffffffffffffffffff19909116871762ffffff60a01b1916600160a01b62ffffff9787900b9790971696909602959095177fffffffffff00000000ffffffffffffffffffffffffffffffffffffffffffffff16600160c81b9091021761ffff60d81b1916600160d81b909602959095177fff0000ffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1692909217909355835191825281019190915281519395509193507f98636036cb66a9c19a37435efc1e90142190214e8abeb821bdba3f2990dd4c9592918290030190a150505050565b60008082600281900b620d89e719816129ea57fe5b05029050600083600281900b620d89e881612a0157fe5b0502905060008460020b83830360020b81612a1857fe5b0560010190508062ffffff166001600160801b03801681612a3557fe5b0493505050505b919050565b306001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001614612a7657600080fd5b565b4290565b60008060008460020b8660020b81612a9057fe5b05905060008660020b128015612ab757508460020b8660020b81612ab057fe5b0760020b15155b15612ac157600019015b8315612b3657600080612ad38361419d565b600182810b810b600090815260208d9052604090205460ff83169190911b80016000190190811680151597509294509092509085612b1857888360ff16860302612b2b565b88612b22826141af565b840360ff168603025b965050505050612bb4565b600080612b458360010161419d565b91509150600060018260ff166001901b031990506000818b60008660010b60010b8152602001908152602001600020541690508060001415955085612b9757888360ff0360ff16866001010102612bad565b8883612ba28361424f565b0360ff168660010101025b9650505050505b5094509492505050565b60008060008360020b12612bd5578260020b612bdd565b8260020b6000035b9050620d89e8811115612c1b576040805162461bcd60e51b81526020600482015260016024820152601560fa1b604482015290519081900360640190fd5b600060018216612c2f57600160801b612c41565b6ffffcb933bd6fad37aa2d162d1a5940015b70ffffffffffffffffffffffffffffffffff1690506002821615612c75576ffff97272373d413259a46990580e213a0260801c5b6004821615612c94576ffff2e50f5f656932ef12357cf3c7fdcc0260801c5b6008821615612cb3576fffe5caca7e10e4e61c3624eaa0941cd00260801c5b6010821615612cd2576fffcb9843d60f6159c9db58835c9266440260801c5b6020821615612cf1576fff973b41fa98c081472e6896dfb254c00260801c5b6040821615612d10576fff2ea16466c96a3843ec78b326b528610260801c5b6080821615612d2f576ffe5dee046a99a2a811c461f1969c30530260801c5b610100821615612d4f576ffcbe86c7900a88aedcffc83b479aa3a40260801c5b610200821615612d6f576ff987a7253ac413176f2b074cf7815e540260801c5b610400821615612d8f576ff3392b0822b70005940c7a398e4b70f30260801c5b610800821615612daf576fe7159475a2c29b7443b29c7fa6e889d90260801c5b611000821615612dcf576fd097f3bdfd2022b8845ad8f792aa58250260801c5b612000821615612def576fa9f746462d870fdf8a65dc1f90e061e50260801c5b614000821615612e0f576f70d869a156d2a1b890bb3df62baf32f70260801c5b618000821615612e2f576f31be135f97d08fd981231505542fcfa60260801c5b62010000821615612e50576f09aa508b5b7a84e1c677de54f3e99bc90260801c5b62020000821615612e70576e5d6af8dedb81196699c329225ee6040260801c5b62040000821615612e8f576d2216e584f5fa1ea926041bedfe980260801c5b62080000821615612eac576b048a170391f7dc42444e8fa20260801c5b60008460020b1315612ec7578060001981612ec357fe5b0490505b640100000000810615612edb576001612ede565b60005b60ff16602082901c0192505050919050565b60008080806001600160a01b03808916908a161015818712801590612f75576000612f298989620f42400362ffffff16620f4240613124565b905082612f4257612f3d8c8c8c6001614339565b612f4f565b612f4f8b8d8c60016143b4565b9550858110612f60578a9650612f6f565b612f6c8c8b8386614464565b96505b50612fbf565b81612f8c57612f878b8b8b60006143b4565b612f99565b612f998a8c8b6000614339565b9350838860000310612fad57899550612fbf565b612fbc8b8a8a600003856144b0565b95505b6001600160a01b038a811690871614821561302257808015612fde5750815b612ff457612fef878d8c60016143b4565b612ff6565b855b9550808015613003575081155b61301957613014878d8c6000614339565b61301b565b845b945061306c565b80801561302c5750815b6130425761303d8c888c6001614339565b613044565b855b9550808015613051575081155b613067576130628c888c60006143b4565b613069565b845b94505b8115801561307c57508860000385115b15613088578860000394505b8180156130a757508a6001600160a01b0316876001600160a01b031614155b156130b65785890393506130d3565b6130d0868962ffffff168a620f42400362ffffff16613e1c565b93505b50505095509550955095915050565b6000600160ff1b82106130f457600080fd5b5090565b8082038281131560008312151461275a57600080fd5b8181018281121560008312151461275a57600080fd5b600080806000198587098686029250828110908390030390508061315a576000841161314f57600080fd5b5082900490506131cd565b80841161316657600080fd5b6000848688096000868103871696879004966002600389028118808a02820302808a02820302808a02820302808a02820302808a02820302808a02909103029181900381900460010186841190950394909402919094039290920491909117919091029150505b9392505050565b600292830b830b60009081526020949094526040909320600181018054909203909155908101805490920390915554600160801b9004600f0b90565b60008061321d85856144fc565b600291820b90910b60009081526020979097526040909620805460ff90971687811c9485900363ffffffff908116821b9516901b9096189290921790945550505050565b60008082600f0b12156132c657826001600160801b03168260000384039150816001600160801b0316106132c1576040805162461bcd60e51b81526020600482015260026024820152614c5360f01b604482015290519081900360640190fd5b61275a565b826001600160801b03168284019150816001600160801b0316101561275a576040805162461bcd60e51b81526020600482015260026024820152614c4160f01b604482015290519081900360640190fd5b60006401000276a36001600160a01b03831610801590613353575073fffd8963efd1fc6a506488495d951d5263988d266001600160a01b038316105b613388576040805162461bcd60e51b81526020600482015260016024820152602960f91b604482015290519081900360640190fd5b77ffffffffffffffffffffffffffffffffffffffff00000000602083901b166001600160801b03811160071b81811c67ffffffffffffffff811160061b90811c63ffffffff811160051b90811c61ffff811160041b90811c60ff8111600390811b91821c600f811160021b90811c918211600190811b92831c9790881196179094179092171790911717176080811061342957607f810383901c9150613433565b80607f0383901b91505b908002607f81811c60ff83811c9190911c800280831c81831c1c800280841c81841c1c800280851c81851c1c800280861c81861c1c800280871c81871c1c800280881c81881c1c800280891c81891c1c8002808a1c818a1c1c8002808b1c818b1c1c8002808c1c818c1c1c8002808d1c818d1c1c8002808e1c9c81901c9c909c1c80029c8d901c9e9d607f198f0160401b60c09190911c678000000000000000161760c19b909b1c674000000000000000169a909a1760c29990991c672000000000000000169890981760c39790971c671000000000000000169690961760c49590951c670800000000000000169490941760c59390931c670400000000000000169290921760c69190911c670200000000000000161760c79190911c670100000000000000161760c89190911c6680000000000000161760c99190911c6640000000000000161760ca9190911c6620000000000000161760cb9190911c6610000000000000161760cc9190911c6608000000000000161760cd9190911c66040000000000001617693627a301d71055774c8581026f028f6481ab7f045a5af012a19d003aa9198101608090811d906fdb2df09e81959a81455e260799a0632f8301901d600281810b9083900b1461363457886001600160a01b031661361882612bbe565b6001600160a01b0316111561362d578161362f565b805b613636565b815b9998505050505050505050565b6000806000898961ffff1661ffff811061365957fe5b60408051608081018252919092015463ffffffff8082168084526401000000008304600690810b810b900b6020850152600160581b83046001600160a01b031694840194909452600160f81b90910460ff1615156060830152909250891614156136c957888592509250506137ed565b8461ffff168461ffff161180156136ea57506001850361ffff168961ffff16145b156136f7578391506136fb565b8491505b8161ffff168960010161ffff168161370f57fe5b06925061371e81898989614555565b8a8461ffff1661ffff811061372f57fe5b825191018054602084015160408501516060909501511515600160f81b027effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff6001600160a01b03909616600160581b027fff0000000000000000000000000000000000000000ffffffffffffffffffffff60069390930b66ffffffffffffff16640100000000026affffffffffffff000000001963ffffffff90971663ffffffff19909516949094179590951692909217169290921792909216179055505b97509795505050505050565b604080516001600160a01b038481166024830152604480830185905283518084039091018152606490920183526020820180516001600160e01b031663a9059cbb60e01b1781529251825160009485949389169392918291908083835b602083106138755780518252601f199092019160209182019101613856565b6001836020036101000a0380198251168184511680821785525050505050509050019150506000604051808303816000865af19150503d80600081146138d7576040519150601f19603f3d011682016040523d82523d6000602084013e6138dc565b606091505b509150915081801561390a57508051158061390a575080806020019051602081101561390757600080fd5b50515b613940576040805162461bcd60e51b81526020600482015260026024820152612a2360f11b604482015290519081900360640190fd5b5050505050565b604080513060248083019190915282518083039091018152604490910182526020810180516001600160e01b03166370a0823160e01b17815291518151600093849384936001600160a01b037f00000000000000000000000000000000000000000000000000000000000000001693919290918291908083835b602083106139e05780518252601f1990920191602091820191016139c1565b6001836020036101000a038019825116818451168082178552505050505050905001915050600060405180830381855afa9150503d8060008114613a40576040519150601f19603f3d011682016040523d82523d6000602084013e613a45565b606091505b5091509150818015613a5957506020815110155b613a6257600080fd5b808060200190516020811015613a7757600080fd5b50519250505090565b8082018281101561275a57600080fd5b604080513060248083019190915282518083039091018152604490910182526020810180516001600160e01b03166370a0823160e01b17815291518151600093849384936001600160a01b037f0000000000000000000000000000000000000000000000000000000000000000169391929091829190808383602083106139e05780518252601f1990920191602091820191016139c1565b6000808361ffff1611613b66576040805162461bcd60e51b81526020600482015260016024820152604960f81b604482015290519081900360640190fd5b8261ffff168261ffff1611613b7c5750816131cd565b825b8261ffff168161ffff161015613bc2576001858261ffff1661ffff8110613ba157fe5b01805463ffffffff191663ffffffff92909216919091179055600101613b7e565b50909392505050565b80600f81900b8114612a3c57600080fd5b6000806000613be9612a41565b613bfb84602001518560400151614014565b6040805160e0810182526000546001600160a01b0381168252600160a01b8104600290810b810b900b602080840182905261ffff600160b81b8404811685870152600160c81b84048116606080870191909152600160d81b8504909116608086015260ff600160e81b8504811660a0870152600160f01b909404909316151560c085015288519089015194890151928901519394613c9f94919390929091906145d1565b93508460600151600f0b600014613e1457846020015160020b816020015160020b1215613cf457613ced613cd68660200151612bbe565b613ce38760400151612bbe565b87606001516147e5565b9250613e14565b846040015160020b816020015160020b1215613dea5760045460408201516001600160801b0390911690613d4690613d2a612a78565b6020850151606086015160808701516009949392918791613643565b6000805461ffff60c81b1916600160c81b61ffff938416021761ffff60b81b1916600160b81b939092169290920217905581516040870151613d969190613d8c90612bbe565b88606001516147e5565b9350613db4613da88760200151612bbe565b83516060890151614829565b9250613dc4818760600151613261565b600480546001600160801b0319166001600160801b039290921691909117905550613e14565b613e11613dfa8660200151612bbe565b613e078760400151612bbe565b8760600151614829565b91505b509193909250565b6000613e29848484613124565b905060008280613e3557fe5b84860911156131cd576000198110613e4c57600080fd5b6001019392505050565b6040805160609490941b6bffffffffffffffffffffffff1916602080860191909152600293840b60e890811b60348701529290930b90911b60378401528051808403601a018152603a90930181528251928201929092206000908152929052902090565b60608060008361ffff1611613efa576040805162461bcd60e51b81526020600482015260016024820152604960f81b604482015290519081900360640190fd5b865167ffffffffffffffff81118015613f1257600080fd5b50604051908082528060200260200182016040528015613f3c578160200160208202803683370190505b509150865167ffffffffffffffff81118015613f5757600080fd5b50604051908082528060200260200182016040528015613f81578160200160208202803683370190505b50905060005b875181101561400757613fb28a8a8a8481518110613fa157fe5b60200260200101518a8a8a8a614858565b848381518110613fbe57fe5b60200260200101848481518110613fd157fe5b60200260200101826001600160a01b03166001600160a01b03168152508260060b60060b81525050508080600101915050613f87565b5097509795505050505050565b8060020b8260020b12614054576040805162461bcd60e51b8152602060048201526003602482015262544c5560e81b604482015290519081900360640190fd5b620d89e719600283900b1215614097576040805162461bcd60e51b8152602060048201526003602482015262544c4d60e81b604482015290519081900360640190fd5b620d89e8600282900b13156140d9576040805162461bcd60e51b815260206004820152600360248201526254554d60e81b604482015290519081900360640190fd5b5050565b6000808660020b8560020b126140ff576140f88888866149d9565b905061410f565b61410a8888866149d9565b830390505b60008660020b8660020b12156141315761412a8988876149d9565b9050614141565b61413c8988876149d9565b840390505b9083030390509695505050505050565b6040805160808101825263ffffffff9283168082526000602083018190529282019290925260016060909101819052835463ffffffff1916909117909116600160f81b17909155908190565b60020b600881901d9161010090910790565b60008082116141bd57600080fd5b600160801b82106141d057608091821c91015b6801000000000000000082106141e857604091821c91015b64010000000082106141fc57602091821c91015b62010000821061420e57601091821c91015b610100821061421f57600891821c91015b6010821061422f57600491821c91015b6004821061423f57600291821c91015b60028210612a3c57600101919050565b600080821161425d57600080fd5b5060ff6001600160801b0382161561427857607f1901614280565b608082901c91505b67ffffffffffffffff82161561429957603f19016142a1565b604082901c91505b63ffffffff8216156142b657601f19016142be565b602082901c91505b61ffff8216156142d157600f19016142d9565b601082901c91505b60ff8216156142eb57600719016142f3565b600882901c91505b600f821615614305576003190161430d565b600482901c91505b600382161561431f5760011901614327565b600282901c91505b6001821615612a3c5760001901919050565b6000836001600160a01b0316856001600160a01b03161115614359579293925b8161438657614381836001600160801b03168686036001600160a01b0316600160601b613124565b6143a9565b6143a9836001600160801b03168686036001600160a01b0316600160601b613e1c565b90505b949350505050565b6000836001600160a01b0316856001600160a01b031611156143d4579293925b7bffffffffffffffffffffffffffffffff000000000000000000000000606084901b166001600160a01b03868603168361443357866001600160a01b03166144268383896001600160a01b0316613124565b8161442d57fe5b04614459565b61445961444a8383896001600160a01b0316613e1c565b886001600160a01b0316614a10565b979650505050505050565b600080856001600160a01b03161161447b57600080fd5b6000846001600160801b03161161449157600080fd5b816144a3576143818585856001614a41565b6143a98585856001614b22565b600080856001600160a01b0316116144c757600080fd5b6000846001600160801b0316116144dd57600080fd5b816144ef576143818585856000614b22565b6143a98585856000614a41565b6000808260020b8460020b8161450e57fe5b0760020b1561451c57600080fd5b60008360020b8560020b8161452d57fe5b05905060038160020b901d925060088160020b8161454757fe5b076020029150509250929050565b61455d61556e565b600085600001518503905060405180608001604052808663ffffffff1681526020018263ffffffff168660020b0288602001510160060b81526020018263ffffffff16856001600160801b0316028860400151016001600160a01b0316815260200160011515815250915050949350505050565b60006145e06008878787613e56565b60015460025491925090600080600f87900b1561472d576000614601612a78565b905061463560058b898b898960007f0000000000000000000000000000000000000000000000000000000000000000614c17565b925061466960058a898b898960017f0000000000000000000000000000000000000000000000000000000000000000614c17565b915082156146cb5761469d60068b7f0000000000000000000000000000000000000000000000000000000000000000614d5e565b6146cb60078b897f000000000000000000000000000000000000000000000000000000000000000085614dc4565b811561472b576146fd60068a7f0000000000000000000000000000000000000000000000000000000000000000614d5e565b61472b60078a897f000000000000000000000000000000000000000000000000000000000000000085614dc4565b505b60008061473f60058c8c8b8a8a614e15565b9092509050614750878a8484614ec1565b600089600f0b12156147d65783156147995761476d60058c615056565b61479960078c7f000000000000000000000000000000000000000000000000000000000000000061507a565b82156147d6576147aa60058b615056565b6147d660078b7f000000000000000000000000000000000000000000000000000000000000000061507a565b50505050505095945050505050565b60008082600f0b1261480b5761480661480185858560016143b4565b6130e2565b6143ac565b61481e61480185858560000360006143b4565b600003949350505050565b60008082600f0b12614845576148066148018585856001614339565b61481e6148018585856000036000614339565b60008063ffffffff87166148ff576000898661ffff1661ffff811061487957fe5b60408051608081018252919092015463ffffffff8082168084526401000000008304600690810b810b900b6020850152600160581b83046001600160a01b031694840194909452600160f81b90910460ff16151560608301529092508a16146148eb576148e8818a8988614555565b90505b8060200151816040015192509250506137ed565b8688036000806149148c8c858c8c8c8c6150bc565b9150915061492061556e565b825163ffffffff858116911614156149395750816149bb565b815163ffffffff858116911614156149525750806149bb565b60008360000151836000015103905060008163ffffffff16856020015185602001510360060b8161497f57fe5b05905060008263ffffffff1686604001518660400151036001600160a01b0316816149a657fe5b0490506149b586888484614555565b93505050505b80602001518160400151955095505050505097509795505050505050565b60008060006149e885856144fc565b600291820b90910b60009081526020889052604090205460ff9091161c925050509392505050565b600080828481614a1c57fe5b0611614a29576000614a2c565b60015b60ff16828481614a3857fe5b04019392505050565b60008115614ab45760006001600160a01b03841115614a7757614a7284600160601b876001600160801b0316613124565b614a8f565b6001600160801b038516606085901b81614a8d57fe5b045b9050614aac614aa76001600160a01b03881683613a80565b6152b9565b9150506143ac565b60006001600160a01b03841115614ae257614add84600160601b876001600160801b0316613e1c565b614af9565b614af9606085901b6001600160801b038716614a10565b905080866001600160a01b031611614b1057600080fd5b6001600160a01b0386160390506143ac565b600082614b305750836143ac565b7bffffffffffffffffffffffffffffffff000000000000000000000000606085901b168215614bd0576001600160a01b03861684810290858281614b7057fe5b041415614ba157818101828110614b9f57614b9583896001600160a01b031683613e1c565b93505050506143ac565b505b614bc782614bc2878a6001600160a01b03168681614bbb57fe5b0490613a80565b614a10565b925050506143ac565b6001600160a01b03861684810290858281614be757fe5b04148015614bf457508082115b614bfd57600080fd5b808203614b95614aa7846001600160a01b038b1684613e1c565b600287810b900b600090815260208990526040812080546001600160801b031682614c42828a613261565b9050846001600160801b0316816001600160801b03161115614c90576040805162461bcd60e51b81526020600482015260026024820152614c4f60f01b604482015290519081900360640190fd5b6001600160801b038281161590821615811415945015614cc6578960020b8b60020b13614cc65760018301889055600283018790555b82546001600160801b0319166001600160801b03821617835585614d0f578254614d0a90614d0590600160801b9004600f90810b810b908c900b61310e565b613bcb565b614d30565b8254614d3090614d0590600160801b9004600f90810b810b908c900b6130f8565b8354600f9190910b6001600160801b03908116600160801b0291161790925550909998505050505050505050565b8060020b8260020b81614d6d57fe5b0760020b15614d7b57600080fd5b600080614d968360020b8560020b81614d9057fe5b0561419d565b600191820b820b60009081526020979097526040909620805460ff9097169190911b90951890945550505050565b8260020b8460020b1361394057600080614dde86856144fc565b600291820b90910b6000908152602089905260409020805463ffffffff861660ff9093169290921b91909117905550505050505050565b600285810b80820b60009081526020899052604080822088850b850b83529082209193849391929184918291908a900b12614e5b57505060018201546002830154614e6e565b8360010154880391508360020154870390505b6000808b60020b8b60020b1215614e9057505060018301546002840154614ea3565b84600101548a0391508460020154890390505b92909803979097039b96909503949094039850939650505050505050565b6040805160a08101825285546001600160801b0390811682526001870154602083015260028701549282019290925260038601548083166060830152600160801b900490911660808201526000600f85900b614f605781516001600160801b0316614f58576040805162461bcd60e51b815260206004820152600260248201526104e560f41b604482015290519081900360640190fd5b508051614f6f565b8151614f6c9086613261565b90505b6000614f938360200151860384600001516001600160801b0316600160801b613124565b90506000614fb98460400151860385600001516001600160801b0316600160801b613124565b905086600f0b600014614fe05787546001600160801b0319166001600160801b0384161788555b60018801869055600288018590556001600160801b03821615158061500e57506000816001600160801b0316115b1561504c576003880180546001600160801b031981166001600160801b039182168501821617808216600160801b9182900483168501909216021790555b5050505050505050565b600290810b810b600090815260209290925260408220828155600181018390550155565b60008061508784846144fc565b600291820b90910b60009081526020969096526040909520805463ffffffff60ff9097169690961b1990951690945550505050565b6150c461556e565b6150cc61556e565b888561ffff1661ffff81106150dd57fe5b60408051608081018252919092015463ffffffff81168083526401000000008204600690810b810b900b6020840152600160581b82046001600160a01b031693830193909352600160f81b900460ff16151560608201529250615142908990896152cf565b1561517a578663ffffffff16826000015163ffffffff161415615164576137ed565b8161517183898988614555565b915091506137ed565b888361ffff168660010161ffff168161518f57fe5b0661ffff1661ffff811061519f57fe5b60408051608081018252929091015463ffffffff811683526401000000008104600690810b810b900b60208401526001600160a01b03600160581b8204169183019190915260ff600160f81b9091041615156060820181905290925061525657604080516080810182528a5463ffffffff811682526401000000008104600690810b810b900b6020830152600160581b81046001600160a01b031692820192909252600160f81b90910460ff161515606082015291505b615265888360000151896152cf565b61529c576040805162461bcd60e51b815260206004820152600360248201526213d31160ea1b604482015290519081900360640190fd5b6152a98989898887615392565b9150915097509795505050505050565b806001600160a01b0381168114612a3c57600080fd5b60008363ffffffff168363ffffffff16111580156152f957508363ffffffff168263ffffffff1611155b15615315578163ffffffff168363ffffffff16111590506131cd565b60008463ffffffff168463ffffffff161161533d578363ffffffff1664010000000001615345565b8363ffffffff165b64ffffffffff16905060008563ffffffff168463ffffffff1611615376578363ffffffff166401000000000161537e565b8363ffffffff165b64ffffffffff169091111595945050505050565b61539a61556e565b6153a261556e565b60008361ffff168560010161ffff16816153b857fe5b0661ffff169050600060018561ffff16830103905060005b506002818301048961ffff871682816153e557fe5b0661ffff81106153f157fe5b60408051608081018252929091015463ffffffff811683526401000000008104600690810b810b900b60208401526001600160a01b03600160581b8204169183019190915260ff600160f81b9091041615156060820181905290955061545c578060010192506153d0565b898661ffff16826001018161546d57fe5b0661ffff811061547957fe5b60408051608081018252929091015463ffffffff811683526401000000008104600690810b810b900b60208401526001600160a01b03600160581b8204169183019190915260ff600160f81b909104161515606082015285519094506000906154e4908b908b6152cf565b90508080156154fd57506154fd8a8a87600001516152cf565b156155085750615525565b806155185760018203925061551f565b8160010193505b506153d0565b5050509550959350505050565b6040805160e081018252600080825260208201819052918101829052606081018290526080810182905260a0810182905260c081019190915290565b6040805160808101825260008082526020820181905291810182905260608101919091529056fea164736f6c6343000706000aa164736f6c6343000706000a",
-    linkReferences: {},
-    deployedLinkReferences: {}
-  }
+  const uniswapArtifacts = readUniswapArtifacts();
+  verifyUniswapArtifacts(uniswapArtifacts);
 
-  fs.writeFileSync(`${artifacts._artifactsPath}/UniswapV3Factory.json`, JSON.stringify(artifact));
+  // Registered as valid, so they aren't removed as obsolete after compiling
+  artifacts.addValidArtifacts(Object.values(uniswapArtifacts).map(artifact => ({
+    sourceName: artifact.sourceName,
+    artifacts: [artifact.contractName],
+  })));
+  for (const artifact of Object.values(uniswapArtifacts)) {
+    await artifacts.saveArtifactAndDebugFile(artifact);
+  }
 });
+
+module.exports = {
+  UNISWAP_ARTIFACTS,
+  readUniswapArtifacts,
+  verifyUniswapArtifacts,
+};
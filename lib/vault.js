@@ -0,0 +1,170 @@
+const { approveIfNeeded } = require('./deploy');
+const { withSlippageUp } = require('./prices');
+const { getSnapshot, simulateBurn, simulateMint } = require('./simulator');
+
+function findEvent(receipt, name) {
+  return receipt.events.find(event => event.event === name).args;
+}
+
+/**
+ * Client for a MetaPoolVault, the EIP-4626 style vault whose shares are each backed by a MetaPool LP token.
+ * Assets are valued in token1 at the pool's TWAP, while deposits & withdrawals move both token0 & token1
+ */
+class MetaPoolVaultClient {
+  /**
+   * @param hre Hardhat runtime environment
+   * @param vault MetaPoolVault contract, connected to the account depositing & withdrawing
+   * @param metaPool The vault's MetaPool contract
+   */
+  constructor(hre, vault, metaPool) {
+    this.hre = hre;
+    this.vault = vault;
+    this.metaPool = metaPool;
+  }
+
+  /**
+   * Deploy a vault for a MetaPool
+   * @param signer Account to deploy from & connect the client to (defaults to the first account)
+   */
+  static async deploy(hre, metaPoolAddress, signer) {
+    const { ethers } = hre;
+    const MetaPoolVault = await ethers.getContractFactory('MetaPoolVault', signer || (await ethers.getSigners())[0]);
+    const vault = await MetaPoolVault.deploy(metaPoolAddress);
+    await vault.deployed();
+    return MetaPoolVaultClient.load(hre, vault.address, vault.signer);
+  }
+
+  /**
+   * Load a deployed vault
+   * @param signer Account to connect the client to (defaults to the first account)
+   */
+  static async load(hre, address, signer) {
+    const { ethers } = hre;
+    const vault = await ethers.getContractAt('MetaPoolVault', address, signer || (await ethers.getSigners())[0]);
+    const metaPool = await ethers.getContractAt('MetaPool', await vault.metaPool());
+    return new MetaPoolVaultClient(hre, vault, metaPool);
+  }
+
+  /**
+   * Read an account's shares & what they're worth
+   * @param owner Address of the account (defaults to the client's signer)
+   */
+  async getAccount(owner) {
+    const address = owner || await this.vault.signer.getAddress();
+    const shares = await this.vault.balanceOf(address);
+    const { amount0, amount1 } = await this.simulate('burn', shares);
+    return { address, shares, assets: await this.vault.convertToAssets(shares), amount0, amount1 };
+  }
+
+  /**
+   * Quote deposit(): the shares minted for `assets`, and the token amounts taken for them
+   */
+  async quoteDeposit(assets) {
+    const shares = await this.vault.previewDeposit(assets);
+    const { amount0, amount1 } = await this.simulate('mint', shares);
+    return { assets: this.hre.ethers.BigNumber.from(assets), shares, amount0, amount1 };
+  }
+
+  /**
+   * Quote mint(): the value & token amounts taken for `shares`
+   */
+  async quoteMint(shares) {
+    const assets = await this.vault.previewMint(shares);
+    const { amount0, amount1 } = await this.simulate('mint', shares);
+    return { assets, shares: this.hre.ethers.BigNumber.from(shares), amount0, amount1 };
+  }
+
+  /**
+   * Quote withdraw(): the shares burnt for `assets`, and the token amounts paid out for them
+   */
+  async quoteWithdraw(assets) {
+    const shares = await this.vault.previewWithdraw(assets);
+    const { amount0, amount1 } = await this.simulate('burn', shares);
+    return { assets: this.hre.ethers.BigNumber.from(assets), shares, amount0, amount1 };
+  }
+
+  /**
+   * Quote redeem(): the value & token amounts paid out for `shares`
+   */
+  async quoteRedeem(shares) {
+    const assets = await this.vault.previewRedeem(shares);
+    const { amount0, amount1 } = await this.simulate('burn', shares);
+    return { assets, shares: this.hre.ethers.BigNumber.from(shares), amount0, amount1 };
+  }
+
+  // The vault mints & burns one LP token per share, so the token amounts are the MetaPool's for `shares` LP tokens
+  async simulate(method, shares) {
+    const snapshot = await getSnapshot(this.hre, this.metaPool);
+    const prediction = method === 'mint' ? simulateMint(snapshot, shares) : simulateBurn(snapshot, shares);
+    if (prediction.reverted) {
+      throw new Error(`${method}() would revert${prediction.reason ? ` with "${prediction.reason}"` : ''}`);
+    }
+    return prediction;
+  }
+
+  /**
+   * Deposit tokens worth `assets`, approving the vault to take them if needed
+   * @param receiver Address to receive the shares (defaults to the client's signer)
+   * @param options.slippage Fraction the token amounts may rise by before the transaction is mined (defaults to 0.5%)
+   * @return The quote, transaction receipt & the number of shares minted
+   */
+  async deposit(assets, receiver, options = {}) {
+    const quote = await this.quoteDeposit(assets);
+    await this.approve(quote, options);
+    const receipt = await (await this.vault.deposit(assets, receiver || await this.vault.signer.getAddress())).wait();
+    return { quote, receipt, shares: findEvent(receipt, 'Deposit').shares };
+  }
+
+  /**
+   * Mint an exact number of shares, approving the vault to take the tokens if needed
+   * @param receiver Address to receive the shares (defaults to the client's signer)
+   * @param options.slippage Fraction the token amounts may rise by before the transaction is mined (defaults to 0.5%)
+   * @return The quote, transaction receipt & the value of the tokens deposited
+   */
+  async mint(shares, receiver, options = {}) {
+    const quote = await this.quoteMint(shares);
+    await this.approve(quote, options);
+    const receipt = await (await this.vault.mint(shares, receiver || await this.vault.signer.getAddress())).wait();
+    return { quote, receipt, assets: findEvent(receipt, 'Deposit').assets };
+  }
+
+  /**
+   * Burn shares to withdraw tokens worth `assets`
+   * @param receiver Address to receive the tokens (defaults to the client's signer)
+   * @param owner Address whose shares are burnt, which must have approved the signer if it isn't the owner
+   *   (defaults to the client's signer)
+   * @return The quote, transaction receipt & the number of shares burnt
+   */
+  async withdraw(assets, receiver, owner) {
+    const signer = await this.vault.signer.getAddress();
+    const quote = await this.quoteWithdraw(assets);
+    const receipt = await (await this.vault.withdraw(assets, receiver || signer, owner || signer)).wait();
+    return { quote, receipt, shares: findEvent(receipt, 'Withdraw').shares };
+  }
+
+  /**
+   * Burn an exact number of shares for their tokens
+   * @param receiver Address to receive the tokens (defaults to the client's signer)
+   * @param owner Address whose shares are burnt, which must have approved the signer if it isn't the owner
+   *   (defaults to the client's signer)
+   * @return The quote, transaction receipt & the value of the tokens withdrawn
+   */
+  async redeem(shares, receiver, owner) {
+    const signer = await this.vault.signer.getAddress();
+    const quote = await this.quoteRedeem(shares);
+    const receipt = await (await this.vault.redeem(shares, receiver || signer, owner || signer)).wait();
+    return { quote, receipt, assets: findEvent(receipt, 'Withdraw').assets };
+  }
+
+  async approve(quote, { slippage = 0.005 } = {}) {
+    const { ethers } = this.hre;
+    const [token0, token1] = [await this.vault.token0(), await this.vault.token1()];
+    // Leave room for the amounts to rise with the price
+    await approveIfNeeded(ethers, token0, this.vault.signer, this.vault.address, withSlippageUp(quote.amount0, slippage));
+    await approveIfNeeded(ethers, token1, this.vault.signer, this.vault.address, withSlippageUp(quote.amount1, slippage));
+  }
+}
+
+module.exports = {
+  MetaPoolVaultClient,
+};
@@ -0,0 +1,132 @@
+const { approveIfNeeded } = require('./deploy');
+const { withSlippage } = require('./prices');
+const { getSnapshot, simulateBurnSingle, simulateZap } = require('./simulator');
+
+const PRECISION = 1e9;
+
+function isToken0(snapshot, token) {
+  if (token.toLowerCase() === snapshot.token0.toLowerCase()) {
+    return true;
+  }
+  if (token.toLowerCase() !== snapshot.token1.toLowerCase()) {
+    throw new Error(`${token} is not one of the MetaPool's tokens`);
+  }
+  return false;
+}
+
+/**
+ * Quote a single-sided deposit through MetaPoolZap.zapIn()
+ * @param hre Hardhat runtime environment
+ * @param metaPool MetaPool contract
+ * @param tokenIn Address of the token to deposit, either the MetaPool's token0 or token1
+ * @param amountIn Amount of tokenIn to deposit
+ * @param options.slippage Fraction the LP tokens minted & the swap price may move by (defaults to 0.5%)
+ * @return The expected swap, LP tokens & refunds, plus `minLPTokens` & `sqrtPriceLimitX96` bounds for zapIn()
+ */
+async function quoteZap(hre, metaPool, tokenIn, amountIn, { slippage = 0.005 } = {}) {
+  const { BigNumber } = hre.ethers;
+  const snapshot = await getSnapshot(hre, metaPool);
+
+  const zeroForOne = isToken0(snapshot, tokenIn);
+  const prediction = simulateZap(snapshot, zeroForOne, amountIn);
+  if (prediction.reverted) {
+    throw new Error(`zapIn() would revert${prediction.reason ? ` with "${prediction.reason}"` : ''}`);
+  }
+
+  let sqrtPriceLimitX96 = BigNumber.from(0);
+  if (prediction.swap) {
+    // Prices move with the square of sqrtPriceX96
+    const factor = Math.sqrt(zeroForOne ? 1 - slippage : 1 + slippage);
+    sqrtPriceLimitX96 = prediction.swap.sqrtPriceX96After.mul(Math.round(factor * PRECISION)).div(PRECISION);
+  }
+
+  return {
+    ...prediction,
+    zeroForOne,
+    amountIn: BigNumber.from(amountIn),
+    minLPTokens: withSlippage(prediction.newLPTokens, slippage),
+    sqrtPriceLimitX96,
+  };
+}
+
+/**
+ * Deposit a single token into a MetaPool through MetaPoolZap, approving the zap if needed
+ * @param zap MetaPoolZap contract, connected to the depositor
+ * @param options.recipient Address to receive the LP tokens & refunds (defaults to the depositor)
+ * @return The quote, transaction receipt & the values of the Zapped event
+ */
+async function zapIn(hre, zap, metaPool, tokenIn, amountIn, { recipient, ...options } = {}) {
+  const quote = await quoteZap(hre, metaPool, tokenIn, amountIn, options);
+
+  await approveIfNeeded(hre.ethers, tokenIn, zap.signer, zap.address, quote.amountIn);
+  const tx = await zap.zapIn(
+    metaPool.address,
+    quote.zeroForOne,
+    quote.amountIn,
+    quote.minLPTokens,
+    quote.sqrtPriceLimitX96,
+    recipient || await zap.signer.getAddress(),
+  );
+  const receipt = await tx.wait();
+  const { args } = receipt.events.find(event => event.event === 'Zapped');
+
+  return {
+    quote,
+    receipt,
+    newLPTokens: args.newLPTokens,
+    amount0Refund: args.amount0Refund,
+    amount1Refund: args.amount1Refund,
+  };
+}
+
+/**
+ * Quote a single-token withdrawal through MetaPoolZap.burnSingle()
+ * @param tokenOut Address of the token to withdraw, either the MetaPool's token0 or token1
+ * @param burnAmount Number of LP tokens to burn
+ * @param options.slippage Fraction the amount returned may fall by (defaults to 0.5%)
+ * @return The amounts burned, the swap, `amountOut` & the `amountOutMin` to pass to burnSingle()
+ */
+async function quoteBurnSingle(hre, metaPool, tokenOut, burnAmount, { slippage = 0.005 } = {}) {
+  const snapshot = await getSnapshot(hre, metaPool);
+  const prediction = simulateBurnSingle(snapshot, burnAmount, !isToken0(snapshot, tokenOut));
+  if (prediction.reverted) {
+    throw new Error(`burnSingle() would revert${prediction.reason ? ` with "${prediction.reason}"` : ''}`);
+  }
+
+  return {
+    ...prediction,
+    tokenOut,
+    burnAmount: hre.ethers.BigNumber.from(burnAmount),
+    amountOutMin: withSlippage(prediction.amountOut, slippage),
+  };
+}
+
+/**
+ * Withdraw a single token from a MetaPool through MetaPoolZap, approving the zap's use of the LP tokens if needed
+ * @param zap MetaPoolZap contract, connected to the LP token holder
+ * @param options.recipient Address to receive the tokens (defaults to the holder)
+ * @return The quote, transaction receipt & the amount of tokenOut received
+ */
+async function burnSingle(hre, zap, metaPool, tokenOut, burnAmount, { recipient, ...options } = {}) {
+  const quote = await quoteBurnSingle(hre, metaPool, tokenOut, burnAmount, options);
+
+  await approveIfNeeded(hre.ethers, metaPool.address, zap.signer, zap.address, quote.burnAmount);
+  const tx = await zap.burnSingle(
+    metaPool.address,
+    quote.burnAmount,
+    tokenOut,
+    quote.amountOutMin,
+    recipient || await zap.signer.getAddress(),
+  );
+  const receipt = await tx.wait();
+  const { args } = receipt.events.find(event => event.event === 'BurnedSingle');
+
+  return { quote, receipt, amountOut: args.amountOut };
+}
+
+module.exports = {
+  burnSingle,
+  quoteBurnSingle,
+  quoteZap,
+  zapIn,
+};
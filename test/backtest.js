@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const hre = require('hardhat');
+
+const { expandGrid, formatComparison, loadSeries, parseSeries, runBacktest, runGrid } = require('../lib/backtest');
+const { loadConfig } = require('../lib/deploy');
+const { encodePriceSqrt, tickToPriceSqrt } = require('../lib/prices');
+const { tempPath } = require('../lib/scenarios');
+
+const HOUR = 60 * 60;
+const START = 1640995200;
+const TICKS = [[-100, 510], [-300, 1050]];
+
+function writeTmp(name, contents) {
+  const file = tempPath(name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+// Hourly bars at the given ticks, trading `volume` token0 each hour
+function bars(ticks, volume) {
+  return ticks.map((tick, i) => ({ timestamp: START + i * HOUR, price: tickToPriceSqrt(tick) ** 2, volume }));
+}
+
+describe('backtest', function() {
+  this.timeout(10 * 60 * 1000);
+
+  it('should parse Swap events exported by metapool:history', function() {
+    const csv = [
+      'blockNumber,timestamp,transactionHash,logIndex,contract,address,event,sender,recipient,amount0,amount1,sqrtPriceX96,liquidity,tick',
+      '12,1640995800,0xb,0,UniswapV3Pool,0xp,Swap,0xs,0xr,-500,501,79228162514264337593543950336,10,0',
+      '11,1640995200,0xa,0,UniswapV3Pool,0xp,Swap,0xs,0xr,1000,-999,79267784519130042428790663799,10,10',
+      '11,1640995200,0xa,1,MetaPool,0xm,Transfer,,,,,,,',
+    ].join('\n');
+
+    const series = parseSeries(csv);
+    expect(series).to.deep.equal([
+      { timestamp: 1640995200, sqrtPriceX96: '79267784519130042428790663799', volume0: '1000' },
+      { timestamp: 1640995800, sqrtPriceX96: '79228162514264337593543950336', volume0: '500' },
+    ]);
+
+    const jsonl = series.map(step => JSON.stringify({ event: 'Swap', ...step, amount0: step.volume0 })).join('\n');
+    expect(loadSeries(writeTmp('swaps.jsonl', jsonl))).to.deep.equal(series);
+  });
+
+  it('should parse price & volume bars', function() {
+    const series = parseSeries(JSON.stringify([
+      { timestamp: START + HOUR, price: 1.21, volume: '2000' },
+      { timestamp: START, price: 1 },
+    ]));
+    expect(series).to.deep.equal([
+      { timestamp: START, sqrtPriceX96: encodePriceSqrt(1, 1), volume0: '0' },
+      { timestamp: START + HOUR, sqrtPriceX96: encodePriceSqrt(121, 100), volume0: '2000' },
+    ]);
+
+    expect(() => parseSeries('timestamp,volume\n1,2')).to.throw('neither a sqrtPriceX96 nor a price');
+  });
+
+  it('should expand a parameter grid', function() {
+    const params = expandGrid({ ticks: [TICKS, [[-50, 50], [-200, 200]]], liquidityRatio: [8, 4], maxTickMovement: [50, 100] });
+    expect(params).to.have.length(8);
+    expect(params[0]).to.deep.equal({ ticks: TICKS, liquidity: [8, 1], maxTickMovement: 50 });
+    expect(params[7]).to.deep.equal({ ticks: [[-50, 50], [-200, 200]], liquidity: [4, 1], maxTickMovement: 100 });
+
+    expect(() => expandGrid({ ticks: [TICKS], liquidity: [[1, 1, 1]], maxTickMovement: [100] })).to.throw("doesn't match");
+    expect(() => expandGrid({ ticks: [TICKS], maxTickMovement: [100] })).to.throw('must list');
+  });
+
+  it('should earn fees while the price stays in range', async function() {
+    const ticks = Array.from({ length: 49 }, (_, i) => [0, 20, 40, 20][i % 4]);
+    const blockNumber = await hre.ethers.provider.getBlockNumber();
+    const result = await runBacktest(hre, parseSeries(JSON.stringify(bars(ticks, 100000))), {
+      ticks: TICKS,
+      liquidity: [8, 1],
+      maxTickMovement: 100,
+    }, { poolLiquidity: 10000000, capital: [1000000, 1000000], rebalanceInterval: 6 * HOUR });
+
+    expect(result.duration).to.equal(48 * HOUR);
+    expect(result.timeInRange).to.deep.equal([1, 1]);
+    expect(result.rebalances).to.equal(8);
+    expect(result.rebalanceFailures).to.equal(0);
+    expect(Number(result.fees[0])).to.be.greaterThan(0);
+    expect(Number(result.fees[1])).to.be.greaterThan(0);
+    expect(result.feeAPR).to.be.greaterThan(0);
+    // The price ends where it started, so there's little impermanent loss & the fees beat holding
+    expect(result.impermanentLoss).to.be.within(-0.001, 0);
+    expect(result.returnVsHold).to.be.greaterThan(0);
+
+    // The network is left as it was
+    expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it('should count time out of range & rebalances blocked by the TWAP guard', async function() {
+    // The price leaves the tight range after 12 hours, and jumps just before the rebalance at 18 hours
+    const ticks = Array.from({ length: 25 }, (_, i) => (i < 12 ? 0 : 600));
+    const series = bars(ticks, 50000);
+    series.splice(18, 0, { timestamp: START + 18 * HOUR - 60, price: tickToPriceSqrt(800) ** 2, volume: 0 });
+
+    const [tight, loose] = await runGrid(hre, parseSeries(JSON.stringify(series)), {
+      ticks: [TICKS],
+      liquidityRatio: [8],
+      maxTickMovement: [50, 1000],
+    }, { poolLiquidity: 10000000, capital: [1000000, 1000000], rebalanceInterval: 6 * HOUR });
+
+    expect(tight.timeInRange[0]).to.be.closeTo(0.5, 0.01);
+    expect(tight.timeInRange[1]).to.equal(1);
+    expect(tight.twapFailures).to.equal(1);
+    expect(tight.failureReasons).to.deep.equal({ Slippage: 1 });
+    expect(loose.twapFailures).to.equal(0);
+    expect(tight.impermanentLoss).to.be.lessThan(0);
+
+    const table = formatComparison([tight, loose]).split('\n');
+    expect(table).to.have.length(4);
+    expect(table[0]).to.match(/^ranges +\| liquidity \| maxTickMovement \| fee APR/);
+    expect(table[2]).to.contain('[-100:510] [-300:1050] | 8:1');
+    expect(table[2]).to.match(/\| 4 +\| 1 \(1\)$/);
+  });
+
+  it('should backtest a grid from data & config files', async function() {
+    const data = writeTmp('bars.json', JSON.stringify(bars([0, 10, 0, -10, 0], 10000)));
+    const configFile = writeTmp('backtest.json', JSON.stringify({
+      poolLiquidity: '10000000000',
+      capital: ['1000000000', '1000000000'],
+      rebalanceInterval: 2 * HOUR,
+      scale: 1000,
+      grid: { ticks: [TICKS], liquidityRatio: [8, 2], maxTickMovement: [100] },
+    }));
+
+    const { grid, ...options } = loadConfig(configFile);
+    const results = await runGrid(hre, loadSeries(data), grid, options);
+    expect(results.map(result => result.params.liquidity)).to.deep.equal([[8, 1], [2, 1]]);
+    expect(results[0].deposited.map(Number).every(amount => amount > 0 && amount <= 1000000)).to.equal(true);
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const {
+  MetaPoolClient,
+  MetaPoolError,
+  NotInitializedError,
+  PausedError,
+  SlippageError,
+  StaleOracleError,
+} = require('../lib/client');
+const { createFixture, deployMarket, runScenario, scenarioFixture } = require('../lib/scenarios');
+
+async function getError(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('MetaPoolClient', function() {
+  const loadMarket = createFixture(hre, () => deployMarket(hre));
+  const loadDeposited = scenarioFixture(hre, 'deposited', loadMarket);
+
+  // A client for an account holding tokens, but which hasn't approved the MetaPool
+  async function loadClient(market) {
+    const { ethers } = hre;
+    const signer = (await ethers.getSigners())[market.signers.length];
+    for (const token of [market.token0, market.token1]) {
+      await token.transfer(signer.address, market.config.userBalance);
+    }
+    return MetaPoolClient.load(hre, market.metaPool.address, signer);
+  }
+
+  it('should load the tokens & ranges', async function() {
+    const market = await loadDeposited();
+    const client = await loadClient(market);
+    expect(client.token0).to.equal(market.token0.address);
+    expect(client.token1).to.equal(market.token1.address);
+    expect(client.ranges).to.have.length(2);
+    for (const [i, range] of client.ranges.entries()) {
+      const { lowerTick, upperTick, weight } = await market.metaPool.ranges(i);
+      expect(range).to.deep.equal({ lowerTick, upperTick, weight });
+    }
+
+    const { positions, amount0, amount1 } = await client.getPositions();
+    expect(positions.map(position => position.weight)).to.deep.equal([8000, 2000]);
+    expect(positions[0].amount0.add(positions[1].amount0)).to.equal(amount0);
+    expect(positions[0].amount1.add(positions[1].amount1)).to.equal(amount1);
+  });
+
+  it('should deposit exact LP tokens within the slippage bounds', async function() {
+    const market = await loadDeposited();
+    const client = await loadClient(market);
+    const quote = await client.quoteDeposit(10000, { slippage: 0.01 });
+    expect(quote.amount0Max).to.equal(quote.amount0.mul(101).div(100));
+    expect(quote.amount1Max).to.equal(quote.amount1.mul(101).div(100));
+
+    const { lpTokens, amount0, amount1 } = await client.deposit(10000, { slippage: 0.01 });
+    expect(lpTokens).to.equal(10000);
+    expect(amount0).to.equal(quote.amount0);
+    expect(amount1).to.equal(quote.amount1);
+    expect(await market.token0.allowance(client.metaPool.signer.address, market.metaPool.address))
+      .to.equal(quote.amount0Max.sub(amount0));
+    expect((await client.getAccount()).lpTokens).to.equal(10000);
+  });
+
+  it('should deposit up to the given amounts', async function() {
+    const market = await loadDeposited();
+    const client = await loadClient(market);
+    const { amount0: total0, amount1: total1 } = await client.getPositions();
+    const quote = await client.quoteDepositAmounts(total0.div(10), total1.div(10));
+    expect(quote.minLPTokens).to.equal(quote.lpTokens.mul(995).div(1000));
+
+    const { lpTokens, amount0, amount1 } = await client.depositAmounts(total0.div(10), total1.div(10));
+    expect(lpTokens).to.equal(quote.lpTokens);
+    expect(amount0).to.equal(quote.amount0);
+    expect(amount1).to.equal(quote.amount1);
+    expect(amount0).to.be.lte(total0.div(10));
+    expect(amount1).to.be.lte(total1.div(10));
+  });
+
+  it('should withdraw to a recipient within the slippage bounds', async function() {
+    const market = await loadDeposited();
+    const [deployer, recipient] = market.signers;
+    const client = await MetaPoolClient.load(hre, market.metaPool.address, deployer);
+    const quote = await client.quoteWithdraw(50000);
+    expect(quote.amount0Min).to.equal(quote.amount0.mul(995).div(1000));
+    expect(quote.amount1Min).to.equal(quote.amount1.mul(995).div(1000));
+
+    const balance0 = await market.token0.balanceOf(recipient.address);
+    const { amount0, amount1 } = await client.withdraw(50000, { recipient: recipient.address });
+    expect(amount0).to.equal(quote.amount0);
+    expect(amount1).to.equal(quote.amount1);
+    expect(await market.token0.balanceOf(recipient.address)).to.equal(balance0.add(amount0));
+    expect((await client.getAccount()).lpTokens).to.equal(50000);
+  });
+
+  it('should value shares & accounts in token1', async function() {
+    const market = await loadDeposited();
+    const client = await MetaPoolClient.load(hre, market.metaPool.address, market.deployer);
+    const share = await client.getShareValue();
+    // At a price of 1 both tokens are worth the same
+    expect(share.value).to.equal(share.amount0.add(share.amount1));
+
+    const account = await client.getAccount();
+    const [amount0, amount1] = await market.lens.previewBurn(market.metaPool.address, account.lpTokens);
+    expect(account).to.include({ address: market.deployer.address });
+    expect(account.amount0).to.equal(amount0);
+    expect(account.amount1).to.equal(amount1);
+    // Per LP token amounts round down, so the account's value is at most a few units off
+    expect(account.value.sub(share.value.mul(account.lpTokens).div('1000000000000000000')).abs()).to.be.lte(2);
+
+    const empty = await client.getAccount(market.signers[2].address);
+    expect(empty.lpTokens).to.equal(0);
+    expect(empty.value).to.equal(0);
+  });
+
+  it('should throw NotInitializedError before the MetaPool is initialized', async function() {
+    const market = await loadMarket();
+    const client = await loadClient(market);
+    const share = await client.getShareValue();
+    expect(share.value).to.equal(0);
+
+    const error = await getError(client.deposit(1000));
+    expect(error).to.be.instanceOf(NotInitializedError);
+    expect(error).to.be.instanceOf(MetaPoolError);
+    expect(error).to.include({ reason: 'INI', method: 'mint' });
+    expect(error.message).to.equal('mint(): The MetaPool hasn\'t been initialized');
+  });
+
+  it('should throw SlippageError when a quote is executed after the price moved', async function() {
+    const market = await loadDeposited();
+    const client = await loadClient(market);
+    const deployerClient = await MetaPoolClient.load(hre, market.metaPool.address, market.deployer);
+    const depositQuote = await client.quoteDeposit(10000, { slippage: 0.001 });
+    const withdrawQuote = await deployerClient.quoteWithdraw(10000, { slippage: 0.001 });
+    await runScenario(hre, market, { steps: [{ type: 'moveTo', price: 0.97 }] });
+
+    // Only the quoted bounds are approved, so the pool fails to take the extra tokens before the MetaPool checks them
+    const error = await getError(client.executeDeposit(depositQuote));
+    expect(error).to.be.instanceOf(SlippageError);
+    expect(error).to.include({ reason: 'STF', method: 'mint' });
+
+    const withdrawError = await getError(deployerClient.executeWithdraw(withdrawQuote));
+    expect(withdrawError).to.be.instanceOf(SlippageError);
+    expect(withdrawError).to.include({ reason: 'Slippage', method: 'burn' });
+    expect(withdrawError.cause.message).to.contain('Slippage');
+  });
+
+  it('should throw PausedError while the MetaPool is paused', async function() {
+    const market = await loadDeposited();
+    const client = await loadClient(market);
+    await market.metaPool.pause();
+
+    const error = await getError(client.deposit(1000));
+    expect(error).to.be.instanceOf(PausedError);
+    expect(error).to.include({ reason: '', method: 'mint' });
+    // Withdrawals still work while paused
+    const deployerClient = await MetaPoolClient.load(hre, market.metaPool.address, market.deployer);
+    await deployerClient.withdraw(1000);
+  });
+
+  it('should map other revert reasons', async function() {
+    const market = await loadDeposited();
+    const client = await MetaPoolClient.load(hre, market.metaPool.address, market.deployer);
+    const stale = await client.toError(new Error('VM Exception: reverted with reason string \'OLD\''), 'mint');
+    expect(stale).to.be.instanceOf(StaleOracleError);
+
+    const error = await getError(client.withdraw('1000000000'));
+    expect(error.constructor).to.equal(MetaPoolError);
+    expect(error.message).to.match(/^burn\(\) reverted/);
+
+    const other = new Error('network down');
+    expect(await client.toError(other, 'mint')).to.equal(other);
+  });
+});
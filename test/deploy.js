@@ -0,0 +1,187 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const hre = require('hardhat');
+
+const { getDeployment } = require('../lib/deploy');
+const { encodePriceSqrt, liquidityToWeights, priceRangeToTicks } = require('../lib/prices');
+const { tempPath } = require('../lib/scenarios');
+
+const FEE_AMOUNT = 500;
+
+function writeTmpJSON(name, contents) {
+  const file = tempPath(name);
+  fs.writeFileSync(file, JSON.stringify(contents));
+  return file;
+}
+
+describe('deploy-metapool', function() {
+  let uniswapFactory;
+  let uniswapPool;
+  let token0;
+  let token1;
+  let manifest;
+
+  beforeEach(async function() {
+    const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+    const _uniswapFactory = await UniswapV3Factory.deploy();
+    uniswapFactory = await ethers.getContractAt('IUniswapV3Factory', _uniswapFactory.address);
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    token0 = await MockERC20.deploy();
+    token1 = await MockERC20.deploy();
+
+    if (ethers.BigNumber.from(token0.address).gt(ethers.BigNumber.from(token1.address))) {
+      const tmp = token0;
+      token0 = token1;
+      token1 = tmp;
+    }
+
+    await uniswapFactory.createPool(token0.address, token1.address, FEE_AMOUNT);
+    const uniswapPoolAddress = await uniswapFactory.getPool(token0.address, token1.address, FEE_AMOUNT);
+    uniswapPool = await ethers.getContractAt('IUniswapV3Pool', uniswapPoolAddress);
+    await uniswapPool.initialize(encodePriceSqrt('1', '1'));
+
+    manifest = tempPath('manifest.json');
+  });
+
+  it('should deploy and initialize a MetaPool from a config file', async function() {
+    const configFile = writeTmpJSON('config.json', {
+      pool: uniswapPool.address,
+      invertPrices: true,
+      tightRange: [0.95, 1.01],
+      wideRange: [0.90, 1.03],
+      maxTickMovement: 100,
+      liquidityRatio: 8,
+    });
+
+    const deployment = await hre.run('deploy-metapool', { configFile, manifest });
+
+    expect(deployment.constructorArgs)
+      .to.deep.equal([uniswapPool.address, [-100, -300], [510, 1050], [8000, 2000], [800, 100], 100]);
+
+    const metaPool = await ethers.getContractAt('MetaPool', deployment.address);
+    expect(await metaPool.pool()).to.equal(uniswapPool.address);
+    expect(await metaPool.numRanges()).to.equal(2);
+    const [lowerTicks, upperTicks] = await metaPool.getTicks();
+    expect(lowerTicks).to.deep.equal([-100, -300]);
+    expect(upperTicks).to.deep.equal([510, 1050]);
+    expect((await metaPool.ranges(0)).weight).to.equal(8000);
+    expect((await metaPool.ranges(1)).weight).to.equal(2000);
+    expect(await metaPool.totalSupply()).to.equal(100);
+    expect((await metaPool.tightPosition()).liquidity).to.equal(800);
+    expect((await metaPool.widePosition()).liquidity).to.equal(100);
+
+    // Approvals should only cover the initialization deposit
+    const [deployer] = await ethers.getSigners();
+    expect(await token0.allowance(deployer.address, metaPool.address)).to.equal(0);
+    expect(await token1.allowance(deployer.address, metaPool.address)).to.equal(0);
+
+    const written = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+    expect(written.MetaPool.address).to.equal(metaPool.address);
+    expect(written.MetaPool.token0).to.equal(token0.address);
+    expect(written.MetaPool.token1).to.equal(token1.address);
+    expect(written.MetaPool.initialized).to.equal(true);
+    expect(written.MetaPool.ranges).to.deep.equal([
+      { lowerTick: -100, upperTick: 510, weight: 8000, initialLiquidity: 800 },
+      { lowerTick: -300, upperTick: 1050, weight: 2000, initialLiquidity: 100 },
+    ]);
+    expect(getDeployment(hre, 'MetaPool', manifest)).to.deep.equal(written.MetaPool);
+  });
+
+  it('should look up the pool from a token pair & fee', async function() {
+    const configFile = writeTmpJSON('config.json', {
+      factory: uniswapFactory.address,
+      tokenA: token1.address,
+      tokenB: token0.address,
+      fee: FEE_AMOUNT,
+      tightRange: [0.99, 1.05],
+      wideRange: [0.97, 1.11],
+      maxTickMovement: 50,
+      liquidityRatio: 4,
+    });
+
+    const deployment = await hre.run('deploy-metapool', {
+      configFile,
+      manifest,
+      name: 'secondary',
+      skipInitialize: true,
+    });
+
+    expect(deployment.pool).to.equal(uniswapPool.address);
+    expect(deployment.constructorArgs)
+      .to.deep.equal([uniswapPool.address, [-100, -300], [490, 1040], [8000, 2000], [400, 100], 50]);
+    expect(deployment.initialized).to.equal(false);
+
+    const metaPool = await ethers.getContractAt('MetaPool', deployment.address);
+    expect(await metaPool.totalSupply()).to.equal(0);
+
+    const written = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+    expect(Object.keys(written)).to.deep.equal(['secondary']);
+  });
+
+  it('should deploy a list of ranges, with weights from their target liquidity', async function() {
+    const ranges = [[0.99, 1.01], [0.97, 1.03], [0.9, 1.1]];
+    const configFile = writeTmpJSON('config.json', {
+      pool: uniswapPool.address,
+      ranges: [
+        { range: ranges[0], liquidity: 6 },
+        { range: ranges[1], liquidity: 2 },
+        { range: ranges[2], liquidity: 1 },
+      ],
+      maxTickMovement: 100,
+    });
+
+    const deployment = await hre.run('deploy-metapool', { configFile, manifest });
+
+    const ticks = ranges.map(range => priceRangeToTicks(range, { fee: FEE_AMOUNT }));
+    const weights = liquidityToWeights(ticks, [6, 2, 1], 0);
+    expect(weights.reduce((a, b) => a + b)).to.equal(10000);
+    expect(deployment.constructorArgs.slice(1))
+      .to.deep.equal([ticks.map(t => t[0]), ticks.map(t => t[1]), weights, [600, 200, 100], 100]);
+
+    const metaPool = await ethers.getContractAt('MetaPool', deployment.address);
+    expect(await metaPool.numRanges()).to.equal(3);
+    for (let i = 0; i < 3; i++) {
+      expect((await metaPool.ranges(i)).weight).to.equal(weights[i]);
+      expect((await metaPool.position(i)).liquidity).to.equal(deployment.ranges[i].initialLiquidity);
+    }
+  });
+
+  it('should keep earlier deployments in the manifest', async function() {
+    const configFile = writeTmpJSON('config.json', {
+      pool: uniswapPool.address,
+      tightRange: [0.99, 1.05],
+      wideRange: [0.97, 1.11],
+      maxTickMovement: 100,
+      liquidityRatio: 8,
+    });
+
+    const first = await hre.run('deploy-metapool', { configFile, manifest, name: 'first' });
+    const second = await hre.run('deploy-metapool', { configFile, manifest, name: 'second' });
+
+    const written = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+    expect(written.first.address).to.equal(first.address);
+    expect(written.second.address).to.equal(second.address);
+  });
+
+  it('should reject a token pair without a Uniswap pool', async function() {
+    const configFile = writeTmpJSON('config.json', {
+      factory: uniswapFactory.address,
+      tokenA: token0.address,
+      tokenB: token1.address,
+      fee: 3000,
+      tightRange: [0.99, 1.05],
+      wideRange: [0.97, 1.11],
+      maxTickMovement: 100,
+      liquidityRatio: 8,
+    });
+
+    let error;
+    try {
+      await hre.run('deploy-metapool', { configFile, manifest });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain('No Uniswap pool');
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+
+const { decodeTransaction, formatEvent, formatHistory, getHistory } = require('../lib/events');
+const { queueChange } = require('../lib/governance');
+const { createFixture, deployMarket, increaseTime } = require('../lib/scenarios');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+describe('events', function() {
+  let deployer;
+  let user1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let manifest;
+
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre);
+    await market.metaPool.initialize();
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({ deployer, users: [user1], pool: uniswapPool, swapTest, metaPool, manifest } = await loadMarket());
+  });
+
+  it('should decode the events of a mint', async function() {
+    const events = await decodeTransaction(hre, metaPool, metaPool.mint(100000, 1000000, 1000000));
+
+    expect(events.map(event => event.event)).to.deep.equal(['Mint', 'Mint', 'Transfer']);
+
+    const [tightMint, wideMint, transfer] = events;
+    expect(tightMint.contract).to.equal('UniswapV3Pool');
+    expect(tightMint.address).to.equal(uniswapPool.address);
+    expect(tightMint.args.owner).to.equal(metaPool.address);
+    expect(tightMint.args.tickLower).to.equal(-100);
+    expect(tightMint.args.tickUpper).to.equal(510);
+    expect(wideMint.args.tickLower).to.equal(-300);
+
+    expect(transfer.contract).to.equal('MetaPool');
+    expect(transfer.args.from).to.equal(ZERO_ADDRESS);
+    expect(transfer.args.to).to.equal(deployer.address);
+    expect(transfer.args.value).to.equal(100000);
+    expect(formatEvent(transfer)).to.equal(`Transfer 100000 LP from ${ZERO_ADDRESS} to ${deployer.address}`);
+  });
+
+  it('should decode the events of a rebalance', async function() {
+    await metaPool.mint(100000, 1000000, 1000000);
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    const tx = await metaPool.rebalance();
+    const events = await decodeTransaction(hre, metaPool, tx.hash);
+    const names = events.map(event => event.event);
+
+    expect(names.slice(0, 4)).to.deep.equal(['Burn', 'Burn', 'Collect', 'Collect']);
+    expect(names).to.include('Swap');
+    expect(names[names.length - 1]).to.equal('Rebalanced');
+
+    const rebalanced = events[events.length - 1];
+    const { events: rawEvents } = await tx.wait();
+    expect(rebalanced.args.newLiquidity[0]).to.equal(rawEvents.find(e => e.event === 'Rebalanced').args.newLiquidity[0]);
+    expect(formatEvent(rebalanced)).to.match(/^Rebalanced: added \d+ \/ \d+ liquidity/);
+    expect(formatEvent(events[2])).to.match(/^Collect \[-100:510\] Collected \d+ token0 & \d+ token1$/);
+  });
+
+  it('should decode pause & role events', async function() {
+    const [paused] = await decodeTransaction(hre, metaPool, metaPool.pause());
+    const [unpaused] = await decodeTransaction(hre, metaPool, metaPool.unpause());
+    const [started] = await decodeTransaction(hre, metaPool, metaPool.transferRole(1, user1.address));
+    const [transferred] = await decodeTransaction(hre, metaPool, metaPool.connect(user1).acceptRole(1));
+
+    expect(paused.event).to.equal('Paused');
+    expect(unpaused.event).to.equal('Unpaused');
+    expect(started.args).to.deep.equal({ role: 1, holder: deployer.address, pendingHolder: user1.address });
+    expect(formatEvent(started)).to.equal(
+      `RoleTransferStarted guardian offered by ${deployer.address} to ${user1.address}`,
+    );
+    expect(transferred.args).to.deep.equal({ role: 1, previousHolder: deployer.address, newHolder: user1.address });
+    expect(formatEvent(transferred)).to.equal(`RoleTransferred guardian from ${deployer.address} to ${user1.address}`);
+  });
+
+  it('should decode timelock events', async function() {
+    const { id, transactionHash } = await queueChange(hre, metaPool, 'setGuardMints', [true]);
+    const [queued] = await decodeTransaction(hre, metaPool, transactionHash);
+
+    expect(queued.contract).to.equal('MetaPoolTimelock');
+    expect(queued.event).to.equal('ChangeQueued');
+    expect(queued.args.id).to.equal(id);
+  });
+
+  it('should collect the history of the MetaPool in order', async function() {
+    await metaPool.mint(100000, 1000000, 1000000);
+    await swapTest.swap(uniswapPool.address, true, 100);
+    await metaPool.transfer(user1.address, 1000);
+    await metaPool.connect(user1).burn(1000, 0, 0, user1.address);
+
+    const history = await getHistory(hre, metaPool, { blockRange: 3 });
+    const names = history.map(event => event.event);
+
+    // Other traders' swaps are left out unless asked for
+    expect(names).to.not.include('Swap');
+    expect(names.filter(name => name === 'Transfer')).to.have.length(4);
+    expect(names.filter(name => name === 'Burn')).to.have.length(2);
+    expect(names.filter(name => name === 'Collect')).to.have.length(2);
+
+    for (let i = 1; i < history.length; i++) {
+      const previous = history[i - 1];
+      expect(history[i].blockNumber * 1000 + history[i].logIndex)
+        .to.be.greaterThan(previous.blockNumber * 1000 + previous.logIndex);
+      expect(history[i].timestamp).to.be.at.least(previous.timestamp);
+    }
+
+    const allEvents = await getHistory(hre, metaPool, { allPoolEvents: true });
+    expect(allEvents.map(event => event.event)).to.include('Swap');
+    expect(allEvents.map(event => event.event)).to.include('Initialize');
+  });
+
+  it('should export the history as JSON Lines & CSV', async function() {
+    await metaPool.mint(100000, 1000000, 1000000);
+    await metaPool.pause();
+
+    const out = path.join(path.dirname(manifest), 'history.jsonl');
+    const events = await hre.run('metapool:history', { manifest, format: 'jsonl', out });
+    const records = fs.readFileSync(out, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    // The export starts at the deployment block, where the constructor grants the deployer every role,
+    // then initialize() mints the ranges in order
+    expect(records).to.have.length(events.length);
+    expect(records.slice(0, 4).map(record => record.event)).to.deep.equal(Array(4).fill('RoleTransferred'));
+    records.splice(0, 4);
+    expect(records[0].event).to.equal('Mint');
+    expect(records[records.length - 1].event).to.equal('Paused');
+    expect(records[0].amount).to.be.a('string');
+    expect(records[0].tickLower).to.equal('-100');
+
+    const csv = formatHistory(events, 'csv').trim().split('\n');
+    const header = csv[0].split(',');
+    expect(header.slice(0, 7))
+      .to.deep.equal(['blockNumber', 'timestamp', 'transactionHash', 'logIndex', 'contract', 'address', 'event']);
+    expect(header).to.include('amount0');
+    expect(csv).to.have.length(events.length + 1);
+    expect(csv[csv.length - 1].split(',').filter(value => value === '')).to.have.length(header.length - 7);
+
+    expect(() => formatHistory(events, 'xml')).to.throw('Unknown history format');
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { deployMetaPool, readManifest } = require('../lib/deploy');
+const {
+  createMetaPool,
+  deployMetaPoolFactory,
+  getMetaPoolSalt,
+  getRegisteredMetaPools,
+  predictMetaPoolAddress,
+} = require('../lib/factory');
+const { getRoles, roleIndex } = require('../lib/governance');
+const { encodePriceSqrt } = require('../lib/prices');
+const { tempPath } = require('../lib/scenarios');
+
+async function getPool(uniswapFactory, token0, token1, fee) {
+  await uniswapFactory.createPool(token0.address, token1.address, fee);
+  const pool = await ethers.getContractAt('IUniswapV3Pool', await uniswapFactory.getPool(token0.address, token1.address, fee));
+  await pool.initialize(encodePriceSqrt('1', '1'));
+  return pool;
+}
+
+describe('MetaPoolFactory', function() {
+  let deployer;
+  let user;
+  let token0;
+  let token1;
+  let uniswapFactory;
+  let pool500;
+  let pool3000;
+  let factory;
+  let manifest;
+
+  beforeEach(async function() {
+    [deployer, user] = await ethers.getSigners();
+
+    const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+    uniswapFactory = await UniswapV3Factory.deploy();
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    token0 = await MockERC20.deploy();
+    token1 = await MockERC20.deploy();
+    if (ethers.BigNumber.from(token0.address).gt(ethers.BigNumber.from(token1.address))) {
+      [token0, token1] = [token1, token0];
+    }
+
+    pool500 = await getPool(uniswapFactory, token0, token1, 500);
+    pool3000 = await getPool(uniswapFactory, token0, token1, 3000);
+
+    ({ factory } = await deployMetaPoolFactory(hre, uniswapFactory.address));
+    manifest = tempPath('manifest.json');
+  });
+
+  function constructorArgs(pool, lowerTicks = [-600, -1200]) {
+    return [pool.address, lowerTicks, [120, 600], [8000, 2000], [80000, 10000], 100];
+  }
+
+  it('should store MetaPool\'s creation code', async function() {
+    const { bytecode } = await hre.artifacts.readArtifact('MetaPool');
+    expect(await factory.metaPoolCode()).to.equal(bytecode);
+    expect(await factory.metaPoolCodeHash()).to.equal(ethers.utils.keccak256(bytecode));
+    expect(await factory.uniswapFactory()).to.equal(uniswapFactory.address);
+  });
+
+  it('should create MetaPools at the predicted address & register them', async function() {
+    const args = constructorArgs(pool500);
+    const predicted = await predictMetaPoolAddress(hre, factory.address, args);
+    expect(await factory.predictMetaPoolAddress(...args)).to.equal(predicted);
+
+    await expect(factory.connect(user).createMetaPool(...args))
+      .to.emit(factory, 'MetaPoolCreated')
+      .withArgs(pool500.address, predicted, user.address, ...args.slice(1));
+    const metaPool = await ethers.getContractAt('MetaPool', predicted);
+    expect(await metaPool.pool()).to.equal(pool500.address);
+    expect(await metaPool.maxTickMovement()).to.equal(100);
+    const timelock = await ethers.getContractAt('MetaPoolTimelock', await metaPool.timelock());
+    expect(await timelock.metaPool()).to.equal(predicted);
+
+    expect(await factory.allMetaPoolsLength()).to.equal(1);
+    expect(await factory.allMetaPools(0)).to.equal(predicted);
+    expect(await factory.getMetaPools(pool500.address)).to.deep.equal([predicted]);
+    expect(await factory.getMetaPool(getMetaPoolSalt(hre, args))).to.equal(predicted);
+    const parameters = await factory.getParameters(predicted);
+    expect(parameters.pool).to.equal(pool500.address);
+    expect(parameters.lowerTicks).to.deep.equal([-600, -1200]);
+    expect(parameters.upperTicks).to.deep.equal([120, 600]);
+    expect(parameters.weights).to.deep.equal([8000, 2000]);
+    expect(parameters.initialLiquidity.map(liquidity => liquidity.toNumber())).to.deep.equal([80000, 10000]);
+    expect(parameters.maxTickMovement).to.equal(100);
+    expect(parameters.creator).to.equal(user.address);
+    await expect(factory.getParameters(user.address)).to.be.revertedWith('MetaPool');
+
+    // The creator is offered every role, and only gets them once accepted
+    const roles = await getRoles(metaPool);
+    expect(roles.admin).to.deep.equal({ holder: factory.address, pending: user.address });
+    expect(roles.keeper).to.deep.equal({ holder: factory.address, pending: user.address });
+    await metaPool.connect(user).acceptRole(roleIndex('admin'));
+    expect(await metaPool.roles(roleIndex('admin'))).to.equal(user.address);
+  });
+
+  it('should reject duplicates & pools from other Uniswap factories', async function() {
+    await factory.createMetaPool(...constructorArgs(pool500));
+    await expect(factory.connect(user).createMetaPool(...constructorArgs(pool500))).to.be.revertedWith('Exists');
+
+    // Other ranges on the same pool & the same ranges on another fee tier are new MetaPools
+    await factory.createMetaPool(...constructorArgs(pool500, [-660, -1200]));
+    await factory.createMetaPool(...constructorArgs(pool3000));
+    expect(await factory.getMetaPools(pool500.address)).to.have.length(2);
+    expect(await factory.getMetaPools(pool3000.address)).to.have.length(1);
+
+    const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+    const otherFactory = await UniswapV3Factory.deploy();
+    const otherPool = await getPool(otherFactory, token0, token1, 500);
+    await expect(factory.createMetaPool(...constructorArgs(otherPool))).to.be.revertedWith('Pool');
+  });
+
+  it('should deploy MetaPools on two fee tiers from deployment configs', async function() {
+    const config = {
+      invertPrices: true,
+      ranges: [
+        { range: [0.95, 1.01], liquidity: 8 },
+        { range: [0.90, 1.03], liquidity: 1 },
+      ],
+      maxTickMovement: 100,
+      metaPoolFactory: factory.address,
+    };
+    const { metaPool: metaPool500, deployment } = await deployMetaPool(hre, { ...config, pool: pool500.address }, {
+      name: 'MetaPool500',
+      manifest,
+    });
+    const { metaPool: metaPool3000, deployment: deployment3000 } = await deployMetaPool(hre, {
+      ...config,
+      pool: pool3000.address,
+      roles: { keeper: user.address },
+    }, { name: 'MetaPool3000', manifest });
+
+    expect(deployment.metaPoolFactory).to.equal(factory.address);
+    expect(deployment.address).to.equal(await predictMetaPoolAddress(hre, factory.address, deployment.constructorArgs));
+    expect(readManifest(hre, manifest).MetaPool3000.address).to.equal(metaPool3000.address);
+    for (const metaPool of [metaPool500, metaPool3000]) {
+      expect(await metaPool.totalSupply()).to.equal(100);
+      expect(await metaPool.roles(roleIndex('admin'))).to.equal(deployer.address);
+    }
+    expect(await metaPool3000.pendingRoles(roleIndex('keeper'))).to.equal(user.address);
+
+    // Deploying the factory with the task records it, so the registry can be listed from the manifest
+    const factoryDeployment = await hre.run('deploy-metapool-factory', {
+      uniswapFactory: uniswapFactory.address,
+      manifest,
+    });
+    expect(readManifest(hre, manifest).MetaPoolFactory).to.deep.equal(factoryDeployment);
+    expect(await hre.run('metapool:registry', { manifest, json: true })).to.deep.equal([]);
+
+    const registry = await hre.run('metapool:registry', { factory: factory.address, json: true });
+    expect(registry).to.deep.equal(await getRegisteredMetaPools(factory));
+    expect(registry.map(entry => entry.address)).to.deep.equal([metaPool500.address, metaPool3000.address]);
+    expect(registry[1]).to.include({ pool: pool3000.address, creator: deployer.address, maxTickMovement: 100 });
+    expect(registry[1].ranges.map(range => range.weight)).to.deep.equal(deployment3000.ranges.map(range => range.weight));
+  });
+
+  it('should refuse to create through a factory storing different bytecode', async function() {
+    // A factory compiled from another build: MetaPool's metadata hash differs, at the end of its creation code
+    const { bytecode } = await hre.artifacts.readArtifact('MetaPool');
+    const otherBuild = `${bytecode.slice(0, -20)}${bytecode.slice(-20, -18) === 'ff' ? '00' : 'ff'}${bytecode.slice(-18)}`;
+    const { abi, bytecode: factoryCode } = await hre.artifacts.readArtifact('MetaPoolFactory');
+    expect(factoryCode).to.include(bytecode.slice(2));
+    const otherFactoryCode = factoryCode.replace(bytecode.slice(2), otherBuild.slice(2));
+    const MetaPoolFactory = new ethers.ContractFactory(abi, otherFactoryCode, deployer);
+    const stale = await MetaPoolFactory.deploy(uniswapFactory.address);
+    expect(await stale.metaPoolCodeHash()).to.equal(ethers.utils.keccak256(otherBuild));
+    let error;
+    try {
+      await createMetaPool(hre, stale, constructorArgs(pool500));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include('deploys different MetaPool bytecode');
+  });
+});
@@ -0,0 +1,218 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { applyChange, getTimelock, queueChange } = require('../lib/governance');
+const { createFixture, deployMarket, increaseTime, runScenario } = require('../lib/scenarios');
+const { getSnapshot, simulateRebalance } = require('../lib/simulator');
+
+const YEAR = 365 * 24 * 60 * 60;
+
+async function blockTimestamp(receipt) {
+  const { blockNumber } = receipt;
+  return (await ethers.provider.getBlock(blockNumber)).timestamp;
+}
+
+describe('protocol fees', function() {
+  let deployer;
+  let user;
+  let treasury;
+  let token0;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let lens;
+
+  // Only one user is funded, so the treasury's token balances are the fees it was paid
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre, { users: 1, poolLiquidity: 0 });
+    await runScenario(hre, market, {
+      deposits: [{ user: 0, lpTokens: 1000000 }],
+      steps: [{ type: 'increaseTime', seconds: 6 * 60 }],
+    });
+    await market.metaPool.transfer(market.users[0].address, 500000);
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({ deployer, users: [user], token0, token1, pool: uniswapPool, swapTest, metaPool, lens } = await loadMarket());
+    treasury = (await ethers.getSigners())[2];
+  });
+
+  async function generateFees() {
+    await swapTest.washTrade(uniswapPool.address, '100000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+  }
+
+  async function rebalanceMatchingSimulation() {
+    // Pin the rebalance to the next second, so the simulation accrues the same management fee
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const snapshot = await getSnapshot(hre, metaPool);
+    snapshot.timestamp = timestamp + 1;
+    const prediction = simulateRebalance(snapshot);
+    expect(prediction.reverted).to.equal(false);
+
+    await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp + 1]);
+    const tx = await metaPool.rebalance();
+    const { events } = await tx.wait();
+
+    const rebalanced = events.find(event => event.event === 'Rebalanced');
+    prediction.newLiquidity.forEach((liquidity, i) => expect(rebalanced.args.newLiquidity[i]).to.equal(liquidity));
+    return { prediction, events };
+  }
+
+  it('should only let the timelock set fees & the treasury', async function() {
+    await expect(metaPool.setFees(1000, 100)).to.be.reverted;
+    await expect(metaPool.setTreasury(user.address, true)).to.be.reverted;
+    await expect(queueChange(hre, metaPool.connect(user), 'setFees', [1000, 100])).to.be.reverted;
+
+    await expect(applyChange(hre, metaPool, 'setFees', [2001, 0])).to.be.revertedWith('Fee');
+    await expect(applyChange(hre, metaPool, 'setFees', [0, 501])).to.be.revertedWith('Fee');
+
+    const timelock = await getTimelock(hre, metaPool);
+    const fees = await queueChange(hre, metaPool, 'setFees', [2000, 500]);
+    await expect(timelock.executeChange(fees.data)).to.emit(metaPool, 'FeesUpdated').withArgs(2000, 500);
+    const treasuryChange = await queueChange(hre, metaPool, 'setTreasury', [treasury.address, true]);
+    await expect(timelock.executeChange(treasuryChange.data))
+      .to.emit(metaPool, 'TreasuryUpdated').withArgs(treasury.address, true);
+
+    expect(await metaPool.performanceFee()).to.equal(2000);
+    expect(await metaPool.managementFee()).to.equal(500);
+    expect(await metaPool.treasury()).to.equal(treasury.address);
+    expect(await metaPool.feesAsShares()).to.equal(true);
+  });
+
+  it('should reinvest all fees without a treasury', async function() {
+    await applyChange(hre, metaPool, 'setFees', [1000, 100]);
+    await generateFees();
+
+    const { prediction, events } = await rebalanceMatchingSimulation();
+    expect(prediction.protocolFees.performanceFee0).to.equal(0);
+    expect(prediction.protocolFees.managementShares).to.equal(0);
+    expect(events.map(event => event.event)).to.not.include('PerformanceFeeTaken');
+  });
+
+  it('should transfer the performance fee to the treasury as tokens', async function() {
+    await applyChange(hre, metaPool, 'setTreasury', [treasury.address, false]);
+    await applyChange(hre, metaPool, 'setFees', [1000, 0]);
+    await generateFees();
+
+    const totalSupply = await metaPool.totalSupply();
+    const { prediction, events } = await rebalanceMatchingSimulation();
+    const fees0 = prediction.collected[0].amount0.add(prediction.collected[1].amount0);
+    const fees1 = prediction.collected[0].amount1.add(prediction.collected[1].amount1);
+    expect(fees0).to.be.gt(0);
+    expect(fees1).to.be.gt(0);
+
+    expect(await token0.balanceOf(treasury.address)).to.equal(fees0.div(10));
+    expect(await token1.balanceOf(treasury.address)).to.equal(fees1.div(10));
+    expect(prediction.protocolFees.performanceFee0).to.equal(fees0.div(10));
+    expect(prediction.protocolFees.performanceFee1).to.equal(fees1.div(10));
+
+    const taken = events.find(event => event.event === 'PerformanceFeeTaken');
+    expect(taken.args.treasury).to.equal(treasury.address);
+    expect(taken.args.amount0).to.equal(fees0.div(10));
+    expect(taken.args.amount1).to.equal(fees1.div(10));
+    expect(taken.args.shares).to.equal(0);
+    expect(await metaPool.totalSupply()).to.equal(totalSupply);
+  });
+
+  it('should accrue performance fee shares across rebalances & burns', async function() {
+    await applyChange(hre, metaPool, 'setTreasury', [treasury.address, true]);
+    await applyChange(hre, metaPool, 'setFees', [2000, 0]);
+
+    let treasuryShares = ethers.BigNumber.from(0);
+    for (let i = 0; i < 3; i++) {
+      await generateFees();
+      const totalSupply = await metaPool.totalSupply();
+      const { prediction, events } = await rebalanceMatchingSimulation();
+
+      const { performanceShares } = prediction.protocolFees;
+      expect(performanceShares).to.be.gt(0);
+      expect(events.find(event => event.event === 'PerformanceFeeTaken').args.shares).to.equal(performanceShares);
+      expect(await metaPool.totalSupply()).to.equal(totalSupply.add(performanceShares));
+
+      treasuryShares = treasuryShares.add(performanceShares);
+      expect(await metaPool.balanceOf(treasury.address)).to.equal(treasuryShares);
+
+      // LPs keep withdrawing in between
+      await metaPool.connect(user).burn(50000, 0, 0, user.address);
+    }
+
+    // The treasury's shares are worth about 20% of the fees, which are now part of the positions
+    const [amount0, amount1] = await lens.previewBurn(metaPool.address, treasuryShares);
+    await metaPool.connect(treasury).burn(treasuryShares, 0, 0, treasury.address);
+    expect(await token0.balanceOf(treasury.address)).to.equal(amount0);
+    expect(await token1.balanceOf(treasury.address)).to.equal(amount1);
+    expect(amount0.add(amount1)).to.be.gt(0);
+  });
+
+  it('should value performance fee shares at the fees taken', async function() {
+    await applyChange(hre, metaPool, 'setTreasury', [treasury.address, true]);
+    await applyChange(hre, metaPool, 'setFees', [2000, 0]);
+    await generateFees();
+
+    const { prediction } = await rebalanceMatchingSimulation();
+    const { performanceFee0, performanceFee1, performanceShares } = prediction.protocolFees;
+
+    // At a 1:1 price, the shares are worth the fee taken, less the rounding of the positions
+    const [amount0, amount1] = await lens.previewBurn(metaPool.address, performanceShares);
+    const feeValue = performanceFee0.add(performanceFee1);
+    expect(amount0.add(amount1)).to.be.at.most(feeValue);
+    expect(amount0.add(amount1)).to.be.at.least(feeValue.mul(99).div(100));
+  });
+
+  it('should mint the management fee to the treasury over time', async function() {
+    await applyChange(hre, metaPool, 'setTreasury', [treasury.address, false]);
+    const start = await blockTimestamp(await applyChange(hre, metaPool, 'setFees', [0, 200]));
+
+    await increaseTime(ethers, YEAR / 4);
+    const totalSupply = await metaPool.totalSupply();
+    const tx = await metaPool.connect(user).burn(100000, 0, 0, user.address);
+    const elapsed = (await blockTimestamp(await tx.wait())) - start;
+
+    const expected = totalSupply.mul(200).mul(elapsed).div(10000 * YEAR);
+    await expect(tx).to.emit(metaPool, 'ManagementFeeAccrued').withArgs(treasury.address, expected);
+    expect(await metaPool.balanceOf(treasury.address)).to.equal(expected);
+    expect(expected).to.be.closeTo(totalSupply.div(200), totalSupply.div(10000).toNumber());
+    expect(await metaPool.pendingManagementFee()).to.equal(0);
+  });
+
+  it('should include the pending management fee in previewMint & previewBurn', async function() {
+    await applyChange(hre, metaPool, 'setTreasury', [treasury.address, false]);
+    await applyChange(hre, metaPool, 'setFees', [0, 500]);
+    await increaseTime(ethers, YEAR);
+
+    const pending = await metaPool.pendingManagementFee();
+    expect(pending).to.be.gt(0);
+
+    // Both calls run against the same pending block, so the previews match exactly
+    const [preview0, preview1] = await lens.previewBurn(metaPool.address, 100000);
+    const { amount0, amount1 } = await metaPool.connect(user).callStatic.burn(100000, 0, 0, user.address);
+    expect(preview0).to.equal(amount0);
+    expect(preview1).to.equal(amount1);
+
+    const [mint0, mint1] = await lens.previewMint(metaPool.address, 100000);
+    const balance0 = await token0.balanceOf(deployer.address);
+    const balance1 = await token1.balanceOf(deployer.address);
+    await metaPool.mint(100000, mint0.add(2), mint1.add(2));
+    expect(balance0.sub(await token0.balanceOf(deployer.address))).to.be.closeTo(mint0, 2);
+    expect(balance1.sub(await token1.balanceOf(deployer.address))).to.be.closeTo(mint1, 2);
+  });
+
+  it('should accrue the management fee at the old rate before changing it', async function() {
+    await applyChange(hre, metaPool, 'setTreasury', [treasury.address, false]);
+    await applyChange(hre, metaPool, 'setFees', [0, 100]);
+    await increaseTime(ethers, YEAR / 2);
+
+    const { data } = await queueChange(hre, metaPool, 'setFees', [0, 0]);
+    await expect((await getTimelock(hre, metaPool)).executeChange(data)).to.emit(metaPool, 'ManagementFeeAccrued');
+    const accrued = await metaPool.balanceOf(treasury.address);
+    expect(accrued).to.be.gt(0);
+
+    await increaseTime(ethers, YEAR / 2);
+    expect(await metaPool.pendingManagementFee()).to.equal(0);
+    await metaPool.connect(user).burn(100000, 0, 0, user.address);
+    expect(await metaPool.balanceOf(treasury.address)).to.equal(accrued);
+  });
+});
@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+
+const { compareGas, formatGasComparison, readGasSnapshot, runGasBenchmarks } = require('../lib/gas');
+const { tempPath } = require('../lib/scenarios');
+
+const SNAPSHOT = path.join(__dirname, '..', 'gas-snapshot.json');
+
+describe('Gas benchmarks', function() {
+  it('should flag benchmarks that rose beyond the threshold or went missing', function() {
+    const baseline = { mint: 1000, burn: 1000, rebalance: 1000 };
+    const { rows, regressions } = compareGas(baseline, { mint: 1005, burn: 1020, permit: 500 }, { threshold: 1 });
+
+    expect(regressions).to.deep.equal(['burn', 'rebalance']);
+    expect(rows.find(row => row.name === 'mint')).to.include({ change: 5, regression: false });
+    expect(rows.find(row => row.name === 'permit')).to.include({ before: undefined, regression: false });
+
+    const report = formatGasComparison({ rows, regressions });
+    expect(report).to.include('burn: 1000 -> 1020 (+20, +2.00%) REGRESSION');
+    expect(report).to.include('rebalance: 1000 -> missing');
+    expect(report).to.include('permit: new, 500');
+    expect(compareGas(baseline, { ...baseline, mint: 900 }).regressions).to.deep.equal([]);
+  });
+
+  it('should match the committed snapshot', async function() {
+    const results = await runGasBenchmarks(hre);
+    expect(Object.keys(results)).to.deep.equal([
+      'initialize',
+      'mint (first deposit)',
+      'mint',
+      'mintWithAmounts',
+      'rebalance (swap)',
+      'rebalance (no swap)',
+      'transferAndCall',
+      'permit',
+      'burn',
+      'burn (entire balance)',
+    ]);
+    // Update the snapshot with `npx hardhat metapool:gas-snapshot` when a change is meant to cost more gas
+    const { regressions } = compareGas(readGasSnapshot(SNAPSHOT), results);
+    expect(regressions).to.deep.equal([]);
+  });
+
+  it('should fail the diff task on regressions & write snapshots', async function() {
+    const snapshot = tempPath('gas-snapshot.json');
+    const results = await hre.run('metapool:gas-snapshot', { snapshot });
+    expect(readGasSnapshot(snapshot)).to.deep.equal(results);
+
+    const cheaper = path.join(path.dirname(snapshot), 'cheaper.json');
+    fs.writeFileSync(cheaper, JSON.stringify({ ...results, burn: Math.round(results.burn * 0.9) }));
+    let error;
+    try {
+      await hre.run('metapool:gas-diff', { snapshot: cheaper, threshold: 5 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('Gas regressed by more than 5% in burn');
+
+    const { regressions } = await hre.run('metapool:gas-diff', { snapshot: cheaper, threshold: 20 });
+    expect(regressions).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,309 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const hre = require('hardhat');
+
+const {
+  acceptRole,
+  applyChange,
+  cancelChange,
+  executeChange,
+  getQueuedChanges,
+  getRoles,
+  getTimelock,
+  queueChange,
+  roleIndex,
+  transferRole,
+} = require('../lib/governance');
+const { createFixture, deployMarket, increaseTime, runScenario } = require('../lib/scenarios');
+const { getStatus } = require('../lib/status');
+
+const DAY = 24 * 60 * 60;
+
+async function getError(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  throw new Error('Expected an error');
+}
+
+describe('governance', function() {
+  let deployer;
+  let guardian;
+  let keeper;
+  let strategist;
+  let user;
+  let token0;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let lens;
+  let timelock;
+  let manifest;
+
+  // Every role but the admin's is offered to another account when deploying
+  const loadMarket = createFixture(hre, async () => {
+    const [, ...signers] = await ethers.getSigners();
+    const market = await deployMarket(hre, {
+      deployConfig: {
+        roles: { guardian: signers[0].address, keeper: signers[1].address, strategist: signers[2].address },
+      },
+      users: 4,
+    });
+    await runScenario(hre, market, {
+      deposits: [{ user: 0, lpTokens: 100000 }],
+      steps: [{ type: 'increaseTime', seconds: 6 * 60 }],
+    });
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({
+      deployer,
+      users: [guardian, keeper, strategist, user],
+      token0,
+      token1,
+      pool: uniswapPool,
+      swapTest,
+      metaPool,
+      lens,
+      manifest,
+    } = await loadMarket());
+    timelock = await getTimelock(hre, metaPool);
+  });
+
+  it('should offer the configured roles, recording them in the manifest', async function() {
+    const deployment = JSON.parse(fs.readFileSync(manifest, 'utf8')).MetaPool;
+    expect(deployment.timelock).to.equal(timelock.address);
+    expect(deployment.timelockDelay).to.equal(0);
+    expect(deployment.roles).to.deep.equal({
+      admin: { holder: deployer.address, pending: null },
+      guardian: { holder: deployer.address, pending: guardian.address },
+      keeper: { holder: deployer.address, pending: keeper.address },
+      strategist: { holder: deployer.address, pending: strategist.address },
+    });
+    expect(await timelock.metaPool()).to.equal(metaPool.address);
+
+    // The timelock stays bound to the MetaPool that was deployed with it
+    await expect(timelock.setMetaPool(metaPool.address)).to.be.revertedWith('Timelock');
+  });
+
+  it('should only let the timelock\'s deployer bind it, to a MetaPool created with it', async function() {
+    const MetaPoolTimelock = await ethers.getContractFactory('MetaPoolTimelock');
+    const unbound = await MetaPoolTimelock.deploy();
+    const MetaPool = await ethers.getContractFactory('MetaPool');
+    const ticks = await metaPool.getTicks();
+    const other = await MetaPool.deploy(
+      uniswapPool.address, ticks.lowerTicks, ticks.upperTicks, [8000, 2000], [8, 1], 100, unbound.address,
+    );
+
+    // Someone watching the deployment can't bind the timelock first
+    await expect(unbound.connect(user).setMetaPool(other.address)).to.be.revertedWith('Timelock');
+    await expect(unbound.setMetaPool(metaPool.address)).to.be.revertedWith('Timelock');
+
+    await unbound.setMetaPool(other.address);
+    expect(await unbound.metaPool()).to.equal(other.address);
+  });
+
+  it('should transfer roles in two steps', async function() {
+    // An offer can't be accepted by anyone else, and the old holder keeps the role until it's accepted
+    await expect(metaPool.connect(user).acceptRole(roleIndex('guardian'))).to.be.reverted;
+    await expect(metaPool.connect(user).transferRole(roleIndex('guardian'), user.address)).to.be.reverted;
+    expect(await metaPool.roles(roleIndex('guardian'))).to.equal(deployer.address);
+
+    await expect(metaPool.connect(guardian).acceptRole(roleIndex('guardian')))
+      .to.emit(metaPool, 'RoleTransferred').withArgs(roleIndex('guardian'), deployer.address, guardian.address);
+    expect((await getRoles(metaPool)).guardian).to.deep.equal({ holder: guardian.address, pending: null });
+
+    // The holder can pass the role on, and the admin can withdraw the offer
+    await transferRole(metaPool.connect(guardian), 'guardian', user.address);
+    await transferRole(metaPool, 'guardian', ethers.constants.AddressZero);
+    await expect(metaPool.connect(user).acceptRole(roleIndex('guardian'))).to.be.reverted;
+
+    // Handing over the admin role takes away the deployer's control of the roles it doesn't hold
+    await transferRole(metaPool, 'admin', user.address);
+    await acceptRole(metaPool.connect(user), 'admin');
+    await expect(metaPool.pause()).to.be.reverted;
+    await expect(metaPool.transferRole(roleIndex('guardian'), deployer.address)).to.be.reverted;
+  });
+
+  describe('with every role handed out', function() {
+    beforeEach(async function() {
+      await acceptRole(metaPool.connect(guardian), 'guardian');
+      await acceptRole(metaPool.connect(keeper), 'keeper');
+      await acceptRole(metaPool.connect(strategist), 'strategist');
+    });
+
+    it('should only let the guardian pause', async function() {
+      await expect(metaPool.connect(user).pause()).to.be.reverted;
+      await expect(metaPool.connect(keeper).pause()).to.be.reverted;
+      await expect(metaPool.connect(strategist).pause()).to.be.reverted;
+
+      await expect(metaPool.connect(guardian).pause()).to.emit(metaPool, 'Paused');
+      await expect(metaPool.connect(guardian).unpause()).to.be.reverted;
+      await expect(metaPool.connect(guardian).rebalance()).to.be.reverted;
+      await expect(queueChange(hre, metaPool.connect(guardian), 'setFees', [1000, 0])).to.be.reverted;
+      await expect(metaPool.connect(guardian).emergencyExit()).to.be.reverted;
+
+      // Only the admin can unpause, and can pause too
+      await expect(metaPool.unpause()).to.emit(metaPool, 'Unpaused');
+      await metaPool.pause();
+      expect(await metaPool.paused()).to.equal(true);
+    });
+
+    it('should only let the keeper rebalance', async function() {
+      await expect(metaPool.rebalance()).to.be.reverted;
+      await expect(metaPool.connect(strategist).rebalance()).to.be.reverted;
+      await expect(metaPool.connect(keeper).rebalance()).to.emit(metaPool, 'Rebalanced');
+
+      await expect(metaPool.connect(keeper).pause()).to.be.reverted;
+      await expect(metaPool.connect(keeper).moveRanges([-200, -1000], [200, 1000])).to.be.reverted;
+      await expect(queueChange(hre, metaPool.connect(keeper), 'setGuardMints', [true])).to.be.reverted;
+    });
+
+    it('should only let the strategist change parameters & ranges', async function() {
+      await expect(metaPool.moveRanges([-200, -1000], [200, 1000])).to.be.reverted;
+      await expect(metaPool.connect(strategist).moveRanges([-200, -1000], [200, 1000]))
+        .to.emit(metaPool, 'RangesMoved');
+
+      await expect(queueChange(hre, metaPool, 'setFees', [1000, 0])).to.be.reverted;
+      const { id } = await queueChange(hre, metaPool.connect(strategist), 'setFees', [1000, 0]);
+      await expect(timelock.connect(strategist).cancelChange(id)).to.be.reverted;
+      await expect(metaPool.connect(strategist).unpause()).to.be.reverted;
+      await expect(metaPool.connect(strategist).emergencyExit()).to.be.reverted;
+
+      // The admin can cancel changes, but not queue or execute them
+      await expect(timelock.connect(user).cancelChange(id)).to.be.reverted;
+      await expect(timelock.cancelChange(id)).to.emit(timelock, 'ChangeCancelled').withArgs(id);
+      await expect(queueChange(hre, metaPool, 'setGuardMints', [true])).to.be.reverted;
+      expect(await getQueuedChanges(hre, metaPool)).to.deep.equal([]);
+    });
+
+    it('should delay parameter changes', async function() {
+      const strategistPool = metaPool.connect(strategist);
+      await applyChange(hre, strategistPool, 'setDelay', [DAY]);
+      expect(await timelock.delay()).to.equal(DAY);
+      expect((await getError(applyChange(hre, strategistPool, 'setGuardMints', [true]))).message).to.contain('timelocked');
+
+      // The setGuardMints() change was queued above
+      const [queued] = await getQueuedChanges(hre, metaPool);
+      expect(queued).to.include({ functionName: 'setGuardMints', ready: false });
+      expect(queued.args).to.deep.equal([true]);
+      await expect(timelock.connect(strategist).executeChange(queued.data)).to.be.revertedWith('Timelock');
+      await expect(timelock.connect(strategist).queueChange(queued.data)).to.be.revertedWith('Queued');
+
+      await increaseTime(ethers, DAY);
+      expect((await getQueuedChanges(hre, metaPool))[0].ready).to.equal(true);
+      await expect(timelock.connect(user).executeChange(queued.data)).to.be.reverted;
+      await expect(timelock.connect(strategist).executeChange(queued.data))
+        .to.emit(timelock, 'ChangeExecuted').withArgs(queued.id);
+      expect(await metaPool.guardMints()).to.equal(true);
+      await expect(timelock.connect(strategist).executeChange(queued.data)).to.be.revertedWith('Timelock');
+    });
+
+    it('should only queue calls to the parameter setters', async function() {
+      const strategistTimelock = timelock.connect(strategist);
+      const transfer = metaPool.interface.encodeFunctionData('transfer', [strategist.address, 1]);
+      const rebalance = metaPool.interface.encodeFunctionData('rebalance');
+      await expect(strategistTimelock.queueChange(transfer)).to.be.revertedWith('Change');
+      await expect(strategistTimelock.queueChange(rebalance)).to.be.revertedWith('Change');
+      await expect(strategistTimelock.queueChange('0x1234')).to.be.revertedWith('Change');
+
+      // setDelay() can only be called through the queue, and is capped
+      await expect(strategistTimelock.setDelay(0)).to.be.reverted;
+      await expect(applyChange(hre, metaPool.connect(strategist), 'setDelay', [31 * DAY])).to.be.revertedWith('Timelock');
+    });
+  });
+
+  it('should queue, list, execute & cancel changes', async function() {
+    await applyChange(hre, metaPool, 'setDelay', [60 * 60]);
+
+    const queued = await queueChange(hre, metaPool, 'setFees', [1000, 200]);
+    const cancelled = await queueChange(hre, metaPool, 'setGuardMints', [true]);
+
+    const changes = await getQueuedChanges(hre, metaPool);
+    expect(changes.map(change => change.id)).to.deep.equal([queued.id, cancelled.id]);
+    expect(changes[0]).to.include({ functionName: 'setFees', ready: false, eta: queued.eta });
+    expect(changes[0].args).to.deep.equal([1000, 200]);
+
+    const error = await getError(executeChange(hre, metaPool, queued.id));
+    expect(error.message).to.contain("can't be executed");
+    await cancelChange(hre, metaPool, cancelled.id);
+
+    await increaseTime(ethers, 60 * 60);
+    await executeChange(hre, metaPool, queued.id);
+    expect(await metaPool.performanceFee()).to.equal(1000);
+    expect(await metaPool.managementFee()).to.equal(200);
+    expect(await metaPool.guardMints()).to.equal(false);
+    expect(await getQueuedChanges(hre, metaPool)).to.deep.equal([]);
+  });
+
+  describe('emergency exit', function() {
+    beforeEach(async function() {
+      await metaPool.connect(user).mint(50000, 1000000, 1000000);
+      await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+      await applyChange(hre, metaPool, 'setTreasury', [deployer.address, false]);
+      await applyChange(hre, metaPool, 'setFees', [0, 500]);
+    });
+
+    it('should withdraw everything into the contract & only allow burns', async function() {
+      await expect(metaPool.connect(guardian).emergencyExit()).to.be.reverted;
+
+      const supplyBefore = await metaPool.totalSupply();
+      await increaseTime(ethers, DAY);
+      await expect(metaPool.emergencyExit()).to.emit(metaPool, 'EmergencyExit');
+      expect(await metaPool.emergency()).to.equal(true);
+      expect(await metaPool.paused()).to.equal(true);
+      for (const i of [0, 1]) {
+        expect((await metaPool.position(i)).liquidity).to.equal(0);
+      }
+      // The management fee was accrued up to the exit, and stops there
+      const totalSupply = await metaPool.totalSupply();
+      expect(totalSupply).to.be.gt(supplyBefore);
+      await increaseTime(ethers, DAY);
+      expect(await metaPool.pendingManagementFee()).to.equal(0);
+
+      await expect(metaPool.unpause()).to.be.reverted;
+      await expect(metaPool.mint(1000, 1000000, 1000000)).to.be.reverted;
+      await expect(metaPool.mintWithAmounts(1000000, 1000000, 0)).to.be.reverted;
+      await expect(metaPool.rebalance()).to.be.reverted;
+      await expect(metaPool.moveRanges([-200, -1000], [200, 1000])).to.be.reverted;
+
+      const balance0 = await token0.balanceOf(metaPool.address);
+      const balance1 = await token1.balanceOf(metaPool.address);
+      expect(balance0).to.be.gt(0);
+      expect(balance1).to.be.gt(0);
+
+      const burnAmount = await metaPool.balanceOf(user.address);
+      const [preview0, preview1] = await lens.previewBurn(metaPool.address, burnAmount);
+      expect(preview0).to.equal(balance0.mul(burnAmount).div(totalSupply));
+      expect(preview1).to.equal(balance1.mul(burnAmount).div(totalSupply));
+
+      const user0 = await token0.balanceOf(user.address);
+      const user1 = await token1.balanceOf(user.address);
+      await expect(metaPool.connect(user).burn(burnAmount, preview0.add(1), 0, user.address)).to.be.revertedWith('Slippage');
+      await metaPool.connect(user).burn(burnAmount, preview0, preview1, user.address);
+      expect((await token0.balanceOf(user.address)).sub(user0)).to.equal(preview0);
+      expect((await token1.balanceOf(user.address)).sub(user1)).to.equal(preview1);
+    });
+
+    it('should not initialize again after the exit', async function() {
+      await metaPool.emergencyExit();
+      const supply = await metaPool.totalSupply();
+
+      await expect(metaPool.initialize()).to.be.reverted;
+      expect(await metaPool.totalSupply()).to.equal(supply);
+      for (const i of [0, 1]) {
+        expect((await metaPool.position(i)).liquidity).to.equal(0);
+      }
+    });
+
+    it('should show the emergency in the status report', async function() {
+      await metaPool.emergencyExit();
+      const status = await getStatus(hre, metaPool);
+      expect(status).to.include({ paused: true, emergency: true });
+    });
+  });
+});
@@ -0,0 +1,326 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { revertReason } = require('../lib/backtest');
+const { applyChange } = require('../lib/governance');
+const { createRandom, formatFailure, fuzz, shrink } = require('../lib/fuzz');
+const { createFixture, deployMarket, increaseTime, runScenario } = require('../lib/scenarios');
+const { getOwedFees, getSnapshot } = require('../lib/simulator');
+
+const FEE_AMOUNT = 500;
+const FULL_RANGE_LIQ = 10000000;
+const USER_BALANCE = 10000000;
+const NUM_USERS = 3;
+
+// Replay a failure with the variables printed in its report
+const FUZZ_SEED = Number(process.env.FUZZ_SEED || 1);
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 8);
+const FUZZ_LENGTH = Number(process.env.FUZZ_LENGTH || 25);
+const FUZZ_ACTIONS = process.env.FUZZ_ACTIONS;
+
+function generateActions(random, length) {
+  return Array.from({ length }, () => {
+    const type = random.weighted({
+      mint: 4,
+      burn: 3,
+      roundTrip: 1,
+      swap: 3,
+      washTrade: 2,
+      rebalance: 3,
+      increaseTime: 3,
+      togglePaused: 1,
+    });
+    switch (type) {
+      case 'mint':
+      case 'roundTrip':
+        return { type, user: random.int(0, NUM_USERS - 1), amount: random.int(1, 50000) };
+      case 'burn':
+        return { type, user: random.int(0, NUM_USERS - 1), percent: random.int(1, 100) };
+      case 'swap':
+        return { type, zeroForOne: random.bool(), amount: random.int(1, 300000) };
+      case 'washTrade':
+        return { type, amount: random.int(1, 100000) };
+      case 'increaseTime':
+        return { type, seconds: random.pick([15, 60, 6 * 60, 60 * 60, 24 * 60 * 60]) };
+      default:
+        return { type };
+    }
+  });
+}
+
+async function send(promise) {
+  try {
+    return { receipt: await (await promise).wait() };
+  } catch (e) {
+    if (!e.message.includes('reverted')) {
+      throw e;
+    }
+    return { reverted: true, reason: revertReason(e) };
+  }
+}
+
+// Value of the amounts in token1, at the given price
+function valueInToken1(amount0, amount1, sqrtPriceX96) {
+  const { BigNumber } = ethers;
+  return BigNumber.from(amount1)
+    .add(BigNumber.from(amount0).mul(sqrtPriceX96).mul(sqrtPriceX96).div(BigNumber.from(2).pow(192)));
+}
+
+describe('MetaPool invariants', function() {
+  this.timeout(20 * 60 * 1000);
+
+  let deployer;
+  let users;
+  let treasury;
+  let token0;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let lens;
+
+  // Each run starts from a deposit, with fees going to the treasury as LP tokens
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre, {
+      fee: FEE_AMOUNT,
+      poolLiquidity: FULL_RANGE_LIQ,
+      users: NUM_USERS,
+      userBalance: USER_BALANCE,
+    });
+    const treasury = (await ethers.getSigners())[NUM_USERS + 1];
+    await applyChange(hre, market.metaPool, 'setTreasury', [treasury.address, true]);
+    await applyChange(hre, market.metaPool, 'setFees', [1000, 200]);
+    await runScenario(hre, market, { deposits: [{ user: 0, lpTokens: 100000 }] });
+    return { ...market, treasury };
+  });
+
+  async function tokenBalances(address) {
+    return [await token0.balanceOf(address), await token1.balanceOf(address)];
+  }
+
+  // Tokens in the positions, idle in the MetaPool & owed as uncollected fees
+  async function getHoldings() {
+    const snapshot = await getSnapshot(hre, metaPool);
+    const { token0Amount, token1Amount } = await metaPool.totalPosition();
+    const fees = snapshot.positions
+      .map(position => getOwedFees(snapshot.pool, position))
+      .reduce(([a0, a1], [b0, b1]) => [a0.add(b0.toString()), a1.add(b1.toString())], [ethers.constants.Zero, ethers.constants.Zero]);
+    const [idle0, idle1] = await tokenBalances(metaPool.address);
+    return {
+      positions: [token0Amount, token1Amount],
+      idle: [idle0, idle1],
+      fees,
+      supply: (await metaPool.totalSupply()).add(await metaPool.pendingManagementFee()),
+    };
+  }
+
+  // Mints `amount` LP tokens for the amounts previewMint() quotes, and checks they're what mint() takes
+  async function mintPreviewed(user, amount) {
+    const [amount0, amount1] = await lens.previewMint(metaPool.address, amount);
+    const balancesBefore = await tokenBalances(user.address);
+    const lpTokensBefore = await metaPool.balanceOf(user.address);
+
+    const { reverted, reason } = await send(metaPool.connect(user).mint(amount, amount0, amount1));
+    if (reverted) {
+      throw new Error(`mint() of the amounts previewMint() quoted reverted with "${reason}"`);
+    }
+
+    const balancesAfter = await tokenBalances(user.address);
+    const paid = [balancesBefore[0].sub(balancesAfter[0]), balancesBefore[1].sub(balancesAfter[1])];
+    expect(paid[0], 'token0 paid for mint() vs previewMint()').to.equal(amount0);
+    expect(paid[1], 'token1 paid for mint() vs previewMint()').to.equal(amount1);
+    expect((await metaPool.balanceOf(user.address)).sub(lpTokensBefore), 'LP tokens minted').to.equal(amount);
+    return paid;
+  }
+
+  // Burns LP tokens, checking the amounts match previewBurn() & are no more than the burner's share of the holdings
+  async function burnPreviewed(user, amount) {
+    const [amount0, amount1] = await lens.previewBurn(metaPool.address, amount);
+    const holdings = await getHoldings();
+    const balancesBefore = await tokenBalances(user.address);
+
+    const { reverted, reason } = await send(metaPool.connect(user).burn(amount, amount0, amount1, user.address));
+    if (reverted) {
+      throw new Error(`burn() with the amounts previewBurn() quoted as minimums reverted with "${reason}"`);
+    }
+
+    const balancesAfter = await tokenBalances(user.address);
+    const received = [balancesAfter[0].sub(balancesBefore[0]), balancesAfter[1].sub(balancesBefore[1])];
+    expect(received[0], 'token0 returned by burn() vs previewBurn()').to.equal(amount0);
+    expect(received[1], 'token1 returned by burn() vs previewBurn()').to.equal(amount1);
+
+    // Rounding down each position can't take more than 1 unit per range from the other holders
+    const numRanges = (await metaPool.numRanges()).toNumber();
+    [0, 1].forEach(token => {
+      const held = holdings.positions[token].add(holdings.idle[token]).add(holdings.fees[token]);
+      expect(received[token], `token${token} burned vs share of the holdings`)
+        .to.be.at.most(held.mul(amount).div(holdings.supply).add(numRanges));
+    });
+    return received;
+  }
+
+  async function expectRevertWhilePaused(promise, name) {
+    const { reverted } = await send(promise);
+    if (!reverted) {
+      throw new Error(`${name}() succeeded while paused`);
+    }
+  }
+
+  const perform = {
+    async mint({ user, amount }) {
+      if (await metaPool.paused()) {
+        return expectRevertWhilePaused(metaPool.connect(users[user]).mint(amount, USER_BALANCE, USER_BALANCE), 'mint');
+      }
+      await mintPreviewed(users[user], amount);
+    },
+
+    async burn({ user, percent }) {
+      const amount = (await metaPool.balanceOf(users[user].address)).mul(percent).div(100);
+      if (amount.gt(0)) {
+        await burnPreviewed(users[user], amount);
+      }
+    },
+
+    // Nobody can withdraw more than they just deposited
+    async roundTrip({ user, amount }) {
+      if (await metaPool.paused()) {
+        return;
+      }
+      const paid = await mintPreviewed(users[user], amount);
+      const received = await burnPreviewed(users[user], amount);
+      expect(received[0], 'token0 returned by an immediate burn()').to.be.at.most(paid[0]);
+      expect(received[1], 'token1 returned by an immediate burn()').to.be.at.most(paid[1]);
+    },
+
+    async swap({ zeroForOne, amount }) {
+      await swapTest.swap(uniswapPool.address, zeroForOne, amount);
+    },
+
+    async washTrade({ amount }) {
+      await swapTest.washTrade(uniswapPool.address, amount, 10, 2);
+    },
+
+    async rebalance() {
+      if (await metaPool.paused()) {
+        return expectRevertWhilePaused(metaPool.rebalance(), 'rebalance');
+      }
+
+      const { sqrtPriceX96 } = await uniswapPool.slot0();
+      const before = await getHoldings();
+      const { receipt, reverted, reason } = await send(metaPool.rebalance());
+      if (reverted) {
+        // The price can be too far from the TWAP, or the pool's observations too recent
+        expect(['Slippage', 'OLD'], 'rebalance() revert reason').to.include(reason);
+        return;
+      }
+
+      // The balancing swap may only cost the pool fee on its input, plus the price impact: it executes between the
+      // prices before & after, so it can't lose more than the input's value times the price move
+      const { sqrtPriceX96: sqrtPriceAfter } = await uniswapPool.slot0();
+      const priceBefore = sqrtPriceX96.mul(sqrtPriceX96);
+      const priceMove = sqrtPriceAfter.mul(sqrtPriceAfter).sub(priceBefore).abs();
+      const { interface } = await ethers.getContractFactory('UniswapV3Pool');
+      const allowedLoss = receipt.logs
+        .filter(log => log.address === uniswapPool.address)
+        .map(log => interface.parseLog(log))
+        .filter(event => event.name === 'Swap')
+        .reduce((loss, { args }) => {
+          const input = valueInToken1(
+            args.amount0.gt(0) ? args.amount0 : 0, args.amount1.gt(0) ? args.amount1 : 0, sqrtPriceX96);
+          const fee = input.mul(FEE_AMOUNT).div(1e6).add(1);
+          const slippage = input.mul(priceMove).div(priceBefore).add(1);
+          return loss.add(fee).add(slippage);
+        }, ethers.constants.Zero);
+
+      // Each of deposit()'s two rounds of mints rounds up by a unit of each token per range,
+      // and totalPosition() rounds each position down
+      const rounding = valueInToken1(1, 1, sqrtPriceX96).mul(3 * (await metaPool.numRanges()).toNumber());
+
+      const after = await getHoldings();
+      // The fees collected by rebalance() were already the holders', so they can't cover a loss
+      const valueBefore = valueInToken1(
+        before.positions[0].add(before.idle[0]).add(before.fees[0]),
+        before.positions[1].add(before.idle[1]).add(before.fees[1]),
+        sqrtPriceX96);
+      const valueAfter = valueInToken1(
+        after.positions[0].add(after.idle[0]), after.positions[1].add(after.idle[1]), sqrtPriceX96)
+        .add(allowedLoss)
+        .add(rounding);
+
+      // Share value can't drop by more than the swap's cost, other than by rounding the management fee over one more second
+      expect(valueAfter.mul(before.supply.add(1)), 'share value after rebalance()')
+        .to.be.at.least(valueBefore.mul(after.supply));
+    },
+
+    async increaseTime({ seconds }) {
+      await increaseTime(ethers, seconds);
+    },
+
+    async togglePaused() {
+      await ((await metaPool.paused()) ? metaPool.unpause() : metaPool.pause());
+    },
+  };
+
+  async function checkTotalSupply() {
+    // initialize() mints its LP tokens to 0x0
+    let sum = await metaPool.balanceOf(ethers.constants.AddressZero);
+    for (const holder of [deployer, treasury, ...users]) {
+      sum = sum.add(await metaPool.balanceOf(holder.address));
+    }
+    expect(await metaPool.totalSupply(), 'totalSupply vs the sum of balances').to.equal(sum);
+  }
+
+  async function run(actions) {
+    ({ deployer, users, treasury, token0, token1, pool: uniswapPool, swapTest, metaPool, lens } = await loadMarket());
+
+    for (let step = 0; step < actions.length; step++) {
+      try {
+        await perform[actions[step].type](actions[step]);
+        await checkTotalSupply();
+      } catch (e) {
+        return { step, action: actions[step], message: `step ${step} ${JSON.stringify(actions[step])}: ${e.message}` };
+      }
+    }
+    return null;
+  }
+
+  it('should hold the invariants over random sequences of actions', async function() {
+    const command = 'npx hardhat test test/invariants.js';
+    if (FUZZ_ACTIONS) {
+      const failure = await run(JSON.parse(FUZZ_ACTIONS));
+      expect(failure && failure.message).to.equal(null);
+      return;
+    }
+
+    const result = await fuzz({ seed: FUZZ_SEED, runs: FUZZ_RUNS, length: FUZZ_LENGTH, generate: generateActions, run });
+    if (result) {
+      expect.fail(formatFailure(result, command));
+    }
+  });
+
+  describe('harness', function() {
+    it('should generate the same sequence from the same seed', function() {
+      expect(generateActions(createRandom(42), 20)).to.deep.equal(generateActions(createRandom(42), 20));
+      expect(generateActions(createRandom(42), 20)).to.not.deep.equal(generateActions(createRandom(43), 20));
+    });
+
+    it('should shrink a failing sequence to the actions that cause it', async function() {
+      // Fails once a swap of at least 10000 follows a rebalance
+      const check = async actions => {
+        const rebalance = actions.findIndex(action => action.type === 'rebalance');
+        const swap = actions.findIndex((action, i) => i > rebalance && action.type === 'swap' && action.amount >= 10000);
+        return rebalance >= 0 && swap >= 0 ? { message: 'swap after rebalance' } : null;
+      };
+
+      const result = await fuzz({ seed: 1, runs: 100, length: 25, generate: generateActions, run: check });
+      expect(result.actions).to.have.length(25);
+      expect(result.shrunk.actions).to.have.length(2);
+      expect(result.shrunk.actions[0]).to.deep.equal({ type: 'rebalance' });
+      expect(result.shrunk.actions[1].amount).to.be.within(10000, 19999);
+      expect(formatFailure(result, 'test')).to.contain(`FUZZ_SEED=${result.seed} FUZZ_RUNS=1 FUZZ_LENGTH=25 test`);
+
+      expect(await check(result.shrunk.actions)).to.not.equal(null);
+      expect((await shrink(result.shrunk.actions, check)).actions).to.deep.equal(result.shrunk.actions);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { evaluate, runKeeper, runOnce } = require('../lib/keeper');
+const { createFixture, deployMarket, increaseTime, runScenario } = require('../lib/scenarios');
+
+describe('keeper', function() {
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre);
+    await runScenario(hre, market, { deposits: [{ user: 0, lpTokens: 100000 }] });
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({ pool: uniswapPool, swapTest, metaPool } = await loadMarket());
+  });
+
+  it('should skip without 5 minutes of TWAP history', async function() {
+    const decision = await evaluate(hre, metaPool);
+    expect(decision.action).to.equal('skip');
+    expect(decision.reason).to.equal('twap-unavailable');
+  });
+
+  it('should skip when its signer isn\'t the keeper', async function() {
+    await increaseTime(ethers, 6 * 60);
+    const [, other] = await ethers.getSigners();
+
+    const decision = await evaluate(hre, metaPool.connect(other));
+    expect(decision.reason).to.equal('not-keeper');
+    await expect(metaPool.connect(other).rebalance()).to.be.reverted;
+  });
+
+  it('should skip when the price has moved too far from the TWAP', async function() {
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.swap(uniswapPool.address, false, 5000);
+
+    const decision = await evaluate(hre, metaPool);
+    expect(decision.reason).to.equal('twap-drift');
+    expect(decision.drift).to.be.greaterThan(decision.maxTickMovement);
+    await expect(metaPool.rebalance()).to.be.revertedWith('Slippage');
+  });
+
+  it('should skip when there are no fees to reinvest', async function() {
+    await increaseTime(ethers, 6 * 60);
+
+    // rebalance() skips positions the balance can't add liquidity to, so it succeeds without doing anything
+    const decision = await evaluate(hre, metaPool);
+    expect(decision.reason).to.equal('unprofitable');
+    expect(decision.fees0).to.equal('0');
+    expect(decision.fees1).to.equal('0');
+  });
+
+  it('should skip when the fees don\'t cover the gas cost', async function() {
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    const decision = await evaluate(hre, metaPool);
+    expect(decision.action).to.equal('skip');
+    expect(decision.reason).to.equal('unprofitable');
+    expect(Number(decision.fees0)).to.be.greaterThan(0);
+    expect(ethers.BigNumber.from(decision.gasCost).gt(decision.feeValueWei)).to.equal(true);
+  });
+
+  it('should compare the fee value to the gas cost without rounding', async function() {
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    // Value token1 so that the fees are worth exactly the gas cost at `gasPrice`, an amount doubles can't hold
+    const { feeValueWei: feeValue1, gasEstimate } = await evaluate(hre, metaPool, { gasPrice: 1 });
+    const ethPerToken1 = ethers.BigNumber.from(gasEstimate).mul(1e15).toString();
+    const gasPrice = ethers.BigNumber.from(feeValue1).mul(1e15);
+
+    const breakEven = await evaluate(hre, metaPool, { gasPrice, ethPerToken1 });
+    expect(breakEven.feeValueWei).to.equal(breakEven.gasCost);
+    expect(breakEven.action).to.equal('rebalance');
+
+    const short = await evaluate(hre, metaPool, { gasPrice: gasPrice.add(1), ethPerToken1 });
+    expect(short.reason).to.equal('unprofitable');
+    expect(ethers.BigNumber.from(short.gasCost).sub(short.feeValueWei)).to.equal(gasEstimate);
+  });
+
+  it('should only log the decision in a dry run', async function() {
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    const { liquidity } = await metaPool.tightPosition();
+    const decision = await runOnce(hre, metaPool, { gasPrice: 1e9, ethPerToken1: 1e16, dryRun: true });
+    expect(decision.action).to.equal('dry-run');
+    expect(decision.reason).to.equal('profitable');
+    expect(decision.txHash).to.equal(undefined);
+    expect((await metaPool.tightPosition()).liquidity).to.equal(liquidity);
+  });
+
+  it('should keep polling, rebalancing when profitable', async function() {
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    const logged = [];
+    const decisions = await runKeeper(hre, metaPool, {
+      interval: 0,
+      iterations: 2,
+      gasPrice: '1000000000',
+      ethPerToken1: 1e16,
+      log: decision => logged.push(decision),
+    });
+
+    expect(decisions).to.have.length(2);
+    expect(decisions[0].action).to.equal('rebalance');
+    const receipt = await ethers.provider.getTransactionReceipt(decisions[0].txHash);
+    const rebalanced = receipt.logs
+      .filter(log => log.address === metaPool.address)
+      .map(log => metaPool.interface.parseLog(log))
+      .find(event => event.name === 'Rebalanced');
+    expect(rebalanced).to.not.equal(undefined);
+
+    // Fees were just collected, so there's nothing left worth rebalancing
+    expect(decisions[1].action).to.equal('skip');
+
+    expect(logged).to.deep.equal(decisions);
+  });
+});
@@ -1,25 +1,16 @@
 const { expect } = require('chai');
-const bn = require('bignumber.js');
 const { BigNumber } = require('@ethersproject/bignumber');
 const { BigintIsh, ChainId, Price, Token, TokenAmount } = require('@uniswap/sdk-core');
 const { Pool, Position, tickToPrice, SqrtPriceMath, TickMath } = require('@uniswap/v3-sdk/dist/');
 const JSBI = require('jsbi');
+const hre = require('hardhat');
+const { decodeTransaction, formatEvent } = require('../lib/events');
+const { encodePriceSqrt, priceToTick } = require('../lib/prices');
+const { SCENARIOS, createFixture, deployMarket, scenarioFixture } = require('../lib/scenarios');
 
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 const EMPTY_ADDRESS = '0x1111111111111111111111111111111111111111';
 
-bn.config({ EXPONENTIAL_AT: 999999, DECIMAL_PLACES: 40 })
-
-// returns the sqrt price as a 64x96
-function encodePriceSqrt(reserve1, reserve0) {
-  return new bn(reserve1.toString())
-    .div(reserve0.toString())
-    .sqrt()
-    .multipliedBy(new bn(2).pow(96))
-    .integerValue(3)
-    .toString()
-}
-
 function position(address, lowerTick, upperTick) {
   return ethers.utils.solidityKeccak256(
     ['address', 'int24', 'int24'],
@@ -27,66 +18,31 @@ function position(address, lowerTick, upperTick) {
   );
 }
 
-function x96ToDecimal(number) {
-  return new bn(number).div(new bn(2).pow(96));
-}
-function tickToPriceSqrt(tick) {
-  return Math.sqrt(Math.pow(1.0001, tick));
-}
+const FEE_AMOUNT = 500;
 
-const TICK_1_01 = -100;
-// const TICK_0_95 = 513;
-const TICK_0_95 = 510;
-// const TICK_1_03 = -296;
-const TICK_1_03 = -300;
-// const TICK_0_90 = 1054;
-const TICK_0_90 = 1050;
+// Ranges are quoted in token0 per token1, and rounded to the nearest usable tick
+const PRICE_OPTIONS = { fee: FEE_AMOUNT, invert: true };
+const TICK_1_01 = priceToTick(1.01, PRICE_OPTIONS); // -100
+const TICK_0_95 = priceToTick(0.95, PRICE_OPTIONS); // 510
+const TICK_1_03 = priceToTick(1.03, PRICE_OPTIONS); // -300
+const TICK_0_90 = priceToTick(0.90, PRICE_OPTIONS); // 1050
 
-const FEE_AMOUNT = 500;
 const maxTickMovement = 100;
 const INITIAL_LIQ = 20;
 
-// A liquidity ratio of 8 will allocate roughly 80% to tight and 20% to wide at a balanced price ratio
-const LIQUIDITY_RATIO = 8;
+// The original configuration: a tight range taking 80% of deposits & a wide range taking 20%,
+// initialized with 8 times the liquidity in the tight range
+const WEIGHTS = [8000, 2000];
+const INITIAL_LIQUIDITY = [800, 100];
 
 const MAX_INT = '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff';
 
 const toInt = val => parseInt(val.toString());
 
-async function logRebalance(call) {
-  const tx = await call;
-  const { events } = await tx.wait();
-
-  const { interface } = await ethers.getContractFactory('UniswapV3Pool');
-
+async function logRebalance(metaPool, call) {
+  const events = await decodeTransaction(hre, metaPool, await call);
   for (const event of events) {
-    switch (event.event || event.topics[0]) {
-      case interface.getEventTopic('Collect'):
-        const collectLog = interface.decodeEventLog('Collect', event.data, event.topics);
-        console.log(`Collect [${collectLog.tickLower}:${collectLog.tickUpper}] Collected ${collectLog.amount0} token0 & ${collectLog.amount1} token1`);
-        break;
-
-      case interface.getEventTopic('Mint'):
-        const mintLog = interface.decodeEventLog('Mint', event.data, event.topics);
-        console.log(`Mint [${mintLog.tickLower}:${mintLog.tickUpper}] Added ${mintLog.amount0} token0 & ${mintLog.amount1} token1 for ${mintLog.amount} Liquidity`);
-        break;
-
-      case interface.getEventTopic('Swap'):
-        const swapLog = interface.decodeEventLog('Swap', event.data, event.topics);
-        if (parseInt(swapLog.amount0.toString()) < 0) {
-          console.log(`Swap ${swapLog.amount0 * -1} token0 for ${swapLog.amount1} token1`);
-        } else {
-          console.log(`Swap ${swapLog.amount1 * -1} token1 for ${swapLog.amount0} token0`);
-        }
-        break;
-      case 'Rebalanced':
-        const ratio = event.args.newTightLiquidity.toString() / event.args.newWideLiquidity.toString();
-        console.log(`Rebalanced: added ${event.args.newTightLiquidity.toString()} tight & `
-          + `${event.args.newWideLiquidity.toString()} wide`
-          + ` -- ${event.args.amount0Remainder.toString()} token0 & `
-          + `${event.args.amount1Remainder.toString()} token1 remaning (${ratio} ratio)`);
-        break;
-    }
+    console.log(formatEvent(event));
   }
 }
 
@@ -95,7 +51,6 @@ describe('MetaPools', function() {
   let uniswapPool;
   let token0;
   let token1;
-  let metaPoolFactory;
   let user0;
   let user1;
   let swapTest;
@@ -104,62 +59,36 @@ describe('MetaPools', function() {
   let positionIdWide;
   let jsPool;
 
-  before(async function() {
-    ([user0, user1] = await ethers.getSigners());
-    
-    const SwapTest = await ethers.getContractFactory('SwapTest');
-    swapTest = await SwapTest.deploy();
-  })
-
-  beforeEach(async function() {
-    const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
-    const _uniswapFactory = await UniswapV3Factory.deploy();
-    uniswapFactory = await ethers.getContractAt('IUniswapV3Factory', _uniswapFactory.address);
-
-    const MockERC20 = await ethers.getContractFactory('MockERC20');
-    token0 = await MockERC20.deploy();
-    token1 = await MockERC20.deploy();
-
-    await token0.approve(swapTest.address, ethers.utils.parseEther('10000000000000'));
-    await token1.approve(swapTest.address, ethers.utils.parseEther('10000000000000'));
-
-    // Sort token0 & token1 so it follows the same order as Uniswap & the MetaPoolFactory
-    if (ethers.BigNumber.from(token0.address).gt(ethers.BigNumber.from(token1.address))) {
-      const tmp = token0;
-      token0 = token1;
-      token1 = tmp;
-    }
-
-    await uniswapFactory.createPool(token0.address, token1.address, FEE_AMOUNT);
-    const uniswapPoolAddress = await uniswapFactory.getPool(token0.address, token1.address, FEE_AMOUNT);
-    uniswapPool = await ethers.getContractAt('IUniswapV3Pool', uniswapPoolAddress);
-    await uniswapPool.initialize(encodePriceSqrt('1', '1'));
-    await uniswapPool.increaseObservationCardinalityNext(30);
-
-    const MetaPool = await ethers.getContractFactory('MetaPool');
-    metaPool = await MetaPool.deploy(
-      uniswapPool.address,
-      TICK_1_01,
-      TICK_0_95,
-      TICK_1_03,
-      TICK_0_90,
-      maxTickMovement,
-      LIQUIDITY_RATIO
-    );
+  // Deploys run once per file: each group of tests loads the fixture of its scenario, which reverts the chain to it.
+  // The market matches the constants above
+  const loadMarket = createFixture(hre, () => deployMarket(hre, {
+    ranges: [
+      { range: [0.95, 1.01], weight: WEIGHTS[0], liquidity: INITIAL_LIQUIDITY[0] / 100 },
+      { range: [0.90, 1.03], weight: WEIGHTS[1], liquidity: INITIAL_LIQUIDITY[1] / 100 },
+    ],
+    maxTickMovement,
+    poolLiquidity: INITIAL_LIQ,
+  }));
+  // Positions straight after initialize(), which the tests measure deposits against
+  const loadInitialized = createFixture(hre, async () => {
+    const market = await loadMarket();
+    await market.metaPool.initialize();
+    return {
+      ...market,
+      initialTightPosition: await market.metaPool.tightPosition(),
+      initialWidePosition: await market.metaPool.widePosition(),
+      initialPosition: await market.metaPool.totalPosition(),
+    };
+  });
+
+  async function load(fixture) {
+    const market = await fixture();
+    ({ uniswapFactory, token0, token1, metaPool, swapTest, pool: uniswapPool, deployer: user0 } = market);
+    [user1] = market.users;
 
     positionIdTight = position(metaPool.address, TICK_1_01, TICK_0_95);
     positionIdWide = position(metaPool.address, TICK_1_03, TICK_0_90);
 
-    await token0.approve(metaPool.address, ethers.utils.parseEther('1000000'));
-    await token1.approve(metaPool.address, ethers.utils.parseEther('1000000'));
-
-    // Add a little bit of liquidity to the pool
-    const TestUniswapV3Callee = await ethers.getContractFactory('TestUniswapV3Callee');
-    const callee = await TestUniswapV3Callee.deploy();
-    await token0.approve(callee.address, ethers.utils.parseEther('1000000'));
-    await token1.approve(callee.address, ethers.utils.parseEther('1000000'));
-    await callee.mint(uniswapPool.address, await user1.getAddress(), -887220, 887220, INITIAL_LIQ);
-
     jsPool = new Pool(
       new Token(ChainId.MAINNET, token0.address, 18),
       new Token(ChainId.MAINNET, token1.address, 18),
@@ -168,10 +97,15 @@ describe('MetaPools', function() {
       '0',
       0,
     );
-  });
+    return market;
+  }
 
   describe('MetaPool', function() {
     describe('initialize', function() {
+      beforeEach(async function() {
+        await load(loadMarket);
+      });
+
       it('should initialize the pool', async function() {
         const tightPosition = new Position({
           pool: jsPool,
@@ -227,15 +161,15 @@ describe('MetaPools', function() {
       let initialWidePosition;
       let initialPosition;
 
-      beforeEach(async function() {
-        await metaPool.initialize();
-
-        initialTightPosition = await metaPool.tightPosition();
-        initialWidePosition = await metaPool.widePosition();
-        initialPosition = await metaPool.totalPosition();
-      });
+      async function loadWithInitialPositions(fixture) {
+        ({ initialTightPosition, initialWidePosition, initialPosition } = await load(fixture));
+      }
 
       describe('deposits', function() {
+        beforeEach(async function() {
+          await loadWithInitialPositions(loadInitialized);
+        });
+
         it('should deposit funds into a metapool', async function() {
           const mintAmount = 1000;
 
@@ -344,9 +278,13 @@ describe('MetaPools', function() {
       });
 
     describe('with the price outside of the pool ranges', function() {
+      // This should move the tick to -1907
+      const loadOutsideRanges = scenarioFixture(hre, {
+        steps: [{ type: 'swap', zeroForOne: true, amount: 2 }],
+      }, loadInitialized);
+
       beforeEach(async function() {
-        // This should move the tick to -1907
-        await swapTest.swap(uniswapPool.address, true, 2);
+        await loadWithInitialPositions(loadOutsideRanges);
 
         initialTightPosition = await metaPool.tightPosition();
         initialWidePosition = await metaPool.widePosition();
@@ -417,13 +355,13 @@ describe('MetaPools', function() {
     });
 
     describe('with liquidity depositted', function() {
-      beforeEach(async function() {
-        await metaPool.mint(100000, 1000000, 1000000);
-        await ethers.provider.send("evm_increaseTime", [6 * 60]);
-        await ethers.provider.send("evm_mine");
-      });
+      const loadDeposited = scenarioFixture(hre, SCENARIOS.deposited, loadInitialized);
 
       describe('withdrawal', function() {
+        beforeEach(async function() {
+          await loadWithInitialPositions(loadDeposited);
+        });
+
         it('should burn LP tokens and withdraw funds', async function() {
           const startingToken0 = toInt(await token0.balanceOf(uniswapPool.address)) - INITIAL_LIQ;
           const startingToken1 = toInt(await token1.balanceOf(uniswapPool.address)) - INITIAL_LIQ;
@@ -459,9 +397,31 @@ describe('MetaPools', function() {
         });
       });
 
+      describe('with tokens sent straight to the MetaPool', function() {
+        beforeEach(async function() {
+          await load(loadDeposited);
+        });
+
+        it('should size the mints after the balancing swap with the price it moved to', async function() {
+          // Sized at the price before the swap, the mints would need more token0 than the swap left
+          await token0.transfer(metaPool.address, 2000);
+          const { sqrtPriceX96: priceBefore } = await uniswapPool.slot0();
+
+          await metaPool.rebalance();
+          const { sqrtPriceX96: priceAfter } = await uniswapPool.slot0();
+          expect(priceAfter).to.be.lt(priceBefore);
+          expect(await token0.balanceOf(metaPool.address)).to.equal(0);
+          expect(toInt(await token1.balanceOf(metaPool.address))).to.be.lessThan(1000);
+        });
+      });
+
       describe('after a significant price movement', function() {
+        const loadPriceMoved = scenarioFixture(hre, {
+          steps: [{ type: 'swap', zeroForOne: false, amount: 5000 }],
+        }, loadDeposited);
+
         beforeEach(async function() {
-          await swapTest.swap(uniswapPool.address, false, 5000);
+          await loadWithInitialPositions(loadPriceMoved);
         });
 
         it('should fail to rebalance', async function() {
@@ -470,14 +430,10 @@ describe('MetaPools', function() {
       });
 
       describe('after lots of balanced trading', function() {
-        beforeEach(async function() {
-          await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
-
-          await ethers.provider.send("evm_increaseTime", [6 * 60]);
-          await ethers.provider.send("evm_mine");
+        const loadBalanced = scenarioFixture(hre, SCENARIOS.balancedTrading, loadInitialized);
 
-          const { tick, sqrtPriceX96 } = await uniswapPool.slot0();
-          console.log('balanced', { tick, sqrtPriceX96 });
+        beforeEach(async function() {
+          await loadWithInitialPositions(loadBalanced);
         });
 
           describe('withdrawal', function() {
@@ -523,7 +479,7 @@ describe('MetaPools', function() {
             const startingTightPositionAmounts = await metaPool.tightPosition();
             const startingWidePositionAmounts = await metaPool.widePosition();
 
-            await logRebalance(metaPool.rebalance());
+            await logRebalance(metaPool, metaPool.rebalance());
 
             // expect(toInt(await token0.balanceOf(uniswapPool.address)))
             //   .to.be.closeTo(Math.round(startingPositionAmounts.token0Amount * 1.02), 1);
@@ -547,11 +503,10 @@ describe('MetaPools', function() {
       });
 
       describe('after lots of unbalanced trading', function() {
-        beforeEach(async function() {
-          await swapTest.washTrade(uniswapPool.address, '25', 50, 3);
+        const loadUnbalanced = scenarioFixture(hre, SCENARIOS.unbalancedTrading, loadInitialized);
 
-          await ethers.provider.send("evm_increaseTime", [6 * 60]);
-          await ethers.provider.send("evm_mine");
+        beforeEach(async function() {
+          await loadWithInitialPositions(loadUnbalanced);
         });
 
         describe('withdrawal', function() {
@@ -601,7 +556,7 @@ describe('MetaPools', function() {
             const startingTightPositionAmounts = await metaPool.tightPosition();
             const startingWidePositionAmounts = await metaPool.widePosition();
 
-            await logRebalance(metaPool.rebalance());
+            await logRebalance(metaPool, metaPool.rebalance());
 
             expect(toInt(await token0.balanceOf(metaPool.address))).to.be.closeTo(0, 1);
             //TODO: this should be 0 once the test does true balanced trading
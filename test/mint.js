@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { mintWithAmounts, quoteMintWithAmounts } = require('../lib/mint');
+const { createFixture, deployMarket, runScenario } = require('../lib/scenarios');
+const { getSnapshot, simulateMintWithAmounts } = require('../lib/simulator');
+
+const FULL_RANGE_LIQ = 10000000;
+
+describe('mintWithAmounts', function() {
+  let user;
+  let token0;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let lens;
+
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre, { poolLiquidity: FULL_RANGE_LIQ, users: 1, userBalance: 1000000 });
+    await runScenario(hre, market, { deposits: [{ user: 0, lpTokens: 100000 }] });
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({ users: [user], token0, token1, pool: uniswapPool, swapTest, metaPool, lens } = await loadMarket());
+    metaPool = metaPool.connect(user);
+  });
+
+  async function expectMintToMatch(amount0Max, amount1Max) {
+    const snapshot = await getSnapshot(hre, metaPool);
+    const simulated = simulateMintWithAmounts(snapshot, amount0Max, amount1Max);
+    expect(simulated).to.include({ reverted: false });
+
+    const [newLPTokens, amount0, amount1] = await lens.previewMintWithAmounts(metaPool.address, amount0Max, amount1Max);
+    expect(newLPTokens).to.equal(simulated.newLPTokens);
+    expect(amount0).to.equal(simulated.amount0);
+    expect(amount1).to.equal(simulated.amount1);
+    expect(newLPTokens).to.be.gt(0);
+    expect(amount0).to.be.at.most(amount0Max);
+    expect(amount1).to.be.at.most(amount1Max);
+
+    const startingBalance0 = await token0.balanceOf(user.address);
+    const startingBalance1 = await token1.balanceOf(user.address);
+    await metaPool.mintWithAmounts(amount0Max, amount1Max, newLPTokens);
+
+    expect(await metaPool.balanceOf(user.address)).to.equal(newLPTokens);
+    expect(startingBalance0.sub(await token0.balanceOf(user.address))).to.equal(amount0);
+    expect(startingBalance1.sub(await token1.balanceOf(user.address))).to.equal(amount1);
+    return { newLPTokens, amount0, amount1 };
+  }
+
+  it('should mint as many LP tokens as the amounts cover while in range', async function() {
+    const { amount0, amount1 } = await expectMintToMatch(100000, 100000);
+
+    // The token that limits the mint is used up, less a few units of rounding
+    expect(amount0.gte(99990) || amount1.gte(99990)).to.equal(true);
+  });
+
+  it('should only need token0 when the price is below both ranges', async function() {
+    await swapTest.swap(uniswapPool.address, true, 300000);
+    const { tick } = await uniswapPool.slot0();
+    expect(tick).to.be.lessThan((await metaPool.ranges(1)).lowerTick);
+
+    const { amount1 } = await expectMintToMatch(50000, 0);
+    expect(amount1).to.equal(0);
+  });
+
+  it('should only need token1 when the price is above both ranges', async function() {
+    await swapTest.swap(uniswapPool.address, false, 1000000);
+    const { tick } = await uniswapPool.slot0();
+    expect(tick).to.be.at.least((await metaPool.ranges(1)).upperTick);
+
+    const { amount0 } = await expectMintToMatch(0, 50000);
+    expect(amount0).to.equal(0);
+  });
+
+  it('should revert below the minimum LP tokens', async function() {
+    const [newLPTokens] = await lens.previewMintWithAmounts(metaPool.address, 100000, 100000);
+    await expect(metaPool.mintWithAmounts(100000, 100000, newLPTokens.add(1))).to.be.revertedWith('Slippage');
+    await expect(metaPool.mintWithAmounts(100000, 0, 0)).to.be.revertedWith('Slippage');
+
+    expect(simulateMintWithAmounts(await getSnapshot(hre, metaPool), 100000, 100000, newLPTokens.add(1)))
+      .to.deep.equal({ reverted: true, reason: 'Slippage' });
+  });
+
+  it('should mint exactly the amounts previewMint() quotes', async function() {
+    const [amount0, amount1] = await lens.previewMint(metaPool.address, 12345);
+    await metaPool.mint(12345, amount0, amount1);
+    expect(await metaPool.balanceOf(user.address)).to.equal(12345);
+  });
+
+  it('should quote and mint with the JS helpers', async function() {
+    const quote = await quoteMintWithAmounts(hre, metaPool, 100000, 80000, { slippage: 0.01 });
+    expect(quote.minLPTokens).to.equal(quote.newLPTokens.mul(99).div(100));
+
+    const result = await mintWithAmounts(hre, metaPool, 100000, 80000);
+    expect(result.newLPTokens).to.equal(quote.newLPTokens);
+    expect(await metaPool.balanceOf(user.address)).to.equal(quote.newLPTokens);
+
+    let error;
+    try {
+      await quoteMintWithAmounts(hre, metaPool, 0, 0);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain('would revert with "Slippage"');
+  });
+});
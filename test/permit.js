@@ -0,0 +1,175 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { permitAndBurn, permitAndMint, signPermit } = require('../lib/permit');
+const { createFixture, deployMarket, scenarioFixture } = require('../lib/scenarios');
+
+// ethers can't pick an overload by name
+const MULTICALL = 'multicall(uint256,bytes[])';
+
+async function getError(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+async function latestTimestamp() {
+  return (await ethers.provider.getBlock('latest')).timestamp;
+}
+
+describe('Multicall & permits', function() {
+  const loadMarket = createFixture(hre, () => deployMarket(hre));
+  const loadDeposited = scenarioFixture(hre, 'deposited', loadMarket);
+
+  // An account holding tokens, but which hasn't approved the MetaPool
+  async function getDepositor(market) {
+    const depositor = (await ethers.getSigners())[market.signers.length];
+    for (const token of [market.token0, market.token1]) {
+      await token.transfer(depositor.address, market.config.userBalance);
+    }
+    return depositor;
+  }
+
+  it('should permit & mint in one transaction', async function() {
+    const market = await loadDeposited();
+    const { metaPool, token0, token1 } = market;
+    const depositor = await getDepositor(market);
+    const nonce = await ethers.provider.getTransactionCount(depositor.address);
+
+    const { quote, receipt, newLPTokens } = await permitAndMint(hre, metaPool.connect(depositor), 10000);
+    expect(newLPTokens).to.equal(10000);
+    expect(await metaPool.balanceOf(depositor.address)).to.equal(10000);
+    expect(await ethers.provider.getTransactionCount(depositor.address)).to.equal(nonce + 1);
+    expect(receipt.from).to.equal(depositor.address);
+
+    // The permits approved the bounds, and the mint took the quoted amounts from them
+    expect(await token0.nonces(depositor.address)).to.equal(1);
+    expect(await token1.nonces(depositor.address)).to.equal(1);
+    expect(await token0.allowance(depositor.address, metaPool.address)).to.equal(quote.amount0Max.sub(quote.amount0));
+    expect(await token1.allowance(depositor.address, metaPool.address)).to.equal(quote.amount1Max.sub(quote.amount1));
+
+    // With enough left approved, no permits are signed
+    const second = await permitAndMint(hre, metaPool.connect(depositor), 10, { slippage: 0 });
+    expect(second.calls).to.deep.equal([
+      metaPool.interface.encodeFunctionData('mint', [10, second.quote.amount0Max, second.quote.amount1Max]),
+    ]);
+    expect(await token0.nonces(depositor.address)).to.equal(1);
+  });
+
+  it('should skip permits that were already submitted', async function() {
+    const market = await loadDeposited();
+    const { metaPool, lens, token0, token1 } = market;
+    const depositor = await getDepositor(market);
+    const deadline = (await latestTimestamp()) + 600;
+    const [amount0, amount1] = await lens.previewMint(metaPool.address, 10000);
+
+    const permits = [];
+    for (const [token, amount] of [[token0, amount0], [token1, amount1]]) {
+      permits.push(await signPermit(hre, token, depositor, metaPool.address, amount, deadline));
+    }
+    const calls = [
+      ...[token0, token1].map((token, i) => {
+        const { value, v, r, s } = permits[i];
+        return metaPool.interface.encodeFunctionData('selfPermit', [token.address, value, deadline, v, r, s]);
+      }),
+      metaPool.interface.encodeFunctionData('mint', [10000, amount0, amount1]),
+    ];
+
+    // Someone else submits a permit first, using up its nonce
+    const { owner, spender, value, v, r, s } = permits[0];
+    await token0.permit(owner, spender, value, deadline, v, r, s);
+
+    await metaPool.connect(depositor)[MULTICALL](deadline, calls);
+    expect(await metaPool.balanceOf(depositor.address)).to.equal(10000);
+  });
+
+  it('should permit & burn to a recipient through a relayer', async function() {
+    const market = await loadDeposited();
+    const { metaPool, token0, token1 } = market;
+    const [deployer, relayer, recipient] = market.signers;
+    const [before0, before1] = [await token0.balanceOf(recipient.address), await token1.balanceOf(recipient.address)];
+
+    const { quote, amount0, amount1 } = await permitAndBurn(
+      hre, metaPool.connect(relayer), deployer, 50000, recipient.address, { slippage: 0.01 });
+    expect(amount0).to.equal(quote.amount0);
+    expect(amount1).to.equal(quote.amount1);
+    expect(quote.amount0Min).to.equal(quote.amount0.mul(99).div(100));
+    expect(await token0.balanceOf(recipient.address)).to.equal(before0.add(amount0));
+    expect(await token1.balanceOf(recipient.address)).to.equal(before1.add(amount1));
+
+    expect(await metaPool.balanceOf(deployer.address)).to.equal(50000);
+    expect(await metaPool.balanceOf(relayer.address)).to.equal(0);
+    expect(await metaPool.allowance(deployer.address, relayer.address)).to.equal(0);
+    expect(await metaPool.nonces(deployer.address)).to.equal(1);
+  });
+
+  it('should revert after the deadline', async function() {
+    const market = await loadDeposited();
+    const { metaPool } = market;
+    const depositor = await getDepositor(market);
+    const expired = (await latestTimestamp()) - 1;
+
+    expect((await getError(permitAndMint(hre, metaPool.connect(depositor), 10000, { deadline: expired }))).message)
+      .to.contain('Deadline');
+
+    // An expired permit reverts the batch, even if the batch's own deadline hasn't passed
+    const deadline = (await latestTimestamp()) + 600;
+    const { value, v, r, s } = await signPermit(hre, market.token0, depositor, metaPool.address, 1000, expired);
+    const calls = [
+      metaPool.interface.encodeFunctionData('selfPermit', [market.token0.address, value, expired, v, r, s]),
+    ];
+    expect((await getError(metaPool.connect(depositor)[MULTICALL](deadline, calls))).message).to.contain('EXPIRED');
+  });
+
+  it('should revert every call with the reason of the one that failed', async function() {
+    const market = await loadDeposited();
+    const { metaPool, lens, token0 } = market;
+    const depositor = await getDepositor(market);
+    const deadline = (await latestTimestamp()) + 600;
+    const [amount0, amount1] = await lens.previewMint(metaPool.address, 10000);
+
+    const { value, v, r, s } = await signPermit(hre, token0, depositor, metaPool.address, amount0, deadline);
+    const calls = [
+      metaPool.interface.encodeFunctionData('selfPermit', [token0.address, value, deadline, v, r, s]),
+      metaPool.interface.encodeFunctionData('mint', [10000, amount0, amount1.sub(1)]),
+    ];
+    await market.token1.connect(depositor).approve(metaPool.address, amount1);
+
+    expect((await getError(metaPool.connect(depositor)[MULTICALL](deadline, calls))).message).to.contain('Slippage');
+    expect(await token0.allowance(depositor.address, metaPool.address)).to.equal(0);
+    expect(await token0.nonces(depositor.address)).to.equal(0);
+  });
+
+  it('should only self permit token0 & token1', async function() {
+    const market = await loadDeposited();
+    const { metaPool } = market;
+    const [deployer, user] = market.signers;
+    const deadline = (await latestTimestamp()) + 600;
+    const { value, v, r, s } = await signPermit(hre, metaPool, deployer, metaPool.address, 1000, deadline);
+
+    const error = await getError(metaPool.selfPermit(metaPool.address, value, deadline, v, r, s));
+    expect(error.message).to.contain('Token');
+
+    // Calls keep the caller as msg.sender, so they can't use another account's permissions
+    const calls = [metaPool.interface.encodeFunctionData('rebalance')];
+    await expect(metaPool.connect(user)[MULTICALL](deadline, calls)).to.be.reverted;
+    await metaPool[MULTICALL](deadline, calls);
+  });
+
+  it('should return the result of each call', async function() {
+    const market = await loadDeposited();
+    const { metaPool } = market;
+    const calls = [
+      metaPool.interface.encodeFunctionData('numRanges'),
+      metaPool.interface.encodeFunctionData('totalSupply'),
+    ];
+
+    const [numRanges, totalSupply] = await metaPool.callStatic['multicall(bytes[])'](calls);
+    expect(metaPool.interface.decodeFunctionResult('numRanges', numRanges)[0]).to.equal(await metaPool.numRanges());
+    expect(metaPool.interface.decodeFunctionResult('totalSupply', totalSupply)[0]).to.equal(await metaPool.totalSupply());
+    expect(await metaPool.callStatic[MULTICALL]((await latestTimestamp()) + 600, calls)).to.deep.equal([numRanges, totalSupply]);
+  });
+});
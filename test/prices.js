@@ -0,0 +1,106 @@
+const { expect } = require('chai');
+const {
+  encodePriceSqrt,
+  liquidityToWeights,
+  pairOptions,
+  priceRangeToTicks,
+  priceToSqrtPriceX96,
+  priceToTick,
+  sqrtPriceX96ToPrice,
+  tickRangeToPrices,
+  tickToPrice,
+} = require('../lib/prices');
+
+const LOW_ADDRESS = '0x1000000000000000000000000000000000000000';
+const HIGH_ADDRESS = '0x2000000000000000000000000000000000000000';
+
+describe('prices', function() {
+  describe('priceToTick', function() {
+    it('should round to the nearest usable tick', function() {
+      expect(priceToTick(1, { fee: 500 })).to.equal(0);
+      expect(priceToTick(1.0523, { fee: 500 })).to.equal(510);
+      expect(priceToTick(1.0523, { fee: 3000 })).to.equal(480);
+      expect(priceToTick(1.0523, { tickSpacing: 1 })).to.equal(510);
+      expect(priceToTick(0.99, { fee: 500 })).to.equal(-100);
+    });
+
+    it('should match the wstETH/ETH ranges when quoting token0 per token1', function() {
+      const options = { fee: 500, invert: true };
+      expect(priceRangeToTicks([0.95, 1.01], options)).to.deep.equal([-100, 510]);
+      expect(priceRangeToTicks([0.90, 1.03], options)).to.deep.equal([-300, 1050]);
+    });
+
+    it('should account for token decimals', function() {
+      // 2000 USDC (6 decimals) per WETH (18 decimals)
+      const tick = priceToTick(2000, { fee: 3000, decimals0: 18, decimals1: 6 });
+      expect(tick).to.equal(-200340);
+      expect(tickToPrice(tick, { decimals0: 18, decimals1: 6 })).to.be.closeTo(2000, 10);
+    });
+
+    it('should clamp to the usable tick range', function() {
+      expect(priceToTick(1e-60, { fee: 500 })).to.equal(-887270);
+      expect(priceToTick(1e60, { fee: 500 })).to.equal(887270);
+    });
+
+    it('should reject invalid prices and unknown fee tiers', function() {
+      expect(() => priceToTick(0, { fee: 500 })).to.throw('Invalid price');
+      expect(() => priceToTick(1, { fee: 123 })).to.throw('Unknown fee tier');
+      expect(() => priceRangeToTicks([1, 1.0001], { fee: 500 })).to.throw('narrower');
+    });
+  });
+
+  describe('tickToPrice', function() {
+    it('should invert priceToTick', function() {
+      expect(tickToPrice(510, { invert: true })).to.be.closeTo(0.95, 0.001);
+      expect(tickRangeToPrices([-300, 1050], { invert: true }))
+        .to.satisfy(([low, high]) => Math.abs(low - 0.90) < 0.001 && Math.abs(high - 1.03) < 0.001);
+    });
+  });
+
+  describe('liquidityToWeights', function() {
+    it('should weight ranges by the value of their target liquidity', function() {
+      // The wstETH/ETH ranges with 8 times the liquidity in the tight range, close to the original 80/20 split
+      expect(liquidityToWeights([[-100, 510], [-300, 1050]], [8, 1], 0)).to.deep.equal([7852, 2148]);
+      // Wider ranges need more of each deposit for the same liquidity
+      expect(liquidityToWeights([[-100, 100], [-300, 300], [-1000, 1000]], [6, 2, 1], 0))
+        .to.deep.equal([2758, 2745, 4497]);
+      expect(liquidityToWeights([[-100, 100]], [5], 0)).to.deep.equal([10000]);
+    });
+
+    it('should value out of range liquidity in a single token', function() {
+      expect(liquidityToWeights([[-100, 510], [-300, 1050]], [8, 1], 600)).to.deep.equal([7832, 2168]);
+      expect(liquidityToWeights([[-100, 100], [200, 300]], [1, 0], 0)).to.deep.equal([10000, 0]);
+    });
+
+    it('should reject mismatched or empty targets', function() {
+      expect(() => liquidityToWeights([[-100, 100]], [1, 2], 0)).to.throw('target liquidity for each range');
+      expect(() => liquidityToWeights([[-100, 100]], [0], 0)).to.throw('Invalid target liquidity');
+    });
+  });
+
+  describe('sqrtPriceX96', function() {
+    it('should encode prices', function() {
+      expect(encodePriceSqrt('1', '1')).to.equal('79228162514264337593543950336');
+      expect(priceToSqrtPriceX96(1)).to.equal(encodePriceSqrt('1', '1'));
+      expect(priceToSqrtPriceX96(4, { invert: true })).to.equal(encodePriceSqrt('1', '4'));
+    });
+
+    it('should decode prices', function() {
+      expect(sqrtPriceX96ToPrice(encodePriceSqrt('121', '100'))).to.be.closeTo(1.21, 1e-12);
+      expect(sqrtPriceX96ToPrice(encodePriceSqrt('121', '100'), { invert: true })).to.be.closeTo(1 / 1.21, 1e-12);
+    });
+  });
+
+  describe('pairOptions', function() {
+    it('should handle token ordering and decimals', function() {
+      const weth = { address: HIGH_ADDRESS, decimals: 18 };
+      const usdc = { address: LOW_ADDRESS, decimals: 6 };
+
+      expect(pairOptions(weth, usdc)).to.deep.equal({ decimals0: 6, decimals1: 18, invert: true });
+      expect(pairOptions(usdc, weth)).to.deep.equal({ decimals0: 6, decimals1: 18, invert: false });
+
+      // USDC sorts first, so 2000 USDC per WETH is a positive tick once inverted
+      expect(priceToTick(2000, { fee: 3000, ...pairOptions(weth, usdc) })).to.equal(200340);
+    });
+  });
+});
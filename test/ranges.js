@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const hre = require('hardhat');
+
+const { applyChange } = require('../lib/governance');
+const { proposeRanges } = require('../lib/ranges');
+const { createFixture, deployMarket, increaseTime, runScenario } = require('../lib/scenarios');
+const { getSnapshot } = require('../lib/simulator');
+
+// Other LPs' liquidity, for the swaps that balance deposits
+const FULL_RANGE_LIQ = 10000000;
+
+describe('moveRanges', function() {
+  let user;
+  let token0;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let lens;
+  let manifest;
+
+  // No users are funded, so the user's token balances are what it burned
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre, { poolLiquidity: FULL_RANGE_LIQ, users: 0 });
+    await runScenario(hre, market, {
+      deposits: [{ user: 0, lpTokens: 1000000 }],
+      steps: [{ type: 'increaseTime', seconds: 6 * 60 }],
+    });
+    await market.metaPool.transfer((await ethers.getSigners())[1].address, 500000);
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({ token0, token1, pool: uniswapPool, swapTest, metaPool, lens, manifest } = await loadMarket());
+    [, user] = await ethers.getSigners();
+  });
+
+  async function moveRangesMatchingProposal(proposal) {
+    expect(proposal.simulation).to.include({ reverted: false });
+    const lowerTicks = proposal.proposed.map(range => range.lowerTick);
+    const upperTicks = proposal.proposed.map(range => range.upperTick);
+    const tx = await metaPool.moveRanges(lowerTicks, upperTicks);
+    const { events } = await tx.wait();
+
+    const moved = events.find(event => event.event === 'RangesMoved');
+    expect(moved.args.oldLowerTicks).to.deep.equal(proposal.current.map(range => range.lowerTick));
+    expect(moved.args.oldUpperTicks).to.deep.equal(proposal.current.map(range => range.upperTick));
+    expect(moved.args.newLowerTicks).to.deep.equal(lowerTicks);
+    expect(moved.args.newUpperTicks).to.deep.equal(upperTicks);
+
+    const rebalanced = events.find(event => event.event === 'Rebalanced');
+    proposal.simulation.newLiquidity.forEach((liquidity, i) => expect(rebalanced.args.newLiquidity[i]).to.equal(liquidity));
+    expect(rebalanced.args.amount0Remainder).to.equal(proposal.simulation.amount0Remainder);
+    expect(rebalanced.args.amount1Remainder).to.equal(proposal.simulation.amount1Remainder);
+
+    expect(await metaPool.getTicks()).to.deep.equal([lowerTicks, upperTicks]);
+
+    // All the liquidity is in the new positions
+    const snapshot = await getSnapshot(hre, metaPool);
+    snapshot.positions.forEach((position, i) => {
+      expect(position.liquidity.toString()).to.equal(proposal.simulation.newLiquidity[i].toString());
+    });
+    for (const { lowerTick: tickLower, upperTick: tickUpper } of proposal.current) {
+      const key = ethers.utils.solidityKeccak256(['address', 'int24', 'int24'], [metaPool.address, tickLower, tickUpper]);
+      expect((await uniswapPool.positions(key))._liquidity).to.equal(0);
+    }
+    return events;
+  }
+
+  // Value of the positions & idle balances at the 1:1 starting price
+  async function getValue() {
+    const { token0Amount, token1Amount } = await metaPool.totalPosition();
+    return token0Amount.add(token1Amount)
+      .add(await token0.balanceOf(metaPool.address))
+      .add(await token1.balanceOf(metaPool.address));
+  }
+
+  async function expectHoldersCanWithdraw() {
+    const [amount0, amount1] = await lens.previewBurn(metaPool.address, 100000);
+    await metaPool.connect(user).burn(100000, amount0, amount1, user.address);
+    expect(await token0.balanceOf(user.address)).to.equal(amount0);
+    expect(await token1.balanceOf(user.address)).to.equal(amount1);
+  }
+
+  it('should move the ranges while in range', async function() {
+    const valueBefore = await getValue();
+    const proposal = await proposeRanges(hre, metaPool, { ranges: [[0.97, 1.02], [0.9, 1.1]] });
+    expect(proposal.proposed).to.deep.equal([
+      { lowerTick: -300, upperTick: 200 },
+      { lowerTick: -1050, upperTick: 950 },
+    ]);
+
+    await moveRangesMatchingProposal(proposal);
+
+    // The MetaPool's value is kept, less rounding and the fee & price impact of the balancing swap
+    const valueAfter = await getValue();
+    expect(valueAfter).to.be.at.most(valueBefore);
+    expect(valueAfter).to.be.at.least(valueBefore.mul(995).div(1000));
+
+    await expectHoldersCanWithdraw();
+    await metaPool.mint(1000, 100000, 100000);
+  });
+
+  it('should move the ranges when the price is out of range', async function() {
+    await swapTest.swap(uniswapPool.address, true, 1000000);
+    await increaseTime(ethers, 6 * 60);
+    expect((await uniswapPool.slot0()).tick).to.be.lessThan((await metaPool.ranges(1)).lowerTick);
+
+    // The positions only hold token0, so deposit() swaps half into token1 for the new ranges
+    const proposal = await proposeRanges(hre, metaPool);
+    const [tight, wide] = proposal.proposed;
+    const shift = tight.lowerTick - proposal.current[0].lowerTick;
+    expect(shift).to.be.lessThan(0);
+    expect(wide.upperTick).to.equal(proposal.current[1].upperTick + shift);
+    expect(proposal.tick).to.be.within(tight.lowerTick, tight.upperTick);
+    expect(proposal.simulation.swap).to.not.equal(null);
+
+    await moveRangesMatchingProposal(proposal);
+    await expectHoldersCanWithdraw();
+  });
+
+  it('should take the protocol fee from fees pending in the old positions', async function() {
+    const treasury = ethers.Wallet.createRandom().address;
+    await applyChange(hre, metaPool, 'setTreasury', [treasury, false]);
+    await applyChange(hre, metaPool, 'setFees', [1000, 0]);
+    await swapTest.washTrade(uniswapPool.address, '100000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    const proposal = await proposeRanges(hre, metaPool, { ranges: [[0.96, 1.02], [0.9, 1.05]] });
+    const fees0 = proposal.simulation.collected[0].amount0.add(proposal.simulation.collected[1].amount0);
+    const fees1 = proposal.simulation.collected[0].amount1.add(proposal.simulation.collected[1].amount1);
+    expect(fees0).to.be.gt(0);
+    expect(fees1).to.be.gt(0);
+
+    const events = await moveRangesMatchingProposal(proposal);
+    const taken = events.find(event => event.event === 'PerformanceFeeTaken');
+    expect(taken.args.amount0).to.equal(fees0.div(10));
+    expect(taken.args.amount1).to.equal(fees1.div(10));
+    expect(await token0.balanceOf(treasury)).to.equal(fees0.div(10));
+    expect(await token1.balanceOf(treasury)).to.equal(fees1.div(10));
+
+    // Nothing is left to collect from the old positions
+    for (const { lowerTick: tickLower, upperTick: tickUpper } of proposal.current) {
+      const key = ethers.utils.solidityKeccak256(['address', 'int24', 'int24'], [metaPool.address, tickLower, tickUpper]);
+      const position = await uniswapPool.positions(key);
+      expect(position.tokensOwed0).to.equal(0);
+      expect(position.tokensOwed1).to.equal(0);
+    }
+  });
+
+  it('should only let the strategist move valid ranges near the TWAP', async function() {
+    await expect(metaPool.connect(user).moveRanges([-200, -1000], [200, 1000])).to.be.reverted;
+    await metaPool.pause();
+    await expect(metaPool.moveRanges([-200, -1000], [200, 1000])).to.be.reverted;
+    await metaPool.unpause();
+
+    await expect(metaPool.moveRanges([200, -1000], [200, 1000])).to.be.revertedWith('Ticks');
+    await expect(metaPool.moveRanges([-200, 1000], [200, -1000])).to.be.revertedWith('Ticks');
+    await expect(metaPool.moveRanges([-200], [200])).to.be.revertedWith('Ranges');
+    await expect(metaPool.moveRanges([-200, -200], [200, 200])).to.be.revertedWith('Ranges');
+
+    await swapTest.swap(uniswapPool.address, true, 2000000);
+    await expect(metaPool.moveRanges([-200, -1000], [200, 1000])).to.be.revertedWith('Slippage');
+  });
+
+  it('should move the ranges & update the manifest with the task', async function() {
+    const proposal = await hre.run('metapool:move-ranges', { manifest, dryRun: true });
+    expect((await metaPool.ranges(0)).lowerTick).to.equal(proposal.current[0].lowerTick);
+
+    const result = await hre.run('metapool:move-ranges', { manifest, ranges: '0.98,1.02;0.9,1.1' });
+    expect((await metaPool.ranges(0)).lowerTick).to.equal(result.proposed[0].lowerTick);
+    const deployment = JSON.parse(fs.readFileSync(manifest, 'utf8')).MetaPool;
+    expect(deployment.ranges[0]).to.include({ ...result.proposed[0], weight: 8000 });
+    expect(deployment.ranges[1]).to.include(result.proposed[1]);
+  });
+});
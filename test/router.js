@@ -0,0 +1,223 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { deployMetaPool } = require('../lib/deploy');
+const { encodePriceSqrt } = require('../lib/prices');
+const { tempPath } = require('../lib/scenarios');
+
+const FEE_AMOUNT = 500;
+const ONE = ethers.utils.parseEther('1');
+
+async function gasCost(tx) {
+  const receipt = await tx.wait();
+  return receipt.gasUsed.mul(receipt.effectiveGasPrice);
+}
+
+describe('MetaPoolRouter', function() {
+  let user;
+  let weth;
+  let stETH;
+  let wstETH;
+  let uniswapFactory;
+  let metaPool;
+  let lens;
+  let router;
+
+  beforeEach(async function() {
+    const [deployer, _user] = await ethers.getSigners();
+    user = _user;
+
+    const MockWETH9 = await ethers.getContractFactory('MockWETH9');
+    weth = await MockWETH9.deploy();
+    const MockStETH = await ethers.getContractFactory('MockStETH');
+    stETH = await MockStETH.deploy();
+    const MockWstETH = await ethers.getContractFactory('MockWstETH');
+    wstETH = await MockWstETH.deploy(stETH.address);
+
+    await weth.deposit({ value: ONE.mul(10) });
+    await stETH.submit(deployer.address, { value: ONE.mul(10) });
+    await stETH.approve(wstETH.address, ONE.mul(10));
+    await wstETH.wrap(ONE.mul(10));
+    await stETH.connect(user).submit(user.address, { value: ONE.mul(10) });
+
+    const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+    uniswapFactory = await UniswapV3Factory.deploy();
+    await uniswapFactory.createPool(weth.address, wstETH.address, FEE_AMOUNT);
+    const uniswapPool = await ethers.getContractAt(
+      'IUniswapV3Pool',
+      await uniswapFactory.getPool(weth.address, wstETH.address, FEE_AMOUNT),
+    );
+    await uniswapPool.initialize(encodePriceSqrt('1', '1'));
+
+    const manifest = tempPath('manifest.json');
+    ({ metaPool } = await deployMetaPool(hre, {
+      pool: uniswapPool.address,
+      invertPrices: true,
+      tightRange: [0.95, 1.01],
+      wideRange: [0.90, 1.03],
+      maxTickMovement: 100,
+      liquidityRatio: 8,
+    }, { manifest }));
+    const MetaPoolLens = await ethers.getContractFactory('MetaPoolLens');
+    lens = await MetaPoolLens.deploy();
+
+    await weth.approve(metaPool.address, ONE.mul(10));
+    await wstETH.approve(metaPool.address, ONE.mul(10));
+    await metaPool.mint(ONE, ONE.mul(5), ONE.mul(5));
+
+    const MetaPoolRouter = await ethers.getContractFactory('MetaPoolRouter');
+    router = (await MetaPoolRouter.deploy(weth.address, wstETH.address)).connect(user);
+  });
+
+  async function expectRouterToBeEmpty() {
+    expect(await ethers.provider.getBalance(router.address)).to.equal(0);
+    expect(await weth.balanceOf(router.address)).to.equal(0);
+    expect(await wstETH.balanceOf(router.address)).to.equal(0);
+    // stETH balances round down, which can strand a share when wrapping
+    expect(await stETH.sharesOf(router.address)).to.be.at.most(1);
+    expect(await metaPool.balanceOf(router.address)).to.equal(0);
+    expect(await weth.allowance(router.address, metaPool.address)).to.equal(0);
+    expect(await wstETH.allowance(router.address, metaPool.address)).to.equal(0);
+  }
+
+  async function wethAndWstETHAmounts(amounts) {
+    return (await metaPool.token0()) === weth.address ? amounts : [amounts[1], amounts[0]];
+  }
+
+  it('should mint with ETH & stETH, refunding what isn\'t deposited', async function() {
+    const newLPTokens = ONE.div(10);
+    const [wethNeeded, wstETHNeeded] = await wethAndWstETHAmounts(await lens.previewMint(metaPool.address, newLPTokens));
+    const ethIn = wethNeeded.mul(2);
+    const stETHIn = (await wstETH.getStETHByWstETH(wstETHNeeded)).mul(2);
+
+    await stETH.connect(user).approve(router.address, stETHIn);
+    const startingETH = await ethers.provider.getBalance(user.address);
+    const startingStETH = await stETH.balanceOf(user.address);
+
+    const { ethRefund, stETHRefund } = await router.callStatic.mint(
+      metaPool.address, newLPTokens, stETHIn, user.address, { value: ethIn },
+    );
+    const tx = await router.mint(metaPool.address, newLPTokens, stETHIn, user.address, { value: ethIn });
+    const gas = await gasCost(tx);
+
+    expect(await metaPool.balanceOf(user.address)).to.equal(newLPTokens);
+    expect(ethRefund).to.be.closeTo(ethIn.sub(wethNeeded), 2);
+    expect(stETHRefund).to.be.closeTo(stETHIn.div(2), 4);
+    expect(startingETH.sub(await ethers.provider.getBalance(user.address))).to.equal(ethIn.sub(ethRefund).add(gas));
+    expect(startingStETH.sub(await stETH.balanceOf(user.address))).to.be.closeTo(stETHIn.sub(stETHRefund), 2);
+    await expectRouterToBeEmpty();
+  });
+
+  it('should mint with only ETH when the MetaPool holds only WETH', async function() {
+    // Buy wstETH until the price is past both ranges, leaving the positions all WETH
+    const [deployer] = await ethers.getSigners();
+    const SwapTest = await ethers.getContractFactory('SwapTest');
+    const swapTest = await SwapTest.deploy();
+    await wstETH.approve(swapTest.address, ONE.mul(10));
+    await weth.approve(swapTest.address, ONE.mul(10));
+    const pool = await ethers.getContractAt('IUniswapV3Pool', await metaPool.pool());
+    const wethIsToken0 = (await metaPool.token0()) === weth.address;
+    await swapTest.connect(deployer).swap(pool.address, wethIsToken0, ONE.mul(8));
+
+    const newLPTokens = ONE.div(10);
+    const [, wstETHNeeded] = await wethAndWstETHAmounts(await lens.previewMint(metaPool.address, newLPTokens));
+    expect(wstETHNeeded).to.equal(0);
+
+    await router.mint(metaPool.address, newLPTokens, 0, user.address, { value: ONE.mul(2) });
+    expect(await metaPool.balanceOf(user.address)).to.equal(newLPTokens);
+    await expectRouterToBeEmpty();
+  });
+
+  it('should burn to ETH & stETH', async function() {
+    await metaPool.transfer(user.address, ONE.div(10));
+    const [wethOut, wstETHOut] = await wethAndWstETHAmounts(await lens.previewBurn(metaPool.address, ONE.div(10)));
+    await metaPool.connect(user).approve(router.address, ONE.div(10));
+    const startingETH = await ethers.provider.getBalance(user.address);
+    const startingStETH = await stETH.balanceOf(user.address);
+    const tx = await router.burn(metaPool.address, ONE.div(10), 0, 0, true, true, user.address);
+    const gas = await gasCost(tx);
+
+    expect(await metaPool.balanceOf(user.address)).to.equal(0);
+    expect((await ethers.provider.getBalance(user.address)).sub(startingETH).add(gas)).to.equal(wethOut);
+    expect((await stETH.balanceOf(user.address)).sub(startingStETH))
+      .to.be.closeTo(await wstETH.getStETHByWstETH(wstETHOut), 2);
+    expect(await weth.balanceOf(user.address)).to.equal(0);
+    expect(await wstETH.balanceOf(user.address)).to.equal(0);
+    await expectRouterToBeEmpty();
+  });
+
+  it('should burn to WETH & wstETH without unwrapping', async function() {
+    await metaPool.transfer(user.address, ONE.div(10));
+    const [wethOut, wstETHOut] = await wethAndWstETHAmounts(await lens.previewBurn(metaPool.address, ONE.div(10)));
+
+    await metaPool.connect(user).approve(router.address, ONE.div(10));
+    await router.burn(metaPool.address, ONE.div(10), 0, 0, false, false, user.address);
+
+    expect(await weth.balanceOf(user.address)).to.equal(wethOut);
+    expect(await wstETH.balanceOf(user.address)).to.equal(wstETHOut);
+    await expectRouterToBeEmpty();
+  });
+
+  it('should revert when burning less than the minimums', async function() {
+    await metaPool.transfer(user.address, ONE.div(10));
+    const [amount0, amount1] = await lens.previewBurn(metaPool.address, ONE.div(10));
+
+    await metaPool.connect(user).approve(router.address, ONE.div(10));
+    await expect(router.burn(metaPool.address, ONE.div(10), amount0.add(1), amount1, true, true, user.address))
+      .to.be.reverted;
+    await router.burn(metaPool.address, ONE.div(10), amount0, amount1, true, true, user.address);
+  });
+
+  it('should account for stETH rebasing', async function() {
+    // 10% staking rewards
+    await stETH.setTotalPooledEther((await stETH.totalPooledEther()).mul(11).div(10));
+    const newLPTokens = ONE.div(10);
+    const [wethNeeded, wstETHNeeded] = await wethAndWstETHAmounts(await lens.previewMint(metaPool.address, newLPTokens));
+
+    // Each wstETH is now worth more stETH
+    const stETHNeeded = await wstETH.getStETHByWstETH(wstETHNeeded);
+    expect(stETHNeeded).to.be.closeTo(wstETHNeeded.mul(11).div(10), 1);
+
+    const stETHIn = stETHNeeded.add(10);
+    await stETH.connect(user).approve(router.address, stETHIn);
+    await router.mint(metaPool.address, newLPTokens, stETHIn, user.address, { value: wethNeeded.add(10) });
+    expect(await metaPool.balanceOf(user.address)).to.equal(newLPTokens);
+    await expectRouterToBeEmpty();
+
+    // Withdrawals unwrap into the rebased amount of stETH
+    const startingStETH = await stETH.balanceOf(user.address);
+    const [, wstETHOut] = await wethAndWstETHAmounts(await lens.previewBurn(metaPool.address, newLPTokens));
+    await metaPool.connect(user).approve(router.address, newLPTokens);
+    await router.burn(metaPool.address, newLPTokens, 0, 0, true, true, user.address);
+    expect((await stETH.balanceOf(user.address)).sub(startingStETH))
+      .to.be.closeTo(wstETHOut.mul(11).div(10), 2);
+  });
+
+  it('should only route MetaPools of WETH & wstETH', async function() {
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const token = await MockERC20.deploy();
+    await uniswapFactory.createPool(weth.address, token.address, FEE_AMOUNT);
+    const uniswapPool = await ethers.getContractAt(
+      'IUniswapV3Pool',
+      await uniswapFactory.getPool(weth.address, token.address, FEE_AMOUNT),
+    );
+    await uniswapPool.initialize(encodePriceSqrt('1', '1'));
+
+    const manifest = tempPath('manifest.json');
+    const { metaPool: otherMetaPool } = await deployMetaPool(hre, {
+      pool: uniswapPool.address,
+      invertPrices: true,
+      tightRange: [0.95, 1.01],
+      wideRange: [0.90, 1.03],
+      maxTickMovement: 100,
+      liquidityRatio: 8,
+    }, { manifest });
+
+    await expect(router.mint(otherMetaPool.address, 1000, 0, user.address, { value: ONE }))
+      .to.be.revertedWith('Tokens');
+  });
+
+  it('should only accept ETH from WETH', async function() {
+    await expect(user.sendTransaction({ to: router.address, value: 1 })).to.be.reverted;
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { priceToTick, sqrtPriceX96ToPrice } = require('../lib/prices');
+const { SCENARIOS, createFixture, deployMarket, runScenario, scenarioFixture } = require('../lib/scenarios');
+
+describe('Scenarios', function() {
+  let deploys = 0;
+  const loadMarket = createFixture(hre, async () => {
+    deploys++;
+    return deployMarket(hre);
+  });
+  const loadDepeg = scenarioFixture(hre, 'depeg', loadMarket);
+  const loadLeaveWideRange = scenarioFixture(hre, 'leaveWideRange', loadMarket);
+  const loadOscillation = scenarioFixture(hre, 'highVolumeOscillation', loadMarket);
+
+  async function getPrice(market) {
+    const { sqrtPriceX96 } = await market.pool.slot0();
+    return sqrtPriceX96ToPrice(sqrtPriceX96, market.priceOptions);
+  }
+
+  // Rebalance, returning the pool's Collect events
+  async function rebalance({ metaPool, pool }) {
+    const { events } = await (await metaPool.rebalance()).wait();
+    return events
+      .filter(event => event.address === pool.address)
+      .map(event => pool.interface.parseLog(event))
+      .filter(event => event.name === 'Collect');
+  }
+
+  it('should revert to fixtures instead of deploying again', async function() {
+    const market = await loadMarket();
+    await runScenario(hre, market, SCENARIOS.deposited);
+    expect(await market.metaPool.balanceOf(market.deployer.address)).to.equal(100000);
+
+    const reloaded = await loadMarket();
+    expect(reloaded.metaPool.address).to.equal(market.metaPool.address);
+    expect(await market.metaPool.totalSupply()).to.equal(0);
+    expect(deploys).to.equal(1);
+
+    // Loading a scenario reverted past is set up again, on the same market
+    await loadDepeg();
+    await loadMarket();
+    const depeg = await loadDepeg();
+    expect(depeg.metaPool.address).to.equal(market.metaPool.address);
+    expect(await depeg.metaPool.totalSupply()).to.equal(100100);
+    expect(deploys).to.equal(1);
+  });
+
+  it('should walk the price out of the tight range in a depeg', async function() {
+    const market = await loadDepeg();
+    const { metaPool, pool, priceOptions } = market;
+    expect(await getPrice(market)).to.be.closeTo(0.93, 0.0001);
+
+    // Prices are quoted inverted, so a lower price is a higher tick
+    const { tick } = await pool.slot0();
+    expect(tick).to.be.greaterThan(priceToTick(0.95, priceOptions));
+    expect(tick).to.be.lessThan(priceToTick(0.90, priceOptions));
+    expect((await metaPool.position(0)).token0Amount).to.equal(0);
+    expect((await metaPool.position(1)).token0Amount).to.be.gt(0);
+
+    // The price only fell, so every trade paid its fee in token1
+    const collects = await rebalance(market);
+    expect(collects).to.have.length(2);
+    for (const { args } of collects) {
+      expect(args.amount0).to.equal(0);
+      expect(args.amount1).to.be.gt(0);
+    }
+  });
+
+  it('should leave every range when the price leaves the wide range', async function() {
+    const market = await loadLeaveWideRange();
+    const { metaPool } = market;
+    expect(await getPrice(market)).to.be.closeTo(0.88, 0.0001);
+    for (const i of [0, 1]) {
+      const { token0Amount, token1Amount } = await metaPool.position(i);
+      expect(token0Amount).to.equal(0);
+      expect(token1Amount).to.be.gt(0);
+    }
+    // The TWAP caught up with the price, so rebalancing still works
+    await metaPool.rebalance();
+  });
+
+  it('should earn fees in both tokens from high volume oscillation', async function() {
+    const market = await loadOscillation();
+    const { metaPool } = market;
+    expect(await getPrice(market)).to.be.closeTo(1.005, 0.0001);
+
+    const { liquidity: tightLiquidity } = await metaPool.position(0);
+    const collects = await rebalance(market);
+    expect(collects).to.have.length(2);
+    for (const { args } of collects) {
+      expect(args.amount0).to.be.gt(0);
+      expect(args.amount1).to.be.gt(0);
+    }
+    expect((await metaPool.position(0)).liquidity).to.be.gt(tightLiquidity);
+  });
+
+  it('should reject unknown steps & scenarios', async function() {
+    const market = await loadMarket();
+    let error;
+    try {
+      await runScenario(hre, market, { steps: [{ type: 'teleport' }] });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('Unknown scenario step type \'teleport\'');
+    expect(() => scenarioFixture(hre, 'crash')).to.throw('Unknown scenario \'crash\'');
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { deployMetaPoolContract } = require('../lib/deploy');
+const { priceToTick } = require('../lib/prices');
+const { increaseTime, scenarioFixture } = require('../lib/scenarios');
+const { getSnapshot, simulateBurn, simulateDeposit, simulateMint, simulateRebalance } = require('../lib/simulator');
+
+const PRICE_OPTIONS = { fee: 500, invert: true };
+const TICK_1_01 = priceToTick(1.01, PRICE_OPTIONS);
+const TICK_1_03 = priceToTick(1.03, PRICE_OPTIONS);
+
+const maxTickMovement = 100;
+
+async function getRebalanceEvents(tx, uniswapPool) {
+  const { events } = await tx.wait();
+  const { interface } = await ethers.getContractFactory('UniswapV3Pool');
+  const poolEvents = events
+    .filter(event => event.address === uniswapPool.address)
+    .map(event => interface.parseLog(event));
+
+  return {
+    collects: poolEvents.filter(event => event.name === 'Collect').map(event => event.args),
+    mints: poolEvents.filter(event => event.name === 'Mint').map(event => event.args),
+    swaps: poolEvents.filter(event => event.name === 'Swap').map(event => event.args),
+    rebalanced: events.find(event => event.event === 'Rebalanced').args,
+  };
+}
+
+describe('simulator', function() {
+  let uniswapPool;
+  let token0;
+  let token1;
+  let swapTest;
+  let metaPool;
+  let lens;
+
+  // The original tight & wide ranges, with a deposit & the TWAP settled
+  const loadDeposited = scenarioFixture(hre, 'deposited');
+
+  beforeEach(async function() {
+    ({ pool: uniswapPool, token0, token1, swapTest, metaPool, lens } = await loadDeposited());
+  });
+
+  async function expectRebalanceToMatch() {
+    const prediction = simulateRebalance(await getSnapshot(hre, metaPool));
+    expect(prediction.reverted).to.equal(false);
+
+    const { collects, mints, swaps, rebalanced } = await getRebalanceEvents(await metaPool.rebalance(), uniswapPool);
+
+    expect(collects).to.have.length(prediction.collected.length);
+    prediction.collected.forEach((collected, i) => {
+      expect(collects[i].amount0).to.equal(collected.amount0);
+      expect(collects[i].amount1).to.equal(collected.amount1);
+    });
+
+    // Positions that wouldn't get any liquidity are skipped
+    const legs = [...prediction.firstMint, ...(prediction.secondMint || [])].filter(leg => !leg.liquidity.isZero());
+    expect(mints).to.have.length(legs.length);
+    legs.forEach((leg, i) => {
+      expect(mints[i].amount).to.equal(leg.liquidity);
+      expect(mints[i].amount0).to.equal(leg.amount0);
+      expect(mints[i].amount1).to.equal(leg.amount1);
+    });
+
+    if (prediction.swap) {
+      expect(swaps).to.have.length(1);
+      expect(swaps[0].amount0).to.equal(prediction.swap.amount0Delta);
+      expect(swaps[0].amount1).to.equal(prediction.swap.amount1Delta);
+      expect(swaps[0].sqrtPriceX96).to.equal(prediction.swap.sqrtPriceX96After);
+      expect(swaps[0].tick).to.equal(prediction.swap.tickAfter);
+    } else {
+      expect(swaps).to.have.length(0);
+    }
+
+    expect(rebalanced.newLiquidity).to.have.length(prediction.newLiquidity.length);
+    prediction.newLiquidity.forEach((liquidity, i) => expect(rebalanced.newLiquidity[i]).to.equal(liquidity));
+    expect(rebalanced.amount0Remainder).to.equal(prediction.amount0Remainder);
+    expect(rebalanced.amount1Remainder).to.equal(prediction.amount1Remainder);
+    expect(await token0.balanceOf(metaPool.address)).to.equal(prediction.amount0Remainder);
+    expect(await token1.balanceOf(metaPool.address)).to.equal(prediction.amount1Remainder);
+
+    return prediction;
+  }
+
+  it('should predict a rebalance after balanced trading', async function() {
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    const prediction = await expectRebalanceToMatch();
+    expect(prediction.swap).to.not.equal(null);
+  });
+
+  it('should predict a rebalance after unbalanced trading', async function() {
+    await swapTest.washTrade(uniswapPool.address, '25', 50, 3);
+    await increaseTime(ethers, 6 * 60);
+
+    await expectRebalanceToMatch();
+  });
+
+  it('should predict consecutive rebalances', async function() {
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+    await expectRebalanceToMatch();
+
+    await swapTest.washTrade(uniswapPool.address, '500', 30, 3);
+    await increaseTime(ethers, 6 * 60);
+    await expectRebalanceToMatch();
+  });
+
+  it('should predict a rebalance with the price outside the tight range', async function() {
+    await swapTest.swap(uniswapPool.address, true, 5000);
+    await increaseTime(ethers, 6 * 60);
+
+    const snapshot = await getSnapshot(hre, metaPool);
+    expect(snapshot.pool.tick).to.be.lessThan(TICK_1_01);
+    expect(snapshot.pool.tick).to.be.greaterThan(TICK_1_03);
+
+    // The only fees are token0, which can't add any liquidity to the in-range wide position, so it's skipped
+    const prediction = await expectRebalanceToMatch();
+    expect(prediction.firstMint[1].liquidity).to.equal(0);
+
+    await swapTest.washTrade(uniswapPool.address, '200', 20, 2);
+    await increaseTime(ethers, 6 * 60);
+    await expectRebalanceToMatch();
+  });
+
+  it('should predict rebalances with three ranges', async function() {
+    // Bands around the peg, with most of each deposit in the narrowest
+    ({ metaPool } = await deployMetaPoolContract(hre, [
+      uniswapPool.address,
+      [-100, -300, -1000],
+      [100, 300, 1000],
+      [6000, 3000, 1000],
+      [600, 300, 100],
+      maxTickMovement,
+    ]));
+    await token0.approve(metaPool.address, ethers.utils.parseEther('1000000'));
+    await token1.approve(metaPool.address, ethers.utils.parseEther('1000000'));
+    await metaPool.initialize();
+    expect(await metaPool.numRanges()).to.equal(3);
+
+    await metaPool.mint(100000, 1000000, 1000000);
+    for (let i = 0; i < 3; i++) {
+      expect((await metaPool.position(i)).liquidity).to.be.gt(0);
+    }
+    await increaseTime(ethers, 6 * 60);
+
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+    const prediction = await expectRebalanceToMatch();
+    expect(prediction.firstMint).to.have.length(3);
+
+    // Push the price out of the narrowest band
+    await swapTest.swap(uniswapPool.address, true, 5000);
+    await increaseTime(ethers, 6 * 60);
+    await expectRebalanceToMatch();
+
+    const { token0Amount, token1Amount } = await metaPool.totalPosition();
+    const lpTokens = await metaPool.balanceOf(await token0.signer.getAddress());
+    const [burn0, burn1] = await lens.previewBurn(metaPool.address, lpTokens);
+    expect(burn0).to.be.at.most(token0Amount);
+    expect(burn1).to.be.at.most(token1Amount);
+  });
+
+  it('should predict a TWAP revert', async function() {
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.swap(uniswapPool.address, false, 5000);
+
+    const prediction = simulateRebalance(await getSnapshot(hre, metaPool));
+    expect(prediction).to.deep.equal({ reverted: true, reason: 'Slippage' });
+    await expect(metaPool.rebalance()).to.be.revertedWith('Slippage');
+  });
+
+  it('should predict a rebalance with nothing to deposit', async function() {
+    const prediction = await expectRebalanceToMatch();
+    expect(prediction.swap).to.equal(null);
+    prediction.newLiquidity.forEach(liquidity => expect(liquidity).to.equal(0));
+  });
+
+  it('should split deposits 80/20 and swap the leftover', async function() {
+    const snapshot = await getSnapshot(hre, metaPool);
+    const prediction = simulateDeposit(snapshot, 1000, 200);
+
+    expect(prediction.reverted).to.equal(false);
+    expect(prediction.firstMint[0].amount0Desired).to.equal(800);
+    expect(prediction.firstMint[0].amount1Desired).to.equal(160);
+    expect(prediction.firstMint[1].amount0Desired).to.equal(200);
+    expect(prediction.firstMint[1].amount1Desired).to.equal(40);
+    expect(prediction.swap.zeroForOne).to.equal(true);
+    expect(prediction.swap.amount0Delta).to.equal(prediction.swap.amountSpecified);
+    expect(prediction.amount0Remainder.toNumber()).to.be.lessThan(10);
+  });
+
+  it('should swap a single token in range before depositing it', async function() {
+    // getLiquidityForAmounts returns 0 liquidity, so the first mints are skipped
+    const prediction = simulateDeposit(await getSnapshot(hre, metaPool), 10000, 0);
+    expect(prediction.reverted).to.equal(false);
+    prediction.firstMint.forEach(leg => expect(leg.liquidity).to.equal(0));
+    expect(prediction.swap.zeroForOne).to.equal(true);
+    prediction.newLiquidity.forEach(liquidity => expect(liquidity.toNumber()).to.be.greaterThan(0));
+  });
+
+  it('should predict the amounts mint() takes & burn() returns, like MetaPoolLens', async function() {
+    // Move the price into the tight range, so both tokens are deposited
+    await swapTest.swap(uniswapPool.address, true, 5000);
+    const [owner] = await ethers.getSigners();
+    const snapshot = await getSnapshot(hre, metaPool);
+
+    const mint = simulateMint(snapshot, 12345);
+    const [preview0, preview1] = await lens.previewMint(metaPool.address, 12345);
+    expect(mint.amount0).to.equal(preview0);
+    expect(mint.amount1).to.equal(preview1);
+    let balance0 = await token0.balanceOf(owner.address);
+    let balance1 = await token1.balanceOf(owner.address);
+    await metaPool.mint(12345, mint.amount0, mint.amount1);
+    expect(balance0.sub(await token0.balanceOf(owner.address))).to.equal(mint.amount0);
+    expect(balance1.sub(await token1.balanceOf(owner.address))).to.equal(mint.amount1);
+
+    const burn = simulateBurn(await getSnapshot(hre, metaPool), 54321);
+    const [burn0, burn1] = await lens.previewBurn(metaPool.address, 54321);
+    expect(burn.amount0).to.equal(burn0);
+    expect(burn.amount1).to.equal(burn1);
+    balance0 = await token0.balanceOf(owner.address);
+    balance1 = await token1.balanceOf(owner.address);
+    await metaPool.burn(54321, burn.amount0, burn.amount1, owner.address);
+    expect((await token0.balanceOf(owner.address)).sub(balance0)).to.equal(burn.amount0);
+    expect((await token1.balanceOf(owner.address)).sub(balance1)).to.equal(burn.amount1);
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const hre = require('hardhat');
+
+const { createFixture, deployMarket, scenarioFixture, tempPath } = require('../lib/scenarios');
+const { deployStaking, fundRewards, getRewards } = require('../lib/staking');
+
+async function getError(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+// Mine the next transaction at an exact timestamp, so streamed rewards can be checked to the unit
+async function at(timestamp, send) {
+  await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+  return (await send()).wait();
+}
+
+async function mineAt(timestamp) {
+  await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+  await ethers.provider.send('evm_mine');
+}
+
+describe('MetaPoolStaking', function() {
+  const loadMarket = createFixture(hre, () => deployMarket(hre));
+  const loadDeposited = scenarioFixture(hre, 'deposited', loadMarket);
+
+  // Deploy staking with two reward tokens, and give each user LP tokens to stake
+  const loadStaking = createFixture(hre, async () => {
+    const market = await loadDeposited();
+    const { metaPool, deployer, users } = market;
+    const { staking } = await deployStaking(hre, metaPool.address, deployer);
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const rewardA = await MockERC20.deploy();
+    const rewardB = await MockERC20.deploy();
+    for (const token of [rewardA, rewardB]) {
+      await staking.addReward(token.address, deployer.address);
+      await token.approve(staking.address, ethers.constants.MaxUint256);
+    }
+    for (const user of users) {
+      await metaPool.transfer(user.address, 10000);
+      await metaPool.connect(user).approve(staking.address, ethers.constants.MaxUint256);
+    }
+    return { ...market, staking, rewardA, rewardB };
+  });
+
+  async function now() {
+    return (await ethers.provider.getBlock('latest')).timestamp;
+  }
+
+  it('should split rewards between staggered stakers', async function() {
+    const { staking, metaPool, rewardA, users: [alice, bob] } = await loadStaking();
+    const t0 = (await now()) + 100;
+
+    await at(t0, () => staking.connect(alice).stake(100));
+    // 10 a second for 700 seconds
+    await at(t0 + 10, () => staking.fundReward(rewardA.address, 7000, 700));
+    // Bob stakes 3 times as much by sending LP tokens with transferAndCall()
+    await at(t0 + 110, () => metaPool.connect(bob).transferAndCall(staking.address, 300, '0x'));
+    await at(t0 + 410, () => staking.connect(alice).withdraw(100));
+
+    // Alice earns everything for 100 seconds, then a quarter for 300 seconds. Bob earns the rest
+    await mineAt(t0 + 1000);
+    expect(await staking.earned(alice.address, rewardA.address)).to.equal(1000 + 750);
+    expect(await staking.earned(bob.address, rewardA.address)).to.equal(2250 + 3000);
+    expect(await staking.balanceOf(bob.address)).to.equal(300);
+    expect(await staking.totalSupply()).to.equal(300);
+
+    await staking.connect(alice).getReward();
+    expect(await rewardA.balanceOf(alice.address)).to.equal(1750);
+    expect(await staking.earned(alice.address, rewardA.address)).to.equal(0);
+
+    // Bob withdraws his stake & claims his rewards together
+    const balance = await metaPool.balanceOf(bob.address);
+    await staking.connect(bob).exit();
+    expect(await metaPool.balanceOf(bob.address)).to.equal(balance.add(300));
+    expect(await rewardA.balanceOf(bob.address)).to.equal(5250);
+    expect(await rewardA.balanceOf(staking.address)).to.equal(0);
+  });
+
+  it('should roll leftover rewards & rounding into the next period', async function() {
+    const { staking, rewardA, users: [alice] } = await loadStaking();
+    const t0 = (await now()) + 100;
+
+    await at(t0, () => staking.connect(alice).stake(100));
+    await at(t0 + 1, () => staking.fundReward(rewardA.address, 7000, 700));
+
+    // Half way through, 3500 is left: 4500 over 700 seconds is 6 a second, with 300 carried over
+    await at(t0 + 351, () => staking.fundReward(rewardA.address, 1000, 700));
+    let reward = await staking.rewardData(rewardA.address);
+    expect(reward.rewardRate).to.equal(6);
+    expect(reward.undistributed).to.equal(300);
+    expect(reward.periodFinish).to.equal(t0 + 1051);
+
+    // After the period ends, funding starts a new one from now, with what was carried over
+    await mineAt(t0 + 2000);
+    expect(await staking.earned(alice.address, rewardA.address)).to.equal(3500 + 4200);
+    await at(t0 + 2001, () => staking.fundReward(rewardA.address, 400, 100));
+    reward = await staking.rewardData(rewardA.address);
+    expect(reward.rewardRate).to.equal(7);
+    expect(reward.undistributed).to.equal(0);
+
+    await mineAt(t0 + 3000);
+    expect(await staking.earned(alice.address, rewardA.address)).to.equal(3500 + 4200 + 700);
+    expect(await rewardA.balanceOf(staking.address)).to.equal(7000 + 1000 + 400);
+  });
+
+  it('should carry rewards streamed while nothing is staked into the next period', async function() {
+    const { staking, rewardA, users: [alice] } = await loadStaking();
+    const t0 = (await now()) + 100;
+
+    await at(t0, () => staking.fundReward(rewardA.address, 1000, 100));
+    await at(t0 + 40, () => staking.connect(alice).stake(100));
+    await mineAt(t0 + 200);
+    expect(await staking.earned(alice.address, rewardA.address)).to.equal(600);
+
+    await at(t0 + 201, () => staking.fundReward(rewardA.address, 600, 100));
+    expect((await staking.rewardData(rewardA.address)).rewardRate).to.equal(10);
+    await mineAt(t0 + 400);
+    expect(await staking.earned(alice.address, rewardA.address)).to.equal(1600);
+  });
+
+  it('should stream several reward tokens over their own periods', async function() {
+    const { staking, metaPool, rewardA, rewardB, users: [alice, bob] } = await loadStaking();
+    const t0 = (await now()) + 100;
+
+    await at(t0, () => staking.connect(alice).stake(100));
+    // Staked for alice by bob, by encoding her address in the data
+    const data = ethers.utils.defaultAbiCoder.encode(['address'], [alice.address]);
+    await at(t0 + 1, () => metaPool.connect(bob).transferAndCall(staking.address, 100, data));
+    expect(await staking.balanceOf(alice.address)).to.equal(200);
+    expect(await staking.balanceOf(bob.address)).to.equal(0);
+
+    await at(t0 + 2, () => staking.fundReward(rewardA.address, 1000, 100));
+    await at(t0 + 3, () => staking.fundReward(rewardB.address, 5000, 1000));
+    await mineAt(t0 + 503);
+    const { rewards, staked, totalSupply } = await getRewards(hre, staking, alice.address);
+    expect(staked).to.equal(200);
+    expect(totalSupply).to.equal(200);
+    expect(rewards.map(reward => reward.token)).to.deep.equal([rewardA.address, rewardB.address]);
+    expect(rewards[0]).to.include({ periodFinish: t0 + 102 });
+    expect(rewards[0].remaining).to.equal(0);
+    expect(rewards[0].earned).to.equal(1000);
+    expect(rewards[1].remaining).to.equal(2500);
+    expect(rewards[1].earned).to.equal(2500);
+
+    await at(t0 + 504, () => staking.connect(alice).getReward());
+    expect(await rewardA.balanceOf(alice.address)).to.equal(1000);
+    expect(await rewardB.balanceOf(alice.address)).to.equal(2505);
+  });
+
+  it('should only let distributors fund rewards & the owner add them', async function() {
+    const { staking, metaPool, rewardA, deployer, users: [alice, bob] } = await loadStaking();
+
+    await expect(staking.connect(alice).fundReward(rewardA.address, 1000, 100)).to.be.reverted;
+    await expect(staking.connect(alice).addReward(metaPool.address, alice.address)).to.be.reverted;
+    await expect(staking.connect(alice).setDistributor(rewardA.address, alice.address)).to.be.reverted;
+    expect((await getError(staking.addReward(metaPool.address, deployer.address))).message).to.contain('Token');
+    expect((await getError(staking.addReward(rewardA.address, alice.address))).message).to.contain('Token');
+    expect((await getError(staking.fundReward(rewardA.address, 99, 100))).message).to.contain('Amount');
+    expect((await getError(staking.fundReward(rewardA.address, 100, 0))).message).to.contain('Duration');
+
+    await staking.setDistributor(rewardA.address, alice.address);
+    await expect(staking.fundReward(rewardA.address, 1000, 100)).to.be.reverted;
+    await rewardA.transfer(alice.address, 1000);
+    await rewardA.connect(alice).approve(staking.address, 1000);
+    await staking.connect(alice).fundReward(rewardA.address, 1000, 100);
+
+    // Stakes only come from the MetaPool's transferAndCall()
+    expect((await getError(staking.connect(bob).onTokenTransfer(bob.address, 100, '0x'))).message).to.contain('Token');
+    await expect(staking.connect(bob).withdraw(1)).to.be.reverted;
+    expect((await getError(staking.connect(bob).withdraw(0))).message).to.contain('Amount');
+  });
+
+  it('should transfer ownership in two steps', async function() {
+    const { staking, rewardA, deployer, users: [alice, bob] } = await loadStaking();
+    expect(await staking.owner()).to.equal(deployer.address);
+
+    await expect(staking.connect(alice).transferOwnership(alice.address)).to.be.reverted;
+    await staking.transferOwnership(alice.address);
+    await expect(staking.connect(bob).acceptOwnership()).to.be.reverted;
+    expect(await staking.owner()).to.equal(deployer.address);
+
+    await staking.connect(alice).acceptOwnership();
+    expect(await staking.owner()).to.equal(alice.address);
+    expect(await staking.pendingOwner()).to.equal(ethers.constants.AddressZero);
+    await expect(staking.setDistributor(rewardA.address, deployer.address)).to.be.reverted;
+    await staking.connect(alice).setDistributor(rewardA.address, bob.address);
+    expect((await staking.rewardData(rewardA.address)).distributor).to.equal(bob.address);
+  });
+
+  it('should deploy & fund reward periods with tasks', async function() {
+    const { metaPool, rewardA, deployer } = await loadStaking();
+    const manifest = tempPath('manifest.json');
+
+    const deployment = await hre.run('deploy-metapool-staking', { metaPool: metaPool.address, manifest });
+    expect(JSON.parse(fs.readFileSync(manifest, 'utf8')).MetaPoolStaking).to.deep.equal(deployment);
+    const staking = await ethers.getContractAt('MetaPoolStaking', deployment.address);
+    expect(await staking.metaPool()).to.equal(metaPool.address);
+
+    const first = await hre.run('metapool:fund-rewards', { manifest, token: rewardA.address, amount: '7000', duration: 700 });
+    expect(first.added).to.equal(true);
+    expect(first.rewardRate).to.equal(10);
+    expect((await staking.rewardData(rewardA.address)).distributor).to.equal(deployer.address);
+
+    const second = await hre.run('metapool:fund-rewards', { manifest, token: rewardA.address, amount: '700', duration: 700 });
+    expect(second.added).to.equal(false);
+    expect(second.rewardRate).to.be.gt(10);
+    expect(second.periodFinish).to.be.gt(first.periodFinish);
+
+    // Someone else's reward token can't be funded by the task's signer
+    await staking.setDistributor(rewardA.address, metaPool.address);
+    const error = await getError(fundRewards(hre, staking.connect(deployer), rewardA.address, 100));
+    expect(error.message).to.equal(`${deployer.address} isn't the distributor of ${rewardA.address}, ${metaPool.address} is`);
+  });
+});
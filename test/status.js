@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { createFixture, deployMarket, increaseTime, runScenario } = require('../lib/scenarios');
+const { formatStatus, getStatus } = require('../lib/status');
+
+describe('metapool:status', function() {
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre);
+    await runScenario(hre, market, { deposits: [{ user: 0, lpTokens: 100000 }] });
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({ pool: uniswapPool, swapTest, metaPool } = await loadMarket());
+  });
+
+  it('should report positions and share value', async function() {
+    const status = await getStatus(hre, metaPool);
+
+    expect(status.metaPool).to.equal(metaPool.address);
+    expect(status.pool).to.equal(uniswapPool.address);
+    expect(status.tick).to.equal(0);
+    expect(status.price).to.equal(1);
+
+    const tightPosition = await metaPool.tightPosition();
+    expect(status.positions).to.have.length(2);
+    expect(status.positions[0].weight).to.equal(8000);
+    expect(status.positions[0].tickLower).to.equal(-100);
+    expect(status.positions[0].tickUpper).to.equal(510);
+    expect(status.positions[0].inRange).to.equal(true);
+    expect(status.positions[0].liquidity).to.equal(tightPosition.liquidity.toString());
+    expect(status.positions[0].amount0).to.equal(tightPosition.token0Amount.toString());
+    expect(status.positions[0].amount1).to.equal(tightPosition.token1Amount.toString());
+    expect(status.positions[0].uncollectedFees0).to.equal('0');
+
+    const widePosition = await metaPool.widePosition();
+    expect(status.positions[1].liquidity).to.equal(widePosition.liquidity.toString());
+
+    const totalPosition = await metaPool.totalPosition();
+    expect(status.totalSupply).to.equal('100100');
+    expect(status.perLPToken.amount0)
+      .to.equal(totalPosition.token0Amount.mul(ethers.utils.parseEther('1')).div(100100).toString());
+
+    const [deployer] = await ethers.getSigners();
+    expect(status.paused).to.equal(false);
+    expect(status.emergency).to.equal(false);
+    expect(status.roles.guardian).to.deep.equal({ holder: deployer.address, pending: null });
+    expect(status.timelock).to.deep.equal({ address: await metaPool.timelock(), delay: 0 });
+
+    // The pool was just created, so there isn't 5 minutes of TWAP history
+    expect(status.twap).to.equal(null);
+  });
+
+  it('should report uncollected fees and TWAP drift', async function() {
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.washTrade(uniswapPool.address, '1000', 50, 2);
+    await increaseTime(ethers, 6 * 60);
+
+    const status = await getStatus(hre, metaPool);
+    expect(Number(status.positions[0].uncollectedFees0)).to.be.greaterThan(0);
+    expect(Number(status.positions[0].uncollectedFees1)).to.be.greaterThan(0);
+    expect(Number(status.positions[1].uncollectedFees0)).to.be.greaterThan(0);
+
+    expect(status.twap.maxTickMovement).to.equal(100);
+    expect(status.twap.drift).to.equal(Math.abs(status.twap.averageTick - status.tick));
+    expect(status.twap.withinLimit).to.equal(true);
+
+    // Fees reported should be what a rebalance collects
+    const { events } = await (await metaPool.rebalance()).wait();
+    const { interface } = await ethers.getContractFactory('UniswapV3Pool');
+    const collects = events
+      .filter(event => event.address === uniswapPool.address)
+      .map(event => interface.parseLog(event))
+      .filter(event => event.name === 'Collect');
+    expect(collects[0].args.amount0.toString()).to.equal(status.positions[0].uncollectedFees0);
+    expect(collects[1].args.amount1.toString()).to.equal(status.positions[1].uncollectedFees1);
+  });
+
+  it('should report TWAP drift beyond the limit and the pause state', async function() {
+    await increaseTime(ethers, 6 * 60);
+    await swapTest.swap(uniswapPool.address, false, 5000);
+    await metaPool.pause();
+
+    const status = await getStatus(hre, metaPool);
+    expect(status.tick).to.be.greaterThan(0);
+    expect(status.positions[0].inRange).to.equal(true);
+    expect(status.twap.drift).to.be.greaterThan(100);
+    expect(status.twap.withinLimit).to.equal(false);
+    expect(status.paused).to.equal(true);
+
+    expect(formatStatus(status)).to.contain('rebalance would revert');
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const hre = require('hardhat');
+
+const { applyChange, getTimelock, queueChange } = require('../lib/governance');
+const { createFixture, deployMarket, increaseTime, runScenario } = require('../lib/scenarios');
+const { getSnapshot, getTwapDrift, simulateMintWithAmounts, simulateZap } = require('../lib/simulator');
+const { getStatus } = require('../lib/status');
+
+const FULL_RANGE_LIQ = 10000000;
+
+describe('TWAP guard', function() {
+  let user;
+  let attacker;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let lens;
+  let manifest;
+
+  const loadMarket = createFixture(hre, async () => {
+    const market = await deployMarket(hre, {
+      deployConfig: { twapWindow: 10 * 60, observationCardinality: 50 },
+      poolLiquidity: FULL_RANGE_LIQ,
+    });
+    // Wait out the 10 minute window
+    await runScenario(hre, market, {
+      deposits: [{ user: 0, lpTokens: 100000 }],
+      steps: [{ type: 'increaseTime', seconds: 11 * 60 }],
+    });
+    return market;
+  });
+
+  beforeEach(async function() {
+    ({ users: [user, attacker], token1, pool: uniswapPool, swapTest, metaPool, lens, manifest } = await loadMarket());
+  });
+
+  it('should apply the window & cardinality from the deployment config', async function() {
+    expect(await metaPool.twapWindow()).to.equal(600);
+    expect(await metaPool.guardMints()).to.equal(false);
+    expect((await uniswapPool.slot0()).observationCardinalityNext).to.equal(50);
+
+    const deployment = JSON.parse(fs.readFileSync(manifest, 'utf8')).MetaPool;
+    expect(deployment).to.include({ twapWindow: 600, guardMints: false });
+  });
+
+  it('should report the TWAP tick & drift', async function() {
+    expect(await metaPool.twap()).to.deep.equal([0, 0]);
+
+    // The average only moves as time passes at the new price
+    await swapTest.connect(attacker).swap(uniswapPool.address, false, 100000);
+    const { tick } = await uniswapPool.slot0();
+    expect(tick).to.be.greaterThan(100);
+    await increaseTime(ethers, 5 * 60);
+
+    const [averageTick, drift] = await metaPool.twap();
+    expect(averageTick).to.be.within(1, tick - 1);
+    expect(drift).to.equal(tick - averageTick);
+    const snapshot = await getSnapshot(hre, metaPool);
+    expect(getTwapDrift(snapshot)).to.include({ averageTick, drift, currentTick: tick });
+
+    const status = await getStatus(hre, metaPool);
+    expect(status.twap).to.include({ averageTick, drift });
+    expect(status).to.include({ twapWindow: 600, observationCardinalityNext: 50, guardMints: false });
+
+    // A shorter window catches up with the price sooner
+    await applyChange(hre, metaPool, 'setTwap', [60, 0]);
+    const [shortAverageTick] = await metaPool.twap();
+    expect(shortAverageTick).to.equal(tick);
+  });
+
+  it('should only let the timelock configure the TWAP', async function() {
+    await expect(metaPool.setTwap(60, 100)).to.be.reverted;
+    await expect(metaPool.setGuardMints(true)).to.be.reverted;
+    await expect(applyChange(hre, metaPool, 'setTwap', [0, 100])).to.be.revertedWith('TWAP');
+
+    const timelock = await getTimelock(hre, metaPool);
+    const twap = await queueChange(hre, metaPool, 'setTwap', [30 * 60, 200]);
+    await expect(timelock.executeChange(twap.data)).to.emit(metaPool, 'TwapUpdated').withArgs(30 * 60, 200);
+    expect((await uniswapPool.slot0()).observationCardinalityNext).to.equal(200);
+    const guard = await queueChange(hre, metaPool, 'setGuardMints', [true]);
+    await expect(timelock.executeChange(guard.data)).to.emit(metaPool, 'MintGuardUpdated').withArgs(true);
+
+    // The pool doesn't have 30 minutes of observations yet
+    await expect(metaPool.twap()).to.be.revertedWith('OLD');
+    await expect(metaPool.rebalance()).to.be.revertedWith('OLD');
+    await expect(metaPool.connect(user).mint(1000, 100000, 100000)).to.be.revertedWith('OLD');
+  });
+
+  describe('with a sandwiched pool price', function() {
+    // The attacker pushes the price up before the victim's mint
+    async function sandwich() {
+      await swapTest.connect(attacker).swap(uniswapPool.address, false, 300000);
+      expect((await metaPool.twap()).drift).to.be.at.least(100);
+    }
+
+    it('should let mints through without the guard', async function() {
+      await sandwich();
+      const [amount0, amount1] = await lens.previewMint(metaPool.address, 10000);
+      await metaPool.connect(user).mint(10000, amount0, amount1);
+      expect(await metaPool.balanceOf(user.address)).to.equal(10000);
+    });
+
+    it('should block mints at the manipulated price with the guard', async function() {
+      await applyChange(hre, metaPool, 'setGuardMints', [true]);
+      await metaPool.connect(user).mint(1000, 100000, 100000);
+
+      await sandwich();
+      await expect(metaPool.connect(user).mint(10000, 1000000, 1000000)).to.be.revertedWith('Slippage');
+      await expect(metaPool.connect(user).mintWithAmounts(1000000, 1000000, 0)).to.be.revertedWith('Slippage');
+      expect(simulateMintWithAmounts(await getSnapshot(hre, metaPool), 1000000, 1000000))
+        .to.deep.equal({ reverted: true, reason: 'Slippage' });
+
+      // Once the attacker swaps back, the price is near the TWAP again
+      await swapTest.connect(attacker).swap(uniswapPool.address, true, 300000);
+      const [amount0, amount1] = await lens.previewMint(metaPool.address, 10000);
+      await metaPool.connect(user).mint(10000, amount0, amount1);
+      expect(await metaPool.balanceOf(user.address)).to.equal(11000);
+    });
+
+    it('should block zaps that swap the price away from the TWAP with the guard', async function() {
+      await applyChange(hre, metaPool, 'setGuardMints', [true]);
+      const MetaPoolZap = await ethers.getContractFactory('MetaPoolZap');
+      const zap = (await MetaPoolZap.deploy()).connect(user);
+      await token1.connect(user).approve(zap.address, ethers.utils.parseEther('1000000'));
+
+      // A small zap's own swap barely moves the price
+      await zap.zapIn(metaPool.address, false, 1000, 0, 0, user.address);
+
+      await sandwich();
+      const snapshot = await getSnapshot(hre, metaPool);
+      expect(simulateZap(snapshot, false, 1000)).to.deep.equal({ reverted: true, reason: 'Slippage' });
+      await expect(zap.zapIn(metaPool.address, false, 1000, 0, 0, user.address)).to.be.revertedWith('Slippage');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const { ChainId, Token } = require('@uniswap/sdk-core');
+const { computePoolAddress, FeeAmount } = require('@uniswap/v3-sdk/dist/');
+const hre = require('hardhat');
+
+const { readUniswapArtifacts, verifyUniswapArtifacts } = require('../lib/uniswap');
+const { encodePriceSqrt } = require('../lib/prices');
+
+describe('Uniswap artifacts', function() {
+  it('should use the bytecode & full ABIs of the Uniswap packages', async function() {
+    const uniswapArtifacts = readUniswapArtifacts();
+    for (const name of ['UniswapV3Factory', 'UniswapV3Pool', 'SwapRouter', 'NonfungiblePositionManager', 'Quoter']) {
+      const artifact = await hre.artifacts.readArtifact(name);
+      expect(artifact.bytecode).to.equal(uniswapArtifacts[name].bytecode);
+      expect(artifact.abi).to.deep.equal(uniswapArtifacts[name].abi);
+    }
+    expect((await hre.artifacts.readArtifact('UniswapV3Factory')).sourceName)
+      .to.equal('@uniswap/v3-core/contracts/UniswapV3Factory.sol');
+  });
+
+  it('should create pools at the addresses the SDK computes', async function() {
+    const UniswapV3Factory = await ethers.getContractFactory('UniswapV3Factory');
+    const factory = await UniswapV3Factory.deploy();
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const tokenA = await MockERC20.deploy();
+    const tokenB = await MockERC20.deploy();
+
+    await factory.createPool(tokenA.address, tokenB.address, FeeAmount.LOW);
+    const expected = computePoolAddress({
+      factoryAddress: factory.address,
+      tokenA: new Token(ChainId.MAINNET, tokenA.address, 18),
+      tokenB: new Token(ChainId.MAINNET, tokenB.address, 18),
+      fee: FeeAmount.LOW,
+    });
+    expect(await factory.getPool(tokenA.address, tokenB.address, FeeAmount.LOW)).to.equal(expected);
+
+    const pool = await ethers.getContractAt('UniswapV3Pool', expected);
+    await pool.initialize(encodePriceSqrt('1', '1'));
+    expect((await pool.slot0()).tick).to.equal(0);
+  });
+
+  it('should reject a pool or factory that differs from the release', function() {
+    const uniswapArtifacts = readUniswapArtifacts();
+    expect(() => verifyUniswapArtifacts(uniswapArtifacts)).not.to.throw();
+
+    const { UniswapV3Pool, UniswapV3Factory } = uniswapArtifacts;
+    const pool = { ...UniswapV3Pool, bytecode: `${UniswapV3Pool.bytecode}00` };
+    expect(() => verifyUniswapArtifacts({ UniswapV3Factory, UniswapV3Pool: pool }))
+      .to.throw(/UniswapV3Pool init code hash 0x[0-9a-f]{64} doesn't match @uniswap\/v3-periphery PoolAddress/);
+
+    const factory = { ...UniswapV3Factory, bytecode: UniswapV3Factory.bytecode.replace(UniswapV3Pool.bytecode.slice(2, 66), '') };
+    expect(() => verifyUniswapArtifacts({ UniswapV3Factory: factory, UniswapV3Pool }))
+      .to.throw('UniswapV3Factory doesn\'t deploy the UniswapV3Pool bytecode of @uniswap/v3-core');
+  });
+});
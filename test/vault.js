@@ -0,0 +1,217 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { createFixture, deployMarket, runScenario } = require('../lib/scenarios');
+const { MetaPoolVaultClient } = require('../lib/vault');
+
+const FULL_RANGE_LIQ = 10000000;
+const MAX_UINT = ethers.constants.MaxUint256;
+
+describe('MetaPoolVault', function() {
+  let user;
+  let receiver;
+  let spender;
+  let token0;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let lens;
+  let vault;
+
+  // Only the user is funded, so the receiver's token balances are what it was paid
+  const loadVault = createFixture(hre, async () => {
+    const market = await deployMarket(hre, {
+      deployConfig: { observationCardinality: 50 },
+      poolLiquidity: FULL_RANGE_LIQ,
+      users: 1,
+    });
+    const MetaPoolVault = await ethers.getContractFactory('MetaPoolVault');
+    const vault = await MetaPoolVault.deploy(market.metaPool.address);
+    for (const token of [market.token0, market.token1]) {
+      await token.connect(market.users[0]).approve(vault.address, MAX_UINT);
+    }
+    await runScenario(hre, market, {
+      deposits: [{ user: 0, lpTokens: 100000 }],
+      steps: [{ type: 'increaseTime', seconds: 6 * 60 }],
+    });
+    return { ...market, vault };
+  });
+
+  beforeEach(async function() {
+    ({ users: [user], token0, token1, pool: uniswapPool, swapTest, metaPool, lens, vault } = await loadVault());
+    [, , receiver, spender] = await ethers.getSigners();
+    vault = vault.connect(user);
+  });
+
+  it('should value shares in token1 at the TWAP', async function() {
+    expect(await vault.asset()).to.equal(token1.address);
+    expect(await vault.totalAssets()).to.equal(0);
+    expect(await vault.maxDeposit(user.address)).to.equal(MAX_UINT);
+
+    // The pool is still at a price of 1, so the LP supply is worth both tokens in the positions
+    const [amount0, amount1] = await metaPool.totalPosition();
+    const lpSupply = await metaPool.totalSupply();
+    expect(await vault.convertToAssets(lpSupply)).to.equal(amount0.add(amount1));
+    expect(await vault.convertToShares(amount0.add(amount1))).to.equal(lpSupply);
+
+    // Swaps move the spot price, but not the TWAP straight away
+    const assets = await vault.convertToAssets(1000);
+    await swapTest.swap(uniswapPool.address, false, 100000);
+    expect(await vault.convertToAssets(1000)).to.equal(assets);
+  });
+
+  it('should deposit & mint shares for a receiver', async function() {
+    const assets = 100000;
+    const shares = await vault.previewDeposit(assets);
+    const [amount0, amount1] = await lens.previewMint(metaPool.address, shares);
+    const user0 = await token0.balanceOf(user.address);
+    const user1 = await token1.balanceOf(user.address);
+
+    await expect(vault.deposit(assets, receiver.address))
+      .to.emit(vault, 'Deposit').withArgs(user.address, receiver.address, assets, shares);
+    expect(user0.sub(await token0.balanceOf(user.address))).to.equal(amount0);
+    expect(user1.sub(await token1.balanceOf(user.address))).to.equal(amount1);
+    expect(await vault.balanceOf(receiver.address)).to.equal(shares);
+
+    const mintAssets = await vault.previewMint(5000);
+    await expect(vault.mint(5000, receiver.address))
+      .to.emit(vault, 'Deposit').withArgs(user.address, receiver.address, mintAssets, 5000);
+    expect(await vault.balanceOf(receiver.address)).to.equal(shares.add(5000));
+
+    // Every share is backed by an LP token
+    expect(await metaPool.balanceOf(vault.address)).to.equal(await vault.totalSupply());
+    expect(await vault.totalAssets()).to.equal(await vault.convertToAssets(shares.add(5000)));
+    for (const token of [token0, token1]) {
+      expect(await token.balanceOf(vault.address)).to.equal(0);
+      expect(await token.allowance(vault.address, metaPool.address)).to.equal(0);
+    }
+  });
+
+  it('should round conversions against the caller', async function() {
+    // A share is worth less than 1 wei, so redeeming one pays out nothing, minting one costs a whole wei,
+    // and withdrawing a wei burns a share more than it's worth
+    expect(await vault.convertToAssets(1)).to.equal(0);
+    expect(await vault.previewRedeem(1)).to.equal(0);
+    expect(await vault.previewMint(1)).to.equal(1);
+    expect(await vault.previewWithdraw(1)).to.equal((await vault.convertToShares(1)).add(1));
+    await expect(vault.deposit(0, user.address)).to.be.revertedWith('Shares');
+    await vault.deposit(100000, user.address);
+
+    for (const amount of [1, 7, 999, 123457, 10000001]) {
+      const shares = await vault.convertToShares(amount);
+      expect(await vault.previewDeposit(amount)).to.equal(shares);
+      expect(await vault.convertToAssets(shares)).to.be.at.most(amount);
+      expect(await vault.previewWithdraw(amount)).to.be.at.least(shares);
+      expect(await vault.previewRedeem(await vault.previewWithdraw(amount))).to.be.at.least(amount);
+
+      const assets = await vault.convertToAssets(amount);
+      expect(await vault.previewRedeem(amount)).to.equal(assets);
+      expect(await vault.previewMint(amount)).to.be.at.least(assets);
+      expect(await vault.convertToShares(await vault.previewMint(amount))).to.be.at.least(amount);
+    }
+
+    // Depositing & withdrawing can't raise a depositor's stake, or lower what other holders' shares are worth
+    const holderValue = await vault.convertToAssets(await vault.balanceOf(user.address));
+    for (let i = 0; i < 5; i++) {
+      const shares = await vault.previewDeposit(99999);
+      await vault.deposit(99999, receiver.address);
+      expect(await vault.connect(receiver).previewRedeem(shares)).to.be.at.most(99999);
+      await vault.connect(receiver).redeem(shares, receiver.address, receiver.address);
+    }
+    expect(await vault.convertToAssets(await vault.balanceOf(user.address))).to.be.at.least(holderValue);
+  });
+
+  it('should only let the owner or an approved spender withdraw & redeem', async function() {
+    await vault.deposit(100000, user.address);
+    const shares = await vault.balanceOf(user.address);
+
+    await expect(vault.connect(spender).redeem(1000, spender.address, user.address)).to.be.reverted;
+    await expect(vault.connect(spender).withdraw(1000, spender.address, user.address)).to.be.reverted;
+
+    await vault.approve(spender.address, 3000);
+    const [amount0, amount1] = await lens.previewBurn(metaPool.address, 1000);
+    const assets = await vault.previewRedeem(1000);
+    await expect(vault.connect(spender).redeem(1000, receiver.address, user.address))
+      .to.emit(vault, 'Withdraw').withArgs(spender.address, receiver.address, user.address, assets, 1000);
+    expect(await token0.balanceOf(receiver.address)).to.equal(amount0);
+    expect(await token1.balanceOf(receiver.address)).to.equal(amount1);
+    expect(await vault.allowance(user.address, spender.address)).to.equal(2000);
+
+    const withdrawn = await vault.previewWithdraw(150);
+    await expect(vault.connect(spender).withdraw(150, spender.address, user.address))
+      .to.emit(vault, 'Withdraw').withArgs(spender.address, spender.address, user.address, 150, withdrawn);
+    expect(await vault.allowance(user.address, spender.address)).to.equal(ethers.BigNumber.from(2000).sub(withdrawn));
+    await expect(vault.connect(spender).redeem(2000, spender.address, user.address)).to.be.reverted;
+
+    // Unlimited allowances aren't spent
+    await vault.approve(spender.address, MAX_UINT);
+    await vault.connect(spender).transferFrom(user.address, spender.address, 1000);
+    await vault.connect(spender).redeem(1000, spender.address, user.address);
+    expect(await vault.allowance(user.address, spender.address)).to.equal(MAX_UINT);
+    expect(await vault.balanceOf(user.address)).to.equal(shares.sub(withdrawn).sub(3000));
+    expect(await vault.balanceOf(spender.address)).to.equal(1000);
+    expect(await vault.maxRedeem(user.address)).to.equal(shares.sub(withdrawn).sub(3000));
+  });
+
+  it('should only price deposits & withdrawals near the TWAP', async function() {
+    await vault.deposit(100000, user.address);
+
+    await swapTest.swap(uniswapPool.address, false, 300000);
+    await expect(vault.deposit(100000, user.address)).to.be.revertedWith('Slippage');
+    await expect(vault.withdraw(1000, user.address, user.address)).to.be.revertedWith('Slippage');
+
+    // Share amounts are exchanged for LP tokens, which are paid out pro rata whatever the price
+    await vault.redeem(1000, user.address, user.address);
+    await vault.mint(1000, user.address);
+  });
+
+  it('should stop deposits while paused, and pay out the exited tokens after an emergency exit', async function() {
+    await vault.deposit(100000, user.address);
+    const shares = await vault.balanceOf(user.address);
+
+    await metaPool.pause();
+    expect(await vault.maxDeposit(user.address)).to.equal(0);
+    expect(await vault.maxMint(user.address)).to.equal(0);
+    await expect(vault.mint(1000, user.address)).to.be.reverted;
+
+    await metaPool.emergencyExit();
+    const balance0 = await token0.balanceOf(metaPool.address);
+    const balance1 = await token1.balanceOf(metaPool.address);
+    const lpSupply = await metaPool.totalSupply();
+    expect(await vault.convertToAssets(lpSupply)).to.equal(balance0.add(balance1));
+
+    await vault.redeem(shares, receiver.address, user.address);
+    expect(await token0.balanceOf(receiver.address)).to.equal(balance0.mul(shares).div(lpSupply));
+    expect(await token1.balanceOf(receiver.address)).to.equal(balance1.mul(shares).div(lpSupply));
+    expect(await vault.totalSupply()).to.equal(0);
+  });
+
+  it('should deposit & withdraw through MetaPoolVaultClient', async function() {
+    const client = await MetaPoolVaultClient.deploy(hre, metaPool.address, receiver);
+    await token0.transfer(receiver.address, 1000000);
+    await token1.transfer(receiver.address, 1000000);
+
+    const deposit = await client.deposit(200000);
+    expect(deposit.shares).to.equal(deposit.quote.shares);
+    expect(await token0.balanceOf(receiver.address)).to.equal(ethers.BigNumber.from(1000000).sub(deposit.quote.amount0));
+
+    const minted = await client.mint(1000);
+    expect(minted.assets).to.equal(minted.quote.assets);
+
+    const account = await client.getAccount();
+    expect(account).to.include({ address: receiver.address });
+    expect(account.shares).to.equal(deposit.shares.add(1000));
+    expect(account.assets).to.equal(await client.vault.convertToAssets(account.shares));
+
+    const withdrawal = await client.withdraw(50000);
+    expect(withdrawal.shares).to.equal(withdrawal.quote.shares);
+    const user1 = await token1.balanceOf(user.address);
+    const redemption = await client.redeem(withdrawal.shares, user.address);
+    expect(redemption.assets).to.equal(redemption.quote.assets);
+    expect((await token1.balanceOf(user.address)).sub(user1)).to.equal(redemption.quote.amount1);
+
+    const loaded = await MetaPoolVaultClient.load(hre, client.vault.address, receiver);
+    expect((await loaded.getAccount()).shares).to.equal(account.shares.sub(withdrawal.shares.mul(2)));
+  });
+});
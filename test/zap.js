@@ -0,0 +1,208 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { createFixture, deployMarket, runScenario } = require('../lib/scenarios');
+const { burnSingle, quoteBurnSingle, quoteZap, zapIn } = require('../lib/zap');
+
+const FULL_RANGE_LIQ = 10000000;
+
+describe('MetaPoolZap', function() {
+  let user;
+  let token0;
+  let token1;
+  let uniswapPool;
+  let swapTest;
+  let metaPool;
+  let zap;
+
+  const loadZap = createFixture(hre, async () => {
+    const market = await deployMarket(hre, { poolLiquidity: FULL_RANGE_LIQ, users: 1, userBalance: 1000000 });
+    await runScenario(hre, market, { deposits: [{ user: 0, lpTokens: 100000 }] });
+    const MetaPoolZap = await ethers.getContractFactory('MetaPoolZap');
+    return { ...market, zap: await MetaPoolZap.deploy() };
+  });
+
+  beforeEach(async function() {
+    ({ users: [user], token0, token1, pool: uniswapPool, swapTest, metaPool, zap } = await loadZap());
+    zap = zap.connect(user);
+  });
+
+  async function expectZapToMatch(token, amountIn) {
+    const quote = await quoteZap(hre, metaPool, token.address, amountIn);
+    const startingLPTokens = await metaPool.balanceOf(user.address);
+    const startingBalance0 = await token0.balanceOf(user.address);
+    const startingBalance1 = await token1.balanceOf(user.address);
+
+    const result = await zapIn(hre, zap, metaPool, token.address, amountIn);
+
+    expect(result.newLPTokens).to.equal(quote.newLPTokens);
+    expect(result.amount0Refund).to.equal(quote.amount0Refund);
+    expect(result.amount1Refund).to.equal(quote.amount1Refund);
+    expect((await metaPool.balanceOf(user.address)).sub(startingLPTokens)).to.equal(quote.newLPTokens);
+
+    // The depositor only pays the deposit, less refunds
+    const [spent0, spent1] = quote.zeroForOne
+      ? [quote.amountIn.sub(quote.amount0Refund), quote.amount1Refund.mul(-1)]
+      : [quote.amount0Refund.mul(-1), quote.amountIn.sub(quote.amount1Refund)];
+    expect(startingBalance0.sub(await token0.balanceOf(user.address))).to.equal(spent0);
+    expect(startingBalance1.sub(await token1.balanceOf(user.address))).to.equal(spent1);
+
+    // The zap doesn't keep anything
+    expect(await token0.balanceOf(zap.address)).to.equal(0);
+    expect(await token1.balanceOf(zap.address)).to.equal(0);
+    expect(await metaPool.balanceOf(zap.address)).to.equal(0);
+    expect(await token0.allowance(zap.address, metaPool.address)).to.equal(0);
+    expect(await token1.allowance(zap.address, metaPool.address)).to.equal(0);
+
+    return quote;
+  }
+
+  it('should zap token0 at a balanced price', async function() {
+    const { token0Amount, token1Amount } = await metaPool.totalPosition();
+    const quote = await expectZapToMatch(token0, 1000);
+
+    // At a 1:1 price, the share of the deposit swapped matches the share of token1 in the positions
+    expect(quote.swap.zeroForOne).to.equal(true);
+    expect(quote.swap.amountSpecified).to.equal(token1Amount.mul(1000).div(token0Amount.add(token1Amount)));
+    expect(quote.amount0Refund.add(quote.amount1Refund).toNumber()).to.be.lessThan(20);
+  });
+
+  it('should zap token1 at a balanced price', async function() {
+    const quote = await expectZapToMatch(token1, 1000);
+
+    expect(quote.swap.zeroForOne).to.equal(false);
+    expect(quote.amount0Refund.add(quote.amount1Refund).toNumber()).to.be.lessThan(20);
+  });
+
+  it('should zap with the price outside the tight range', async function() {
+    await swapTest.swap(uniswapPool.address, true, 80000);
+    const { tick } = await uniswapPool.slot0();
+    expect(tick).to.be.lessThan((await metaPool.ranges(0)).lowerTick);
+    expect(tick).to.be.greaterThan((await metaPool.ranges(1)).lowerTick);
+
+    await expectZapToMatch(token0, 10000);
+    await expectZapToMatch(token1, 10000);
+  });
+
+  it('should zap with the price outside both ranges', async function() {
+    await swapTest.swap(uniswapPool.address, true, 300000);
+    const { tick } = await uniswapPool.slot0();
+    expect(tick).to.be.lessThan((await metaPool.ranges(1)).lowerTick);
+
+    // The MetaPool only holds token0, so token0 is deposited without a swap
+    const quote = await expectZapToMatch(token0, 10000);
+    expect(quote.swap).to.equal(null);
+    expect(quote.amount0Refund.toNumber()).to.be.lessThan(100);
+
+    const totalSupply = await metaPool.totalSupply();
+    const token1Quote = await expectZapToMatch(token1, 10000);
+    expect(token1Quote.swap.amount1Delta).to.equal(10000);
+    expect(await metaPool.totalSupply()).to.equal(totalSupply.add(token1Quote.newLPTokens));
+  });
+
+  it('should revert when minting fewer LP tokens than the minimum', async function() {
+    const quote = await quoteZap(hre, metaPool, token0.address, 10000);
+    await token0.connect(user).approve(zap.address, 10000);
+
+    await expect(zap.zapIn(metaPool.address, true, 10000, quote.newLPTokens.add(1), 0, user.address))
+      .to.be.revertedWith('Slippage');
+    await zap.zapIn(metaPool.address, true, 10000, quote.newLPTokens, 0, user.address);
+    expect(await metaPool.balanceOf(user.address)).to.equal(quote.newLPTokens);
+  });
+
+  it('should revert when the price moves past the quoted limit', async function() {
+    const quote = await quoteZap(hre, metaPool, token0.address, 10000);
+    await swapTest.swap(uniswapPool.address, true, 100000);
+
+    await token0.connect(user).approve(zap.address, 10000);
+    await expect(zap.zapIn(metaPool.address, true, 10000, quote.minLPTokens, quote.sqrtPriceLimitX96, user.address))
+      .to.be.revertedWith('SPL');
+  });
+
+  describe('burnSingle', function() {
+    beforeEach(async function() {
+      await metaPool.transfer(user.address, 50000);
+    });
+
+    async function expectBurnToMatch(token, burnAmount) {
+      const [tokenOut, otherToken] = token === token0 ? [token0, token1] : [token1, token0];
+      const quote = await quoteBurnSingle(hre, metaPool, tokenOut.address, burnAmount);
+      const startingLPTokens = await metaPool.balanceOf(user.address);
+      const startingBalance = await tokenOut.balanceOf(user.address);
+      const startingOtherBalance = await otherToken.balanceOf(user.address);
+
+      const { amountOut } = await burnSingle(hre, zap, metaPool, tokenOut.address, burnAmount);
+
+      expect(amountOut).to.equal(quote.amountOut);
+      expect(startingLPTokens.sub(await metaPool.balanceOf(user.address))).to.equal(burnAmount);
+      expect((await tokenOut.balanceOf(user.address)).sub(startingBalance)).to.equal(amountOut);
+      expect(await otherToken.balanceOf(user.address)).to.equal(startingOtherBalance);
+      expect(await token0.balanceOf(zap.address)).to.equal(0);
+      expect(await token1.balanceOf(zap.address)).to.equal(0);
+
+      return quote;
+    }
+
+    it('should withdraw token1 at a balanced price', async function() {
+      const preview = await zap.previewBurnSingleUpperBound(metaPool.address, 10000, token1.address);
+      const quote = await expectBurnToMatch(token1, 10000);
+
+      expect(quote.swap.zeroForOne).to.equal(true);
+      expect(quote.swap.amountSpecified).to.equal(quote.amount0Burned);
+      // The preview ignores price impact, so it's a little higher
+      expect(preview).to.be.at.least(quote.amountOut);
+      expect(preview.sub(quote.amountOut).toNumber()).to.be.lessThan(quote.amountOut.toNumber() / 100);
+    });
+
+    it('should only bound the amount out from above on a pool with little liquidity', async function() {
+      // Leave little liquidity besides the MetaPool's positions, so the swap moves the price a long way
+      await uniswapPool.burn(-887270, 887270, FULL_RANGE_LIQ * 0.99);
+
+      const upperBound = await zap.previewBurnSingleUpperBound(metaPool.address, 50000, token1.address);
+      const quote = await quoteBurnSingle(hre, metaPool, token1.address, 50000);
+      expect(upperBound).to.be.gt(quote.amountOut.mul(101).div(100));
+
+      await metaPool.connect(user).approve(zap.address, 50000);
+      await expect(zap.burnSingle(metaPool.address, 50000, token1.address, upperBound, user.address))
+        .to.be.revertedWith('Slippage');
+      await expectBurnToMatch(token1, 50000);
+    });
+
+    it('should withdraw token0 at a balanced price', async function() {
+      const { amount0Burned, amount1Burned } = await quoteBurnSingle(hre, metaPool, token0.address, 10000);
+      const quote = await expectBurnToMatch(token0, 10000);
+
+      expect(quote.swap.zeroForOne).to.equal(false);
+      expect(quote.amountOut.toNumber()).to.be.within(
+        amount0Burned.add(amount1Burned).mul(99).div(100).toNumber(),
+        amount0Burned.add(amount1Burned).toNumber(),
+      );
+    });
+
+    it('should withdraw with the price outside both ranges', async function() {
+      await swapTest.swap(uniswapPool.address, true, 300000);
+
+      // The positions only hold token0, so there's nothing to swap
+      const quote = await expectBurnToMatch(token0, 10000);
+      expect(quote.swap).to.equal(null);
+      expect(quote.amountOut).to.equal(quote.amount0Burned);
+
+      await expectBurnToMatch(token1, 10000);
+    });
+
+    it('should revert when receiving less than the minimum', async function() {
+      const { amountOut } = await quoteBurnSingle(hre, metaPool, token1.address, 10000);
+      await metaPool.connect(user).approve(zap.address, 10000);
+
+      await expect(zap.burnSingle(metaPool.address, 10000, token1.address, amountOut.add(1), user.address))
+        .to.be.revertedWith('Slippage');
+      await zap.burnSingle(metaPool.address, 10000, token1.address, amountOut, user.address);
+    });
+
+    it('should only withdraw the MetaPool\'s tokens', async function() {
+      await metaPool.connect(user).approve(zap.address, 10000);
+      await expect(zap.burnSingle(metaPool.address, 10000, metaPool.address, 0, user.address))
+        .to.be.revertedWith('Token');
+    });
+  });
+});